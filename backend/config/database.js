@@ -40,9 +40,6 @@ class DatabaseConfig {
       // How long to wait for a connection to be established
       serverSelectionTimeoutMS: 5000,
       
-      // How long a generated ObjectId should be unique for
-      bufferMaxEntries: 0,
-      
       // Number of times to retry failed operations
       retryWrites: true,
       
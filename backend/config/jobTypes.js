@@ -0,0 +1,13 @@
+/**
+ * Employment Types
+ *
+ * The kinds of employment a job can be marked with (the `type` field of a
+ * job), shared by the API validators, the import and the GET /jobs `type`
+ * filter.
+ */
+
+const jobTypes = ['full-time', 'part-time', 'contract', 'temporary', 'internship', 'freelance'];
+
+module.exports = {
+  jobTypes
+};
\ No newline at end of file
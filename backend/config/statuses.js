@@ -0,0 +1,64 @@
+/**
+ * Application Status Catalogue
+ *
+ * The single definition of every status a job application can be in, shared by
+ * the API validators, the storage models and (through GET /api/statuses) the
+ * frontend dropdowns. Stages follow the Status Management System section of
+ * docs/requirements.md; colours follow acceptance criterion AC-2.3.
+ *
+ * The transition graph lists, for each status, the statuses it may move to.
+ * It can be replaced without code changes by pointing STATUS_WORKFLOW_PATH at a
+ * JSON file shaped like { "transitions": { "applied": ["under_review", ...] } }.
+ */
+
+const statuses = [
+  { value: 'applied', label: 'Applied', stage: 'applied', color: '#2563EB' },
+  { value: 'under_review', label: 'Under Review', stage: 'screening', color: '#F59E0B' },
+  { value: 'phone_screen_scheduled', label: 'Phone Screen Scheduled', stage: 'interviewing', color: '#F97316' },
+  { value: 'phone_screen_completed', label: 'Phone Screen Completed', stage: 'interviewing', color: '#8B5CF6' },
+  { value: 'technical_interview_scheduled', label: 'Technical Interview Scheduled', stage: 'interviewing', color: '#F97316' },
+  { value: 'technical_interview_completed', label: 'Technical Interview Completed', stage: 'interviewing', color: '#8B5CF6' },
+  { value: 'final_interview_scheduled', label: 'Final Interview Scheduled', stage: 'interviewing', color: '#F97316' },
+  { value: 'final_interview_completed', label: 'Final Interview Completed', stage: 'interviewing', color: '#8B5CF6' },
+  { value: 'offer_received', label: 'Offer Received', stage: 'offer', color: '#10B981' },
+  { value: 'offer_accepted', label: 'Offer Accepted', stage: 'offer', color: '#059669', terminal: true },
+  { value: 'rejected', label: 'Rejected', stage: 'closed', color: '#EF4444', terminal: true },
+  { value: 'withdrawn', label: 'Withdrawn', stage: 'closed', color: '#6B7280', terminal: true }
+];
+
+// Status given to new applications when none is supplied
+const initialStatus = 'applied';
+
+// Every open status can be closed by a rejection or by withdrawing
+const closable = ['rejected', 'withdrawn'];
+
+const transitions = {
+  applied: ['under_review', 'phone_screen_scheduled', 'technical_interview_scheduled', 'final_interview_scheduled', ...closable],
+  under_review: ['phone_screen_scheduled', 'technical_interview_scheduled', 'final_interview_scheduled', ...closable],
+  phone_screen_scheduled: ['phone_screen_completed', ...closable],
+  phone_screen_completed: ['technical_interview_scheduled', 'final_interview_scheduled', 'offer_received', ...closable],
+  technical_interview_scheduled: ['technical_interview_completed', ...closable],
+  technical_interview_completed: ['technical_interview_scheduled', 'final_interview_scheduled', 'offer_received', ...closable],
+  final_interview_scheduled: ['final_interview_completed', ...closable],
+  final_interview_completed: ['offer_received', ...closable],
+  offer_received: ['offer_accepted', ...closable],
+  offer_accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Status names used by earlier versions of the API, models and frontend
+const legacyAliases = {
+  interview: 'phone_screen_scheduled',
+  interviewing: 'phone_screen_scheduled',
+  offer: 'offer_received',
+  offered: 'offer_received',
+  accepted: 'offer_accepted'
+};
+
+module.exports = {
+  statuses,
+  initialStatus,
+  transitions,
+  legacyAliases
+};
\ No newline at end of file
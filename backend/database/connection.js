@@ -2,6 +2,7 @@
 // SQLite Database Connection and Setup for JINDER Job Tracking App
 
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
 
 /**
@@ -13,8 +14,18 @@ const path = require('path');
  * 4. ACID compliant (Atomicity, Consistency, Isolation, Durability)
  */
 
-// Define database file path
-const dbPath = path.join(__dirname, 'jinder.db');
+// Define database file path (SQLITE_PATH overrides the default location)
+const defaultPath = path.join(__dirname, 'jinder.db');
+const dbPath = process.env.SQLITE_PATH || defaultPath;
+
+// The original database.js helpers kept their data in backend/jinder.db. On
+// the first start without it, copy that file here so the migrations upgrade
+// it; the original stays in place as a backup.
+const legacyPath = path.join(__dirname, '..', 'jinder.db');
+if (!process.env.SQLITE_PATH && !fs.existsSync(defaultPath) && fs.existsSync(legacyPath)) {
+    fs.copyFileSync(legacyPath, defaultPath);
+    console.log('📦 Copied the legacy database from', legacyPath);
+}
 
 /**
  * Create and configure database connection
@@ -64,97 +75,26 @@ db.run('PRAGMA foreign_keys = ON', (err) => {
  */
 
 /**
- * Create jobs table with comprehensive structure
- * This table stores all job application information
+ * Schema changes live in database/migrations as ordered up/down files.
+ * See database/migrator.js for how they are tracked and applied.
  */
-const createJobsTable = `
-    CREATE TABLE IF NOT EXISTS jobs (
-        -- Primary key: Unique identifier for each job application
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        
-        -- Job basic information
-        title TEXT NOT NULL,                    -- Job title (e.g., "Frontend Developer")
-        company TEXT NOT NULL,                  -- Company name (e.g., "Google")
-        
-        -- Application status tracking
-        status TEXT NOT NULL DEFAULT 'applied' CHECK (
-            status IN ('applied', 'interview', 'offer', 'rejected', 'withdrawn')
-        ),                                      -- Current application status
-        
-        -- Detailed job information
-        description TEXT,                       -- Job description and requirements
-        
-        -- Date tracking
-        application_date DATE,                  -- When application was submitted
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Record creation time
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- Last update time
-    )
-`;
 
 /**
- * Create trigger to automatically update 'updated_at' timestamp
- * This ensures we always know when a record was last modified
+ * Initialize database schema
+ * This function runs when the application starts and applies
+ * any migrations that have not run against this database file yet
  */
-const createUpdateTrigger = `
-    CREATE TRIGGER IF NOT EXISTS update_jobs_timestamp 
-    AFTER UPDATE ON jobs
-    FOR EACH ROW
-    BEGIN
-        UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-    END
-`;
+async function initializeDatabase() {
+    console.log('🔧 Initializing database schema...');
 
-/**
- * Initialize database tables and triggers
- * This function runs when the application starts
- */
-function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        // Begin transaction for atomic operation
-        db.serialize(() => {
-            console.log('🔧 Initializing database schema...');
-            
-            // Create jobs table
-            db.run(createJobsTable, (err) => {
-                if (err) {
-                    console.error('❌ Error creating jobs table:', err.message);
-                    reject(err);
-                    return;
-                }
-                console.log('✅ Jobs table created/verified');
-            });
-            
-            // Create update trigger
-            db.run(createUpdateTrigger, (err) => {
-                if (err) {
-                    console.error('❌ Error creating update trigger:', err.message);
-                    reject(err);
-                    return;
-                }
-                console.log('✅ Update trigger created/verified');
-            });
-            
-            // Create indexes for better performance
-            db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)', (err) => {
-                if (err) {
-                    console.error('❌ Error creating status index:', err.message);
-                } else {
-                    console.log('✅ Status index created/verified');
-                }
-            });
-            
-            db.run('CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company)', (err) => {
-                if (err) {
-                    console.error('❌ Error creating company index:', err.message);
-                } else {
-                    console.log('✅ Company index created/verified');
-                }
-                
-                console.log('🎉 Database initialization complete!');
-                resolve();
-            });
-        });
-    });
+    // Required here because the migrator itself uses this module's helpers
+    const { migrate } = require('./migrator');
+    const applied = await migrate();
+
+    if (applied.length > 0) {
+        console.log(`✅ Applied migrations: ${applied.join(', ')}`);
+    }
+    console.log('🎉 Database initialization complete!');
 }
 
 /**
@@ -0,0 +1,113 @@
+// Reconcile the two historical layouts of the jobs table
+//
+// Older database files were created by one of two schemas:
+// - backend/database.js:            position, applicationDate, salaryRange, notes, createdAt, updatedAt
+// - backend/database/connection.js: title, application_date, description, created_at, updated_at
+//   (with a CHECK constraint on status)
+//
+// Both are rebuilt into a single layout that keeps every column either of
+// them had. Timestamps are rewritten as ISO 8601 strings.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const createJobsTable = (name) => `
+    CREATE TABLE ${name} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        company TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'applied',
+        description TEXT,
+        location TEXT,
+        salary_range TEXT,
+        notes TEXT,
+        application_date TEXT,
+        created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+        updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+    )
+`;
+
+const createIndexes = async (db) => {
+    await db.runQuery('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)');
+    await db.runQuery('CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company)');
+};
+
+// Pick the first column that exists in the old table, or NULL
+const columnFrom = (columns, ...candidates) =>
+    candidates.find(candidate => columns.includes(candidate)) || 'NULL';
+
+const isoFrom = (column) =>
+    column === 'NULL' ? ISO_NOW : `COALESCE(strftime('%Y-%m-%dT%H:%M:%fZ', ${column}), ${ISO_NOW})`;
+
+async function up(db) {
+    const columns = (await db.getAll('PRAGMA table_info(jobs)')).map(column => column.name);
+
+    if (columns.length === 0) {
+        await db.runQuery(createJobsTable('jobs'));
+        await createIndexes(db);
+        return;
+    }
+
+    await db.runQuery(createJobsTable('jobs_reconciled'));
+    await db.runQuery(`
+        INSERT INTO jobs_reconciled (
+            id, title, company, status, description, location, salary_range, notes,
+            application_date, created_at, updated_at
+        )
+        SELECT
+            id,
+            ${columnFrom(columns, 'title', 'position')},
+            company,
+            COALESCE(status, 'applied'),
+            ${columnFrom(columns, 'description')},
+            ${columnFrom(columns, 'location')},
+            ${columnFrom(columns, 'salary_range', 'salaryRange')},
+            ${columnFrom(columns, 'notes')},
+            ${columnFrom(columns, 'application_date', 'applicationDate')},
+            ${isoFrom(columnFrom(columns, 'created_at', 'createdAt'))},
+            ${isoFrom(columnFrom(columns, 'updated_at', 'updatedAt'))}
+        FROM jobs
+    `);
+
+    // Dropping the old table also drops its update trigger and indexes
+    await db.runQuery('DROP TABLE jobs');
+    await db.runQuery('ALTER TABLE jobs_reconciled RENAME TO jobs');
+    await createIndexes(db);
+}
+
+// Restores the database/connection.js layout. Location, salary range and
+// notes have no column there and are discarded.
+async function down(db) {
+    await db.runQuery(`
+        CREATE TABLE jobs_previous (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            company TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'applied' CHECK (
+                status IN ('applied', 'interview', 'offer', 'rejected', 'withdrawn')
+            ),
+            description TEXT,
+            application_date DATE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.runQuery(`
+        INSERT INTO jobs_previous (id, title, company, status, description, application_date, created_at, updated_at)
+        SELECT id, title, company, status, description, application_date,
+               datetime(created_at), datetime(updated_at)
+        FROM jobs
+    `);
+    await db.runQuery('DROP TABLE jobs');
+    await db.runQuery('ALTER TABLE jobs_previous RENAME TO jobs');
+    await db.runQuery(`
+        CREATE TRIGGER IF NOT EXISTS update_jobs_timestamp
+        AFTER UPDATE ON jobs
+        FOR EACH ROW
+        BEGIN
+            UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END
+    `);
+    await createIndexes(db);
+}
+
+module.exports = { up, down };
\ No newline at end of file
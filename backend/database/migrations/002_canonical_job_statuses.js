@@ -0,0 +1,52 @@
+// Rewrite job statuses into the canonical catalogue (config/statuses.js)
+//
+// Rows written before the catalogue existed hold 'interview', 'offer' and
+// similar names. up() maps them onto the fine-grained stages; down() folds
+// the stages back into the five values the old CHECK constraint allowed.
+//
+// A value with no canonical match must not stop the server from starting:
+// those jobs go back to the initial status and keep the old value in notes.
+
+const { statuses, initialStatus } = require('../../config/statuses');
+const { normalizeStatus } = require('../../services/statusWorkflow');
+
+// Canonical status -> closest pre-catalogue value
+const previousValues = {
+    applied: 'applied',
+    under_review: 'applied',
+    offer_received: 'offer',
+    offer_accepted: 'offer',
+    rejected: 'rejected',
+    withdrawn: 'withdrawn'
+};
+
+async function up(db) {
+    const rows = await db.getAll('SELECT DISTINCT status FROM jobs');
+
+    for (const { status } of rows) {
+        const canonical = normalizeStatus(status);
+        if (!canonical) {
+            console.warn(`⚠️  Unknown job status "${status}" replaced by "${initialStatus}"`);
+            const note = `Status before upgrade: ${status}`;
+            await db.runQuery(
+                `UPDATE jobs SET status = ?,
+                    notes = CASE WHEN notes IS NULL OR notes = '' THEN ? ELSE notes || char(10) || ? END
+                 WHERE status = ?`,
+                [initialStatus, note, note, status]
+            );
+        } else if (canonical !== status) {
+            await db.runQuery('UPDATE jobs SET status = ? WHERE status = ?', [canonical, status]);
+        }
+    }
+}
+
+async function down(db) {
+    for (const { value } of statuses) {
+        const previous = previousValues[value] || 'interview';
+        if (previous !== value) {
+            await db.runQuery('UPDATE jobs SET status = ? WHERE status = ?', [previous, value]);
+        }
+    }
+}
+
+module.exports = { up, down };
\ No newline at end of file
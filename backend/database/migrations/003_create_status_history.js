@@ -0,0 +1,29 @@
+// Create the status_history table
+//
+// Every job gets a starting entry for the status it is currently in, dated
+// from when the job was created, so existing applications have a timeline.
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            comment TEXT,
+            changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_status_history_job ON status_history(job_id, changed_at)');
+
+    await db.runQuery(`
+        INSERT INTO status_history (job_id, from_status, to_status, changed_at)
+        SELECT id, NULL, status, created_at FROM jobs
+    `);
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE status_history');
+}
+
+module.exports = { up, down };
\ No newline at end of file
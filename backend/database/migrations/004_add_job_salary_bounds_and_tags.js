@@ -0,0 +1,28 @@
+// Add filterable salary bounds and tags to jobs
+//
+// salary_min / salary_max are parsed from the free-text salary_range so list
+// queries can filter on numbers; tags is a JSON array of strings.
+
+const { parseSalaryRange } = require('../../services/salary');
+
+async function up(db) {
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN salary_min INTEGER');
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN salary_max INTEGER');
+    await db.runQuery("ALTER TABLE jobs ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'");
+    await db.runQuery('CREATE INDEX idx_jobs_application_date ON jobs(application_date)');
+
+    const rows = await db.getAll("SELECT id, salary_range FROM jobs WHERE salary_range IS NOT NULL AND salary_range != ''");
+    for (const row of rows) {
+        const { salaryMin, salaryMax } = parseSalaryRange(row.salary_range);
+        await db.runQuery('UPDATE jobs SET salary_min = ?, salary_max = ? WHERE id = ?', [salaryMin, salaryMax, row.id]);
+    }
+}
+
+async function down(db) {
+    await db.runQuery('DROP INDEX idx_jobs_application_date');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN tags');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN salary_max');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN salary_min');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Full-text index over jobs (FTS5)
+//
+// jobs_fts is an external-content index: it stores only the index and reads
+// the text from jobs. Triggers keep it in step with every insert, update and
+// delete. Column order must match textSearch.fields in the job entity.
+
+const COLUMNS = 'title, company, description, notes';
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE VIRTUAL TABLE jobs_fts USING fts5(
+            ${COLUMNS},
+            content='jobs',
+            content_rowid='id',
+            tokenize='unicode61 remove_diacritics 2'
+        )
+    `);
+
+    await db.runQuery(`
+        CREATE TRIGGER jobs_fts_insert AFTER INSERT ON jobs BEGIN
+            INSERT INTO jobs_fts(rowid, ${COLUMNS})
+            VALUES (new.id, new.title, new.company, new.description, new.notes);
+        END
+    `);
+    await db.runQuery(`
+        CREATE TRIGGER jobs_fts_delete AFTER DELETE ON jobs BEGIN
+            INSERT INTO jobs_fts(jobs_fts, rowid, ${COLUMNS})
+            VALUES ('delete', old.id, old.title, old.company, old.description, old.notes);
+        END
+    `);
+    await db.runQuery(`
+        CREATE TRIGGER jobs_fts_update AFTER UPDATE OF ${COLUMNS} ON jobs BEGIN
+            INSERT INTO jobs_fts(jobs_fts, rowid, ${COLUMNS})
+            VALUES ('delete', old.id, old.title, old.company, old.description, old.notes);
+            INSERT INTO jobs_fts(rowid, ${COLUMNS})
+            VALUES (new.id, new.title, new.company, new.description, new.notes);
+        END
+    `);
+
+    // Index the jobs that already exist
+    await db.runQuery("INSERT INTO jobs_fts(jobs_fts) VALUES ('rebuild')");
+}
+
+async function down(db) {
+    await db.runQuery('DROP TRIGGER jobs_fts_update');
+    await db.runQuery('DROP TRIGGER jobs_fts_delete');
+    await db.runQuery('DROP TRIGGER jobs_fts_insert');
+    await db.runQuery('DROP TABLE jobs_fts');
+}
+
+module.exports = { up, down };
\ No newline at end of file
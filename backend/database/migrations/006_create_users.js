@@ -0,0 +1,31 @@
+// Create the users table and give every job an owner column
+//
+// Jobs created before accounts existed keep user_id NULL until the first
+// account is registered, which adopts them (see services/auth.js).
+// user_id has no REFERENCES clause so down() can drop the column again.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            password_hash TEXT NOT NULL,
+            name TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN user_id INTEGER');
+    await db.runQuery('CREATE INDEX idx_jobs_user ON jobs(user_id)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP INDEX idx_jobs_user');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN user_id');
+    await db.runQuery('DROP TABLE users');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Create the sessions table (one row per logged-in device)
+//
+// Refresh tokens are only stored as SHA-256 hashes. Rows are kept after
+// revocation or expiry so a reused token can still be recognised.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash TEXT NOT NULL,
+            previous_token_hash TEXT,
+            rotated_at TEXT,
+            user_agent TEXT,
+            ip_address TEXT,
+            last_used_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            expires_at TEXT NOT NULL,
+            revoked_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_sessions_user ON sessions(user_id, last_used_at)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE sessions');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Create the password_resets table (one row per "Forgot password" request)
+//
+// Tokens are only stored as SHA-256 hashes; used_at makes each one single-use.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE password_resets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            used_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_password_resets_user ON password_resets(user_id)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE password_resets');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Create the reminders table (follow-up reminders per job application)
+//
+// The scheduler looks up pending reminders by remind_at; users list theirs
+// by user_id. Reminders go away with their job.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE reminders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            note TEXT,
+            remind_at TEXT NOT NULL,
+            offset_days INTEGER,
+            channels TEXT NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'due', 'done', 'dismissed')),
+            fired_at TEXT,
+            deliveries TEXT NOT NULL DEFAULT '[]',
+            completed_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_reminders_status ON reminders(status, remind_at)');
+    await db.runQuery('CREATE INDEX idx_reminders_user ON reminders(user_id, remind_at)');
+    await db.runQuery('CREATE INDEX idx_reminders_job ON reminders(job_id)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE reminders');
+}
+
+module.exports = { up, down };
\ No newline at end of file
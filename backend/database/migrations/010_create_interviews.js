@@ -0,0 +1,37 @@
+// Create the interviews table (interview rounds per job application)
+//
+// Users list upcoming interviews by user_id and starts_at; a job lists its
+// rounds by job_id. Interviews go away with their job.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE interviews (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            round_type TEXT NOT NULL
+                CHECK (round_type IN ('phone_screen', 'technical', 'behavioral', 'final', 'other')),
+            starts_at TEXT NOT NULL,
+            ends_at TEXT,
+            timezone TEXT NOT NULL DEFAULT 'UTC',
+            location TEXT,
+            video_link TEXT,
+            interviewers TEXT NOT NULL DEFAULT '[]',
+            prep_notes TEXT,
+            outcome TEXT NOT NULL DEFAULT 'pending'
+                CHECK (outcome IN ('pending', 'passed', 'failed', 'cancelled')),
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_interviews_user ON interviews(user_id, starts_at)');
+    await db.runQuery('CREATE INDEX idx_interviews_job ON interviews(job_id, starts_at)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE interviews');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,124 @@
+// Create the contacts tables (networking contacts, their links to job
+// applications and the interaction log) and let reminders point at a
+// contact instead of a job
+//
+// A contact can be linked to any number of jobs and a job to any number of
+// contacts (job_contacts). Interactions may mention the job they were about;
+// deleting that job keeps the interaction. The reminders table is rebuilt
+// because SQLite cannot drop the NOT NULL on job_id in place.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const reminderColumns = `
+            note TEXT,
+            remind_at TEXT NOT NULL,
+            offset_days INTEGER,
+            channels TEXT NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'due', 'done', 'dismissed')),
+            fired_at TEXT,
+            deliveries TEXT NOT NULL DEFAULT '[]',
+            completed_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})`;
+
+const copiedReminderColumns = `
+    id, user_id, job_id, note, remind_at, offset_days, channels, status,
+    fired_at, deliveries, completed_at, created_at, updated_at`;
+
+const createReminderIndexes = async (db) => {
+    await db.runQuery('CREATE INDEX idx_reminders_status ON reminders(status, remind_at)');
+    await db.runQuery('CREATE INDEX idx_reminders_user ON reminders(user_id, remind_at)');
+    await db.runQuery('CREATE INDEX idx_reminders_job ON reminders(job_id)');
+};
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE contacts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            role TEXT,
+            company TEXT,
+            email TEXT,
+            phone TEXT,
+            linkedin_url TEXT,
+            notes TEXT,
+            last_contacted_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_contacts_user ON contacts(user_id, name)');
+
+    await db.runQuery(`
+        CREATE TABLE job_contacts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+            relationship TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            UNIQUE (job_id, contact_id)
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_job_contacts_contact ON job_contacts(contact_id)');
+
+    await db.runQuery(`
+        CREATE TABLE contact_interactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+            job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+            type TEXT NOT NULL
+                CHECK (type IN ('email', 'call', 'meeting', 'coffee_chat', 'message', 'other')),
+            occurred_at TEXT NOT NULL,
+            summary TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_contact_interactions_contact ON contact_interactions(contact_id, occurred_at)');
+
+    await db.runQuery(`
+        CREATE TABLE reminders_with_contacts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+            contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,${reminderColumns},
+            CHECK ((job_id IS NULL) <> (contact_id IS NULL))
+        )
+    `);
+    await db.runQuery(`
+        INSERT INTO reminders_with_contacts (${copiedReminderColumns})
+        SELECT ${copiedReminderColumns} FROM reminders
+    `);
+    await db.runQuery('DROP TABLE reminders');
+    await db.runQuery('ALTER TABLE reminders_with_contacts RENAME TO reminders');
+    await createReminderIndexes(db);
+    await db.runQuery('CREATE INDEX idx_reminders_contact ON reminders(contact_id)');
+}
+
+// Networking reminders have no place in the old layout and are discarded
+async function down(db) {
+    await db.runQuery(`
+        CREATE TABLE reminders_for_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,${reminderColumns}
+        )
+    `);
+    await db.runQuery(`
+        INSERT INTO reminders_for_jobs (${copiedReminderColumns})
+        SELECT ${copiedReminderColumns} FROM reminders WHERE job_id IS NOT NULL
+    `);
+    await db.runQuery('DROP TABLE reminders');
+    await db.runQuery('ALTER TABLE reminders_for_jobs RENAME TO reminders');
+    await createReminderIndexes(db);
+
+    await db.runQuery('DROP TABLE contact_interactions');
+    await db.runQuery('DROP TABLE job_contacts');
+    await db.runQuery('DROP TABLE contacts');
+}
+
+module.exports = { up, down };
\ No newline at end of file
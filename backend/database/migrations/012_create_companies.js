@@ -0,0 +1,69 @@
+// Create the companies table and file existing jobs and contacts under it
+//
+// Jobs and contacts keep their free-text company name; company_id points
+// at the record that name was matched to (see services/companyNames.js).
+// Existing rows are grouped per user by normalised name, and each group
+// gets a company named after its first row.
+
+const { normalizeCompanyName } = require('../../services/companyNames');
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Tables whose rows carry a company name, in the order names are adopted
+const filedTables = ['jobs', 'contacts'];
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE companies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            normalized_name TEXT NOT NULL,
+            aliases TEXT NOT NULL DEFAULT '[]',
+            website TEXT,
+            industry TEXT,
+            size TEXT
+                CHECK (size IN ('1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+')),
+            headquarters TEXT,
+            notes TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            UNIQUE (user_id, normalized_name)
+        )
+    `);
+
+    for (const table of filedTables) {
+        await db.runQuery(`ALTER TABLE ${table} ADD COLUMN company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL`);
+        await db.runQuery(`CREATE INDEX idx_${table}_company_id ON ${table}(company_id)`);
+    }
+
+    const companyIds = new Map();
+    for (const table of filedTables) {
+        const rows = await db.getAll(`SELECT id, user_id, company FROM ${table} WHERE user_id IS NOT NULL AND company IS NOT NULL ORDER BY id`);
+
+        for (const row of rows) {
+            const normalizedName = normalizeCompanyName(row.company);
+            if (!normalizedName) continue;
+
+            const key = `${row.user_id}:${normalizedName}`;
+            if (!companyIds.has(key)) {
+                const { id } = await db.runQuery(
+                    'INSERT INTO companies (user_id, name, normalized_name) VALUES (?, ?, ?)',
+                    [row.user_id, row.company.trim(), normalizedName]
+                );
+                companyIds.set(key, id);
+            }
+            await db.runQuery(`UPDATE ${table} SET company_id = ? WHERE id = ?`, [companyIds.get(key), row.id]);
+        }
+    }
+}
+
+async function down(db) {
+    for (const table of filedTables) {
+        await db.runQuery(`DROP INDEX idx_${table}_company_id`);
+        await db.runQuery(`ALTER TABLE ${table} DROP COLUMN company_id`);
+    }
+    await db.runQuery('DROP TABLE companies');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Create the notes tables and turn each job's notes text into its first note
+//
+// A job used to hold its notes in one free-text column. They now live in
+// notes (one row per note, newest edit in place) and note_revisions (the
+// versions an edit replaced). jobs.notes stays as the combined text of a
+// job's notes so full-text search and exports keep finding it; the notes
+// service keeps it in step. Converted notes are filed as "general", dated
+// like their job and written by its owner.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE notes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            category TEXT NOT NULL DEFAULT 'general'
+                CHECK (category IN ('interview', 'research', 'negotiation', 'follow_up', 'general')),
+            body TEXT NOT NULL,
+            edited_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_notes_job ON notes(job_id, created_at)');
+
+    await db.runQuery(`
+        CREATE TABLE note_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+            category TEXT NOT NULL,
+            body TEXT NOT NULL,
+            written_at TEXT NOT NULL,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_note_revisions_note ON note_revisions(note_id, written_at)');
+
+    await db.runQuery(`
+        INSERT INTO notes (job_id, author_id, category, body, created_at, updated_at)
+        SELECT id, user_id, 'general', TRIM(notes), created_at, created_at
+        FROM jobs
+        WHERE TRIM(COALESCE(notes, '')) <> ''
+        ORDER BY id
+    `);
+    await db.runQuery("UPDATE jobs SET notes = NULLIF(TRIM(notes), '') WHERE notes IS NOT NULL");
+}
+
+// jobs.notes already holds the text of every note, so nothing is lost but
+// the categories and revisions
+async function down(db) {
+    await db.runQuery('DROP TABLE note_revisions');
+    await db.runQuery('DROP TABLE notes');
+}
+
+module.exports = { up, down };
\ No newline at end of file
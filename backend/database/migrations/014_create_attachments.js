@@ -0,0 +1,49 @@
+// Create the documents and attachments tables
+//
+// documents holds one row per stored file of a user, identified by the
+// SHA-256 of its content; the file itself lives in the storage backend
+// (see storage/index.js) under storage_key. attachments links a document to
+// each job application it was sent with.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE documents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            sha256 TEXT NOT NULL,
+            file_name TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL CHECK (size > 0),
+            storage_key TEXT NOT NULL,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            UNIQUE (user_id, sha256)
+        )
+    `);
+
+    await db.runQuery(`
+        CREATE TABLE attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+            kind TEXT NOT NULL DEFAULT 'other'
+                CHECK (kind IN ('resume', 'cover_letter', 'offer_letter', 'other')),
+            label TEXT,
+            file_name TEXT NOT NULL,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            UNIQUE (job_id, document_id)
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_attachments_document ON attachments(document_id)');
+}
+
+// The stored files are left in the storage backend
+async function down(db) {
+    await db.runQuery('DROP TABLE attachments');
+    await db.runQuery('DROP TABLE documents');
+}
+
+module.exports = { up, down };
\ No newline at end of file
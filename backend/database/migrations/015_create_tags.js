@@ -0,0 +1,59 @@
+// Create the tags table and a tag for every name already used on jobs
+//
+// Jobs keep their tag names in the tags JSON column; a tags row holds the
+// spelling and colour of each name per user. Names are matched without
+// regard to case (see services/tagNames.js), so existing jobs are rewritten
+// to use the first spelling seen for each name.
+
+const { normalizeTagName, tagKey, defaultTagColor } = require('../../services/tagNames');
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            color TEXT NOT NULL,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            UNIQUE (user_id, name COLLATE NOCASE)
+        )
+    `);
+
+    const spellings = new Map();
+    const rows = await db.getAll("SELECT id, user_id, tags FROM jobs WHERE user_id IS NOT NULL AND tags <> '[]' ORDER BY id");
+
+    for (const row of rows) {
+        let names;
+        try {
+            names = JSON.parse(row.tags);
+        } catch (error) {
+            names = [];
+        }
+
+        const tags = [];
+        for (const name of (Array.isArray(names) ? names : []).map(normalizeTagName).filter(Boolean)) {
+            const key = `${row.user_id}:${tagKey(name)}`;
+            if (!spellings.has(key)) {
+                spellings.set(key, name);
+                await db.runQuery(
+                    'INSERT INTO tags (user_id, name, color) VALUES (?, ?, ?)',
+                    [row.user_id, name, defaultTagColor(name)]
+                );
+            }
+            if (!tags.includes(spellings.get(key))) {
+                tags.push(spellings.get(key));
+            }
+        }
+        await db.runQuery('UPDATE jobs SET tags = ? WHERE id = ?', [JSON.stringify(tags), row.id]);
+    }
+}
+
+// Jobs keep their tag names; only the colours are lost
+async function down(db) {
+    await db.runQuery('DROP TABLE tags');
+}
+
+module.exports = { up, down };
\ No newline at end of file
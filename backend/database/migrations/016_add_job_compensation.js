@@ -0,0 +1,38 @@
+// Add structured compensation to jobs
+//
+// Besides the salary bounds from 004, a job records the currency and period
+// of its salary, and bonus, equity and benefits notes. Existing salary_range
+// text is parsed into these fields; the text itself is kept.
+
+const { parseCompensation } = require('../../services/salary');
+
+async function up(db) {
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN salary_currency TEXT');
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN salary_period TEXT');
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN bonus TEXT');
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN equity TEXT');
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN benefits TEXT');
+
+    const rows = await db.getAll("SELECT id, salary_range FROM jobs WHERE salary_range IS NOT NULL AND salary_range != ''");
+    for (const row of rows) {
+        const compensation = parseCompensation(row.salary_range);
+        await db.runQuery(
+            `UPDATE jobs SET salary_min = ?, salary_max = ?, salary_currency = ?, salary_period = ?,
+                bonus = ?, equity = ?, benefits = ? WHERE id = ?`,
+            [
+                compensation.salaryMin, compensation.salaryMax, compensation.salaryCurrency, compensation.salaryPeriod,
+                compensation.bonus, compensation.equity, compensation.benefits, row.id
+            ]
+        );
+    }
+}
+
+async function down(db) {
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN benefits');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN equity');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN bonus');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN salary_period');
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN salary_currency');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Create the offers table (one offer per job application)
+//
+// Users compare their offers by user_id; the negotiation rounds are a JSON
+// array on the offer. Offers go away with their job.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE offers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            job_id INTEGER NOT NULL UNIQUE REFERENCES jobs(id) ON DELETE CASCADE,
+            currency TEXT NOT NULL DEFAULT 'USD',
+            base_salary REAL NOT NULL,
+            bonus_percent REAL,
+            bonus_amount REAL,
+            signing_bonus REAL,
+            equity_type TEXT
+                CHECK (equity_type IN ('rsu', 'options', 'other')),
+            equity_value REAL,
+            vesting_years INTEGER NOT NULL DEFAULT 4,
+            cliff_months INTEGER NOT NULL DEFAULT 12,
+            pto_days REAL,
+            benefits TEXT,
+            deadline TEXT,
+            remind_days_before INTEGER NOT NULL DEFAULT 2,
+            reminder_id INTEGER REFERENCES reminders(id) ON DELETE SET NULL,
+            decision TEXT NOT NULL DEFAULT 'pending'
+                CHECK (decision IN ('pending', 'accepted', 'declined')),
+            rounds TEXT NOT NULL DEFAULT '[]',
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW}),
+            updated_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_offers_user ON offers(user_id, deadline)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE offers');
+}
+
+module.exports = { up, down };
\ No newline at end of file
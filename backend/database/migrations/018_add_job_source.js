@@ -0,0 +1,14 @@
+// Add where an application came from
+//
+// Free text such as "LinkedIn" or "Referral", used by the analytics to break
+// response and rejection rates down by source. Existing jobs have none.
+
+async function up(db) {
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN source TEXT');
+}
+
+async function down(db) {
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN source');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Add the date applications for a job close
+//
+// Stored as midnight UTC of the day, like offer deadlines, and shown on the
+// calendar next to interviews and reminders. Existing jobs have none.
+
+async function up(db) {
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN deadline TEXT');
+}
+
+async function down(db) {
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN deadline');
+}
+
+module.exports = { up, down };
\ No newline at end of file
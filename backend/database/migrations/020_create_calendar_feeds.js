@@ -0,0 +1,25 @@
+// Create the calendar_feeds table (at most one subscribable feed per user)
+//
+// The feed URL carries a token that is only stored as a SHA-256 hash;
+// deleting the row revokes it.
+
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+async function up(db) {
+    await db.runQuery(`
+        CREATE TABLE calendar_feeds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash TEXT NOT NULL,
+            last_used_at TEXT,
+            created_at TEXT NOT NULL DEFAULT (${ISO_NOW})
+        )
+    `);
+    await db.runQuery('CREATE INDEX idx_calendar_feeds_user ON calendar_feeds(user_id)');
+}
+
+async function down(db) {
+    await db.runQuery('DROP TABLE calendar_feeds');
+}
+
+module.exports = { up, down };
\ No newline at end of file
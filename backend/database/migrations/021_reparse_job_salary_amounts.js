@@ -0,0 +1,30 @@
+// Re-read salary amounts written with dot or space thousands separators or an M suffix
+//
+// Migrations 004 and 016 parsed "€60.000 - €70.000" as 60 - 70 and "1.5M"
+// as 2. Jobs whose salary_range text has such amounts get their bounds
+// parsed again; the currency, period and other fields are left as they are.
+
+const { parseSalaryRange } = require('../../services/salary');
+
+// Text the earlier parser read wrongly
+const affectedAmount = /\d[. \u00a0]\d{3}(?!\d)|\d\s*m\b/i;
+
+async function up(db) {
+    const rows = await db.getAll(
+        "SELECT id, salary_range, salary_min, salary_max FROM jobs WHERE salary_range IS NOT NULL AND salary_range != ''"
+    );
+    for (const row of rows) {
+        if (!affectedAmount.test(row.salary_range)) {
+            continue;
+        }
+        const { salaryMin, salaryMax } = parseSalaryRange(row.salary_range);
+        if (salaryMin !== row.salary_min || salaryMax !== row.salary_max) {
+            await db.runQuery('UPDATE jobs SET salary_min = ?, salary_max = ? WHERE id = ?', [salaryMin, salaryMax, row.id]);
+        }
+    }
+}
+
+// The corrected bounds are kept
+async function down() {}
+
+module.exports = { up, down };
\ No newline at end of file
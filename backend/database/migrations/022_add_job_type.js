@@ -0,0 +1,14 @@
+// Add the employment type of a job
+//
+// One of config/jobTypes.js ('full-time', 'contract', ...), filtered on by
+// GET /jobs?type=. Existing jobs have none.
+
+async function up(db) {
+    await db.runQuery('ALTER TABLE jobs ADD COLUMN job_type TEXT');
+}
+
+async function down(db) {
+    await db.runQuery('ALTER TABLE jobs DROP COLUMN job_type');
+}
+
+module.exports = { up, down };
\ No newline at end of file
@@ -0,0 +1,150 @@
+// backend/database/migrator.js
+// Versioned schema migrations for the SQLite store
+
+const fs = require('fs');
+const path = require('path');
+const { runQuery, getOne, getAll } = require('./connection');
+
+/**
+ * MIGRATION CONCEPTS:
+ *
+ * 1. Every schema change is a file in database/migrations named
+ *    <version>_<description>.js, e.g. 001_reconcile_jobs_table.js
+ * 2. Each file exports async up(db) and down(db) functions, where db
+ *    provides the runQuery / getOne / getAll helpers
+ * 3. The schema_migrations table records which versions have run, so
+ *    each migration is applied exactly once per database file
+ * 4. Every migration runs inside a transaction: it either fully applies
+ *    or leaves the database untouched
+ */
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+const helpers = { runQuery, getOne, getAll };
+
+/**
+ * Make sure the bookkeeping table exists
+ */
+function ensureMigrationsTable() {
+    return runQuery(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )
+    `);
+}
+
+/**
+ * Load migration files in version order
+ * @returns {Array<{version: string, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+    return fs.readdirSync(migrationsDir)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const [version, ...rest] = path.basename(file, '.js').split('_');
+            const migration = require(path.join(migrationsDir, file));
+            return { version, name: rest.join('_'), up: migration.up, down: migration.down };
+        });
+}
+
+/**
+ * Versions already applied to this database
+ * @returns {Promise<Map<string, string>>} version -> applied_at
+ */
+async function getAppliedVersions() {
+    await ensureMigrationsTable();
+    const rows = await getAll('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Run one migration step inside a transaction
+ * Foreign keys are switched off while tables are rebuilt and checked afterwards,
+ * as recommended by the SQLite ALTER TABLE documentation
+ */
+async function runStep(migration, direction) {
+    await runQuery('PRAGMA foreign_keys = OFF');
+    await runQuery('BEGIN TRANSACTION');
+
+    try {
+        await migration[direction](helpers);
+
+        const violations = await getAll('PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+            throw new Error(`Migration ${migration.version} left ${violations.length} foreign key violation(s)`);
+        }
+
+        if (direction === 'up') {
+            await runQuery(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await runQuery('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        await runQuery('COMMIT');
+    } catch (err) {
+        await runQuery('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    } finally {
+        await runQuery('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Apply every pending migration in order
+ * @returns {Promise<string[]>} Names of the migrations that were applied
+ */
+async function migrate() {
+    const applied = await getAppliedVersions();
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        await runStep(migration, 'up');
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} [steps=1] - How many migrations to roll back
+ * @returns {Promise<string[]>} Names of the migrations that were reverted
+ */
+async function rollback(steps = 1) {
+    const applied = await getAppliedVersions();
+    const targets = loadMigrations()
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+    for (const migration of targets) {
+        await runStep(migration, 'down');
+    }
+
+    return targets.map(migration => `${migration.version}_${migration.name}`);
+}
+
+/**
+ * Report which migrations have been applied
+ * @returns {Promise<Array<{version: string, name: string, appliedAt: string|null}>>}
+ */
+async function status() {
+    const applied = await getAppliedVersions();
+
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.get(migration.version) || null
+    }));
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Mail layer for JINDER
+ *
+ * Services send email through a transport exposing one method:
+ * send({ to, subject, text, html }) resolving to { messageId }. The
+ * transport is chosen by the MAIL_TRANSPORT environment variable:
+ *
+ * - console: prints every message to the server log (default)
+ * - file:    writes every message as a JSON file to MAIL_DIR, for development and tests
+ * - smtp:    delivers through the SMTP server configured with SMTP_* variables
+ */
+
+const transports = {
+  console: () => require('./transports/ConsoleTransport'),
+  file: () => require('./transports/FileTransport'),
+  smtp: () => require('./transports/SmtpTransport')
+};
+
+const DEFAULT_FROM = 'JINDER <no-reply@jinder.local>';
+
+// Frontend address used in links sent by email
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+let transport = null;
+
+/**
+ * Name of the configured mail transport
+ * @returns {string}
+ */
+const getTransportName = () => (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+/**
+ * Build a new transport
+ * @param {string} [transportName] - Defaults to MAIL_TRANSPORT
+ * @returns {Object} Transport instance
+ */
+function createTransport(transportName = getTransportName()) {
+  const loadTransport = transports[transportName];
+  if (!loadTransport) {
+    throw new Error(`Unknown mail transport "${transportName}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  const Transport = loadTransport();
+  return new Transport();
+}
+
+/**
+ * Shared transport, created on first use
+ * @returns {Object} Transport instance
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Send an email with the configured transport
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ * @returns {Promise<{ messageId: string }>}
+ */
+function sendMail(message) {
+  return getTransport().send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+}
+
+/**
+ * Absolute frontend URL for links in emails
+ * @param {string} path - e.g. "/jobs/12"
+ * @returns {string}
+ */
+const appUrl = (path) => `${APP_URL}${path}`;
+
+module.exports = {
+  sendMail,
+  appUrl,
+  getTransport,
+  createTransport,
+  getTransportName
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+const { escapeHtml } = require('../repositories/textSearch');
+
+/**
+ * Email templates
+ *
+ * Each template returns { subject, text, html }, ready for sendMail once a
+ * recipient is added.
+ */
+
+const greeting = (user) => `Hi ${user.name || 'there'},`;
+
+/**
+ * Email with the link that lets a user choose a new password (AC-5.3)
+ * @param {Object} user
+ * @param {string} resetUrl - Frontend page including the reset token
+ * @param {number} expiresInMinutes
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const passwordResetEmail = (user, resetUrl, expiresInMinutes) => ({
+  subject: 'Reset your JINDER password',
+  text: [
+    greeting(user),
+    '',
+    'Someone asked to reset the password of your JINDER account. Open this link to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`
+  ].join('\n'),
+  html: [
+    `<p>${escapeHtml(greeting(user))}</p>`,
+    '<p>Someone asked to reset the password of your JINDER account. Use the link below to choose a new one:</p>',
+    `<p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>`,
+    `<p>The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.</p>`
+  ].join('\n')
+});
+
+/**
+ * Email for a follow-up reminder that fell due
+ * @param {Object} user
+ * @param {Object} job
+ * @param {Object} reminder
+ * @param {string} jobUrl - Frontend page of the job
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const reminderEmail = (user, job, reminder, jobUrl) => {
+  const about = `${job.title} at ${job.company}`;
+  const note = reminder.note || 'Time to follow up on this application.';
+
+  return {
+    subject: `Reminder: ${about}`,
+    text: [
+      greeting(user),
+      '',
+      `You asked to be reminded about your application for ${about}:`,
+      '',
+      note,
+      '',
+      jobUrl
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting(user))}</p>`,
+      `<p>You asked to be reminded about your application for <strong>${escapeHtml(about)}</strong>:</p>`,
+      `<blockquote>${escapeHtml(note)}</blockquote>`,
+      `<p><a href="${escapeHtml(jobUrl)}">Open the application</a></p>`
+    ].join('\n')
+  };
+};
+
+/**
+ * Email for a networking follow-up reminder that fell due
+ * @param {Object} user
+ * @param {Object} contact
+ * @param {Object} reminder
+ * @param {string} contactUrl - Frontend page of the contact
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const networkingReminderEmail = (user, contact, reminder, contactUrl) => {
+  const about = contact.company ? `${contact.name} (${contact.company})` : contact.name;
+  const note = reminder.note || 'Time to get back in touch.';
+
+  return {
+    subject: `Follow up with ${about}`,
+    text: [
+      greeting(user),
+      '',
+      `You asked to be reminded to follow up with ${about}:`,
+      '',
+      note,
+      '',
+      contactUrl
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting(user))}</p>`,
+      `<p>You asked to be reminded to follow up with <strong>${escapeHtml(about)}</strong>:</p>`,
+      `<blockquote>${escapeHtml(note)}</blockquote>`,
+      `<p><a href="${escapeHtml(contactUrl)}">Open the contact</a></p>`
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  reminderEmail,
+  networkingReminderEmail
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+/**
+ * Console mail transport
+ *
+ * Prints messages to the server log instead of sending them, so links in
+ * emails can be followed while developing without a mail server.
+ */
+class ConsoleTransport {
+  async send({ from, to, subject, text }) {
+    const messageId = crypto.randomUUID();
+
+    console.log([
+      `📧 Email ${messageId}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text
+    ].join('\n'));
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+/**
+ * File mail transport
+ *
+ * Writes each message to MAIL_DIR (default backend/tmp/mail) as
+ * `<timestamp>-<message id>.json`, where tests and developers can read it.
+ */
+class FileTransport {
+  constructor(directory = process.env.MAIL_DIR || DEFAULT_DIR) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date().toISOString();
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${sentAt.replace(/[:.]/g, '-')}-${messageId}.json`),
+      JSON.stringify({ messageId, sentAt, ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ *
+ * Delivers messages through nodemailer. Configured with SMTP_HOST,
+ * SMTP_PORT (default 587), SMTP_SECURE ("true" for implicit TLS, usually
+ * port 465) and, when the server requires authentication, SMTP_USER and
+ * SMTP_PASSWORD.
+ */
+class SmtpTransport {
+  constructor() {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set when MAIL_TRANSPORT=smtp');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { getRepository } = require('../repositories');
+const { verifyToken, toPublicUser } = require('../services/auth');
+const { getSession, isSessionActive } = require('../services/sessions');
+
+const users = getRepository('user');
+
+const authMiddleware = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = verifyToken(token);
+    const [user, session] = await Promise.all([
+      users.get(decoded.id),
+      decoded.sid ? getSession(decoded.sid) : null
+    ]);
+    
+    // Access tokens stop working as soon as their session is revoked
+    if (!user || !isSessionActive(session)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = toPublicUser(user);
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+module.exports = authMiddleware;
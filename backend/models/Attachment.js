@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Document reference is required']
+  },
+  kind: {
+    type: String,
+    enum: ['resume', 'cover_letter', 'offer_letter', 'other'],
+    default: 'other'
+  },
+  // e.g. "Resume v3 - backend focus"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  // Name of the file as uploaded for this job
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ jobId: 1, documentId: 1 }, { unique: true });
+attachmentSchema.index({ documentId: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
\ No newline at end of file
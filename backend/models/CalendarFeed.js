@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const calendarFeedSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // SHA-256 hash of the token in the feed URL
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+calendarFeedSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const companySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  // Matching key for free-text company names, see services/companies.js
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  // Other names the company goes by, e.g. those of companies merged into it
+  aliases: {
+    type: [String],
+    default: []
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Website cannot exceed 500 characters']
+  },
+  industry: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Industry cannot exceed 100 characters']
+  },
+  size: {
+    type: String,
+    enum: ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+', null]
+  },
+  headquarters: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Headquarters cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [5000, 'Notes cannot exceed 5000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+companySchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+module.exports = mongoose.model('Company', companySchema);
\ No newline at end of file
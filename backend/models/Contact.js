@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const contactSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Role cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  // Company record the name was matched to
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [40, 'Phone cannot exceed 40 characters']
+  },
+  linkedinUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'LinkedIn URL cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [5000, 'Notes cannot exceed 5000 characters']
+  },
+  // Date of the latest logged interaction
+  lastContactedAt: Date
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
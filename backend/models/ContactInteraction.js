@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const contactInteractionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact reference is required']
+  },
+  // The application the interaction was about, if any
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['email', 'call', 'meeting', 'coffee_chat', 'message', 'other'],
+    required: [true, 'Interaction type is required']
+  },
+  occurredAt: {
+    type: Date,
+    required: [true, 'Interaction date is required']
+  },
+  summary: {
+    type: String,
+    maxlength: [2000, 'Summary cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+contactInteractionSchema.index({ contactId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('ContactInteraction', contactInteractionSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const documentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // Hex SHA-256 of the content; a user stores each file once
+  sha256: {
+    type: String,
+    required: [true, 'Content hash is required'],
+    match: [/^[0-9a-f]{64}$/, 'Content hash must be a hex SHA-256 digest']
+  },
+  // Name of the file when it was first uploaded
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Size is required'],
+    min: 1
+  },
+  // Where the storage backend keeps the file (see storage/index.js)
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+documentSchema.index({ userId: 1, sha256: 1 }, { unique: true });
+
+module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
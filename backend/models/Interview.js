@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const interviewerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Interviewer name is required'],
+    trim: true,
+    maxlength: [100, 'Interviewer name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Interviewer role cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, { _id: false });
+
+const interviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  roundType: {
+    type: String,
+    enum: ['phone_screen', 'technical', 'behavioral', 'final', 'other'],
+    required: [true, 'Round type is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: Date,
+  // IANA time zone the interview takes place in, e.g. Europe/Berlin
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  videoLink: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Video link cannot exceed 500 characters']
+  },
+  interviewers: {
+    type: [interviewerSchema],
+    default: []
+  },
+  prepNotes: {
+    type: String,
+    maxlength: [5000, 'Preparation notes cannot exceed 5000 characters']
+  },
+  outcome: {
+    type: String,
+    enum: ['pending', 'passed', 'failed', 'cancelled'],
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ userId: 1, startsAt: 1 });
+interviewSchema.index({ jobId: 1, startsAt: 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
\ No newline at end of file
@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
+const { statuses, initialStatus } = require('../config/statuses');
+const { normalizeStatus } = require('../services/statusWorkflow');
+const { salaryPeriods } = require('../services/salary');
+const { jobTypes } = require('../config/jobTypes');
 
 const jobSchema = new mongoose.Schema({
+  // Owner of the application; jobs are only visible to their owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Job title is required'],
@@ -11,10 +21,17 @@ const jobSchema = new mongoose.Schema({
     required: [true, 'Company name is required'],
     trim: true
   },
+  // Company record the name was matched to
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    index: true,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['Applied', 'Interview', 'Offer', 'Rejected'],
-    default: 'Applied'
+    enum: statuses.map(status => status.value),
+    default: initialStatus
   },
   applicationDate: {
     type: Date,
@@ -28,10 +45,62 @@ const jobSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  salary: {
+  // Employment type, one of config/jobTypes.js
+  jobType: {
+    type: String,
+    enum: [...jobTypes, null],
+    default: null
+  },
+  // Where the application came from, e.g. "LinkedIn" or "Referral"
+  source: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Date applications close, midnight UTC
+  deadline: Date,
+  // Salary as text; written from the compensation fields when they are given
+  salaryRange: {
+    type: String,
+    trim: true
+  },
+  // Base salary range, used for salary filters
+  salaryMin: {
+    type: Number,
+    min: 0
+  },
+  salaryMax: {
     type: Number,
     min: 0
   },
+  // ISO 4217 code, e.g. 'USD'
+  salaryCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  salaryPeriod: {
+    type: String,
+    enum: [...salaryPeriods, null],
+    default: null
+  },
+  bonus: {
+    type: String,
+    trim: true
+  },
+  equity: {
+    type: String,
+    trim: true
+  },
+  benefits: {
+    type: String,
+    trim: true
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
   notes: {
     type: String,
     trim: true
@@ -40,9 +109,31 @@ const jobSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Documents saved before the status catalogue existed use names like
+// 'Interview' or 'Offer', and older ones a numeric salary; translate them as
+// they are loaded
+jobSchema.pre('init', function(doc) {
+  if (doc.status) {
+    doc.status = normalizeStatus(doc.status) || doc.status;
+  }
+  // Documents from before structured compensation have a single yearly salary
+  if (typeof doc.salary === 'number' && [doc.salaryMin, doc.salaryMax].every(bound => bound === undefined || bound === null)) {
+    doc.salaryMin = doc.salary;
+    doc.salaryMax = doc.salary;
+    doc.salaryPeriod = doc.salaryPeriod || 'yearly';
+  }
+});
+
 // Add index for better query performance
 jobSchema.index({ company: 1, title: 1 });
 jobSchema.index({ status: 1 });
 jobSchema.index({ applicationDate: -1 });
+jobSchema.index({ tags: 1 });
+
+// Full-text index used by GET /search (weights match the job entity's textSearch.fields)
+jobSchema.index(
+  { title: 'text', company: 'text', description: 'text', notes: 'text' },
+  { name: 'job_text', weights: { title: 10, company: 5, description: 2, notes: 1 } }
+);
 
 module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
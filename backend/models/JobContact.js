@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const jobContactSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact reference is required']
+  },
+  // The part the contact plays in the application, e.g. "Recruiter"
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Relationship cannot exceed 100 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+jobContactSchema.index({ jobId: 1, contactId: 1 }, { unique: true });
+jobContactSchema.index({ contactId: 1 });
+
+module.exports = mongoose.model('JobContact', jobContactSchema);
\ No newline at end of file
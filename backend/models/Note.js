@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const noteSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  // Notes converted from jobs that had no owner yet have no author
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  category: {
+    type: String,
+    enum: ['interview', 'research', 'negotiation', 'follow_up', 'general'],
+    default: 'general'
+  },
+  // Markdown
+  body: {
+    type: String,
+    required: [true, 'Note text is required'],
+    maxlength: [10000, 'Note cannot exceed 10000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+noteSchema.index({ jobId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Note', noteSchema);
\ No newline at end of file
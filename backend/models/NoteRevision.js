@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const noteRevisionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note reference is required']
+  },
+  category: {
+    type: String,
+    enum: ['interview', 'research', 'negotiation', 'follow_up', 'general'],
+    required: [true, 'Category is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Note text is required']
+  },
+  // When this version was written; createdAt is when it was replaced
+  writtenAt: {
+    type: Date,
+    required: [true, 'Written date is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+noteRevisionSchema.index({ noteId: 1, writtenAt: -1 });
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Terms proposed in one negotiation round; unset terms were not discussed
+const roundSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  proposedBy: {
+    type: String,
+    enum: ['employer', 'candidate'],
+    required: [true, 'Who proposed the terms is required']
+  },
+  terms: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const offerSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required'],
+    unique: true
+  },
+  // ISO 4217 code of every amount on the offer
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Yearly amounts
+  baseSalary: {
+    type: Number,
+    required: [true, 'Base salary is required'],
+    min: 0
+  },
+  bonusPercent: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  bonusAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  signingBonus: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  equityType: {
+    type: String,
+    enum: ['rsu', 'options', 'other', null],
+    default: null
+  },
+  // Value of the whole grant
+  equityValue: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  vestingYears: {
+    type: Number,
+    min: 1,
+    default: 4
+  },
+  cliffMonths: {
+    type: Number,
+    min: 0,
+    default: 12
+  },
+  ptoDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  benefits: {
+    type: String,
+    maxlength: [2000, 'Benefits cannot exceed 2000 characters']
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  remindDaysBefore: {
+    type: Number,
+    min: 0,
+    default: 2
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    default: null
+  },
+  decision: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  rounds: {
+    type: [roundSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ userId: 1, deadline: 1 });
+
+module.exports = mongoose.model('Offer', offerSchema);
\ No newline at end of file
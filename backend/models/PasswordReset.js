@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // SHA-256 hash of the token sent by email
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+passwordResetSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
\ No newline at end of file
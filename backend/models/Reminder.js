@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // Exactly one of jobId and contactId is set
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  remindAt: {
+    type: Date,
+    required: [true, 'Reminder date is required']
+  },
+  // Days after the last status change; null for reminders on a fixed date
+  offsetDays: {
+    type: Number,
+    default: null
+  },
+  channels: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'due', 'done', 'dismissed'],
+    default: 'pending'
+  },
+  firedAt: Date,
+  // One entry per notifier the reminder was sent through
+  deliveries: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+reminderSchema.index({ userId: 1, remindAt: 1 });
+reminderSchema.index({ status: 1, remindAt: 1 });
+reminderSchema.index({ jobId: 1 });
+reminderSchema.index({ contactId: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // SHA-256 hashes of the current and the previous refresh token
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionSchema.index({ userId: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
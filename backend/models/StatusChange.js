@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { statuses } = require('../config/statuses');
+
+const statusValues = statuses.map(status => status.value);
+
+const statusChangeSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  fromStatus: {
+    type: String,
+    enum: [...statusValues, null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: statusValues,
+    required: [true, 'New status is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'status_history'
+});
+
+statusChangeSchema.index({ jobId: 1, changedAt: 1 });
+
+module.exports = mongoose.model('StatusChange', statusChangeSchema);
\ No newline at end of file
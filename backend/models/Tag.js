@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [30, 'Tag name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    required: [true, 'Tag colour is required'],
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Tag colour must be a #RRGGBB hex colour']
+  }
+}, {
+  timestamps: true
+});
+
+// Tag names are unique per user regardless of case
+tagSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Tag', tagSchema);
\ No newline at end of file
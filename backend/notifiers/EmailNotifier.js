@@ -0,0 +1,19 @@
+const { sendMail, appUrl } = require('../mail');
+const { reminderEmail, networkingReminderEmail } = require('../mail/templates');
+
+/**
+ * Email notifier
+ *
+ * Emails the owner of the reminder with a link to the job or contact.
+ */
+class EmailNotifier {
+  async notify({ reminder, job, contact, user }) {
+    const message = contact
+      ? networkingReminderEmail(user, contact, reminder, appUrl(`/contacts/${contact.id}`))
+      : reminderEmail(user, job, reminder, appUrl(`/jobs/${job.id}`));
+
+    await sendMail({ to: user.email, ...message });
+  }
+}
+
+module.exports = EmailNotifier;
\ No newline at end of file
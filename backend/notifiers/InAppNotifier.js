@@ -0,0 +1,11 @@
+/**
+ * In-app notifier
+ *
+ * Nothing to send: a fired reminder has status "due", which is what the
+ * reminders panel shows (GET /reminders?due=today|overdue).
+ */
+class InAppNotifier {
+  async notify() {}
+}
+
+module.exports = InAppNotifier;
\ No newline at end of file
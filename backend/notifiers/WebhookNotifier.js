@@ -0,0 +1,55 @@
+const http = require('http');
+const https = require('https');
+
+const TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Webhook notifier
+ *
+ * POSTs { event: 'reminder.due', reminder, job, contact, user } as JSON to
+ * REMINDER_WEBHOOK_URL (job or contact is null, depending on what the
+ * reminder is about). Any answer other than 2xx counts as a failure.
+ */
+class WebhookNotifier {
+  constructor(url = process.env.REMINDER_WEBHOOK_URL) {
+    if (!url) {
+      throw new Error('REMINDER_WEBHOOK_URL must be set to send reminders to a webhook');
+    }
+    this.url = new URL(url);
+  }
+
+  notify({ reminder, job, contact, user }) {
+    const payload = JSON.stringify({
+      event: 'reminder.due',
+      reminder,
+      job: job ? { id: job.id, title: job.title, company: job.company, status: job.status } : null,
+      contact: contact ? { id: contact.id, name: contact.name, company: contact.company, email: contact.email } : null,
+      user: { id: user.id, email: user.email, name: user.name || null }
+    });
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload)
+        },
+        timeout: TIMEOUT_MS
+      }, (response) => {
+        response.resume();
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Webhook answered with HTTP ${response.statusCode}`));
+        }
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Webhook did not answer in time')));
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * Reminder notifiers
+ *
+ * When a reminder falls due the scheduler hands it to a notifier for each
+ * of its channels. A notifier exposes notify({ reminder, job, contact, user }),
+ * with either job or contact set, and rejects when the notification could
+ * not be delivered.
+ *
+ * - inApp:   the reminder shows up as due in the app (always available)
+ * - email:   sends an email through the mail layer (see mail/index.js)
+ * - webhook: POSTs JSON to REMINDER_WEBHOOK_URL (available when it is set)
+ */
+
+const notifiers = {
+  inApp: () => require('./InAppNotifier'),
+  email: () => require('./EmailNotifier'),
+  webhook: () => require('./WebhookNotifier')
+};
+
+const instances = new Map();
+
+/**
+ * Channels reminders can use with the current configuration
+ * @returns {string[]}
+ */
+const availableChannels = () =>
+  Object.keys(notifiers).filter(name => name !== 'webhook' || Boolean(process.env.REMINDER_WEBHOOK_URL));
+
+/**
+ * Channels used by reminders that do not choose their own (REMINDER_CHANNELS, default inApp,email)
+ * @returns {string[]}
+ */
+const defaultChannels = () => (process.env.REMINDER_CHANNELS || 'inApp,email')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => availableChannels().includes(name));
+
+/**
+ * Shared notifier for a channel, created on first use
+ * @param {string} channel
+ * @returns {Object} Notifier instance
+ */
+function getNotifier(channel) {
+  if (!notifiers[channel]) {
+    throw new Error(`Unknown notification channel "${channel}". Use one of: ${Object.keys(notifiers).join(', ')}`);
+  }
+
+  if (!instances.has(channel)) {
+    const Notifier = notifiers[channel]();
+    instances.set(channel, new Notifier());
+  }
+  return instances.get(channel);
+}
+
+module.exports = {
+  availableChannels,
+  defaultChannels,
+  getNotifier
+};
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { normalizeSort, keysetBranches, compareValues } = require('../query');
+const { rankRecords } = require('../textSearch');
+
+// Evaluate one query condition (see repositories/query.js) against a record
+const matches = (record, { field, op, value }) => {
+  const current = record[field] === undefined ? null : record[field];
+
+  switch (op) {
+    case 'eq': return current === value;
+    case 'in': return value.includes(current);
+    case 'gte': return current !== null && compareValues(current, value) >= 0;
+    case 'lte': return current !== null && compareValues(current, value) <= 0;
+    case 'gt': return current !== null && compareValues(current, value) > 0;
+    case 'lt': return current !== null && compareValues(current, value) < 0;
+    case 'contains': return String(current || '').toLowerCase().includes(String(value).toLowerCase());
+    case 'isNull': return current === null;
+    case 'notNull': return current !== null;
+    case 'hasAny': return (current || []).some(item => value.includes(item));
+    case 'hasAll': return value.every(item => (current || []).includes(item));
+    default: throw new Error(`Unsupported query operator "${op}"`);
+  }
+};
+
+/**
+ * In-memory repository driver
+ *
+ * Keeps records in a plain array for the lifetime of the process.
+ * Useful for development and tests; nothing survives a restart.
+ */
+class MemoryRepository {
+  constructor(entity) {
+    this.entity = entity;
+    this.records = [];
+    this.nextId = 1;
+  }
+
+  isValidId(id) {
+    return /^\d+$/.test(String(id)) && parseInt(id, 10) > 0;
+  }
+
+  pick(data) {
+    return this.entity.fields.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = Array.isArray(data[field]) ? [...data[field]] : data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  find(id) {
+    return this.records.find(record => record.id === parseInt(id, 10));
+  }
+
+  sort(records) {
+    const { field, order } = this.entity.defaultSort;
+    const direction = order === 'desc' ? -1 : 1;
+
+    return records.sort((a, b) => {
+      if (a[field] === b[field]) {
+        return (a.id - b.id) * direction;
+      }
+      return (a[field] < b[field] ? -1 : 1) * direction;
+    });
+  }
+
+  async list(filter = {}) {
+    const matches = this.records.filter(record =>
+      Object.entries(filter).every(([field, value]) => record[field] === value)
+    );
+    return this.sort(matches.map(record => ({ ...record })));
+  }
+
+  async query({ where = [], sort, limit, offset = 0, after } = {}) {
+    const order = normalizeSort(sort, this.entity.defaultSort);
+    const filtered = this.records.filter(record => where.every(condition => matches(record, condition)));
+
+    const sorted = filtered.sort((a, b) => {
+      for (const { field, order: direction } of order) {
+        const difference = compareValues(a[field], b[field]);
+        if (difference !== 0) {
+          return direction === 'desc' ? -difference : difference;
+        }
+      }
+      return 0;
+    });
+
+    const remaining = after
+      ? sorted.filter(record =>
+        keysetBranches(order, after).some(branch => branch.every(condition => matches(record, condition))))
+      : sorted.slice(offset);
+
+    const page = limit === undefined ? remaining : remaining.slice(0, limit);
+    return {
+      items: page.map(record => ({ ...record })),
+      total: filtered.length
+    };
+  }
+
+  async textSearch(terms, { where = [], limit, offset = 0 } = {}) {
+    const candidates = this.sort(this.records
+      .filter(record => where.every(condition => matches(record, condition)))
+      .map(record => ({ ...record })));
+    const ranked = rankRecords(candidates, terms, this.entity.textSearch);
+
+    return {
+      items: ranked.slice(offset, limit === undefined ? undefined : offset + limit),
+      total: ranked.length
+    };
+  }
+
+  async get(id) {
+    const record = this.find(id);
+    return record ? { ...record } : null;
+  }
+
+  hasField(field) {
+    return this.entity.fields.includes(field);
+  }
+
+  async create(data) {
+    const now = new Date().toISOString();
+    const { createdAt, updatedAt, ...fields } = this.pick(data);
+    const record = { id: this.nextId++, ...fields };
+
+    if (this.hasField('createdAt')) {
+      record.createdAt = now;
+    }
+    if (this.hasField('updatedAt')) {
+      record.updatedAt = now;
+    }
+
+    this.records.push(record);
+    return { ...record };
+  }
+
+  async update(id, data, { where = [] } = {}) {
+    const record = this.find(id);
+    if (!record || !where.every(condition => matches(record, condition))) {
+      return null;
+    }
+
+    const { createdAt, updatedAt, ...fields } = this.pick(data);
+    Object.assign(record, fields);
+
+    if (this.hasField('updatedAt')) {
+      record.updatedAt = new Date().toISOString();
+    }
+    return { ...record };
+  }
+
+  async delete(id) {
+    const index = this.records.findIndex(record => record.id === parseInt(id, 10));
+    if (index === -1) {
+      return null;
+    }
+    return this.records.splice(index, 1)[0];
+  }
+
+  async search(query) {
+    const term = String(query).toLowerCase();
+    const matches = this.records.filter(record =>
+      this.entity.searchFields.some(field =>
+        String(record[field] || '').toLowerCase().includes(term)
+      )
+    );
+    return this.sort(matches.map(record => ({ ...record })));
+  }
+}
+
+module.exports = MemoryRepository;
\ No newline at end of file
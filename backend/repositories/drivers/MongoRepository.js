@@ -0,0 +1,176 @@
+const { createMapper } = require('../mapping');
+const { normalizeSort, keysetBranches } = require('../query');
+const { rankRecords } = require('../textSearch');
+
+// Escape user input before using it inside a regular expression
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * MongoDB repository driver
+ *
+ * Wraps the Mongoose model named by the entity's `mongo` section.
+ * Expects the connection from config/database.js to be established.
+ */
+class MongoRepository {
+  constructor(entity) {
+    this.entity = entity;
+    this.Model = entity.mongo.model();
+    this.mapper = createMapper(entity.fields, entity.mongo);
+  }
+
+  isValidId(id) {
+    return this.Model.base.Types.ObjectId.isValid(String(id));
+  }
+
+  sortSpec() {
+    const { field, order } = this.entity.defaultSort;
+    const direction = order === 'desc' ? -1 : 1;
+    return { [this.mapper.storageName(field)]: direction, _id: direction };
+  }
+
+  path(field) {
+    return field === 'id' ? '_id' : this.mapper.storageName(field);
+  }
+
+  // Translate one query condition (see repositories/query.js) into a Mongo filter
+  condition({ field, op, value }) {
+    const path = this.path(field);
+    const stored = (item) => this.mapper.storageValue(field, item);
+
+    switch (op) {
+      case 'eq': return { [path]: stored(value) };
+      case 'in': return { [path]: { $in: value.map(stored) } };
+      case 'gte': return { [path]: { $gte: stored(value) } };
+      case 'lte': return { [path]: { $lte: stored(value) } };
+      case 'gt': return { [path]: { $gt: stored(value) } };
+      case 'lt': return { [path]: { $lt: stored(value) } };
+      case 'contains': return { [path]: new RegExp(escapeRegExp(value), 'i') };
+      case 'isNull': return { [path]: null };
+      case 'notNull': return { [path]: { $ne: null } };
+      case 'hasAny': return { [path]: { $in: value } };
+      case 'hasAll': return { [path]: { $all: value } };
+      default: throw new Error(`Unsupported query operator "${op}"`);
+    }
+  }
+
+  fromDocument(document) {
+    if (!document) {
+      return null;
+    }
+
+    const { _id, __v, ...stored } = document.toObject();
+    const record = this.mapper.fromStorage(stored);
+
+    // References to other documents are exposed as plain string IDs
+    Object.keys(record).forEach((field) => {
+      if (record[field] instanceof this.Model.base.Types.ObjectId) {
+        record[field] = String(record[field]);
+      }
+    });
+    return { ...record, id: String(_id) };
+  }
+
+  async list(filter = {}) {
+    const documents = await this.Model.find(this.mapper.toStorage(filter)).sort(this.sortSpec());
+    return documents.map(document => this.fromDocument(document));
+  }
+
+  async query({ where = [], sort, limit, offset = 0, after } = {}) {
+    const order = normalizeSort(sort, this.entity.defaultSort);
+    const filter = where.length ? { $and: where.map(condition => this.condition(condition)) } : {};
+
+    const page = { ...filter };
+    if (after) {
+      const branches = keysetBranches(order, after)
+        .map(branch => ({ $and: branch.map(condition => this.condition(condition)) }));
+      // No branches means the cursor was the last record
+      page.$and = [...(filter.$and || []), branches.length ? { $or: branches } : { _id: { $in: [] } }];
+    }
+
+    let cursor = this.Model.find(page)
+      .sort(order.reduce((spec, { field, order: direction }) => ({
+        ...spec,
+        [this.path(field)]: direction === 'desc' ? -1 : 1
+      }), {}))
+      .skip(after ? 0 : offset);
+    if (limit !== undefined) {
+      cursor = cursor.limit(limit);
+    }
+
+    const [documents, total] = await Promise.all([cursor, this.Model.countDocuments(filter)]);
+    return { items: documents.map(document => this.fromDocument(document)), total };
+  }
+
+  /**
+   * Uses the model's text index to find candidates, or regular expressions
+   * when a term is a prefix (text indexes only match whole words). The
+   * candidates are then ranked in process so results agree with the other drivers.
+   */
+  async textSearch(terms, { where = [], limit, offset = 0 } = {}) {
+    const { fields } = this.entity.textSearch;
+    const conditions = where.map(condition => this.condition(condition));
+
+    if (terms.some(term => term.prefix)) {
+      terms.forEach((term) => {
+        const pattern = new RegExp(term.words.map(escapeRegExp).join('\\W+'), 'i');
+        conditions.push({ $or: Object.keys(fields).map(field => ({ [this.path(field)]: pattern })) });
+      });
+    } else {
+      const search = terms
+        .map(term => (term.phrase ? `"${term.words.join(' ')}"` : term.words[0]))
+        .join(' ');
+      conditions.push({ $text: { $search: search } });
+    }
+
+    const documents = await this.Model.find({ $and: conditions }).sort(this.sortSpec());
+    const ranked = rankRecords(documents.map(document => this.fromDocument(document)), terms, this.entity.textSearch);
+
+    return {
+      items: ranked.slice(offset, limit === undefined ? undefined : offset + limit),
+      total: ranked.length
+    };
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    return this.fromDocument(await this.Model.findById(id));
+  }
+
+  async create(data) {
+    const { createdAt, updatedAt, ...fields } = data;
+    return this.fromDocument(await this.Model.create(this.mapper.toStorage(fields)));
+  }
+
+  async update(id, data, { where = [] } = {}) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    const { createdAt, updatedAt, ...fields } = data;
+    const filter = { $and: [{ _id: id }, ...where.map(condition => this.condition(condition))] };
+    const document = await this.Model.findOneAndUpdate(filter, this.mapper.toStorage(fields), {
+      new: true,
+      runValidators: true
+    });
+    return this.fromDocument(document);
+  }
+
+  async delete(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    return this.fromDocument(await this.Model.findByIdAndDelete(id));
+  }
+
+  async search(query) {
+    const pattern = new RegExp(escapeRegExp(query), 'i');
+    const documents = await this.Model.find({
+      $or: this.entity.searchFields.map(field => ({ [this.mapper.storageName(field)]: pattern }))
+    }).sort(this.sortSpec());
+    return documents.map(document => this.fromDocument(document));
+  }
+}
+
+module.exports = MongoRepository;
\ No newline at end of file
@@ -0,0 +1,255 @@
+const { createMapper } = require('../mapping');
+const { normalizeSort, keysetBranches } = require('../query');
+const { markersToHtml, SNIPPET_WORDS } = require('../textSearch');
+
+// Private characters FTS5 wraps matches in before they become <mark> elements
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// FTS5 query for parsed search terms; every term must match
+const toMatchExpression = (terms) => terms
+  .map(({ words, prefix }) => `"${words.join(' ')}"${prefix ? '*' : ''}`)
+  .join(' ');
+
+/**
+ * SQLite repository driver
+ *
+ * Stores records in the table named by the entity's `sqlite` section,
+ * using the promise helpers from database/connection.js.
+ */
+class SqliteRepository {
+  constructor(entity) {
+    this.entity = entity;
+    this.table = entity.sqlite.table;
+    this.mapper = createMapper(entity.fields, entity.sqlite);
+    // Array fields are kept in TEXT columns as JSON
+    this.jsonFields = entity.sqlite.json || [];
+    // Required lazily so the database file is only opened when this driver is in use
+    this.connection = require('../../database/connection');
+  }
+
+  isValidId(id) {
+    return /^\d+$/.test(String(id)) && parseInt(id, 10) > 0;
+  }
+
+  orderBy() {
+    const { field, order } = this.entity.defaultSort;
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    return `${this.mapper.storageName(field)} ${direction}, id ${direction}`;
+  }
+
+  // Qualified, as full-text queries join the table with its index
+  column(field) {
+    return `${this.table}.${field === 'id' ? 'id' : this.mapper.storageName(field)}`;
+  }
+
+  toRow(data) {
+    const encoded = { ...data };
+    this.jsonFields.forEach((field) => {
+      if (encoded[field] !== undefined) {
+        encoded[field] = JSON.stringify(encoded[field]);
+      }
+    });
+    return this.mapper.toStorage(encoded);
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return null;
+    }
+
+    const record = this.mapper.fromStorage(row);
+    this.jsonFields.forEach((field) => {
+      if (typeof record[field] === 'string') {
+        record[field] = JSON.parse(record[field]);
+      }
+    });
+    return record;
+  }
+
+  // Translate one query condition (see repositories/query.js) into SQL
+  condition({ field, op, value }, params) {
+    const column = this.column(field);
+    const placeholders = (values) => values.map(() => '?').join(', ');
+
+    switch (op) {
+      case 'eq':
+      case 'gte':
+      case 'lte':
+      case 'gt':
+      case 'lt': {
+        const operators = { eq: '=', gte: '>=', lte: '<=', gt: '>', lt: '<' };
+        params.push(this.mapper.storageValue(field, value));
+        return `${column} ${operators[op]} ?`;
+      }
+      case 'in':
+        params.push(...value.map(item => this.mapper.storageValue(field, item)));
+        return value.length ? `${column} IN (${placeholders(value)})` : '0';
+      case 'contains':
+        params.push(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+        return `${column} LIKE ? ESCAPE '\\'`;
+      case 'isNull':
+        return `${column} IS NULL`;
+      case 'notNull':
+        return `${column} IS NOT NULL`;
+      case 'hasAny':
+        params.push(...value);
+        return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value IN (${placeholders(value)}))`;
+      case 'hasAll':
+        params.push(...value, new Set(value).size);
+        return `(SELECT COUNT(DISTINCT value) FROM json_each(${column}) WHERE value IN (${placeholders(value)})) = ?`;
+      default:
+        throw new Error(`Unsupported query operator "${op}"`);
+    }
+  }
+
+  async list(filter = {}) {
+    const stored = this.toRow(filter);
+    const columns = Object.keys(stored);
+    const where = columns.length
+      ? `WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`
+      : '';
+
+    const rows = await this.connection.getAll(
+      `SELECT * FROM ${this.table} ${where} ORDER BY ${this.orderBy()}`,
+      Object.values(stored)
+    );
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async query({ where = [], sort, limit, offset = 0, after } = {}) {
+    const order = normalizeSort(sort, this.entity.defaultSort);
+    const params = [];
+    const clauses = where.map(condition => this.condition(condition, params));
+    const filter = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const filterParams = [...params];
+
+    if (after) {
+      const branches = keysetBranches(order, after).map(branch =>
+        `(${branch.map(condition => this.condition(condition, params)).join(' AND ')})`);
+      clauses.push(branches.length ? `(${branches.join(' OR ')})` : '0');
+    }
+
+    const orderBy = order
+      .map(({ field, order: direction }) => `${this.column(field)} ${direction === 'desc' ? 'DESC' : 'ASC'}`)
+      .join(', ');
+
+    // LIMIT -1 means no limit in SQLite
+    const [rows, { total }] = await Promise.all([
+      this.connection.getAll(
+        `SELECT * FROM ${this.table} ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+         ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, after ? 0 : offset]
+      ),
+      this.connection.getOne(`SELECT COUNT(*) AS total FROM ${this.table} ${filter}`, filterParams)
+    ]);
+
+    return { items: rows.map(row => this.fromRow(row)), total };
+  }
+
+  async textSearch(terms, { where = [], limit, offset = 0 } = {}) {
+    const { fields, snippets = [] } = this.entity.textSearch;
+    const index = this.entity.sqlite.fts;
+    const indexed = Object.keys(fields);
+
+    const params = [toMatchExpression(terms)];
+    const clauses = [`${index} MATCH ?`, ...where.map(condition => this.condition(condition, params))];
+
+    // Columns of the index are in the order of textSearch.fields
+    const highlights = indexed.map((field, column) => (snippets.includes(field)
+      ? `snippet(${index}, ${column}, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_WORDS})`
+      : `highlight(${index}, ${column}, '${MATCH_START}', '${MATCH_END}')`) + ` AS highlight_${column}`);
+    const rank = `bm25(${index}, ${indexed.map(field => fields[field]).join(', ')})`;
+    const from = `${index} JOIN ${this.table} ON ${this.table}.id = ${index}.rowid WHERE ${clauses.join(' AND ')}`;
+
+    const [rows, { total }] = await Promise.all([
+      this.connection.getAll(
+        `SELECT ${this.table}.*, ${rank} AS rank, ${highlights.join(', ')}
+         FROM ${from}
+         ORDER BY rank, ${this.table}.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, offset]
+      ),
+      this.connection.getOne(`SELECT COUNT(*) AS total FROM ${from}`, params)
+    ]);
+
+    return {
+      items: rows.map(row => ({
+        record: this.fromRow(row),
+        // bm25() is lower for better matches
+        score: Math.round(-row.rank * 1000) / 1000,
+        highlights: indexed.reduce((matched, field, column) => {
+          const text = row[`highlight_${column}`];
+          if (text && text.includes(MATCH_START)) {
+            matched[field] = markersToHtml(text, MATCH_START, MATCH_END);
+          }
+          return matched;
+        }, {})
+      })),
+      total
+    };
+  }
+
+  async get(id) {
+    const row = await this.connection.getOne(`SELECT * FROM ${this.table} WHERE id = ?`, [id]);
+    return this.fromRow(row);
+  }
+
+  async create(data) {
+    const { createdAt, updatedAt, ...fields } = data;
+    const stored = this.toRow(fields);
+    const columns = Object.keys(stored);
+
+    const { id } = await this.connection.runQuery(
+      `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(stored)
+    );
+    return this.get(id);
+  }
+
+  async update(id, data, { where = [] } = {}) {
+    const { createdAt, updatedAt, ...fields } = data;
+    const stored = this.toRow(fields);
+
+    if (Object.keys(stored).length === 0) {
+      return this.get(id);
+    }
+
+    if (this.entity.fields.includes('updatedAt')) {
+      stored[this.mapper.storageName('updatedAt')] = new Date().toISOString();
+    }
+    const columns = Object.keys(stored);
+    const params = [...Object.values(stored), id];
+    const conditions = ['id = ?', ...where.map(condition => this.condition(condition, params))];
+
+    const { changes } = await this.connection.runQuery(
+      `UPDATE ${this.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    return changes ? this.get(id) : null;
+  }
+
+  async delete(id) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    await this.connection.runQuery(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+    return record;
+  }
+
+  async search(query) {
+    const columns = this.entity.searchFields.map(field => this.mapper.storageName(field));
+    const pattern = `%${query}%`;
+
+    const rows = await this.connection.getAll(
+      `SELECT * FROM ${this.table}
+       WHERE ${columns.map(column => `${column} LIKE ?`).join(' OR ')}
+       ORDER BY ${this.orderBy()}`,
+      columns.map(() => pattern)
+    );
+    return rows.map(row => this.fromRow(row));
+  }
+}
+
+module.exports = SqliteRepository;
\ No newline at end of file
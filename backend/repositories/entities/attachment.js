@@ -0,0 +1,32 @@
+/**
+ * Attachment entity definition
+ *
+ * A document sent with a job application, e.g. the resume version that went
+ * to that company. The same document can be attached to many jobs.
+ */
+module.exports = {
+  name: 'attachment',
+
+  fields: ['userId', 'jobId', 'documentId', 'kind', 'label', 'fileName', 'createdAt', 'updatedAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['label', 'fileName'],
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'attachments',
+    names: {
+      userId: 'user_id',
+      jobId: 'job_id',
+      documentId: 'document_id',
+      fileName: 'file_name',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Attachment')
+  }
+};
\ No newline at end of file
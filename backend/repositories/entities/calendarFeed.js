@@ -0,0 +1,30 @@
+/**
+ * Calendar feed entity definition
+ *
+ * The token in a user's subscribable iCalendar URL. Only a hash of it is
+ * stored; deleting the record revokes the URL.
+ */
+module.exports = {
+  name: 'calendarFeed',
+
+  fields: ['userId', 'tokenHash', 'lastUsedAt', 'createdAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: [],
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'calendar_feeds',
+    names: {
+      userId: 'user_id',
+      tokenHash: 'token_hash',
+      lastUsedAt: 'last_used_at',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/CalendarFeed')
+  }
+};
\ No newline at end of file
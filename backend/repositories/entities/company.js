@@ -0,0 +1,36 @@
+/**
+ * Company entity definition
+ *
+ * An employer the user has applied to or knows people at. Jobs and
+ * contacts point at it through companyId; normalizedName (see
+ * services/companies.js) is what free-text company names are matched on,
+ * together with the aliases collected when companies are merged.
+ */
+module.exports = {
+  name: 'company',
+
+  fields: [
+    'userId', 'name', 'normalizedName', 'aliases', 'website', 'industry', 'size',
+    'headquarters', 'notes', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['name', 'industry', 'headquarters', 'notes'],
+
+  defaultSort: { field: 'name', order: 'asc' },
+
+  sqlite: {
+    table: 'companies',
+    names: {
+      userId: 'user_id',
+      normalizedName: 'normalized_name',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    },
+    json: ['aliases']
+  },
+
+  mongo: {
+    model: () => require('../../models/Company')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Networking contact entity definition
+ *
+ * A person the user knows through their job search (recruiter, hiring
+ * manager, referral, ...). Contacts are linked to job applications through
+ * jobContact records and to the company they work at through companyId;
+ * lastContactedAt follows the latest logged interaction.
+ */
+module.exports = {
+  name: 'contact',
+
+  fields: [
+    'userId', 'name', 'role', 'company', 'companyId', 'email', 'phone', 'linkedinUrl', 'notes',
+    'lastContactedAt', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['name', 'company', 'role', 'email', 'notes'],
+
+  defaultSort: { field: 'name', order: 'asc' },
+
+  sqlite: {
+    table: 'contacts',
+    names: {
+      userId: 'user_id',
+      companyId: 'company_id',
+      linkedinUrl: 'linkedin_url',
+      lastContactedAt: 'last_contacted_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Contact')
+  }
+};
\ No newline at end of file
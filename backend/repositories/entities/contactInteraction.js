@@ -0,0 +1,32 @@
+/**
+ * Contact interaction entity definition
+ *
+ * One entry of a contact's interaction log: an email, call, coffee chat,
+ * ... on a given date, optionally about one of the user's applications.
+ */
+module.exports = {
+  name: 'contactInteraction',
+
+  fields: ['userId', 'contactId', 'jobId', 'type', 'occurredAt', 'summary', 'createdAt', 'updatedAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['summary'],
+
+  defaultSort: { field: 'occurredAt', order: 'desc' },
+
+  sqlite: {
+    table: 'contact_interactions',
+    names: {
+      userId: 'user_id',
+      contactId: 'contact_id',
+      jobId: 'job_id',
+      occurredAt: 'occurred_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/ContactInteraction')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Document entity definition
+ *
+ * One stored file of a user: a resume, cover letter, offer letter, ...
+ * Files are identified by the SHA-256 hash of their content, so uploading
+ * the same file again reuses the document instead of storing a copy.
+ */
+module.exports = {
+  name: 'document',
+
+  fields: ['userId', 'sha256', 'fileName', 'mimeType', 'size', 'storageKey', 'createdAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['fileName'],
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'documents',
+    names: {
+      userId: 'user_id',
+      fileName: 'file_name',
+      mimeType: 'mime_type',
+      storageKey: 'storage_key',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Document')
+  }
+};
\ No newline at end of file
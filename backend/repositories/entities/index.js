@@ -0,0 +1,21 @@
+// Registry of entity definitions known to the repository layer
+module.exports = {
+  attachment: require('./attachment'),
+  calendarFeed: require('./calendarFeed'),
+  company: require('./company'),
+  contact: require('./contact'),
+  contactInteraction: require('./contactInteraction'),
+  document: require('./document'),
+  interview: require('./interview'),
+  job: require('./job'),
+  jobContact: require('./jobContact'),
+  note: require('./note'),
+  noteRevision: require('./noteRevision'),
+  offer: require('./offer'),
+  statusChange: require('./statusChange'),
+  passwordReset: require('./passwordReset'),
+  reminder: require('./reminder'),
+  session: require('./session'),
+  tag: require('./tag'),
+  user: require('./user')
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Interview entity definition
+ *
+ * An interview round of one job application. startsAt/endsAt are UTC
+ * instants; timezone is the IANA zone the interview takes place in, kept
+ * so times can be shown as the candidate was told them.
+ */
+module.exports = {
+  name: 'interview',
+
+  fields: [
+    'userId', 'jobId', 'roundType', 'startsAt', 'endsAt', 'timezone', 'location',
+    'videoLink', 'interviewers', 'prepNotes', 'outcome', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['prepNotes', 'location'],
+
+  defaultSort: { field: 'startsAt', order: 'asc' },
+
+  sqlite: {
+    table: 'interviews',
+    names: {
+      userId: 'user_id',
+      jobId: 'job_id',
+      roundType: 'round_type',
+      startsAt: 'starts_at',
+      endsAt: 'ends_at',
+      videoLink: 'video_link',
+      prepNotes: 'prep_notes',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    },
+    json: ['interviewers']
+  },
+
+  mongo: {
+    model: () => require('../../models/Interview')
+  }
+};
\ No newline at end of file
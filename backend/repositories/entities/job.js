@@ -0,0 +1,55 @@
+/**
+ * Job application entity definition
+ *
+ * Describes how a job record is stored by each repository driver.
+ * The canonical (API) field names are listed in `fields`; the driver
+ * sections only declare where the stored shape differs from it.
+ */
+module.exports = {
+  name: 'job',
+
+  fields: [
+    'title', 'company', 'companyId', 'status', 'dateApplied', 'description',
+    'location', 'type', 'source', 'deadline', 'salaryRange', 'salaryMin', 'salaryMax', 'salaryCurrency',
+    'salaryPeriod', 'bonus', 'equity', 'benefits', 'tags', 'notes',
+    'userId', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['title', 'company', 'description'],
+
+  // Full-text index used by repository.textSearch(), with field weights
+  textSearch: {
+    fields: { title: 10, company: 5, description: 2, notes: 1 },
+    snippets: ['description', 'notes']
+  },
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'jobs',
+    names: {
+      dateApplied: 'application_date',
+      type: 'job_type',
+      salaryRange: 'salary_range',
+      salaryMin: 'salary_min',
+      salaryMax: 'salary_max',
+      salaryCurrency: 'salary_currency',
+      salaryPeriod: 'salary_period',
+      companyId: 'company_id',
+      userId: 'user_id',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    },
+    json: ['tags'],
+    fts: 'jobs_fts'
+  },
+
+  mongo: {
+    model: () => require('../../models/Job'),
+    names: {
+      dateApplied: 'applicationDate',
+      type: 'jobType'
+    }
+  }
+};
\ No newline at end of file
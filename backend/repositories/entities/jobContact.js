@@ -0,0 +1,30 @@
+/**
+ * Job-contact link entity definition
+ *
+ * Links one contact to one job application, with the part the contact
+ * plays in it (e.g. "Recruiter", "Referral").
+ */
+module.exports = {
+  name: 'jobContact',
+
+  fields: ['userId', 'jobId', 'contactId', 'relationship', 'createdAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['relationship'],
+
+  defaultSort: { field: 'createdAt', order: 'asc' },
+
+  sqlite: {
+    table: 'job_contacts',
+    names: {
+      userId: 'user_id',
+      jobId: 'job_id',
+      contactId: 'contact_id',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/JobContact')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Note entity definition
+ *
+ * A Markdown note on a job application, filed under a category. editedAt is
+ * set once the note has been changed after it was written; the versions it
+ * replaced are kept as noteRevision records.
+ */
+module.exports = {
+  name: 'note',
+
+  fields: ['jobId', 'authorId', 'category', 'body', 'editedAt', 'createdAt', 'updatedAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['body'],
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'notes',
+    names: {
+      jobId: 'job_id',
+      authorId: 'author_id',
+      editedAt: 'edited_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Note')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Note revision entity definition
+ *
+ * An earlier version of a note, saved when the note was edited.
+ * writtenAt is when that version was written, createdAt when it was replaced.
+ */
+module.exports = {
+  name: 'noteRevision',
+
+  fields: ['noteId', 'category', 'body', 'writtenAt', 'createdAt'],
+
+  searchFields: ['body'],
+
+  defaultSort: { field: 'writtenAt', order: 'desc' },
+
+  sqlite: {
+    table: 'note_revisions',
+    names: {
+      noteId: 'note_id',
+      writtenAt: 'written_at',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/NoteRevision')
+  }
+};
\ No newline at end of file
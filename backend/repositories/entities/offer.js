@@ -0,0 +1,51 @@
+/**
+ * Offer entity definition
+ *
+ * The offer made for one job application (at most one per job). Amounts are
+ * yearly, in currency: the base salary, a bonus given as a percentage of the
+ * base or as an amount, and equity as the value of the whole grant, vesting
+ * over vestingYears after a cliff. rounds is the negotiation history, each
+ * round holding the terms proposed by the employer or asked for by the
+ * candidate. reminderId points at the reminder set for the decision deadline.
+ * Lifecycle: pending -> accepted | declined.
+ */
+module.exports = {
+  name: 'offer',
+
+  fields: [
+    'userId', 'jobId', 'currency', 'baseSalary', 'bonusPercent', 'bonusAmount', 'signingBonus',
+    'equityType', 'equityValue', 'vestingYears', 'cliffMonths', 'ptoDays', 'benefits',
+    'deadline', 'remindDaysBefore', 'reminderId', 'decision', 'rounds', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['benefits'],
+
+  defaultSort: { field: 'deadline', order: 'asc' },
+
+  sqlite: {
+    table: 'offers',
+    names: {
+      userId: 'user_id',
+      jobId: 'job_id',
+      baseSalary: 'base_salary',
+      bonusPercent: 'bonus_percent',
+      bonusAmount: 'bonus_amount',
+      signingBonus: 'signing_bonus',
+      equityType: 'equity_type',
+      equityValue: 'equity_value',
+      vestingYears: 'vesting_years',
+      cliffMonths: 'cliff_months',
+      ptoDays: 'pto_days',
+      remindDaysBefore: 'remind_days_before',
+      reminderId: 'reminder_id',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    },
+    json: ['rounds']
+  },
+
+  mongo: {
+    model: () => require('../../models/Offer')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Password reset token entity definition
+ *
+ * One record per "Forgot password" request. Only a hash of the token is
+ * stored; usedAt makes the token single-use.
+ */
+module.exports = {
+  name: 'passwordReset',
+
+  fields: ['userId', 'tokenHash', 'expiresAt', 'usedAt', 'createdAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: [],
+
+  defaultSort: { field: 'createdAt', order: 'desc' },
+
+  sqlite: {
+    table: 'password_resets',
+    names: {
+      userId: 'user_id',
+      tokenHash: 'token_hash',
+      expiresAt: 'expires_at',
+      usedAt: 'used_at',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/PasswordReset')
+  }
+};
\ No newline at end of file
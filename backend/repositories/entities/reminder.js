@@ -0,0 +1,43 @@
+/**
+ * Follow-up reminder entity definition
+ *
+ * A reminder belongs to one job application, or to one contact for
+ * networking follow-ups (exactly one of jobId and contactId is set).
+ * remindAt is always set; for reminders relative to the last status change
+ * (or, for contacts, the last interaction), offsetDays keeps the distance so
+ * the date can move when that happens again.
+ * Lifecycle: pending -> due (fired by the scheduler) -> done | dismissed.
+ */
+module.exports = {
+  name: 'reminder',
+
+  fields: [
+    'userId', 'jobId', 'contactId', 'note', 'remindAt', 'offsetDays', 'channels', 'status',
+    'firedAt', 'deliveries', 'completedAt', 'createdAt', 'updatedAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['note'],
+
+  defaultSort: { field: 'remindAt', order: 'asc' },
+
+  sqlite: {
+    table: 'reminders',
+    names: {
+      userId: 'user_id',
+      jobId: 'job_id',
+      contactId: 'contact_id',
+      remindAt: 'remind_at',
+      offsetDays: 'offset_days',
+      firedAt: 'fired_at',
+      completedAt: 'completed_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    },
+    json: ['channels', 'deliveries']
+  },
+
+  mongo: {
+    model: () => require('../../models/Reminder')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Login session entity definition
+ *
+ * One record per logged-in device. Only hashes of refresh tokens are
+ * stored; previousTokenHash remembers the token replaced by the last
+ * rotation so a stolen, already-used token can be recognised.
+ */
+module.exports = {
+  name: 'session',
+
+  fields: [
+    'userId', 'tokenHash', 'previousTokenHash', 'rotatedAt', 'userAgent',
+    'ipAddress', 'lastUsedAt', 'expiresAt', 'revokedAt', 'createdAt'
+  ],
+
+  // Fields scanned by repository.search()
+  searchFields: ['userAgent', 'ipAddress'],
+
+  defaultSort: { field: 'lastUsedAt', order: 'desc' },
+
+  sqlite: {
+    table: 'sessions',
+    names: {
+      userId: 'user_id',
+      tokenHash: 'token_hash',
+      previousTokenHash: 'previous_token_hash',
+      rotatedAt: 'rotated_at',
+      userAgent: 'user_agent',
+      ipAddress: 'ip_address',
+      lastUsedAt: 'last_used_at',
+      expiresAt: 'expires_at',
+      revokedAt: 'revoked_at',
+      createdAt: 'created_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Session')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Status history entity definition
+ *
+ * One record per status change of a job application, oldest first.
+ * The first record of every job has no `fromStatus`.
+ */
+module.exports = {
+  name: 'statusChange',
+
+  fields: ['jobId', 'fromStatus', 'toStatus', 'comment', 'changedAt'],
+
+  searchFields: ['comment'],
+
+  defaultSort: { field: 'changedAt', order: 'asc' },
+
+  sqlite: {
+    table: 'status_history',
+    names: {
+      jobId: 'job_id',
+      fromStatus: 'from_status',
+      toStatus: 'to_status',
+      changedAt: 'changed_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/StatusChange')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Tag entity definition
+ *
+ * A label the user files applications under, with its colour. Jobs keep
+ * the names of their tags in job.tags; this record holds the spelling and
+ * colour for each name (see services/tags.js).
+ */
+module.exports = {
+  name: 'tag',
+
+  fields: ['userId', 'name', 'color', 'createdAt', 'updatedAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['name'],
+
+  defaultSort: { field: 'name', order: 'asc' },
+
+  sqlite: {
+    table: 'tags',
+    names: {
+      userId: 'user_id',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/Tag')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * User account entity definition
+ *
+ * passwordHash holds a bcrypt hash; routes must never return it
+ * (see services/auth.js toPublicUser).
+ */
+module.exports = {
+  name: 'user',
+
+  fields: ['email', 'passwordHash', 'name', 'createdAt', 'updatedAt'],
+
+  // Fields scanned by repository.search()
+  searchFields: ['email', 'name'],
+
+  defaultSort: { field: 'createdAt', order: 'asc' },
+
+  sqlite: {
+    table: 'users',
+    names: {
+      passwordHash: 'password_hash',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+
+  mongo: {
+    model: () => require('../../models/User')
+  }
+};
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Repository layer for JINDER
+ *
+ * Every route reads and writes data through a repository exposing the same
+ * interface: list / get / create / update / delete / search. The storage
+ * driver behind it is chosen by the DATA_STORE environment variable:
+ *
+ * - memory: process-local array, cleared on restart
+ * - sqlite: file database from database/connection.js (default)
+ * - mongo:  Mongoose models connected through config/database.js
+ */
+
+const entities = require('./entities');
+
+const drivers = {
+  memory: () => require('./drivers/MemoryRepository'),
+  sqlite: () => require('./drivers/SqliteRepository'),
+  mongo: () => require('./drivers/MongoRepository')
+};
+
+// One repository instance per entity, shared by every route
+const repositories = new Map();
+
+/**
+ * Name of the configured storage driver
+ * @returns {string}
+ */
+const getDriverName = () => (process.env.DATA_STORE || 'sqlite').toLowerCase();
+
+/**
+ * Build a new repository for an entity
+ * @param {string} entityName - Key in repositories/entities
+ * @param {string} [driverName] - Storage driver, defaults to DATA_STORE
+ * @returns {Object} Repository instance
+ */
+function createRepository(entityName, driverName = getDriverName()) {
+  const entity = entities[entityName];
+  if (!entity) {
+    throw new Error(`Unknown repository entity: ${entityName}`);
+  }
+
+  const loadDriver = drivers[driverName];
+  if (!loadDriver) {
+    throw new Error(`Unknown data store "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  const Repository = loadDriver();
+  return new Repository(entity);
+}
+
+/**
+ * Shared repository for an entity, created on first use
+ * @param {string} entityName - Key in repositories/entities
+ * @returns {Object} Repository instance
+ */
+function getRepository(entityName) {
+  if (!repositories.has(entityName)) {
+    repositories.set(entityName, createRepository(entityName));
+  }
+  return repositories.get(entityName);
+}
+
+/**
+ * Prepare the configured data store before the server accepts requests
+ * @returns {Promise<void>}
+ */
+async function initializeStore() {
+  const driverName = getDriverName();
+
+  if (driverName === 'sqlite') {
+    await require('../database/connection').initializeDatabase();
+  } else if (driverName === 'mongo') {
+    await require('../config/database').initializeDatabase();
+  } else if (!drivers[driverName]) {
+    throw new Error(`Unknown data store "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+}
+
+module.exports = {
+  getRepository,
+  createRepository,
+  getDriverName,
+  initializeStore
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Field mapping helpers shared by the repository drivers
+ *
+ * Records leave a repository in one canonical shape (camelCase field names,
+ * API status values). Each driver may store them differently, so an entity
+ * definition can declare:
+ * - names:  canonical field -> storage name (e.g. dateApplied -> application_date)
+ * - values: per-field value translations (e.g. status 'offered' -> 'offer')
+ */
+
+const invert = (map = {}) =>
+  Object.entries(map).reduce((inverted, [key, value]) => {
+    inverted[value] = key;
+    return inverted;
+  }, {});
+
+/**
+ * Create a mapper that converts records to and from a storage shape
+ * @param {string[]} fields - Canonical field names of the entity
+ * @param {Object} [options]
+ * @param {Object} [options.names] - Canonical field -> storage name
+ * @param {Object} [options.values] - Canonical field -> { canonical value: stored value }
+ * @returns {{ toStorage: Function, fromStorage: Function, storageName: Function, storageValue: Function }}
+ */
+function createMapper(fields, { names = {}, values = {} } = {}) {
+  const fieldsByName = invert(names);
+  const valuesFromStorage = Object.keys(values).reduce((map, field) => {
+    map[field] = invert(values[field]);
+    return map;
+  }, {});
+
+  const storageName = (field) => names[field] || field;
+
+  const storageValue = (field, value) => {
+    const translations = values[field];
+    return translations && translations[value] !== undefined ? translations[value] : value;
+  };
+
+  const canonicalValue = (field, value) => {
+    const translations = valuesFromStorage[field];
+    return translations && translations[value] !== undefined ? translations[value] : value;
+  };
+
+  // Only known fields are written; unknown keys in the payload are ignored
+  const toStorage = (record) =>
+    fields.reduce((stored, field) => {
+      if (record[field] !== undefined) {
+        stored[storageName(field)] = storageValue(field, record[field]);
+      }
+      return stored;
+    }, {});
+
+  const fromStorage = (stored) =>
+    Object.keys(stored).reduce((record, key) => {
+      const field = fieldsByName[key] || key;
+      if (field === 'id' || fields.includes(field)) {
+        record[field] = canonicalValue(field, stored[key]);
+      }
+      return record;
+    }, {});
+
+  return { toStorage, fromStorage, storageName, storageValue };
+}
+
+module.exports = { createMapper };
\ No newline at end of file
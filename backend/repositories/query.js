@@ -0,0 +1,111 @@
+/**
+ * Query helpers shared by the repository drivers
+ *
+ * repository.query(spec) takes a driver-neutral description of a listing:
+ * - where:  [{ field, op, value }], all of which must match. Operators are
+ *           eq, in, gte, lte, gt, lt, contains (case-insensitive substring),
+ *           isNull, notNull, hasAny and hasAll (for array fields)
+ * - sort:   [{ field, order: 'asc' | 'desc' }]
+ * - limit / offset for offset pagination
+ * - after:  a decoded cursor for keyset pagination (takes precedence over offset)
+ *
+ * and resolves to { items, total }, where total ignores limit, offset and cursor.
+ *
+ * repository.update(id, data, { where }) accepts the same conditions and
+ * changes the record only while they still hold (resolving to null if not),
+ * so a read-then-write cannot overwrite a concurrent change.
+ *
+ * Null values sort below everything else in every driver, which is what
+ * SQLite and MongoDB do natively.
+ */
+
+const conditionOps = ['eq', 'in', 'gte', 'lte', 'gt', 'lt', 'contains', 'isNull', 'notNull', 'hasAny', 'hasAll'];
+
+/**
+ * Complete a sort specification with the entity's default sort and an id
+ * tie-breaker, so that every record has a unique position
+ * @param {Object[]} [sort]
+ * @param {{ field: string, order: string }} defaultSort
+ * @returns {{ field: string, order: string }[]}
+ */
+const normalizeSort = (sort, defaultSort) => {
+  const fields = sort && sort.length ? sort : [defaultSort];
+  const withoutId = fields.filter(({ field }) => field !== 'id');
+  const idOrder = (fields.find(({ field }) => field === 'id') || fields[0]).order;
+  return [...withoutId, { field: 'id', order: idOrder }];
+};
+
+/**
+ * Opaque cursor pointing just past the given record
+ * @param {Object} record
+ * @param {Object[]} sort - Normalised sort (see normalizeSort)
+ * @returns {string}
+ */
+const encodeCursor = (record, sort) => {
+  const values = sort.map(({ field }) => (record[field] === undefined ? null : record[field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * @param {string} cursor
+ * @param {Object[]} sort - Normalised sort the cursor was created with
+ * @returns {Array|null} The sort values of the record before the page, or null when invalid
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === sort.length ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const equalTo = (field, value) => (value === null ? { field, op: 'isNull' } : { field, op: 'eq', value });
+
+/**
+ * Keyset pagination: the records after a cursor, as alternatives (OR) of
+ * condition lists (AND)
+ * @param {Object[]} sort - Normalised sort
+ * @param {Array} after - Decoded cursor values
+ * @returns {Object[][]}
+ */
+const keysetBranches = (sort, after) => {
+  const branches = [];
+
+  sort.forEach(({ field, order }, index) => {
+    const prefix = sort.slice(0, index).map((previous, i) => equalTo(previous.field, after[i]));
+    const value = after[index];
+
+    if (order === 'asc') {
+      branches.push([...prefix, value === null ? { field, op: 'notNull' } : { field, op: 'gt', value }]);
+    } else if (value !== null) {
+      branches.push([...prefix, { field, op: 'lt', value }]);
+      branches.push([...prefix, { field, op: 'isNull' }]);
+    }
+  });
+
+  return branches;
+};
+
+/**
+ * Order two values the way the databases do (nulls first)
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+module.exports = {
+  conditionOps,
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  keysetBranches,
+  compareValues
+};
\ No newline at end of file
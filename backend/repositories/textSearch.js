@@ -0,0 +1,215 @@
+/**
+ * Full-text search helpers shared by the repository drivers
+ *
+ * repository.textSearch(terms, options) ranks records against a parsed
+ * search query. An entity opts in with a `textSearch` section:
+ * - fields:   { field: weight } for every indexed field (higher weighs more)
+ * - snippets: fields that are long enough to be cut to a snippet around the match
+ *
+ * SQLite ranks with its FTS5 index; the other drivers rank candidates in
+ * process with rankRecords below, which follows the same matching rules.
+ * Highlights are HTML: the text is escaped and matches are wrapped in <mark>
+ * elements.
+ */
+
+const SNIPPET_WORDS = 24;
+const MARK_OPEN = '<mark>';
+const MARK_CLOSE = '</mark>';
+
+const wordPattern = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and drop accents so "Café" matches "cafe", like FTS5's unicode61 tokenizer
+const fold = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Parse a user query into search terms
+ *
+ * Words must all match; "quoted phrases" match consecutive words; a trailing
+ * `*` matches any word starting with the given prefix (e.g. `engin*`).
+ *
+ * @param {string} query
+ * @returns {{ words: string[], phrase: boolean, prefix: boolean }[]}
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const tokenPattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(String(query || ''))) !== null) {
+    const [, quoted, bare] = match;
+    const raw = quoted !== undefined ? quoted : bare;
+    const words = fold(raw).match(wordPattern);
+
+    if (words) {
+      terms.push({
+        words,
+        phrase: quoted !== undefined || words.length > 1,
+        prefix: quoted === undefined && raw.endsWith('*')
+      });
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Split text into words, remembering where each word is in the original
+ * @returns {{ word: string, start: number, end: number }[]}
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  let match;
+
+  wordPattern.lastIndex = 0;
+  while ((match = wordPattern.exec(source)) !== null) {
+    tokens.push({ word: fold(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Token ranges [first, last] where a term occurs
+const termOccurrences = (tokens, { words, prefix }) => {
+  const occurrences = [];
+
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const found = words.every((word, offset) => {
+      const token = tokens[i + offset].word;
+      const isLast = offset === words.length - 1;
+      return prefix && isLast ? token.startsWith(word) : token === word;
+    });
+    if (found) {
+      occurrences.push([i, i + words.length - 1]);
+    }
+  }
+  return occurrences;
+};
+
+/**
+ * Check a record against the terms and score it
+ * @param {Object} record
+ * @param {Object[]} terms - From parseSearchQuery
+ * @param {Object} fields - { field: weight }
+ * @returns {{ score: number, occurrences: Object }|null} null when some term is missing
+ */
+const matchTerms = (record, terms, fields) => {
+  let score = 0;
+  const occurrences = {};
+  const found = new Set();
+
+  Object.entries(fields).forEach(([field, weight]) => {
+    const tokens = tokenize(record[field]);
+    terms.forEach((term, index) => {
+      const ranges = termOccurrences(tokens, term);
+      if (ranges.length) {
+        found.add(index);
+        score += ranges.length * weight;
+        occurrences[field] = [...(occurrences[field] || []), ...ranges];
+      }
+    });
+  });
+
+  return found.size === terms.length ? { score, occurrences } : null;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Highlight term occurrences in a field, optionally cut to a snippet
+ * @param {string} text
+ * @param {number[][]} ranges - Token ranges from matchTerms
+ * @param {boolean} asSnippet
+ * @returns {string} Escaped HTML
+ */
+const highlight = (text, ranges, asSnippet) => {
+  const source = String(text || '');
+  const tokens = tokenize(source);
+
+  let firstToken = 0;
+  let lastToken = tokens.length - 1;
+  if (asSnippet && tokens.length > SNIPPET_WORDS) {
+    const firstMatch = Math.min(...ranges.map(([first]) => first));
+    firstToken = Math.max(0, Math.min(firstMatch - 4, tokens.length - SNIPPET_WORDS));
+    lastToken = firstToken + SNIPPET_WORDS - 1;
+  }
+
+  const from = firstToken > 0 ? tokens[firstToken].start : 0;
+  const to = lastToken < tokens.length - 1 ? tokens[lastToken].end : source.length;
+
+  // Overlapping or adjacent occurrences become a single <mark>
+  const visible = ranges
+    .filter(([first, last]) => first >= firstToken && last <= lastToken)
+    .sort(([a], [b]) => a - b)
+    .reduce((merged, [first, last]) => {
+      const previous = merged[merged.length - 1];
+      if (previous && first <= previous[1] + 1) {
+        previous[1] = Math.max(previous[1], last);
+      } else {
+        merged.push([first, last]);
+      }
+      return merged;
+    }, []);
+
+  let html = from > 0 ? '…' : '';
+  let position = from;
+  visible.forEach(([first, last]) => {
+    html += escapeHtml(source.slice(position, tokens[first].start));
+    html += MARK_OPEN + escapeHtml(source.slice(tokens[first].start, tokens[last].end)) + MARK_CLOSE;
+    position = tokens[last].end;
+  });
+  html += escapeHtml(source.slice(position, to));
+  return to < source.length ? `${html}…` : html;
+};
+
+/**
+ * Highlights for every field that matched
+ * @returns {Object} { field: html }
+ */
+const highlightRecord = (record, occurrences, snippetFields = []) =>
+  Object.entries(occurrences).reduce((highlights, [field, ranges]) => {
+    highlights[field] = highlight(record[field], ranges, snippetFields.includes(field));
+    return highlights;
+  }, {});
+
+/**
+ * Filter, score and highlight records without help from a search index
+ * @param {Object[]} records - Candidates, in the order ties should keep
+ * @param {Object[]} terms - From parseSearchQuery
+ * @param {Object} textSearch - The entity's textSearch section
+ * @returns {{ record: Object, score: number, highlights: Object }[]} Best match first
+ */
+const rankRecords = (records, terms, { fields, snippets = [] }) => records
+  .map(record => ({ record, match: matchTerms(record, terms, fields) }))
+  .filter(({ match }) => match)
+  .sort((a, b) => b.match.score - a.match.score)
+  .map(({ record, match }) => ({
+    record,
+    score: match.score,
+    highlights: highlightRecord(record, match.occurrences, snippets)
+  }));
+
+/**
+ * Turn text highlighted by a database with private marker characters into
+ * escaped HTML with <mark> elements
+ * @param {string} text
+ * @param {string} open - Marker inserted before a match
+ * @param {string} close - Marker inserted after a match
+ * @returns {string}
+ */
+const markersToHtml = (text, open, close) =>
+  escapeHtml(String(text || '')).split(open).join(MARK_OPEN).split(close).join(MARK_CLOSE);
+
+module.exports = {
+  parseSearchQuery,
+  matchTerms,
+  highlightRecord,
+  rankRecords,
+  markersToHtml,
+  escapeHtml,
+  SNIPPET_WORDS
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const {
+  MAX_ACTIVITY_LIMIT,
+  volumeIntervals,
+  breakdownDimensions,
+  getSummary,
+  getPipeline,
+  getFunnel,
+  getVolume,
+  getTimeInStatus,
+  getBreakdown,
+  getRecentActivity
+} = require('../services/analytics');
+const router = express.Router();
+
+const MAX_BREAKDOWN_LIMIT = 100;
+
+// Every analytics route requires a logged-in user
+router.use('/analytics', authMiddleware);
+
+// Validation middleware
+const validateRange = [
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  query('dateTo')
+    .optional()
+    .custom((value, { req }) => !req.query.dateFrom || new Date(req.query.dateFrom) <= new Date(value))
+    .withMessage('Date to cannot be before date from')
+];
+
+const validateVolumeQuery = [
+  ...validateRange,
+  query('interval')
+    .optional()
+    .isIn(volumeIntervals)
+    .withMessage(`Interval must be one of: ${volumeIntervals.join(', ')}`)
+];
+
+const validateBreakdownQuery = [
+  ...validateRange,
+  query('by')
+    .isIn(breakdownDimensions)
+    .withMessage(`Breakdown must be by one of: ${breakdownDimensions.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_BREAKDOWN_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_BREAKDOWN_LIMIT}`)
+    .toInt()
+];
+
+const validateActivityQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_ACTIVITY_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_ACTIVITY_LIMIT}`)
+    .toInt()
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const rangeOf = ({ dateFrom, dateTo }) => ({ dateFrom, dateTo });
+
+// GET /analytics/summary - Response, interview, offer and rejection rates and time to first response
+router.get('/analytics/summary', validateRange, handleValidationErrors, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getSummary(req.user.id, rangeOf(req.query))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute summary'
+    });
+  }
+});
+
+// GET /analytics/pipeline - How many applications are in each status
+router.get('/analytics/pipeline', validateRange, handleValidationErrors, async (req, res) => {
+  try {
+    const pipeline = await getPipeline(req.user.id, rangeOf(req.query));
+
+    res.status(200).json({
+      success: true,
+      count: pipeline.length,
+      data: pipeline
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute pipeline'
+    });
+  }
+});
+
+// GET /analytics/funnel - Applications reaching each stage, with conversion percentages
+router.get('/analytics/funnel', validateRange, handleValidationErrors, async (req, res) => {
+  try {
+    const funnel = await getFunnel(req.user.id, rangeOf(req.query));
+
+    res.status(200).json({
+      success: true,
+      count: funnel.length,
+      data: funnel
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute funnel'
+    });
+  }
+});
+
+// GET /analytics/volume - Applications per week or month
+router.get('/analytics/volume', validateVolumeQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'week';
+    const volume = await getVolume(req.user.id, { interval, ...rangeOf(req.query) });
+
+    res.status(200).json({
+      success: true,
+      count: volume.length,
+      interval,
+      data: volume
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute application volume'
+    });
+  }
+});
+
+// GET /analytics/time-in-status - Average and median time spent in each status
+router.get('/analytics/time-in-status', validateRange, handleValidationErrors, async (req, res) => {
+  try {
+    const timeInStatus = await getTimeInStatus(req.user.id, rangeOf(req.query));
+
+    res.status(200).json({
+      success: true,
+      count: timeInStatus.length,
+      data: timeInStatus
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute time in status'
+    });
+  }
+});
+
+// GET /analytics/breakdown - Outcome rates per company, location, tag or source
+router.get('/analytics/breakdown', validateBreakdownQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const { by, limit } = req.query;
+    const groups = await getBreakdown(req.user.id, { by, limit, ...rangeOf(req.query) });
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      by,
+      data: groups
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute breakdown'
+    });
+  }
+});
+
+// GET /analytics/activity - The user's latest actions, newest first
+router.get('/analytics/activity', validateActivityQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const activity = await getRecentActivity(req.user.id, { limit: req.query.limit || 10 });
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve recent activity'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,288 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const {
+  attachmentKinds,
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  listJobAttachments,
+  getAttachment,
+  getDocument,
+  attachDocument,
+  attachUpload,
+  openDocument,
+  listDocuments,
+  detachAttachment
+} = require('../services/attachments');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+// Every attachment route requires a logged-in user, checked before any upload is read
+router.use(['/jobs/:id/attachments', '/documents'], authMiddleware);
+
+// Uploads are held in memory while they are checked and hashed, so their size is capped here
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 10 }
+}).single('file');
+
+const tooLargeMessage = `Files cannot exceed ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+
+// Read a multipart upload into req.file; JSON requests pass through untouched
+const receiveFile = (req, res, next) => upload(req, res, (error) => {
+  if (!error) {
+    return next();
+  }
+  if (error instanceof multer.MulterError) {
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'File too large' : 'Invalid upload',
+      message: tooLarge ? tooLargeMessage : `${error.message}; send one file in the "file" field`
+    });
+  }
+  next(error);
+});
+
+// Validation middleware
+// A new attachment is either an uploaded file or a document the user already stored
+const validateAttachment = [
+  body('kind')
+    .optional()
+    .isIn(attachmentKinds)
+    .withMessage(`Kind must be one of: ${attachmentKinds.join(', ')}`),
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  body('documentId')
+    .if((value, { req }) => !req.file)
+    .notEmpty()
+    .withMessage('Upload a file or give the documentId of a stored document')
+];
+
+const validateDocumentQuery = [
+  query('kind')
+    .optional()
+    .isIn(attachmentKinds)
+    .withMessage(`Kind must be one of: ${attachmentKinds.join(', ')}`)
+];
+
+const validateIds = [
+  param('id')
+    .notEmpty()
+    .withMessage('ID is required'),
+  param('attachmentId')
+    .optional()
+    .notEmpty()
+    .withMessage('Attachment ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const attachmentErrors = {
+  400: 'Invalid attachment',
+  404: 'File missing',
+  413: 'File too large',
+  415: 'Unsupported file type'
+};
+
+const handleAttachmentError = (res, error, fallbackMessage) => {
+  if (error instanceof AttachmentError) {
+    return res.status(error.status).json({
+      error: attachmentErrors[error.status] || 'Invalid attachment',
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+const isOwn = (req, record) => Boolean(record) && String(record.userId) === String(req.user.id);
+
+// Jobs and documents belong to their user; other users' records are reported as missing
+const findOwnJob = async (req) => {
+  const job = jobs.isValidId(req.params.id) ? await jobs.get(req.params.id) : null;
+  return isOwn(req, job) ? job : null;
+};
+
+const findOwnDocument = async (req, id) => {
+  const document = await getDocument(id);
+  return isOwn(req, document) ? document : null;
+};
+
+const findJobAttachment = async (req, job) => {
+  const attachment = await getAttachment(req.params.attachmentId);
+  return attachment && String(attachment.jobId) === String(job.id) ? attachment : null;
+};
+
+const notFound = (res, kind, id) => res.status(404).json({
+  error: `${kind} not found`,
+  message: `${kind} with ID ${id} does not exist`
+});
+
+// Send a stored file as a download
+const sendDocument = async (res, document, fileName) => {
+  const stream = await openDocument(document);
+
+  res.status(200).attachment(fileName).set({
+    'Content-Type': document.mimeType,
+    'Content-Length': String(document.size),
+    'X-Content-Type-Options': 'nosniff'
+  });
+  // Once the download has started the only way to report a failure is to cut it short
+  stream.on('error', error => res.destroy(error));
+  stream.pipe(res);
+};
+
+// GET /jobs/:id/attachments - Documents sent with a job, newest first
+router.get('/jobs/:id/attachments', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return notFound(res, 'Job', req.params.id);
+    }
+
+    const jobAttachments = await listJobAttachments(job.id);
+
+    res.status(200).json({
+      success: true,
+      count: jobAttachments.length,
+      data: jobAttachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve attachments'
+    });
+  }
+});
+
+// POST /jobs/:id/attachments - Attach an uploaded file (multipart "file") or a stored document ({ documentId })
+router.post('/jobs/:id/attachments', validateIds, receiveFile, validateAttachment, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return notFound(res, 'Job', req.params.id);
+    }
+
+    const { kind, label, documentId } = req.body;
+    let result;
+
+    if (req.file) {
+      result = await attachUpload(job, req.file, { kind, label });
+    } else {
+      const document = await findOwnDocument(req, documentId);
+      if (!document) {
+        return notFound(res, 'Document', documentId);
+      }
+      result = await attachDocument(job, document, { kind, label });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.deduplicated
+        ? 'Document attached; the same file was already stored and is reused'
+        : 'Document attached successfully',
+      deduplicated: Boolean(result.deduplicated),
+      data: result.attachment
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to attach document');
+  }
+});
+
+// GET /jobs/:id/attachments/:attachmentId/download - Download an attached file
+router.get('/jobs/:id/attachments/:attachmentId/download', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const attachment = job && await findJobAttachment(req, job);
+
+    if (!attachment) {
+      return job ? notFound(res, 'Attachment', req.params.attachmentId) : notFound(res, 'Job', req.params.id);
+    }
+
+    await sendDocument(res, await getDocument(attachment.documentId), attachment.fileName);
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to download attachment');
+  }
+});
+
+// DELETE /jobs/:id/attachments/:attachmentId - Remove a document from a job
+// The file is deleted as well when no other job uses it
+router.delete('/jobs/:id/attachments/:attachmentId', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const attachment = job && await findJobAttachment(req, job);
+
+    if (!attachment) {
+      return job ? notFound(res, 'Attachment', req.params.attachmentId) : notFound(res, 'Job', req.params.id);
+    }
+
+    const removed = await detachAttachment(attachment);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment removed successfully',
+      data: removed
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove attachment'
+    });
+  }
+});
+
+// GET /documents - The user's stored documents with the jobs each was sent with
+router.get('/documents', validateDocumentQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const userDocuments = await listDocuments(req.user.id, { kind: req.query.kind });
+
+    res.status(200).json({
+      success: true,
+      count: userDocuments.length,
+      data: userDocuments
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve documents'
+    });
+  }
+});
+
+// GET /documents/:id/download - Download a stored document
+router.get('/documents/:id/download', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const document = await findOwnDocument(req, req.params.id);
+
+    if (!document) {
+      return notFound(res, 'Document', req.params.id);
+    }
+
+    await sendDocument(res, document, document.fileName);
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to download document');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const {
+  AuthError,
+  passwordProblems,
+  register,
+  login,
+  refresh,
+  requestPasswordReset,
+  resetPassword
+} = require('../services/auth');
+const { SessionError, getSession, listSessions, revokeSession, revokeAllSessions } = require('../services/sessions');
+const router = express.Router();
+
+// Validation middleware
+// A new password must meet the AC-5.1 strength rules and be typed twice
+const validateNewPassword = [
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom((password) => {
+      const problems = passwordProblems(password);
+      if (problems.length) {
+        throw new Error(`Password must contain ${problems.join(', ')}`);
+      }
+      return true;
+    })
+    .isLength({ max: 128 })
+    .withMessage('Password cannot exceed 128 characters'),
+  body('passwordConfirmation')
+    .custom((confirmation, { req }) => confirmation === req.body.password)
+    .withMessage('Password confirmation does not match')
+];
+
+const validateRegistration = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .isLength({ max: 254 })
+    .withMessage('Email cannot exceed 254 characters'),
+  ...validateNewPassword,
+  body('name')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters')
+];
+
+const validateLogin = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const validateForgot = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+];
+
+const validateReset = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  ...validateNewPassword
+];
+
+const validateSessionId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Session ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Device details recorded on a new session
+const clientOf = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+const errorTitles = {
+  400: 'Password reset failed',
+  401: 'Authentication failed',
+  409: 'Registration failed'
+};
+
+// Respond with the status of an AuthError or SessionError, or 500 for anything unexpected
+const handleAuthError = (res, error, fallbackMessage) => {
+  if (error instanceof AuthError || error instanceof SessionError) {
+    return res.status(error.status).json({
+      error: errorTitles[error.status],
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+// POST /auth/register - Create an account and log it in (AC-5.1)
+router.post('/auth/register', validateRegistration, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    const result = await register({ email, password, name }, clientOf(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: result
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to create account');
+  }
+});
+
+// POST /auth/login - Exchange credentials for an access and a refresh token (AC-5.2)
+router.post('/auth/login', validateLogin, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await login({ email, password }, clientOf(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: result
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to log in');
+  }
+});
+
+// POST /auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/auth/refresh', validateRefresh, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await refresh(req.body.refreshToken, clientOf(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed',
+      data: result
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to refresh session');
+  }
+});
+
+// POST /auth/forgot - Email a password reset link (AC-5.3)
+router.post('/auth/forgot', validateForgot, handleValidationErrors, async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+  } catch (error) {
+    // Answer as usual so a failing mail server does not reveal which addresses have accounts
+    console.error('Failed to send password reset email:', error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account uses this address, a password reset link has been sent to it'
+  });
+});
+
+// POST /auth/reset - Choose a new password with the token from the reset email
+router.post('/auth/reset', validateReset, handleValidationErrors, async (req, res) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in with your new password'
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to reset password');
+  }
+});
+
+// POST /auth/logout - End the current session
+router.post('/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// GET /auth/sessions - Devices the user is logged in on
+router.get('/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        current: String(session.id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+// DELETE /auth/sessions - Log out every other device
+router.delete('/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, { except: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: `Revoked ${count} other session${count === 1 ? '' : 's'}`,
+      count
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// DELETE /auth/sessions/:id - Log out one device
+router.delete('/auth/sessions/:id', authMiddleware, validateSessionId, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await getSession(id);
+
+    if (!session || String(session.userId) !== String(req.user.id)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session with ID ${id} does not exist`
+      });
+    }
+
+    await revokeSession(session.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// GET /auth/me - The logged-in user
+router.get('/auth/me', authMiddleware, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { toList } = require('../services/jobQuery');
+const {
+  calendarEventTypes,
+  listCalendarEvents,
+  rescheduleEvent,
+  calendarFeedIcs
+} = require('../services/calendar');
+const {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  userForFeedToken
+} = require('../services/calendarFeeds');
+const router = express.Router();
+
+// Longest period one request may cover
+const MAX_RANGE_DAYS = 400;
+
+// Base of the feed URLs handed out; defaults to the address the request came in on
+const API_URL = process.env.API_URL ? process.env.API_URL.replace(/\/$/, '') : null;
+
+// Validation middleware
+const validateRange = [
+  query(['from', 'to'])
+    .isISO8601()
+    .withMessage('From and to must be valid ISO 8601 dates'),
+  query('to')
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.query.from)) / (24 * 60 * 60 * 1000);
+      return days > 0 && days <= MAX_RANGE_DAYS;
+    })
+    .withMessage(`To must be after from, and at most ${MAX_RANGE_DAYS} days later`),
+  query('types')
+    .optional()
+    .customSanitizer(toList)
+    .custom(types => types.every(type => calendarEventTypes.includes(type)))
+    .withMessage(`Types must be among: ${calendarEventTypes.join(', ')}`)
+];
+
+const validateReschedule = [
+  param('eventId')
+    .matches(new RegExp(`^(${calendarEventTypes.join('|')})-.+$`))
+    .withMessage('Event ID is invalid'),
+  body('start')
+    .isISO8601()
+    .withMessage('Start must be a valid ISO 8601 date'),
+  body('end')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End must be a valid ISO 8601 date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.start))
+    .withMessage('End must be after start')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const feedUrl = (req, token) => `${API_URL || `${req.protocol}://${req.get('host')}${req.baseUrl}`}/calendar/feed/${token}.ics`;
+
+// GET /calendar/feed/:token.ics - The user's calendar for calendar apps to subscribe to
+// The token stands in for a login, so this route comes before the auth middleware.
+router.get('/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const userId = await userForFeedToken(req.params.token);
+
+    if (userId === null) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        message: 'This calendar feed does not exist or has been revoked'
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(await calendarFeedIcs(userId));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
+// Every other calendar route requires a logged-in user
+router.use('/calendar', authMiddleware);
+
+// GET /calendar/events - Interviews, deadlines and reminders in a period
+router.get('/calendar/events', validateRange, handleValidationErrors, async (req, res) => {
+  try {
+    const { from, to, types } = req.query;
+    const events = await listCalendarEvents(req.user.id, { from, to, types });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve calendar events'
+    });
+  }
+});
+
+// PATCH /calendar/events/:eventId - Move an event to a new date or time
+router.patch('/calendar/events/:eventId', validateReschedule, handleValidationErrors, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = await rescheduleEvent(req.user.id, eventId, req.body);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found',
+        message: `Event with ID ${eventId} does not exist`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Event rescheduled successfully',
+      data: event
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reschedule event'
+    });
+  }
+});
+
+// GET /calendar/feed - Whether the user has a feed, and when it was last read
+router.get('/calendar/feed', async (req, res) => {
+  try {
+    const feed = await getCalendarFeed(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: Boolean(feed),
+        createdAt: feed ? feed.createdAt : null,
+        lastUsedAt: feed ? feed.lastUsedAt : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve calendar feed'
+    });
+  }
+});
+
+// POST /calendar/feed - Issue a feed URL, revoking the previous one
+router.post('/calendar/feed', async (req, res) => {
+  try {
+    const { feed, token } = await createCalendarFeed(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created; copy the URL now, it is not shown again',
+      data: {
+        active: true,
+        createdAt: feed.createdAt,
+        lastUsedAt: null,
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create calendar feed'
+    });
+  }
+});
+
+// DELETE /calendar/feed - Revoke the feed URL
+router.delete('/calendar/feed', async (req, res) => {
+  try {
+    if (!await revokeCalendarFeed(req.user.id)) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        message: 'There is no calendar feed to revoke'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke calendar feed'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
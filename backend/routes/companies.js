@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const {
+  CompanyError,
+  companySizes,
+  getCompany,
+  createCompany,
+  updateCompany,
+  listCompanies,
+  getCompanyOverview,
+  findDuplicateCandidates,
+  mergeCompanies,
+  deleteCompany
+} = require('../services/companies');
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+// Every company route requires a logged-in user
+router.use('/companies', authMiddleware);
+
+// Validation middleware
+const validateCompany = [
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of at most 20 names'),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters'),
+  body('website')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Website must be an http(s) URL'),
+  body('industry')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Industry cannot exceed 100 characters'),
+  body('size')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(companySizes)
+    .withMessage(`Size must be one of: ${companySizes.join(', ')}`),
+  body('headquarters')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Headquarters cannot exceed 100 characters'),
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot exceed 5000 characters')
+];
+
+const validateListQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+];
+
+const validateMerge = [
+  body('companyIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Company IDs must be an array of 1 to 20 companies to merge')
+];
+
+const validateId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Company ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Companies belong to their user; other users' companies are reported as missing
+const findOwnCompany = async (req, id = req.params.id) => {
+  const company = await getCompany(id);
+  return company && String(company.userId) === String(req.user.id) ? company : null;
+};
+
+const companyNotFound = (res, id) => res.status(404).json({
+  error: 'Company not found',
+  message: `Company with ID ${id} does not exist`
+});
+
+// Respond with the status of a CompanyError, or 500 for anything unexpected
+const handleCompanyError = (res, error, fallbackMessage) => {
+  if (error instanceof CompanyError) {
+    return res.status(error.status).json({
+      error: 'Company conflict',
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+// GET /companies - The user's companies with their application counts
+router.get('/companies', validateListQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { items, total } = await listCompanies(req.user.id, { q: req.query.q, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      limit,
+      data: items
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve companies'
+    });
+  }
+});
+
+// GET /companies/duplicates - Pairs of companies that look like the same employer
+router.get('/companies/duplicates', async (req, res) => {
+  try {
+    const candidates = await findDuplicateCandidates(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: candidates.length,
+      data: candidates
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to find duplicate companies'
+    });
+  }
+});
+
+// POST /companies - Add a company before applying there
+router.post('/companies', validateCompany, handleValidationErrors, async (req, res) => {
+  try {
+    const company = await createCompany(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Company created successfully',
+      data: company
+    });
+  } catch (error) {
+    handleCompanyError(res, error, 'Failed to create company');
+  }
+});
+
+// GET /companies/:id - A company with its applications, contacts, interviews and outcomes
+router.get('/companies/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const company = await findOwnCompany(req);
+
+    if (!company) {
+      return companyNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...company, ...await getCompanyOverview(company) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve company'
+    });
+  }
+});
+
+// PUT /companies/:id - Update a company
+router.put('/companies/:id', validateId, validateCompany, handleValidationErrors, async (req, res) => {
+  try {
+    const company = await findOwnCompany(req);
+
+    if (!company) {
+      return companyNotFound(res, req.params.id);
+    }
+
+    const updated = await updateCompany(company, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Company updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    handleCompanyError(res, error, 'Failed to update company');
+  }
+});
+
+// POST /companies/:id/merge - Fold other companies into this one
+router.post('/companies/:id/merge', validateId, validateMerge, handleValidationErrors, async (req, res) => {
+  try {
+    const target = await findOwnCompany(req);
+
+    if (!target) {
+      return companyNotFound(res, req.params.id);
+    }
+
+    const ids = [...new Set(req.body.companyIds.map(String))];
+    if (ids.includes(String(target.id))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A company cannot be merged into itself'
+      });
+    }
+
+    const sources = [];
+    for (const id of ids) {
+      const source = await findOwnCompany(req, id);
+      if (!source) {
+        return companyNotFound(res, id);
+      }
+      sources.push(source);
+    }
+
+    const merged = await mergeCompanies(target, sources);
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${sources.length} ${sources.length === 1 ? 'company' : 'companies'} into ${merged.name}`,
+      data: merged
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to merge companies'
+    });
+  }
+});
+
+// DELETE /companies/:id - Delete a company no application belongs to
+router.delete('/companies/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const company = await findOwnCompany(req);
+
+    if (!company) {
+      return companyNotFound(res, req.params.id);
+    }
+
+    const deleted = await deleteCompany(company);
+
+    res.status(200).json({
+      success: true,
+      message: 'Company deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    handleCompanyError(res, error, 'Failed to delete company');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
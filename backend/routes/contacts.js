@@ -0,0 +1,491 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const {
+  createContact,
+  updateContact,
+  getContact,
+  listContacts,
+  listContactJobs,
+  listJobContacts,
+  linkContact,
+  unlinkContact,
+  deleteContact
+} = require('../services/contacts');
+const {
+  interactionTypes,
+  listInteractions,
+  getInteraction,
+  logInteraction,
+  updateInteraction,
+  deleteInteraction
+} = require('../services/contactInteractions');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+const MAX_LIMIT = 100;
+
+// Every contact route requires a logged-in user
+router.use(['/contacts', '/jobs/:id/contacts'], authMiddleware);
+
+const isLinkedInUrl = (value) => {
+  try {
+    const { hostname } = new URL(value);
+    return hostname === 'linkedin.com' || hostname.endsWith('.linkedin.com');
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validation middleware
+const validateContact = [
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('role')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Role cannot exceed 100 characters'),
+  body('company')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot exceed 100 characters'),
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Email must be a valid email address')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body('phone')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\+?[\d\s().-]{3,40}$/)
+    .withMessage('Phone may only contain digits, spaces and + ( ) . -'),
+  body('linkedinUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('LinkedIn URL must be an http(s) URL')
+    .bail()
+    .custom(isLinkedInUrl)
+    .withMessage('LinkedIn URL must point to linkedin.com'),
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot exceed 5000 characters')
+];
+
+const validateListQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+  query('company')
+    .optional()
+    .isString()
+    .trim(),
+  query('jobId')
+    .optional()
+    .custom(id => jobs.isValidId(id))
+    .withMessage('Job ID must be a valid job identifier'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+];
+
+// On creation the type is required; updates may change any subset
+const validateInteraction = (required) => [
+  (required ? body('type') : body('type').optional())
+    .isIn(interactionTypes)
+    .withMessage(`Type must be one of: ${interactionTypes.join(', ')}`),
+  body('occurredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+  body('summary')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Summary cannot exceed 2000 characters'),
+  body('jobId')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom(id => jobs.isValidId(id))
+    .withMessage('Job ID must be a valid job identifier')
+];
+
+const validateLink = [
+  body('contactId')
+    .notEmpty()
+    .withMessage('Contact ID is required'),
+  body('relationship')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Relationship cannot exceed 100 characters')
+];
+
+const validateId = [
+  param('id')
+    .notEmpty()
+    .withMessage('ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const isOwn = (req, record) => Boolean(record) && String(record.userId) === String(req.user.id);
+
+// Contacts and jobs belong to their user; other users' records are reported as missing
+const findOwnContact = async (req, id = req.params.id) => {
+  const contact = await getContact(id);
+  return isOwn(req, contact) ? contact : null;
+};
+
+const findOwnJob = async (req, id = req.params.id) => {
+  const job = jobs.isValidId(id) ? await jobs.get(id) : null;
+  return isOwn(req, job) ? job : null;
+};
+
+const findContactInteraction = async (req, contact) => {
+  const interaction = await getInteraction(req.params.interactionId);
+  return interaction && String(interaction.contactId) === String(contact.id) ? interaction : null;
+};
+
+const notFound = (res, kind, id) => res.status(404).json({
+  error: `${kind} not found`,
+  message: `${kind} with ID ${id} does not exist`
+});
+
+// GET /contacts - Search the user's contacts
+router.get('/contacts', validateListQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const { q, company, jobId } = req.query;
+    const job = jobId === undefined ? null : await findOwnJob(req, jobId);
+
+    if (jobId !== undefined && !job) {
+      return notFound(res, 'Job', jobId);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { items, total } = await listContacts(req.user.id, {
+      q,
+      company,
+      jobId: job ? job.id : undefined,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      limit,
+      data: items
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve contacts'
+    });
+  }
+});
+
+// POST /contacts - Save a contact
+router.post('/contacts', validateContact, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await createContact(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact created successfully',
+      data: contact
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create contact'
+    });
+  }
+});
+
+// GET /contacts/:id - A contact with the jobs it is linked to
+router.get('/contacts/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+
+    if (!contact) {
+      return notFound(res, 'Contact', req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...contact, jobs: await listContactJobs(contact.id) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve contact'
+    });
+  }
+});
+
+// PUT /contacts/:id - Update a contact
+router.put('/contacts/:id', validateId, validateContact, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+
+    if (!contact) {
+      return notFound(res, 'Contact', req.params.id);
+    }
+
+    const updated = await updateContact(contact, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update contact'
+    });
+  }
+});
+
+// DELETE /contacts/:id - Delete a contact with its interactions and reminders
+router.delete('/contacts/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+
+    if (!contact) {
+      return notFound(res, 'Contact', req.params.id);
+    }
+
+    const deleted = await deleteContact(contact);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete contact'
+    });
+  }
+});
+
+// GET /contacts/:id/interactions - Interaction log, most recent first
+router.get('/contacts/:id/interactions', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+
+    if (!contact) {
+      return notFound(res, 'Contact', req.params.id);
+    }
+
+    const interactions = await listInteractions(contact.id);
+
+    res.status(200).json({
+      success: true,
+      count: interactions.length,
+      data: interactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve interactions'
+    });
+  }
+});
+
+// POST /contacts/:id/interactions - Log an email, call, coffee chat, ...
+router.post('/contacts/:id/interactions', validateId, validateInteraction(true), handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+
+    if (!contact) {
+      return notFound(res, 'Contact', req.params.id);
+    }
+    if (req.body.jobId && !await findOwnJob(req, req.body.jobId)) {
+      return notFound(res, 'Job', req.body.jobId);
+    }
+
+    const interaction = await logInteraction(contact, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interaction logged successfully',
+      data: interaction
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to log interaction'
+    });
+  }
+});
+
+// PATCH /contacts/:id/interactions/:interactionId - Correct a logged interaction
+router.patch('/contacts/:id/interactions/:interactionId', validateId, validateInteraction(false), handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+    const interaction = contact && await findContactInteraction(req, contact);
+
+    if (!interaction) {
+      return contact
+        ? notFound(res, 'Interaction', req.params.interactionId)
+        : notFound(res, 'Contact', req.params.id);
+    }
+    if (req.body.jobId && !await findOwnJob(req, req.body.jobId)) {
+      return notFound(res, 'Job', req.body.jobId);
+    }
+
+    const updated = await updateInteraction(interaction, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interaction updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update interaction'
+    });
+  }
+});
+
+// DELETE /contacts/:id/interactions/:interactionId - Remove an interaction from the log
+router.delete('/contacts/:id/interactions/:interactionId', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await findOwnContact(req);
+    const interaction = contact && await findContactInteraction(req, contact);
+
+    if (!interaction) {
+      return contact
+        ? notFound(res, 'Interaction', req.params.interactionId)
+        : notFound(res, 'Contact', req.params.id);
+    }
+
+    const deleted = await deleteInteraction(interaction);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interaction deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete interaction'
+    });
+  }
+});
+
+// GET /jobs/:id/contacts - Contacts linked to a job
+router.get('/jobs/:id/contacts', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return notFound(res, 'Job', req.params.id);
+    }
+
+    const contacts = await listJobContacts(job.id);
+
+    res.status(200).json({
+      success: true,
+      count: contacts.length,
+      data: contacts
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve job contacts'
+    });
+  }
+});
+
+// POST /jobs/:id/contacts - Link a contact to a job (or change its relationship)
+router.post('/jobs/:id/contacts', validateId, validateLink, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const contact = job && await findOwnContact(req, req.body.contactId);
+
+    if (!contact) {
+      return job ? notFound(res, 'Contact', req.body.contactId) : notFound(res, 'Job', req.params.id);
+    }
+
+    const { link, created } = await linkContact(job, contact, req.body.relationship);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Contact linked successfully' : 'Contact link updated successfully',
+      data: { ...contact, relationship: link.relationship }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to link contact'
+    });
+  }
+});
+
+// DELETE /jobs/:id/contacts/:contactId - Unlink a contact from a job (the contact is kept)
+router.delete('/jobs/:id/contacts/:contactId', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return notFound(res, 'Job', req.params.id);
+    }
+    if (!await unlinkContact(job.id, req.params.contactId)) {
+      return res.status(404).json({
+        error: 'Contact not linked',
+        message: `Contact with ID ${req.params.contactId} is not linked to this job`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact unlinked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to unlink contact'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
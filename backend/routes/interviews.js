@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const {
+  interviewRounds,
+  interviewOutcomes,
+  createInterview,
+  updateInterview,
+  getInterview,
+  listJobInterviews,
+  listUpcomingInterviews,
+  deleteInterview
+} = require('../services/interviews');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+// Every interview route requires a logged-in user
+router.use(['/interviews', '/jobs/:id/interviews'], authMiddleware);
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validation middleware
+// On creation roundType and startsAt are required; updates may change any subset
+const validateInterview = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('roundType')
+      .isIn(Object.keys(interviewRounds))
+      .withMessage(`Round type must be one of: ${Object.keys(interviewRounds).join(', ')}`),
+    field('startsAt')
+      .isISO8601()
+      .withMessage('Start time must be a valid ISO 8601 date'),
+    body('endsAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('End time must be a valid ISO 8601 date'),
+    body('timezone')
+      .optional()
+      .custom(isTimeZone)
+      .withMessage('Timezone must be an IANA time zone such as Europe/Berlin'),
+    body('location')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Location cannot exceed 200 characters'),
+    body('videoLink')
+      .optional({ nullable: true, checkFalsy: true })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Video link must be an http(s) URL')
+      .isLength({ max: 500 })
+      .withMessage('Video link cannot exceed 500 characters'),
+    body('interviewers')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Interviewers must be an array of at most 20 people'),
+    body('interviewers.*.name')
+      .isString()
+      .withMessage('Each interviewer needs a name')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each interviewer needs a name of at most 100 characters'),
+    body('interviewers.*.role')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Interviewer role cannot exceed 100 characters'),
+    body('interviewers.*.email')
+      .optional({ nullable: true, checkFalsy: true })
+      .isEmail()
+      .withMessage('Interviewer email must be a valid email address'),
+    body('prepNotes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Preparation notes cannot exceed 5000 characters'),
+    body('outcome')
+      .optional()
+      .isIn(interviewOutcomes)
+      .withMessage(`Outcome must be one of: ${interviewOutcomes.join(', ')}`)
+  ];
+};
+
+const validateUpcomingQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateIds = [
+  param('id')
+    .notEmpty()
+    .withMessage('Job ID is required'),
+  param('interviewId')
+    .optional()
+    .notEmpty()
+    .withMessage('Interview ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// The end of an interview, when given, must come after its start
+const endsBeforeStart = ({ startsAt, endsAt }) =>
+  Boolean(endsAt) && new Date(endsAt) <= new Date(startsAt);
+
+const rejectEndTime = (res, endsAt) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ type: 'field', value: endsAt, msg: 'End time must be after the start time', path: 'endsAt', location: 'body' }]
+});
+
+// Jobs belong to the user who tracks them; other users' jobs are reported as missing
+const findOwnJob = async (req) => {
+  const job = jobs.isValidId(req.params.id) ? await jobs.get(req.params.id) : null;
+  return job && String(job.userId) === String(req.user.id) ? job : null;
+};
+
+const findJobInterview = async (req, job) => {
+  const interview = await getInterview(req.params.interviewId);
+  return interview && String(interview.jobId) === String(job.id) ? interview : null;
+};
+
+const jobNotFound = (res, id) => res.status(404).json({
+  error: 'Job not found',
+  message: `Job with ID ${id} does not exist`
+});
+
+const interviewNotFound = (res, id) => res.status(404).json({
+  error: 'Interview not found',
+  message: `Interview with ID ${id} does not exist`
+});
+
+// GET /interviews/upcoming - The user's interviews still to come, across all jobs
+router.get('/interviews/upcoming', validateUpcomingQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const { days, limit } = req.query;
+    const interviews = await listUpcomingInterviews(req.user.id, {
+      days: days === undefined ? undefined : Number(days),
+      limit: limit === undefined ? undefined : Number(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: interviews.length,
+      data: interviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve upcoming interviews'
+    });
+  }
+});
+
+// GET /jobs/:id/interviews - Interview rounds of a job, earliest first
+router.get('/jobs/:id/interviews', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const interviews = await listJobInterviews(job.id);
+
+    res.status(200).json({
+      success: true,
+      count: interviews.length,
+      data: interviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve interviews'
+    });
+  }
+});
+
+// POST /jobs/:id/interviews - Schedule an interview round
+router.post('/jobs/:id/interviews', validateIds, validateInterview(true), handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+    if (endsBeforeStart(req.body)) {
+      return rejectEndTime(res, req.body.endsAt);
+    }
+
+    const result = await createInterview(job, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview scheduled successfully',
+      data: result.interview,
+      job: result.job
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to schedule interview'
+    });
+  }
+});
+
+// GET /jobs/:id/interviews/:interviewId - Get one interview round
+router.get('/jobs/:id/interviews/:interviewId', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const interview = job && await findJobInterview(req, job);
+
+    if (!interview) {
+      return job ? interviewNotFound(res, req.params.interviewId) : jobNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: interview
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve interview'
+    });
+  }
+});
+
+// PATCH /jobs/:id/interviews/:interviewId - Reschedule, edit or record the outcome of an interview
+router.patch('/jobs/:id/interviews/:interviewId', validateIds, validateInterview(false), handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const interview = job && await findJobInterview(req, job);
+
+    if (!interview) {
+      return job ? interviewNotFound(res, req.params.interviewId) : jobNotFound(res, req.params.id);
+    }
+    if (endsBeforeStart({ ...interview, ...req.body })) {
+      return rejectEndTime(res, req.body.endsAt === undefined ? interview.endsAt : req.body.endsAt);
+    }
+
+    const result = await updateInterview(interview, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview updated successfully',
+      data: result.interview,
+      job: result.job
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update interview'
+    });
+  }
+});
+
+// DELETE /jobs/:id/interviews/:interviewId - Delete an interview round
+// The job keeps its status; change it explicitly if the round never happened
+router.delete('/jobs/:id/interviews/:interviewId', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const interview = job && await findJobInterview(req, job);
+
+    if (!interview) {
+      return job ? interviewNotFound(res, req.params.interviewId) : jobNotFound(res, req.params.id);
+    }
+
+    const deleted = await deleteInterview(interview.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete interview'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
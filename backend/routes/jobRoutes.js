@@ -1,97 +0,0 @@
-const express = require('express');
-const router = express.Router();
-
-// GET /api/jobs - Get all jobs
-router.get('/', async (req, res) => {
-  try {
-    // TODO: Implement job fetching logic
-    res.json({
-      message: 'Get all jobs endpoint',
-      jobs: [],
-      total: 0
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        message: 'Failed to fetch jobs',
-        details: error.message
-      }
-    });
-  }
-});
-
-// GET /api/jobs/:id - Get single job
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    // TODO: Implement single job fetching logic
-    res.json({
-      message: `Get job with ID: ${id}`,
-      job: null
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        message: 'Failed to fetch job',
-        details: error.message
-      }
-    });
-  }
-});
-
-// POST /api/jobs - Create new job
-router.post('/', async (req, res) => {
-  try {
-    // TODO: Implement job creation logic
-    res.status(201).json({
-      message: 'Job created successfully',
-      job: req.body
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        message: 'Failed to create job',
-        details: error.message
-      }
-    });
-  }
-});
-
-// PUT /api/jobs/:id - Update job
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    // TODO: Implement job update logic
-    res.json({
-      message: `Job ${id} updated successfully`,
-      job: req.body
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        message: 'Failed to update job',
-        details: error.message
-      }
-    });
-  }
-});
-
-// DELETE /api/jobs/:id - Delete job
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    // TODO: Implement job deletion logic
-    res.json({
-      message: `Job ${id} deleted successfully`
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        message: 'Failed to delete job',
-        details: error.message
-      }
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
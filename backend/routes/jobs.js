@@ -1,10 +1,41 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, checkExact, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const { statusValues, canTransition, allowedTransitions } = require('../services/statusWorkflow');
+const { recordStatusChange, getStatusTimeline } = require('../services/statusHistory');
+const { rescheduleAfterStatusChange } = require('../services/reminders');
+const { deleteJob } = require('../services/jobDeletion');
+const { resolveCompanyId } = require('../services/companies');
+const { createNote } = require('../services/notes');
+const { resolveTags, matchTagNames } = require('../services/tags');
+const {
+  sortableFields,
+  MAX_LIMIT,
+  toList,
+  invalidSortFields,
+  buildJobQuery,
+  applyTextSearch,
+  runJobQuery
+} = require('../services/jobQuery');
+const { salaryPeriods, compensationFromRequest, currencyConflicts } = require('../services/salary');
+const { jobTypes } = require('../config/jobTypes');
+const { exportFormats, exportIncludes, exportJobs } = require('../services/jobExport');
+const {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  suggestMapping,
+  mappingProblems,
+  mapRow,
+  duplicateKey
+} = require('../services/jobImport');
 const router = express.Router();
 
-// In-memory storage for jobs (replace with database in production)
-let jobs = [];
-let nextId = 1;
+// Job storage is provided by the configured repository driver
+const jobs = getRepository('job');
+
+// Every job route requires a logged-in user
+router.use('/jobs', authMiddleware);
 
 // Validation middleware
 const validateJob = [
@@ -19,21 +50,200 @@ const validateJob = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Company must be between 1 and 100 characters'),
   body('status')
-    .isIn(['applied', 'interviewing', 'offered', 'rejected', 'withdrawn'])
-    .withMessage('Status must be one of: applied, interviewing, offered, rejected, withdrawn'),
+    .isIn(statusValues)
+    .withMessage(`Status must be one of: ${statusValues.join(', ')}`),
   body('dateApplied')
     .isISO8601()
     .withMessage('Date applied must be a valid ISO 8601 date'),
   body('description')
     .optional()
     .isLength({ max: 1000 })
-    .withMessage('Description cannot exceed 1000 characters')
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+  body('type')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(jobTypes)
+    .withMessage(`Type must be one of: ${jobTypes.join(', ')}`),
+  body('source')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Source cannot exceed 100 characters'),
+  body('deadline')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Deadline must be a valid ISO 8601 date'),
+  body('salaryRange')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Salary range cannot exceed 100 characters'),
+  body(['salaryMin', 'salaryMax'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Salary bounds must be non-negative numbers')
+    .toFloat(),
+  body('salaryMax')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => !req.body.salaryMin || Number(value) >= Number(req.body.salaryMin))
+    .withMessage('Maximum salary cannot be below the minimum'),
+  body('salaryCurrency')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code such as USD')
+    .custom((value, { req }) => !currencyConflicts(req.body.salaryRange, value))
+    .withMessage('Currency does not match the one written in the salary range'),
+  body('salaryPeriod')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(salaryPeriods)
+    .withMessage(`Salary period must be one of: ${salaryPeriods.join(', ')}`),
+  body(['bonus', 'equity'])
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage('Bonus and equity cannot exceed 200 characters'),
+  body('benefits')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Benefits cannot exceed 1000 characters'),
+  // Only read on creation, where it becomes the job's first note
+  body('notes')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 entries'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters')
+];
+
+const listQueryFields = [
+  query('status')
+    .optional()
+    .custom(value => toList(value).every(status => statusValues.includes(status)))
+    .withMessage(`Status must be one of: ${statusValues.join(', ')}`),
+  query('type')
+    .optional()
+    .custom(value => toList(value).every(type => jobTypes.includes(type)))
+    .withMessage(`Type must be one of: ${jobTypes.join(', ')}`),
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be given once')
+    .bail()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters'),
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  query(['salaryMin', 'salaryMax'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salary bounds must be non-negative numbers'),
+  query('salaryCurrency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code such as USD'),
+  query('salaryPeriod')
+    .optional()
+    .isIn(salaryPeriods)
+    .withMessage(`Salary period must be one of: ${salaryPeriods.join(', ')}`),
+  query('tagMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag mode must be "any" or "all"'),
+  query(['sort', 'sortBy'])
+    .optional()
+    .custom((value, { req }) => invalidSortFields(req.query).length === 0)
+    .withMessage(`Sort fields must be among: ${sortableFields.join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be "asc" or "desc"'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  query('cursor')
+    .optional()
+    .isString(),
+  query(['company', 'location', 'source'])
+    .optional()
+    .isString()
+    .withMessage('Company, location and source filters must be given once'),
+  query('tags')
+    .optional()
+];
+
+const exportQueryFields = [
+  ...listQueryFields,
+  query('format')
+    .optional()
+    .isIn(Object.keys(exportFormats))
+    .withMessage(`Format must be one of: ${Object.keys(exportFormats).join(', ')}`),
+  query('include')
+    .optional()
+    .custom(value => toList(value).every(extra => exportIncludes.includes(extra)))
+    .withMessage(`Include must be among: ${exportIncludes.join(', ')}`)
+];
+
+// Misspelled or unsupported filters would otherwise be ignored and return every job
+const rejectUnknownParams = (fields) =>
+  checkExact(fields, { locations: ['query'], message: 'Unknown query parameters' });
+
+const validateListQuery = [...listQueryFields, rejectUnknownParams(listQueryFields)];
+const validateExportQuery = [...exportQueryFields, rejectUnknownParams(exportQueryFields)];
+
+const validateStatusChange = [
+  body('status')
+    .isIn(statusValues)
+    .withMessage(`Status must be one of: ${statusValues.join(', ')}`),
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters')
+];
+
+const validateImport = [
+  body('csv')
+    .isString()
+    .withMessage('CSV content is required')
+    .bail()
+    .notEmpty()
+    .withMessage('CSV content is required'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must be an object of column name to job field'),
+  body('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Dry run must be true or false'),
+  body('dateFormat')
+    .optional()
+    .isIn(['MDY', 'DMY'])
+    .withMessage('Date format must be "MDY" or "DMY"'),
+  body('duplicates')
+    .optional()
+    .isIn(['skip', 'import'])
+    .withMessage('Duplicates must be "skip" or "import"')
 ];
 
 const validateId = [
   param('id')
-    .isInt({ min: 1 })
-    .withMessage('ID must be a positive integer')
+    .custom((id) => jobs.isValidId(id))
+    .withMessage('ID must be a valid job identifier')
 ];
 
 // Error handling middleware
@@ -48,18 +258,116 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Helper function to find job by ID
-const findJobById = (id) => {
-  return jobs.find(job => job.id === parseInt(id));
+// Respond with 409 when the status graph does not allow a move
+const rejectTransition = (res, from, to) => {
+  return res.status(409).json({
+    error: 'Invalid status transition',
+    message: `Cannot change status from "${from}" to "${to}"`,
+    allowed: allowedTransitions(from)
+  });
+};
+
+// Optional job fields; compensation is read from the salary range text and/or
+// the structured salary fields, and tag names take the spelling of the user's
+// existing tags. Notes are not among them: they are written through /jobs/:id/notes.
+const optionalJobFields = async ({ location, type, source, deadline, tags, ...details }, userId) => ({
+  location,
+  type: type === undefined ? undefined : type || null,
+  source: source === '' ? null : source,
+  deadline: deadline === undefined ? undefined : (deadline && new Date(deadline).toISOString()) || null,
+  ...compensationFromRequest(details),
+  ...(tags !== undefined ? { tags: await resolveTags(userId, tags) } : {})
+});
+
+// Record for a new job from validated request fields
+const newJobRecord = async ({ title, company, status, dateApplied, description, ...optional }, userId) => ({
+  title,
+  company,
+  companyId: await resolveCompanyId(userId, company),
+  status,
+  dateApplied: new Date(dateApplied).toISOString(),
+  description: description || '',
+  ...await optionalJobFields({ tags: [], salaryRange: null, ...optional }, userId),
+  notes: null,
+  userId
+});
+
+// Create a job with its first status change, and a first note when notes were given
+const createJob = async (details, user) => {
+  const job = await jobs.create(await newJobRecord(details, user.id));
+  await recordStatusChange(job.id, null, job.status);
+
+  const notes = typeof details.notes === 'string' ? details.notes.trim() : '';
+  if (!notes) {
+    return job;
+  }
+  await createNote(job, user, { category: 'general', body: notes });
+  return jobs.get(job.id);
+};
+
+// Check an imported row with the same rules as POST /jobs
+const validateImportedJob = async (job) => {
+  const row = { body: job };
+  await Promise.all(validateJob.map(chain => chain.run(row)));
+  return validationResult(row).array().map(({ path, msg }) => ({ field: path, message: msg }));
+};
+
+// Tag filters match the stored spelling of tag names, whatever case they were typed in
+const withTagSpelling = async (params, userId) => (params.tags === undefined
+  ? params
+  : { ...params, tags: await matchTagNames(userId, toList(params.tags)) });
+
+// Jobs belong to the user who created them; other users' jobs are reported as missing
+const findOwnJob = async (req) => {
+  const job = await jobs.get(req.params.id);
+  return job && String(job.userId) === String(req.user.id) ? job : null;
 };
 
-// GET /jobs - Get all jobs
-router.get('/jobs', (req, res) => {
+// Status guard for jobs.update: the write only happens while the job still
+// has the status the transition was checked against
+const unchangedStatus = (job) => ({ where: [{ field: 'status', op: 'eq', value: job.status }] });
+
+// Respond when a guarded update found the job moved on (409) or deleted (404)
+// since it was read
+const rejectStaleJob = async (req, res) => {
+  const current = await findOwnJob(req);
+  if (!current) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job with ID ${req.params.id} does not exist`
+    });
+  }
+  return res.status(409).json({
+    error: 'Status changed',
+    message: `The job was moved to "${current.status}" in the meantime; reload it and try again`,
+    allowed: allowedTransitions(current.status)
+  });
+};
+
+// GET /jobs - List jobs with filters, sorting and offset or cursor pagination
+router.get('/jobs', validateListQuery, handleValidationErrors, async (req, res) => {
   try {
+    const jobQuery = buildJobQuery(await withTagSpelling(req.query, req.user.id));
+    
+    if (jobQuery.cursorError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Cursor is invalid or does not match the requested sort'
+      });
+    }
+    
+    jobQuery.where.push({ field: 'userId', op: 'eq', value: req.user.id });
+    await applyTextSearch(jobs, jobQuery);
+    const { items, total, nextCursor } = await runJobQuery(jobs, jobQuery);
+
     res.status(200).json({
       success: true,
-      count: jobs.length,
-      data: jobs
+      count: items.length,
+      total,
+      page: jobQuery.page,
+      limit: jobQuery.limit || null,
+      nextCursor,
+      data: items
     });
   } catch (error) {
     res.status(500).json({
@@ -69,23 +377,40 @@ router.get('/jobs', (req, res) => {
   }
 });
 
-// POST /jobs - Create new job
-router.post('/jobs', validateJob, handleValidationErrors, (req, res) => {
+// GET /jobs/export - Download every job matching the list filters as CSV, JSON, XLSX or iCalendar
+router.get('/jobs/export', validateExportQuery, handleValidationErrors, async (req, res) => {
   try {
-    const { title, company, status, dateApplied, description } = req.body;
+    const { format = 'csv', include, page, limit, cursor, ...filters } = req.query;
+    const jobQuery = buildJobQuery(await withTagSpelling(filters, req.user.id));
+    jobQuery.where.push({ field: 'userId', op: 'eq', value: req.user.id });
+    await applyTextSearch(jobs, jobQuery);
     
-    const newJob = {
-      id: nextId++,
-      title,
-      company,
-      status,
-      dateApplied: new Date(dateApplied).toISOString(),
-      description: description || '',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const { contentType, extension } = exportFormats[format];
+    const filename = `jinder-jobs-${new Date().toISOString().slice(0, 10)}.${extension}`;
     
-    jobs.push(newJob);
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    
+    await exportJobs(format, res, jobs, jobQuery, { include: toList(include) });
+    res.end();
+  } catch (error) {
+    // Once the download has started the only way to report a failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export jobs'
+    });
+  }
+});
+
+// POST /jobs - Create new job
+router.post('/jobs', validateJob, handleValidationErrors, async (req, res) => {
+  try {
+    const newJob = await createJob(req.body, req.user);
     
     res.status(201).json({
       success: true,
@@ -100,28 +425,146 @@ router.post('/jobs', validateJob, handleValidationErrors, (req, res) => {
   }
 });
 
+// POST /jobs/import - Import jobs from a CSV file, or preview the import with dryRun
+router.post('/jobs/import', validateImport, handleValidationErrors, async (req, res) => {
+  try {
+    const { csv, dateFormat, duplicates = 'skip', dryRun = false } = req.body;
+    const { headers, rows } = parseCsv(csv);
+    
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'The file needs a header row and at least one data row'
+      });
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Files can contain at most ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+    
+    const mapping = req.body.mapping || suggestMapping(headers);
+    const mappingErrors = mappingProblems(mapping, headers);
+    
+    // A preview without a usable mapping still reports the columns, so the client can map them
+    if (mappingErrors.length && !dryRun) {
+      return res.status(400).json({
+        error: 'Invalid column mapping',
+        message: mappingErrors.join('; '),
+        details: mappingErrors
+      });
+    }
+    
+    const existing = new Map();
+    (await jobs.list({ userId: req.user.id })).forEach(job => existing.set(duplicateKey(job), job.id));
+    const inFile = new Map();
+    
+    const results = [];
+    if (!mappingErrors.length) {
+      for (const { line, values } of rows) {
+        const job = mapRow(values, mapping, { dateFormat });
+        const errors = await validateImportedJob(job);
+        const key = duplicateKey(job);
+        
+        const duplicateOf = existing.has(key)
+          ? { jobId: existing.get(key) }
+          : inFile.has(key) ? { line: inFile.get(key) } : null;
+        
+        let action = 'import';
+        if (errors.length) {
+          action = 'invalid';
+        } else if (duplicateOf && duplicates === 'skip') {
+          action = 'skip';
+        } else {
+          inFile.set(key, line);
+        }
+        
+        results.push({ line, data: job, errors, duplicateOf, action });
+      }
+    }
+    
+    const summary = {
+      total: rows.length,
+      import: results.filter(row => row.action === 'import').length,
+      skip: results.filter(row => row.action === 'skip').length,
+      invalid: results.filter(row => row.action === 'invalid').length
+    };
+    
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `${summary.import} of ${summary.total} rows would be imported`,
+        dryRun: true,
+        headers,
+        mapping,
+        mappingErrors,
+        summary,
+        data: results
+      });
+    }
+    
+    for (const row of results.filter(({ action }) => action === 'import')) {
+      const newJob = await createJob(row.data, req.user);
+      row.jobId = newJob.id;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.import} of ${summary.total} rows`,
+      dryRun: false,
+      headers,
+      mapping,
+      mappingErrors,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import jobs'
+    });
+  }
+});
+
 // PUT /jobs/:id - Update existing job
-router.put('/jobs/:id', validateId, validateJob, handleValidationErrors, (req, res) => {
+router.put('/jobs/:id', validateId, validateJob, handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
     const { title, company, status, dateApplied, description } = req.body;
     
-    const job = findJobById(id);
+    const existingJob = await findOwnJob(req);
     
-    if (!job) {
+    if (!existingJob) {
       return res.status(404).json({
         error: 'Job not found',
         message: `Job with ID ${id} does not exist`
       });
     }
     
-    // Update job properties
-    job.title = title;
-    job.company = company;
-    job.status = status;
-    job.dateApplied = new Date(dateApplied).toISOString();
-    job.description = description || '';
-    job.updatedAt = new Date().toISOString();
+    if (!canTransition(existingJob.status, status)) {
+      return rejectTransition(res, existingJob.status, status);
+    }
+    
+    const job = await jobs.update(id, {
+      title,
+      company,
+      companyId: await resolveCompanyId(req.user.id, company),
+      status,
+      dateApplied: new Date(dateApplied).toISOString(),
+      description: description || '',
+      ...await optionalJobFields(req.body, req.user.id)
+    }, unchangedStatus(existingJob));
+    
+    if (!job) {
+      return rejectStaleJob(req, res);
+    }
+    
+    if (status !== existingJob.status) {
+      await recordStatusChange(job.id, existingJob.status, status);
+      await rescheduleAfterStatusChange(job.id);
+    }
     
     res.status(200).json({
       success: true,
@@ -136,20 +579,99 @@ router.put('/jobs/:id', validateId, validateJob, handleValidationErrors, (req, r
   }
 });
 
+// PATCH /jobs/:id/status - Move a job to a new status, with an optional comment
+router.patch('/jobs/:id/status', validateId, validateStatusChange, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, comment } = req.body;
+    
+    const existingJob = await findOwnJob(req);
+    
+    if (!existingJob) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `Job with ID ${id} does not exist`
+      });
+    }
+    
+    if (status === existingJob.status) {
+      return res.status(200).json({
+        success: true,
+        message: 'Status unchanged',
+        data: existingJob
+      });
+    }
+    
+    if (!canTransition(existingJob.status, status)) {
+      return rejectTransition(res, existingJob.status, status);
+    }
+    
+    const job = await jobs.update(id, { status }, unchangedStatus(existingJob));
+    if (!job) {
+      return rejectStaleJob(req, res);
+    }
+    
+    await recordStatusChange(job.id, existingJob.status, status, { comment });
+    await rescheduleAfterStatusChange(job.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Status updated successfully',
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update status'
+    });
+  }
+});
+
+// GET /jobs/:id/history - Status timeline with time spent in each status
+router.get('/jobs/:id/history', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await findOwnJob(req);
+    
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `Job with ID ${id} does not exist`
+      });
+    }
+    
+    const timeline = await getStatusTimeline(job.id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        currentStatus: job.status,
+        ...timeline
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve status history'
+    });
+  }
+});
+
 // DELETE /jobs/:id - Delete job
-router.delete('/jobs/:id', validateId, handleValidationErrors, (req, res) => {
+router.delete('/jobs/:id', validateId, handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
-    const jobIndex = jobs.findIndex(job => job.id === parseInt(id));
+    const job = await findOwnJob(req);
     
-    if (jobIndex === -1) {
+    if (!job) {
       return res.status(404).json({
         error: 'Job not found',
         message: `Job with ID ${id} does not exist`
       });
     }
     
-    const deletedJob = jobs.splice(jobIndex, 1)[0];
+    const deletedJob = await deleteJob(job);
     
     res.status(200).json({
       success: true,
@@ -165,10 +687,10 @@ router.delete('/jobs/:id', validateId, handleValidationErrors, (req, res) => {
 });
 
 // GET /jobs/:id - Get single job (bonus endpoint)
-router.get('/jobs/:id', validateId, handleValidationErrors, (req, res) => {
+router.get('/jobs/:id', validateId, handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
-    const job = findJobById(id);
+    const job = await findOwnJob(req);
     
     if (!job) {
       return res.status(404).json({
@@ -0,0 +1,235 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const {
+  noteCategories,
+  listJobNotes,
+  getNote,
+  describeNote,
+  createNote,
+  updateNote,
+  listNoteRevisions,
+  deleteNote
+} = require('../services/notes');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+const MAX_NOTE_LENGTH = 10000;
+
+// Every note route requires a logged-in user
+router.use('/jobs/:id/notes', authMiddleware);
+
+// Validation middleware
+// On creation the text is required; edits may change the category, the text or both
+const validateNote = (required) => [
+  body('category')
+    .optional()
+    .isIn(noteCategories)
+    .withMessage(`Category must be one of: ${noteCategories.join(', ')}`),
+  (required ? body('body') : body('body').optional())
+    .isString()
+    .withMessage('Note text is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_NOTE_LENGTH })
+    .withMessage(`Note text must be between 1 and ${MAX_NOTE_LENGTH} characters`)
+];
+
+const validateListQuery = [
+  query('category')
+    .optional()
+    .isIn(noteCategories)
+    .withMessage(`Category must be one of: ${noteCategories.join(', ')}`)
+];
+
+const validateIds = [
+  param('id')
+    .notEmpty()
+    .withMessage('Job ID is required'),
+  param('noteId')
+    .optional()
+    .notEmpty()
+    .withMessage('Note ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Jobs belong to the user who tracks them; other users' jobs are reported as missing
+const findOwnJob = async (req) => {
+  const job = jobs.isValidId(req.params.id) ? await jobs.get(req.params.id) : null;
+  return job && String(job.userId) === String(req.user.id) ? job : null;
+};
+
+const findJobNote = async (req, job) => {
+  const note = await getNote(req.params.noteId);
+  return note && String(note.jobId) === String(job.id) ? note : null;
+};
+
+const jobNotFound = (res, id) => res.status(404).json({
+  error: 'Job not found',
+  message: `Job with ID ${id} does not exist`
+});
+
+const noteNotFound = (res, id) => res.status(404).json({
+  error: 'Note not found',
+  message: `Note with ID ${id} does not exist`
+});
+
+// GET /jobs/:id/notes - Notes of a job, newest first, optionally of one category
+router.get('/jobs/:id/notes', validateIds, validateListQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const notes = await listJobNotes(job.id, { category: req.query.category });
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve notes'
+    });
+  }
+});
+
+// POST /jobs/:id/notes - Write a note
+router.post('/jobs/:id/notes', validateIds, validateNote(true), handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const note = await createNote(job, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note saved successfully',
+      data: note
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save note'
+    });
+  }
+});
+
+// GET /jobs/:id/notes/:noteId - Get one note
+router.get('/jobs/:id/notes/:noteId', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const note = job && await findJobNote(req, job);
+
+    if (!note) {
+      return job ? noteNotFound(res, req.params.noteId) : jobNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await describeNote(note)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve note'
+    });
+  }
+});
+
+// PATCH /jobs/:id/notes/:noteId - Edit a note; the previous version is kept as a revision
+router.patch('/jobs/:id/notes/:noteId', validateIds, validateNote(false), handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const note = job && await findJobNote(req, job);
+
+    if (!note) {
+      return job ? noteNotFound(res, req.params.noteId) : jobNotFound(res, req.params.id);
+    }
+
+    const updated = await updateNote(note, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update note'
+    });
+  }
+});
+
+// GET /jobs/:id/notes/:noteId/revisions - Earlier versions of a note, most recent first
+router.get('/jobs/:id/notes/:noteId/revisions', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const note = job && await findJobNote(req, job);
+
+    if (!note) {
+      return job ? noteNotFound(res, req.params.noteId) : jobNotFound(res, req.params.id);
+    }
+
+    const revisions = await listNoteRevisions(note);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve note revisions'
+    });
+  }
+});
+
+// DELETE /jobs/:id/notes/:noteId - Delete a note and its revisions permanently
+router.delete('/jobs/:id/notes/:noteId', validateIds, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    const note = job && await findJobNote(req, job);
+
+    if (!note) {
+      return job ? noteNotFound(res, req.params.noteId) : jobNotFound(res, req.params.id);
+    }
+
+    const deleted = await deleteNote(note);
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete note'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
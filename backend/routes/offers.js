@@ -0,0 +1,307 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const { toList } = require('../services/jobQuery');
+const {
+  offerDecisions,
+  equityTypes,
+  proposers,
+  negotiableTerms,
+  MAX_COMPARE_YEARS,
+  getJobOffer,
+  saveOffer,
+  addNegotiationRound,
+  compensationByYear,
+  compareOffers,
+  deleteOffer
+} = require('../services/offers');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+const DEFAULT_YEARS = 4;
+
+// Every offer route requires a logged-in user
+router.use(['/offers', '/jobs/:id/offer'], authMiddleware);
+
+// Validation middleware
+const amount = (field, label) => body(field)
+  .optional({ nullable: true, checkFalsy: true })
+  .isFloat({ min: 0 })
+  .withMessage(`${label} must be a non-negative number`)
+  .toFloat();
+
+const validateOffer = [
+  body('baseSalary')
+    .isFloat({ min: 0 })
+    .withMessage('Base salary must be a non-negative number')
+    .toFloat(),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code such as USD'),
+  body('bonusPercent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 200 })
+    .withMessage('Bonus percentage must be between 0 and 200')
+    .toFloat(),
+  amount('bonusAmount', 'Bonus amount'),
+  amount('signingBonus', 'Signing bonus'),
+  amount('equityValue', 'Equity value'),
+  body('equityType')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(equityTypes)
+    .withMessage(`Equity type must be one of: ${equityTypes.join(', ')}`),
+  body('vestingYears')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Vesting must last between 1 and 10 years')
+    .toInt(),
+  body('cliffMonths')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Cliff must be between 0 and 60 months')
+    .toInt(),
+  body('ptoDays')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 365 })
+    .withMessage('PTO must be between 0 and 365 days')
+    .toFloat(),
+  body('benefits')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Benefits cannot exceed 2000 characters'),
+  body('deadline')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Deadline must be a valid ISO 8601 date'),
+  body('remindDaysBefore')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Reminder must be set between 0 and 30 days before the deadline')
+    .toInt(),
+  body('decision')
+    .optional()
+    .isIn(offerDecisions)
+    .withMessage(`Decision must be one of: ${offerDecisions.join(', ')}`)
+];
+
+const validateRound = [
+  body('proposedBy')
+    .isIn(proposers)
+    .withMessage(`Proposed by must be one of: ${proposers.join(', ')}`),
+  amount('baseSalary', 'Base salary'),
+  body('bonusPercent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 200 })
+    .withMessage('Bonus percentage must be between 0 and 200')
+    .toFloat(),
+  amount('bonusAmount', 'Bonus amount'),
+  amount('signingBonus', 'Signing bonus'),
+  amount('equityValue', 'Equity value'),
+  body('ptoDays')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 365 })
+    .withMessage('PTO must be between 0 and 365 days')
+    .toFloat(),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+  body()
+    .custom(details => Boolean(details.note) || negotiableTerms.some(term => details[term] !== undefined && details[term] !== null && details[term] !== ''))
+    .withMessage('A round needs proposed terms or a note')
+];
+
+const validateCompareQuery = [
+  query('years')
+    .optional()
+    .isInt({ min: 1, max: MAX_COMPARE_YEARS })
+    .withMessage(`Years must be between 1 and ${MAX_COMPARE_YEARS}`),
+  query('jobIds')
+    .optional()
+    .isString()
+];
+
+const validateId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Job ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// A cliff longer than the vesting would never vest anything
+const cliffAfterVesting = ({ vestingYears = 4, cliffMonths = 0 }) => cliffMonths > vestingYears * 12;
+
+// Jobs belong to the user who tracks them; other users' jobs are reported as missing
+const findOwnJob = async (req) => {
+  const job = jobs.isValidId(req.params.id) ? await jobs.get(req.params.id) : null;
+  return job && String(job.userId) === String(req.user.id) ? job : null;
+};
+
+const jobNotFound = (res, id) => res.status(404).json({
+  error: 'Job not found',
+  message: `Job with ID ${id} does not exist`
+});
+
+const offerNotFound = (res, id) => res.status(404).json({
+  error: 'Offer not found',
+  message: `Job with ID ${id} has no offer`
+});
+
+// GET /offers - The user's offers side by side, with total compensation over `years`
+router.get('/offers', validateCompareQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const years = Number(req.query.years) || DEFAULT_YEARS;
+    const compared = await compareOffers(req.user.id, { years, jobIds: toList(req.query.jobIds) });
+
+    res.status(200).json({
+      success: true,
+      count: compared.length,
+      years,
+      data: compared
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve offers'
+    });
+  }
+});
+
+// GET /jobs/:id/offer - The offer for a job with its total compensation over `years`
+router.get('/jobs/:id/offer', validateId, validateCompareQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const offer = await getJobOffer(job.id);
+
+    if (!offer) {
+      return offerNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...offer, compensation: compensationByYear(offer, Number(req.query.years) || DEFAULT_YEARS) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve offer'
+    });
+  }
+});
+
+// PUT /jobs/:id/offer - Record the offer for a job, or change its terms or decision
+router.put('/jobs/:id/offer', validateId, validateOffer, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const existing = await getJobOffer(job.id);
+    if (cliffAfterVesting({ ...existing, ...req.body })) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ type: 'field', value: req.body.cliffMonths, msg: 'Cliff cannot be longer than the vesting period', path: 'cliffMonths', location: 'body' }]
+      });
+    }
+
+    const result = await saveOffer(job, req.body);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Offer recorded successfully' : 'Offer updated successfully',
+      data: { ...result.offer, compensation: compensationByYear(result.offer, DEFAULT_YEARS) },
+      job: result.job
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save offer'
+    });
+  }
+});
+
+// POST /jobs/:id/offer/rounds - Log a negotiation round (an employer's revised offer or a counter-offer)
+router.post('/jobs/:id/offer/rounds', validateId, validateRound, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const offer = await getJobOffer(job.id);
+
+    if (!offer) {
+      return offerNotFound(res, req.params.id);
+    }
+
+    const updated = await addNegotiationRound(offer, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: req.body.proposedBy === 'employer' ? 'Revised offer recorded' : 'Counter-offer recorded',
+      data: { ...updated, compensation: compensationByYear(updated, DEFAULT_YEARS) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to record negotiation round'
+    });
+  }
+});
+
+// DELETE /jobs/:id/offer - Delete the offer for a job and its deadline reminder
+// The job keeps its status; change it explicitly if the offer was withdrawn
+router.delete('/jobs/:id/offer', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    const offer = await getJobOffer(job.id);
+
+    if (!offer) {
+      return offerNotFound(res, req.params.id);
+    }
+
+    const deleted = await deleteOffer(offer);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete offer'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
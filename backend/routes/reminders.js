@@ -0,0 +1,270 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const { availableChannels } = require('../notifiers');
+const { toList } = require('../services/jobQuery');
+const { getContact } = require('../services/contacts');
+const {
+  createReminder,
+  createContactReminder,
+  updateReminder,
+  listReminders,
+  getReminder,
+  deleteReminder
+} = require('../services/reminders');
+const router = express.Router();
+
+const jobs = getRepository('job');
+const reminderStatuses = ['pending', 'due', 'done', 'dismissed'];
+
+// Every reminder route requires a logged-in user
+router.use('/reminders', authMiddleware);
+
+// Validation middleware
+// A reminder is set for a date or for a number of days after the last status change
+const validateSchedule = (required) => [
+  body('remindAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Remind at must be a valid ISO 8601 date'),
+  body('offsetDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Offset days must be between 0 and 365'),
+  body()
+    .custom(({ remindAt, offsetDays }) => {
+      const given = [remindAt, offsetDays].filter(value => value !== undefined && value !== null).length;
+      return given === 1 || (!required && given === 0);
+    })
+    .withMessage('Set either remindAt or offsetDays')
+];
+
+const validateReminderFields = [
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('channels')
+    .optional()
+    .isArray()
+    .withMessage('Channels must be an array'),
+  body('channels.*')
+    .custom(channel => availableChannels().includes(channel))
+    .withMessage(() => `Each channel must be one of: ${availableChannels().join(', ')}`)
+];
+
+// A reminder follows up on either a job or a networking contact
+const validateCreate = [
+  body('jobId')
+    .optional({ nullable: true })
+    .custom(id => jobs.isValidId(id))
+    .withMessage('Job ID must be a valid job identifier'),
+  body('contactId')
+    .optional({ nullable: true })
+    .notEmpty()
+    .withMessage('Contact ID must not be empty'),
+  body()
+    .custom(({ jobId, contactId }) => [jobId, contactId].filter(id => id !== undefined && id !== null).length === 1)
+    .withMessage('Set either jobId or contactId'),
+  ...validateSchedule(true),
+  ...validateReminderFields
+];
+
+const validateUpdate = [
+  ...validateSchedule(false),
+  ...validateReminderFields,
+  body('status')
+    .optional()
+    .isIn(['pending', 'done', 'dismissed'])
+    .withMessage('Status must be one of: pending, done, dismissed')
+];
+
+const validateListQuery = [
+  query('due')
+    .optional()
+    .isIn(['today', 'overdue', 'upcoming'])
+    .withMessage('Due must be "today", "overdue" or "upcoming"'),
+  query('jobId')
+    .optional()
+    .custom(id => jobs.isValidId(id))
+    .withMessage('Job ID must be a valid job identifier'),
+  query('contactId')
+    .optional()
+    .notEmpty()
+    .withMessage('Contact ID must not be empty'),
+  query('status')
+    .optional()
+    .custom(value => toList(value).every(status => reminderStatuses.includes(status)))
+    .withMessage(`Status must be among: ${reminderStatuses.join(', ')}`),
+  query('timezoneOffset')
+    .optional()
+    .isInt({ min: -840, max: 840 })
+    .withMessage('Timezone offset must be a number of minutes between -840 and 840')
+];
+
+const validateId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Reminder ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Reminders belong to the user who set them; other users' reminders are reported as missing
+const findOwnReminder = async (req) => {
+  const reminder = await getReminder(req.params.id);
+  return reminder && String(reminder.userId) === String(req.user.id) ? reminder : null;
+};
+
+const isOwnJob = (req, job) => Boolean(job) && String(job.userId) === String(req.user.id);
+
+const findOwnContact = async (req, id) => {
+  const contact = await getContact(id);
+  return contact && String(contact.userId) === String(req.user.id) ? contact : null;
+};
+
+const jobNotFound = (res, id) => res.status(404).json({
+  error: 'Job not found',
+  message: `Job with ID ${id} does not exist`
+});
+
+const contactNotFound = (res, id) => res.status(404).json({
+  error: 'Contact not found',
+  message: `Contact with ID ${id} does not exist`
+});
+
+const reminderNotFound = (res, id) => res.status(404).json({
+  error: 'Reminder not found',
+  message: `Reminder with ID ${id} does not exist`
+});
+
+// GET /reminders - The user's reminders, optionally only those due today, overdue or still to come
+router.get('/reminders', validateListQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const { due, jobId, contactId, status, timezoneOffset } = req.query;
+    const job = jobId === undefined ? null : await jobs.get(jobId);
+    const contact = contactId === undefined ? null : await findOwnContact(req, contactId);
+
+    if (jobId !== undefined && !isOwnJob(req, job)) {
+      return jobNotFound(res, jobId);
+    }
+    if (contactId !== undefined && !contact) {
+      return contactNotFound(res, contactId);
+    }
+
+    const reminders = await listReminders(req.user.id, {
+      due,
+      jobId: job ? job.id : undefined,
+      contactId: contact ? contact.id : undefined,
+      status: toList(status),
+      timezoneOffset: timezoneOffset === undefined ? 0 : Number(timezoneOffset)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: reminders.length,
+      data: reminders
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve reminders'
+    });
+  }
+});
+
+// POST /reminders - Set a follow-up reminder on a job or a contact
+router.post('/reminders', validateCreate, handleValidationErrors, async (req, res) => {
+  try {
+    const { jobId, contactId } = req.body;
+    let reminder;
+
+    if (contactId !== undefined && contactId !== null) {
+      const contact = await findOwnContact(req, contactId);
+      if (!contact) {
+        return contactNotFound(res, contactId);
+      }
+      reminder = await createContactReminder(contact, req.body);
+    } else {
+      const job = await jobs.get(jobId);
+      if (!isOwnJob(req, job)) {
+        return jobNotFound(res, jobId);
+      }
+      reminder = await createReminder(job, req.body);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder created successfully',
+      data: reminder
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create reminder'
+    });
+  }
+});
+
+// PATCH /reminders/:id - Reschedule, edit, complete or dismiss a reminder
+router.patch('/reminders/:id', validateId, validateUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const reminder = await findOwnReminder(req);
+
+    if (!reminder) {
+      return reminderNotFound(res, req.params.id);
+    }
+
+    const updated = await updateReminder(reminder, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update reminder'
+    });
+  }
+});
+
+// DELETE /reminders/:id - Delete a reminder
+router.delete('/reminders/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const reminder = await findOwnReminder(req);
+
+    if (!reminder) {
+      return reminderNotFound(res, req.params.id);
+    }
+
+    const deleted = await deleteReminder(reminder.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete reminder'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { searchJobs } = require('../services/search');
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+const validateSearch = [
+  query('q')
+    .exists()
+    .withMessage('Search query (q) is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Search query (q) cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Search query cannot exceed 200 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /search?q= - Relevance-ranked search of the user's jobs with highlighted matches
+router.get('/search', authMiddleware, validateSearch, handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { terms, items, total } = await searchJobs(req.query.q, {
+      limit,
+      offset: (page - 1) * limit,
+      where: [{ field: 'userId', op: 'eq', value: req.user.id }]
+    });
+
+    if (terms.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Search query must contain at least one word'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      query: req.query.q,
+      count: items.length,
+      total,
+      page,
+      limit,
+      data: items
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search jobs'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const { getStatusCatalog } = require('../services/statusWorkflow');
+const router = express.Router();
+
+// GET /statuses - Status catalogue and allowed transitions
+router.get('/statuses', (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getStatusCatalog()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve statuses'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { getRepository } = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const {
+  MAX_JOB_TAGS,
+  TagError,
+  getTag,
+  listTags,
+  createTag,
+  updateTag,
+  mergeTags,
+  deleteTag,
+  tagJobs
+} = require('../services/tags');
+const router = express.Router();
+
+const jobs = getRepository('job');
+
+const MAX_BULK_JOBS = 100;
+
+// Every tag route requires a logged-in user
+router.use(['/tags', '/jobs/tags'], authMiddleware);
+
+// Validation middleware
+const tagName = (field) => body(field)
+  .isString()
+  .withMessage('Tag name is required')
+  .bail()
+  .trim()
+  .isLength({ min: 1, max: 30 })
+  .withMessage('Tag names must be between 1 and 30 characters');
+
+const tagColor = body('color')
+  .optional()
+  .matches(/^#[0-9A-Fa-f]{6}$/)
+  .withMessage('Colour must be a hex colour such as #2563EB');
+
+const validateCreate = [tagName('name'), tagColor];
+
+const validateUpdate = [tagName('name').optional(), tagColor];
+
+const validateMerge = [
+  body('tagIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Tag IDs must be an array of 1 to 20 tags to merge')
+];
+
+const validateBulk = [
+  body('jobIds')
+    .isArray({ min: 1, max: MAX_BULK_JOBS })
+    .withMessage(`Job IDs must be an array of 1 to ${MAX_BULK_JOBS} jobs`),
+  body(['add', 'remove'])
+    .optional()
+    .isArray({ max: MAX_JOB_TAGS })
+    .withMessage(`Tags to add or remove must be an array of at most ${MAX_JOB_TAGS} names`),
+  tagName('add.*'),
+  tagName('remove.*'),
+  body()
+    .custom(({ add = [], remove = [] }) => add.length + remove.length > 0)
+    .withMessage('Give tags to add, to remove or both')
+];
+
+const validateListQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Search text cannot exceed 30 characters')
+];
+
+const validateId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Tag ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Respond with the status of a TagError, or 500 for anything unexpected
+const handleTagError = (res, error, fallbackMessage) => {
+  if (error instanceof TagError) {
+    return res.status(error.status).json({
+      error: error.status === 409 ? 'Tag conflict' : 'Invalid tag change',
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+// Tags belong to their user; other users' tags are reported as missing
+const findOwnTag = async (req, id = req.params.id) => {
+  const tag = await getTag(id);
+  return tag && String(tag.userId) === String(req.user.id) ? tag : null;
+};
+
+const findOwnJob = async (req, id) => {
+  const job = jobs.isValidId(id) ? await jobs.get(id) : null;
+  return job && String(job.userId) === String(req.user.id) ? job : null;
+};
+
+const notFound = (res, kind, id) => res.status(404).json({
+  error: `${kind} not found`,
+  message: `${kind} with ID ${id} does not exist`
+});
+
+const jobsChanged = (count) => `${count} ${count === 1 ? 'job' : 'jobs'} updated`;
+
+// GET /tags - The user's tags with how many applications have each, most used first
+router.get('/tags', validateListQuery, handleValidationErrors, async (req, res) => {
+  try {
+    const userTags = await listTags(req.user.id, { q: req.query.q });
+
+    res.status(200).json({
+      success: true,
+      count: userTags.length,
+      data: userTags
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve tags'
+    });
+  }
+});
+
+// POST /tags - Create a tag, e.g. to give it a colour before using it
+router.post('/tags', validateCreate, handleValidationErrors, async (req, res) => {
+  try {
+    const tag = await createTag(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { ...tag, applicationCount: 0 }
+    });
+  } catch (error) {
+    handleTagError(res, error, 'Failed to create tag');
+  }
+});
+
+// PATCH /tags/:id - Rename or recolour a tag; a new name is written to every job that has it
+router.patch('/tags/:id', validateId, validateUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const tag = await findOwnTag(req);
+
+    if (!tag) {
+      return notFound(res, 'Tag', req.params.id);
+    }
+
+    const { tag: updated, jobCount } = await updateTag(tag, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: jobCount ? `Tag updated; ${jobsChanged(jobCount)}` : 'Tag updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    handleTagError(res, error, 'Failed to update tag');
+  }
+});
+
+// POST /tags/:id/merge - Fold other tags into this one on every job
+router.post('/tags/:id/merge', validateId, validateMerge, handleValidationErrors, async (req, res) => {
+  try {
+    const target = await findOwnTag(req);
+
+    if (!target) {
+      return notFound(res, 'Tag', req.params.id);
+    }
+
+    const ids = [...new Set(req.body.tagIds.map(String))];
+    if (ids.includes(String(target.id))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const sources = [];
+    for (const id of ids) {
+      const source = await findOwnTag(req, id);
+      if (!source) {
+        return notFound(res, 'Tag', id);
+      }
+      sources.push(source);
+    }
+
+    const { tag, jobCount } = await mergeTags(target, sources);
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${sources.length} ${sources.length === 1 ? 'tag' : 'tags'} into ${tag.name}; ${jobsChanged(jobCount)}`,
+      data: tag
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to merge tags'
+    });
+  }
+});
+
+// DELETE /tags/:id - Delete a tag and take it off every job
+router.delete('/tags/:id', validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const tag = await findOwnTag(req);
+
+    if (!tag) {
+      return notFound(res, 'Tag', req.params.id);
+    }
+
+    const { tag: deleted, jobCount } = await deleteTag(tag);
+
+    res.status(200).json({
+      success: true,
+      message: `Tag deleted; ${jobsChanged(jobCount)}`,
+      data: deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete tag'
+    });
+  }
+});
+
+// POST /jobs/tags - Add tags to and remove tags from several jobs at once
+router.post('/jobs/tags', validateBulk, handleValidationErrors, async (req, res) => {
+  try {
+    const targets = [];
+    for (const id of [...new Set(req.body.jobIds.map(String))]) {
+      const job = await findOwnJob(req, id);
+      if (!job) {
+        return notFound(res, 'Job', id);
+      }
+      targets.push(job);
+    }
+
+    const updated = await tagJobs(req.user.id, targets, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: jobsChanged(updated.length),
+      count: updated.length,
+      data: updated
+    });
+  } catch (error) {
+    handleTagError(res, error, 'Failed to update job tags');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Schema migration command for the SQLite store
+ *
+ * Usage:
+ *   node scripts/migrate.js migrate           Apply all pending migrations
+ *   node scripts/migrate.js rollback [steps]  Revert the last migration(s), default 1
+ *   node scripts/migrate.js status            List migrations and when they ran
+ */
+
+require('dotenv').config();
+
+const { closeDatabase } = require('../database/connection');
+const { migrate, rollback, status } = require('../database/migrator');
+
+const commands = {
+  async migrate() {
+    const applied = await migrate();
+    console.log(applied.length ? `✅ Applied: ${applied.join(', ')}` : '✅ Database is up to date');
+  },
+
+  async rollback(steps = '1') {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
+    const reverted = await rollback(count);
+    console.log(reverted.length ? `↩️  Reverted: ${reverted.join(', ')}` : 'Nothing to roll back');
+  },
+
+  async status() {
+    const migrations = await status();
+    migrations.forEach(({ version, name, appliedAt }) => {
+      console.log(`${appliedAt ? '✅' : '⏳'} ${version}_${name}${appliedAt ? `  (applied ${appliedAt})` : '  (pending)'}`);
+    });
+  }
+};
+
+async function run() {
+  const [command = 'migrate', ...args] = process.argv.slice(2);
+  const handler = commands[command];
+
+  if (!handler) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+  } else {
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  await closeDatabase();
+}
+
+run();
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Job = require('../models/Job');
+const { parseCompensation } = require('../services/salary');
 
 // Sample job application data
 const sampleJobs = [
@@ -8,7 +9,7 @@ const sampleJobs = [
     position: 'Software Engineer II',
     location: 'Mountain View, CA',
     salary: '$180,000 - $220,000',
-    status: 'Interview',
+    status: 'technical_interview_scheduled',
     applicationDate: new Date('2024-01-15'),
     jobUrl: 'https://careers.google.com/jobs/123456',
     description: 'Join our team building next-generation web technologies. Work on large-scale distributed systems and user-facing products used by billions.',
@@ -23,7 +24,7 @@ const sampleJobs = [
     position: 'Frontend Developer',
     location: 'Seattle, WA',
     salary: '$165,000 - $195,000',
-    status: 'Applied',
+    status: 'applied',
     applicationDate: new Date('2024-01-22'),
     jobUrl: 'https://careers.microsoft.com/jobs/987654',
     description: 'Build modern web applications using React, TypeScript, and Azure services. Collaborate with cross-functional teams to deliver high-quality user experiences.',
@@ -38,7 +39,7 @@ const sampleJobs = [
     position: 'Full Stack Engineer',
     location: 'San Francisco, CA',
     salary: '$140,000 - $160,000 + equity',
-    status: 'Offer',
+    status: 'offer_received',
     applicationDate: new Date('2024-01-08'),
     jobUrl: 'https://startupinc.com/careers',
     description: 'Join our fast-growing fintech startup. Work on both frontend and backend systems, mentor junior developers, and help shape our technical direction.',
@@ -53,7 +54,7 @@ const sampleJobs = [
     position: 'Software Development Engineer',
     location: 'Austin, TX',
     salary: '$170,000 - $200,000',
-    status: 'Rejected',
+    status: 'rejected',
     applicationDate: new Date('2024-01-03'),
     jobUrl: 'https://amazon.jobs/en/jobs/2345678',
     description: 'Work on large-scale e-commerce systems serving millions of customers. Focus on performance optimization and system reliability.',
@@ -68,7 +69,7 @@ const sampleJobs = [
     position: 'Senior Frontend Engineer',
     location: 'New York, NY',
     salary: '$175,000 - $205,000',
-    status: 'Interview',
+    status: 'technical_interview_scheduled',
     applicationDate: new Date('2024-01-18'),
     jobUrl: 'https://lifeatspotify.com/jobs/senior-frontend-engineer',
     description: 'Help build the future of music streaming. Work on user-facing features that impact millions of music lovers worldwide.',
@@ -83,7 +84,7 @@ const sampleJobs = [
     position: 'Backend Engineer',
     location: 'Los Gatos, CA',
     salary: '$190,000 - $230,000',
-    status: 'Applied',
+    status: 'applied',
     applicationDate: new Date('2024-01-25'),
     jobUrl: 'https://jobs.netflix.com/jobs/12345',
     description: 'Build and maintain microservices that power Netflix\'s content delivery platform. Work with cutting-edge technologies at massive scale.',
@@ -112,7 +113,12 @@ async function seedDatabase() {
     console.log('🗑️  Cleared existing job data');
 
     // Insert sample data
-    const insertedJobs = await Job.insertMany(sampleJobs);
+    // Salaries are written as text above; store them as structured compensation
+    const insertedJobs = await Job.insertMany(sampleJobs.map(({ salary, ...job }) => ({
+      ...job,
+      salaryRange: salary,
+      ...parseCompensation(salary)
+    })));
     console.log(`✅ Successfully seeded ${insertedJobs.length} job applications`);
 
     // Display summary
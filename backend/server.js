@@ -1,13 +1,32 @@
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const { initializeStore, getDriverName } = require('./repositories');
+const authRouter = require('./routes/auth');
+const jobsRouter = require('./routes/jobs');
+const statusesRouter = require('./routes/statuses');
+const searchRouter = require('./routes/search');
+const remindersRouter = require('./routes/reminders');
+const interviewsRouter = require('./routes/interviews');
+const contactsRouter = require('./routes/contacts');
+const companiesRouter = require('./routes/companies');
+const notesRouter = require('./routes/notes');
+const attachmentsRouter = require('./routes/attachments');
+const tagsRouter = require('./routes/tags');
+const offersRouter = require('./routes/offers');
+const analyticsRouter = require('./routes/analytics');
+const calendarRouter = require('./routes/calendar');
+const { startReminderScheduler } = require('./services/reminderScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware setup
 app.use(cors());
-app.use(bodyParser.json());
+// CSV imports (POST /api/jobs/import) arrive as JSON and can exceed the 100kb default
+app.use(bodyParser.json({ limit: '2mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -24,6 +43,24 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Accounts
+app.use('/api', authRouter);
+
+// Job application routes
+app.use('/api', jobsRouter);
+app.use('/api', statusesRouter);
+app.use('/api', searchRouter);
+app.use('/api', remindersRouter);
+app.use('/api', interviewsRouter);
+app.use('/api', contactsRouter);
+app.use('/api', companiesRouter);
+app.use('/api', notesRouter);
+app.use('/api', attachmentsRouter);
+app.use('/api', tagsRouter);
+app.use('/api', offersRouter);
+app.use('/api', analyticsRouter);
+app.use('/api', calendarRouter);
+
 // Default route
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -51,12 +88,25 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Jinder Job Tracker API server is running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Start server once the configured data store is ready
+initializeStore()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Jinder Job Tracker API server is running on port ${PORT}`);
+      console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`💾 Data store: ${getDriverName()}`);
+    });
+
+    // Set REMINDER_SCHEDULER=off when another process delivers reminders
+    if (process.env.REMINDER_SCHEDULER !== 'off') {
+      startReminderScheduler();
+    }
+  })
+  .catch((error) => {
+    console.error('Failed to initialize data store:', error.message);
+    process.exit(1);
+  });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
@@ -0,0 +1,441 @@
+const { getRepository } = require('../repositories');
+const { getStatusCatalog } = require('./statusWorkflow');
+const { buildTimeline } = require('./statusHistory');
+const { roundLabel } = require('./interviews');
+
+/**
+ * Analytics service
+ *
+ * Metrics over a user's applications, optionally limited to those applied
+ * for between two dates (Feature 4, AC-4.2). Every metric is derived from the
+ * jobs and their status history:
+ *
+ * - an application has had a response once it reached any status other than
+ *   Applied or Withdrawn; a rejection is a response
+ * - the time to first response runs from the application date to the first
+ *   such change
+ * - an application reached a funnel stage when it reached that stage or a
+ *   later one, so skipping a stage does not break the funnel
+ *
+ * Rates are percentages with one decimal, or null when there is nothing to
+ * divide by; durations are in days with one decimal.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_ACTIVITY_LIMIT = 50;
+
+const volumeIntervals = ['week', 'month'];
+const breakdownDimensions = ['company', 'location', 'tag', 'source'];
+
+// Stages of the funnel, in order; "closed" statuses end an application at any stage
+const funnelStages = [
+  { stage: 'applied', label: 'Applied' },
+  { stage: 'screening', label: 'Screening' },
+  { stage: 'interviewing', label: 'Interviewing' },
+  { stage: 'offer', label: 'Offer' }
+];
+const funnelRank = Object.fromEntries(funnelStages.map(({ stage }, index) => [stage, index]));
+const INTERVIEWING = funnelRank.interviewing;
+const OFFER = funnelRank.offer;
+
+const jobs = getRepository('job');
+const history = getRepository('statusChange');
+const interviews = getRepository('interview');
+const notes = getRepository('note');
+const attachments = getRepository('attachment');
+const offers = getRepository('offer');
+const interactions = getRepository('contactInteraction');
+const contacts = getRepository('contact');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const rate = (part, whole) => (whole ? round1((part * 100) / whole) : null);
+
+const days = (ms) => round1(ms / DAY_MS);
+
+const median = (values) => {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const statusEntry = (status) => getStatusCatalog().statuses.find(entry => entry.value === status) || {};
+
+// A bare date in dateTo means "until the end of that day"
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+/**
+ * What the metrics need to know about one application
+ * @param {Object} job
+ * @param {Object[]} changes - Its status history, oldest first
+ */
+const describeApplication = (job, changes) => {
+  const visited = new Set([...changes.map(change => change.toStatus), job.status]);
+  const ranks = [...visited].map(status => funnelRank[statusEntry(status).stage]).filter(rank => rank !== undefined);
+  const firstResponse = changes.find(change => change.fromStatus && !['applied', 'withdrawn'].includes(change.toStatus));
+  const appliedAt = job.dateApplied || changes[0]?.changedAt;
+
+  return {
+    job,
+    changes,
+    rank: Math.max(0, ...ranks),
+    accepted: visited.has('offer_accepted'),
+    responded: [...visited].some(status => !['applied', 'withdrawn'].includes(status)),
+    responseMs: firstResponse && appliedAt
+      ? Math.max(0, new Date(firstResponse.changedAt) - new Date(appliedAt))
+      : null,
+    open: !statusEntry(job.status).terminal,
+    rejected: job.status === 'rejected',
+    withdrawn: job.status === 'withdrawn'
+  };
+};
+
+// The user's jobs applied for in the date range, earliest first
+const loadJobs = async (userId, { dateFrom, dateTo } = {}) => {
+  const where = [{ field: 'userId', op: 'eq', value: userId }];
+  if (dateFrom) {
+    where.push({ field: 'dateApplied', op: 'gte', value: new Date(dateFrom).toISOString() });
+  }
+  if (dateTo) {
+    where.push({ field: 'dateApplied', op: 'lte', value: new Date(endOfDay(dateTo)).toISOString() });
+  }
+
+  const { items } = await jobs.query({ where, sort: [{ field: 'dateApplied', order: 'asc' }] });
+  return items;
+};
+
+/**
+ * The user's applications in the date range, with their status history
+ * @param {string|number} userId
+ * @param {{ dateFrom?: string, dateTo?: string }} [range] - On the application date
+ * @returns {Promise<Object[]>} See describeApplication
+ */
+const loadApplications = async (userId, range = {}) => {
+  const items = await loadJobs(userId, range);
+  if (!items.length) {
+    return [];
+  }
+
+  const { items: changes } = await history.query({
+    where: [{ field: 'jobId', op: 'in', value: items.map(job => job.id) }],
+    sort: [{ field: 'changedAt', order: 'asc' }]
+  });
+  const byJob = new Map();
+  changes.forEach((change) => {
+    const key = String(change.jobId);
+    byJob.set(key, [...(byJob.get(key) || []), change]);
+  });
+
+  return items.map(job => describeApplication(job, byJob.get(String(job.id)) || []));
+};
+
+// Counts and rates shared by the summary and each breakdown group
+const outcomeMetrics = (applications) => {
+  const total = applications.length;
+  const count = (predicate) => applications.filter(predicate).length;
+  const responded = count(app => app.responded);
+  const interviewing = count(app => app.rank >= INTERVIEWING);
+  const offers = count(app => app.rank >= OFFER);
+  const rejected = count(app => app.rejected);
+  const responseTimes = applications.map(app => app.responseMs).filter(ms => ms !== null);
+
+  return {
+    applications: total,
+    responded,
+    interviewing,
+    offers,
+    rejected,
+    responseRate: rate(responded, total),
+    interviewRate: rate(interviewing, total),
+    offerRate: rate(offers, total),
+    rejectionRate: rate(rejected, total),
+    medianDaysToFirstResponse: responseTimes.length ? days(median(responseTimes)) : null
+  };
+};
+
+/**
+ * Headline figures: response, interview, offer and rejection rates, the
+ * time to first response and how interviews went
+ * @param {string|number} userId
+ * @param {{ dateFrom?: string, dateTo?: string }} [range]
+ * @returns {Promise<Object>}
+ */
+const getSummary = async (userId, range = {}) => {
+  const applications = await loadApplications(userId, range);
+  const responseTimes = applications.map(app => app.responseMs).filter(ms => ms !== null);
+
+  const jobIds = new Set(applications.map(app => String(app.job.id)));
+  const held = (await interviews.list({ userId }))
+    .filter(interview => jobIds.has(String(interview.jobId)) && ['passed', 'failed'].includes(interview.outcome));
+  const passed = held.filter(interview => interview.outcome === 'passed').length;
+
+  return {
+    ...outcomeMetrics(applications),
+    active: applications.filter(app => app.open).length,
+    accepted: applications.filter(app => app.accepted).length,
+    withdrawn: applications.filter(app => app.withdrawn).length,
+    averageDaysToFirstResponse: responseTimes.length ? days(average(responseTimes)) : null,
+    interviewsHeld: held.length,
+    interviewsPassed: passed,
+    interviewSuccessRate: rate(passed, held.length)
+  };
+};
+
+/**
+ * How many applications are in each status now, for every status in the catalogue
+ * @param {string|number} userId
+ * @param {{ dateFrom?: string, dateTo?: string }} [range]
+ * @returns {Promise<Object[]>} [{ status, label, stage, color, terminal, count }]
+ */
+const getPipeline = async (userId, range = {}) => {
+  const counts = new Map();
+  (await loadJobs(userId, range)).forEach((job) => {
+    counts.set(job.status, (counts.get(job.status) || 0) + 1);
+  });
+
+  return getStatusCatalog().statuses.map(({ value, label, stage, color, terminal }) => ({
+    status: value,
+    label,
+    stage,
+    color,
+    terminal: Boolean(terminal),
+    count: counts.get(value) || 0
+  }));
+};
+
+/**
+ * How many applications reached each stage, with the conversion from the
+ * stage before and from the start
+ * @param {string|number} userId
+ * @param {{ dateFrom?: string, dateTo?: string }} [range]
+ * @returns {Promise<Object[]>} [{ stage, label, count, percentOfPrevious, percentOfTotal }]
+ */
+const getFunnel = async (userId, range = {}) => {
+  const applications = await loadApplications(userId, range);
+  const steps = [
+    ...funnelStages.map(({ stage, label }, index) => ({
+      stage,
+      label,
+      count: applications.filter(app => app.rank >= index).length
+    })),
+    { stage: 'accepted', label: 'Accepted', count: applications.filter(app => app.accepted).length }
+  ];
+
+  return steps.map((step, index) => ({
+    ...step,
+    percentOfPrevious: index ? rate(step.count, steps[index - 1].count) : rate(step.count, applications.length),
+    percentOfTotal: rate(step.count, applications.length)
+  }));
+};
+
+// First day of the week (Monday) or month containing a date, in UTC
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const nextPeriod = (start, interval) => (interval === 'month'
+  ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+  : new Date(start.getTime() + 7 * DAY_MS));
+
+/**
+ * Applications per week or month, including periods without any
+ * Periods run from dateFrom (or the first application) to dateTo (or now).
+ * @param {string|number} userId
+ * @param {{ interval?: string, dateFrom?: string, dateTo?: string }} [options] - interval is week (default) or month
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} [{ period, start, applications, responded }]; weeks start on Monday
+ */
+const getVolume = async (userId, { interval = 'week', ...range } = {}, now = new Date()) => {
+  const applications = (await loadApplications(userId, range)).filter(app => app.job.dateApplied);
+  if (!applications.length && !range.dateFrom) {
+    return [];
+  }
+
+  const first = range.dateFrom ? new Date(range.dateFrom) : new Date(applications[0].job.dateApplied);
+  const last = range.dateTo ? new Date(endOfDay(range.dateTo)) : now;
+  const periods = [];
+  for (let start = periodStart(first, interval); start <= last; start = nextPeriod(start, interval)) {
+    periods.push({
+      period: interval === 'month' ? start.toISOString().slice(0, 7) : start.toISOString().slice(0, 10),
+      start: start.toISOString(),
+      applications: 0,
+      responded: 0
+    });
+  }
+
+  const byPeriod = new Map(periods.map(period => [period.start, period]));
+  applications.forEach((app) => {
+    const period = byPeriod.get(periodStart(new Date(app.job.dateApplied), interval).toISOString());
+    if (period) {
+      period.applications += 1;
+      period.responded += app.responded ? 1 : 0;
+    }
+  });
+  return periods;
+};
+
+/**
+ * Average and median time spent in each status, over the stays that have
+ * ended; `current` counts the applications in the status now
+ * @param {string|number} userId
+ * @param {{ dateFrom?: string, dateTo?: string }} [range]
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} [{ status, label, stays, averageDays, medianDays, current }] in catalogue order
+ */
+const getTimeInStatus = async (userId, range = {}, now = new Date()) => {
+  const applications = await loadApplications(userId, range);
+  const stays = applications.flatMap(app => buildTimeline(app.changes, now));
+
+  return getStatusCatalog().statuses
+    .filter(status => !status.terminal)
+    .map(({ value, label }) => {
+      const ended = stays.filter(stay => stay.toStatus === value && !stay.isCurrent).map(stay => stay.durationMs);
+      return {
+        status: value,
+        label,
+        stays: ended.length,
+        averageDays: ended.length ? days(average(ended)) : null,
+        medianDays: ended.length ? days(median(ended)) : null,
+        current: applications.filter(app => app.job.status === value).length
+      };
+    });
+};
+
+// The groups an application falls in; a job is in one group per tag
+const groupKeys = {
+  company: job => [job.company],
+  location: job => [job.location],
+  source: job => [job.source],
+  tag: job => job.tags || []
+};
+
+/**
+ * Outcome metrics per company, location, tag or source, largest groups first
+ * Names are grouped whatever their case; applications without a location or
+ * source form a group named null.
+ * @param {string|number} userId
+ * @param {{ by: string, limit?: number, dateFrom?: string, dateTo?: string }} options - by is one of breakdownDimensions
+ * @returns {Promise<Object[]>} [{ name, applications, responded, ..., rejectionRate }]
+ */
+const getBreakdown = async (userId, { by, limit, ...range }) => {
+  const applications = await loadApplications(userId, range);
+  const groups = new Map();
+
+  applications.forEach((app) => {
+    groupKeys[by](app.job).forEach((value) => {
+      const name = typeof value === 'string' && value.trim() ? value.trim() : null;
+      const key = name === null ? null : name.toLowerCase();
+      const group = groups.get(key) || { name, applications: [] };
+      group.applications.push(app);
+      groups.set(key, group);
+    });
+  });
+
+  const rows = [...groups.values()]
+    .map(({ name, applications: grouped }) => ({ name, ...outcomeMetrics(grouped) }))
+    .sort((a, b) => b.applications - a.applications || String(a.name).localeCompare(String(b.name)));
+  return limit ? rows.slice(0, limit) : rows;
+};
+
+const jobSummary = (job) => job && { id: job.id, title: job.title, company: job.company, status: job.status };
+
+const humanize = (value) => String(value).replace(/_/g, ' ');
+
+/**
+ * The user's latest actions across applications: new applications, status
+ * changes, notes, interviews, documents, offers and negotiation rounds, and
+ * logged interactions with contacts
+ * @param {string|number} userId
+ * @param {{ limit?: number }} [options] - At most this many actions (default 10)
+ * @returns {Promise<Object[]>} [{ type, at, summary, detail, job, contactId }], newest first;
+ *   job is a summary of the application the action concerns, if any
+ */
+const getRecentActivity = async (userId, { limit = 10 } = {}) => {
+  const userJobs = await jobs.list({ userId });
+  const jobById = new Map(userJobs.map(job => [String(job.id), job]));
+  const jobIds = userJobs.map(job => job.id);
+  const ofUser = [{ field: 'userId', op: 'eq', value: userId }];
+  const ofJobs = [{ field: 'jobId', op: 'in', value: jobIds }];
+
+  // Each source's latest entries; the newest of them all are kept below
+  const latest = async (repository, where, field) => (where === ofJobs && !jobIds.length
+    ? []
+    : (await repository.query({ where, sort: [{ field, order: 'desc' }], limit })).items);
+
+  const [changes, jobNotes, jobInterviews, jobAttachments, userOffers, userInteractions] = await Promise.all([
+    latest(history, ofJobs, 'changedAt'),
+    latest(notes, ofJobs, 'createdAt'),
+    latest(interviews, ofUser, 'createdAt'),
+    latest(attachments, ofUser, 'createdAt'),
+    offers.list({ userId }),
+    latest(interactions, ofUser, 'createdAt')
+  ]);
+
+  const statusLabel = (status) => statusEntry(status).label || status;
+  const actions = [
+    ...changes.map(change => (change.fromStatus
+      ? { type: 'status', at: change.changedAt, jobId: change.jobId, summary: `Moved to ${statusLabel(change.toStatus)}`, detail: change.comment }
+      : { type: 'created', at: change.changedAt, jobId: change.jobId, summary: 'Added the application' })),
+    ...jobNotes.map(note => ({
+      type: 'note', at: note.createdAt, jobId: note.jobId, summary: `Wrote a ${humanize(note.category)} note`
+    })),
+    ...jobInterviews.map(interview => ({
+      type: 'interview', at: interview.createdAt, jobId: interview.jobId, summary: `Added a ${roundLabel(interview.roundType).toLowerCase()} interview`
+    })),
+    ...jobAttachments.map(attachment => ({
+      type: 'attachment', at: attachment.createdAt, jobId: attachment.jobId, summary: `Attached ${attachment.label || attachment.fileName}`
+    })),
+    ...userOffers.flatMap(offer => [
+      { type: 'offer', at: offer.createdAt, jobId: offer.jobId, summary: 'Recorded an offer' },
+      ...(offer.rounds || []).map(round => ({
+        type: 'negotiation',
+        at: round.createdAt,
+        jobId: offer.jobId,
+        summary: round.proposedBy === 'employer' ? 'Logged a revised offer' : 'Made a counter-offer',
+        detail: round.note
+      }))
+    ]),
+    ...userInteractions.map(interaction => ({
+      type: 'interaction', at: interaction.createdAt, jobId: interaction.jobId, contactId: interaction.contactId, summary: `Logged a ${humanize(interaction.type)}`
+    }))
+  ];
+
+  const newest = actions
+    .filter(action => action.at)
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+
+  return Promise.all(newest.map(async ({ jobId, contactId, detail, ...action }) => {
+    const contact = contactId ? await contacts.get(contactId) : null;
+    return {
+      ...action,
+      summary: contact ? `${action.summary} with ${contact.name}` : action.summary,
+      detail: detail || null,
+      job: jobId ? jobSummary(jobById.get(String(jobId))) || null : null,
+      contactId: contactId || null
+    };
+  }));
+};
+
+module.exports = {
+  MAX_ACTIVITY_LIMIT,
+  volumeIntervals,
+  breakdownDimensions,
+  getSummary,
+  getPipeline,
+  getFunnel,
+  getVolume,
+  getTimeInStatus,
+  getBreakdown,
+  getRecentActivity
+};
\ No newline at end of file
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getRepository } = require('../repositories');
+const { getStorage } = require('../storage');
+
+/**
+ * Attachment service
+ *
+ * Resumes, cover letters, offer letters and other documents sent with job
+ * applications. Files are stored once per user and content: uploading a
+ * resume that is already stored (same SHA-256) attaches the existing
+ * document, so every job it went to points at the same version. A document
+ * and its file are deleted once no job uses it any more.
+ */
+
+const attachmentKinds = ['resume', 'cover_letter', 'offer_letter', 'other'];
+
+// Largest accepted upload (ATTACHMENT_MAX_MB, default 10 MB)
+const MAX_ATTACHMENT_BYTES = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+// Accepted files by extension, with the bytes they must start with when the format has a signature
+const zipSignature = [0x50, 0x4b, 0x03, 0x04];
+const documentTypes = {
+  pdf: { mimeType: 'application/pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  doc: { mimeType: 'application/msword', signature: [0xd0, 0xcf, 0x11, 0xe0] },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: zipSignature },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', signature: zipSignature },
+  rtf: { mimeType: 'application/rtf', signature: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  txt: { mimeType: 'text/plain' },
+  md: { mimeType: 'text/markdown' },
+  png: { mimeType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  jpg: { mimeType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+  jpeg: { mimeType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] }
+};
+
+// Types browsers report for files they do not recognise
+const genericMimeTypes = ['application/octet-stream', ''];
+
+const attachments = getRepository('attachment');
+const documents = getRepository('document');
+const jobs = getRepository('job');
+
+/**
+ * Raised for uploads and attachments the client should be told about
+ */
+class AttachmentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check an uploaded file against the accepted document types
+ * The extension decides the type; the type the browser reported and the
+ * first bytes of the file must agree with it.
+ * @param {{ originalname: string, mimetype: string, buffer: Buffer }} file
+ * @returns {string} The MIME type to store the file with
+ * @throws {AttachmentError} 415 when the file is not an accepted document
+ */
+const documentMimeType = ({ originalname, mimetype, buffer }) => {
+  const extension = path.extname(originalname).slice(1).toLowerCase();
+  const type = documentTypes[extension];
+  const accepted = Object.keys(documentTypes).join(', ');
+
+  if (!type) {
+    throw new AttachmentError(`Files of this type cannot be attached. Accepted: ${accepted}`, 415);
+  }
+
+  const reported = String(mimetype || '').toLowerCase();
+  const sameType = reported === type.mimeType || genericMimeTypes.includes(reported)
+    // Plain text formats are reported inconsistently, e.g. text/x-markdown
+    || (type.mimeType.startsWith('text/') && reported.startsWith('text/'));
+  const signed = !type.signature || type.signature.every((byte, index) => buffer[index] === byte);
+
+  if (!sameType || !signed) {
+    throw new AttachmentError(`The file content does not match its .${extension} extension`, 415);
+  }
+  return type.mimeType;
+};
+
+// File names are shown and offered for download; keep them short and printable
+const cleanFileName = (name) => String(name || 'document')
+  .replace(/[\u0000-\u001f\u007f/\\]/g, '_')
+  .trim()
+  .slice(-255) || 'document';
+
+const documentSummary = ({ id, sha256, fileName, mimeType, size, createdAt }) =>
+  ({ id, sha256, fileName, mimeType, size, createdAt });
+
+const jobSummary = (job) => ({ id: job.id, title: job.title, company: job.company, status: job.status });
+
+// Add the document and the other jobs it was sent with to each attachment
+const describeAttachments = async (list) => {
+  const documentIds = [...new Set(list.map(attachment => String(attachment.documentId)))];
+  const details = new Map(await Promise.all(documentIds.map(async (documentId) => {
+    const document = await documents.get(documentId);
+    const uses = await attachments.list({ documentId: document.id });
+    const usedBy = await Promise.all(uses.map(use => jobs.get(use.jobId)));
+    return [documentId, { document, uses: uses.map((use, index) => ({ use, job: usedBy[index] })) }];
+  })));
+
+  return list.map((attachment) => {
+    const { document, uses } = details.get(String(attachment.documentId));
+    return {
+      ...attachment,
+      document: documentSummary(document),
+      sentWith: uses
+        .filter(({ use, job }) => job && String(use.jobId) !== String(attachment.jobId))
+        .map(({ job }) => jobSummary(job))
+    };
+  });
+};
+
+/**
+ * Documents attached to a job, newest first
+ * Each comes with its `document` and `sentWith`, the other jobs the same file was sent with.
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>}
+ */
+const listJobAttachments = async (jobId) => describeAttachments(await attachments.list({ jobId }));
+
+/**
+ * @param {string|number} attachmentId
+ * @returns {Promise<Object|null>}
+ */
+const getAttachment = (attachmentId) => (attachments.isValidId(attachmentId) ? attachments.get(attachmentId) : null);
+
+/**
+ * @param {string|number} documentId
+ * @returns {Promise<Object|null>}
+ */
+const getDocument = (documentId) => (documents.isValidId(documentId) ? documents.get(documentId) : null);
+
+/**
+ * Attach a stored document to a job
+ * Attaching a document the job already has updates its kind and label instead.
+ * @param {Object} job
+ * @param {Object} document
+ * @param {{ kind?: string, label?: string, fileName?: string }} details
+ * @returns {Promise<{ attachment: Object, created: boolean }>}
+ */
+const attachDocument = async (job, document, { kind, label, fileName }) => {
+  const [existing] = await attachments.list({ jobId: job.id, documentId: document.id });
+  const record = {
+    ...(kind !== undefined ? { kind } : {}),
+    ...(label !== undefined ? { label: label || null } : {})
+  };
+
+  const attachment = existing
+    ? await attachments.update(existing.id, record)
+    : await attachments.create({
+      userId: job.userId,
+      jobId: job.id,
+      documentId: document.id,
+      kind: 'other',
+      label: null,
+      fileName: fileName || document.fileName,
+      ...record
+    });
+
+  const [described] = await describeAttachments([attachment]);
+  return { attachment: described, created: !existing };
+};
+
+/**
+ * Store an uploaded file and attach it to a job
+ * A file the user already stored is not stored again; its document is reused.
+ * @param {Object} job
+ * @param {{ originalname: string, mimetype: string, size: number, buffer: Buffer }} file - From multer
+ * @param {{ kind?: string, label?: string }} details
+ * @returns {Promise<{ attachment: Object, created: boolean, deduplicated: boolean }>}
+ * @throws {AttachmentError} 413 when the file is too large, 415 when its type is not accepted
+ */
+const attachUpload = async (job, file, details) => {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`Files cannot exceed ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`, 413);
+  }
+  if (file.size === 0) {
+    throw new AttachmentError('The file is empty', 400);
+  }
+
+  const mimeType = documentMimeType(file);
+  const fileName = cleanFileName(file.originalname);
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  let [document] = await documents.list({ userId: job.userId, sha256 });
+  const deduplicated = Boolean(document);
+
+  if (!document) {
+    const storageKey = `${job.userId}/${sha256}`;
+    await getStorage().put(storageKey, file.buffer, { contentType: mimeType });
+    document = await documents.create({ userId: job.userId, sha256, fileName, mimeType, size: file.size, storageKey });
+  }
+
+  const result = await attachDocument(job, document, { ...details, fileName });
+  return { ...result, deduplicated };
+};
+
+/**
+ * Stream the file of a document
+ * @param {Object} document
+ * @returns {Promise<import('stream').Readable>}
+ * @throws {AttachmentError} 404 when the file is missing from storage
+ */
+const openDocument = async (document) => {
+  const stream = await getStorage().get(document.storageKey);
+  if (!stream) {
+    throw new AttachmentError('The file of this document is missing from storage', 404);
+  }
+  return stream;
+};
+
+/**
+ * A user's documents, newest first, each with the jobs it was sent with
+ * @param {string|number} userId
+ * @param {{ kind?: string }} [filters] - Only documents attached at least once as this kind
+ * @returns {Promise<Object[]>}
+ */
+const listDocuments = async (userId, { kind } = {}) => {
+  const userAttachments = await attachments.list({ userId });
+
+  const described = await Promise.all((await documents.list({ userId })).map(async (document) => {
+    const uses = userAttachments.filter(attachment => String(attachment.documentId) === String(document.id));
+    const usedBy = await Promise.all(uses.map(use => jobs.get(use.jobId)));
+    return {
+      ...documentSummary(document),
+      kinds: [...new Set(uses.map(use => use.kind))],
+      labels: [...new Set(uses.map(use => use.label).filter(Boolean))],
+      sentWith: usedBy.filter(Boolean).map(jobSummary)
+    };
+  }));
+
+  return kind ? described.filter(document => document.kinds.includes(kind)) : described;
+};
+
+// Delete a document and its file once nothing is attached to it
+const deleteUnusedDocument = async (documentId) => {
+  const [use] = await attachments.list({ documentId });
+  const document = use ? null : await documents.get(documentId);
+
+  if (document) {
+    await documents.delete(document.id);
+    await getStorage().delete(document.storageKey);
+  }
+};
+
+/**
+ * Remove a document from a job; the file goes too when no other job uses it
+ * @param {Object} attachment
+ * @returns {Promise<Object|null>} The removed attachment
+ */
+const detachAttachment = async (attachment) => {
+  const removed = await attachments.delete(attachment.id);
+  await deleteUnusedDocument(attachment.documentId);
+  return removed;
+};
+
+/**
+ * Remove every attachment of a job, e.g. when the job itself is deleted
+ * @param {string|number} jobId
+ * @returns {Promise<void>}
+ */
+const deleteJobAttachments = async (jobId) => {
+  const jobAttachments = await attachments.list({ jobId });
+  for (const attachment of jobAttachments) {
+    await detachAttachment(attachment);
+  }
+};
+
+module.exports = {
+  attachmentKinds,
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  listJobAttachments,
+  getAttachment,
+  getDocument,
+  attachDocument,
+  attachUpload,
+  openDocument,
+  listDocuments,
+  detachAttachment,
+  deleteJobAttachments
+};
\ No newline at end of file
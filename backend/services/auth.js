@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { getRepository } = require('../repositories');
+const { createSession, rotateSession, revokeAllSessions } = require('./sessions');
+const { RESET_TTL_MINUTES, createResetToken, consumeResetToken } = require('./passwordResets');
+const { sendMail, appUrl } = require('../mail');
+const { resolveCompanyId } = require('./companies');
+const { adoptJobNotes } = require('./notes');
+const { resolveTags } = require('./tags');
+const { passwordResetEmail } = require('../mail/templates');
+
+/**
+ * Authentication service
+ *
+ * Registers and logs in users (AC-5.1, AC-5.2). Each login starts a session
+ * (services/sessions.js) and returns a short-lived access token (a JWT that
+ * middleware/auth.js verifies) plus a refresh token for getting the next one.
+ * Passwords are stored as bcrypt hashes and can be reset through a link
+ * sent by email (AC-5.3).
+ */
+
+const BCRYPT_ROUNDS = 12;
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+const users = getRepository('user');
+const jobs = getRepository('job');
+
+/**
+ * Raised for registration and login failures the client should see
+ */
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Without JWT_SECRET tokens are signed with a per-process key, so every
+// restart logs everybody out. That is only acceptable outside production.
+const jwtSecret = (() => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET is not set; using a temporary key (tokens expire on restart)');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// Password strength rules from AC-5.1
+const passwordRules = [
+  { test: password => password.length >= 8, message: 'at least 8 characters' },
+  { test: password => /[A-Z]/.test(password), message: 'an uppercase letter' },
+  { test: password => /[a-z]/.test(password), message: 'a lowercase letter' },
+  { test: password => /\d/.test(password), message: 'a number' }
+];
+
+/**
+ * Rules a password does not satisfy
+ * @param {string} password
+ * @returns {string[]} e.g. ['an uppercase letter'], empty when the password is strong enough
+ */
+const passwordProblems = (password) =>
+  passwordRules.filter(rule => !rule.test(String(password || ''))).map(rule => rule.message);
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * A user record without secrets, safe to send to clients
+ * @param {Object} user
+ * @returns {Object}
+ */
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+/**
+ * @param {Object} user
+ * @param {Object} session - The session the token belongs to
+ * @returns {string} Signed access token identifying the user and session
+ */
+const issueToken = (user, session) =>
+  jwt.sign({ id: user.id, sid: session.id }, jwtSecret, { expiresIn: TOKEN_EXPIRES_IN });
+
+// Response payload for a successful login, registration or refresh
+const authResult = (user, { session, refreshToken }) => ({
+  user: toPublicUser(user),
+  token: issueToken(user, session),
+  refreshToken
+});
+
+/**
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ * @throws {Error} When the token is invalid or expired
+ */
+const verifyToken = (token) => jwt.verify(token, jwtSecret);
+
+const findByEmail = async (email) => {
+  const [user] = await users.list({ email: normalizeEmail(email) });
+  return user || null;
+};
+
+// Jobs tracked before accounts existed have no owner; the first account adopts them
+const adoptOwnerlessJobs = async (user) => {
+  const { items } = await jobs.query({ where: [{ field: 'userId', op: 'isNull' }] });
+  // One at a time, so jobs naming the same company or tag share one record
+  for (const job of items) {
+    await jobs.update(job.id, {
+      userId: user.id,
+      companyId: await resolveCompanyId(user.id, job.company),
+      tags: await resolveTags(user.id, job.tags || [])
+    });
+    await adoptJobNotes(job.id, user.id);
+  }
+};
+
+/**
+ * Create an account and log it in
+ * @param {{ email: string, password: string, name?: string }} details
+ * @param {{ userAgent?: string, ipAddress?: string }} [client] - Recorded on the session
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string }>}
+ * @throws {AuthError} 409 when the email is already registered
+ */
+const register = async ({ email, password, name }, client) => {
+  if (await findByEmail(email)) {
+    throw new AuthError('An account with this email already exists', 409);
+  }
+
+  const user = await users.create({
+    email: normalizeEmail(email),
+    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    name: name || null
+  });
+
+  const { total } = await users.query({ limit: 1 });
+  if (total === 1) {
+    await adoptOwnerlessJobs(user);
+  }
+
+  return authResult(user, await createSession(user.id, client));
+};
+
+/**
+ * Check credentials and start a session
+ * @param {{ email: string, password: string }} credentials
+ * @param {{ userAgent?: string, ipAddress?: string }} [client] - Recorded on the session
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string }>}
+ * @throws {AuthError} 401 for an unknown email or a wrong password
+ */
+const login = async ({ email, password }, client) => {
+  const user = await findByEmail(email);
+  const valid = user && await bcrypt.compare(String(password), user.passwordHash);
+
+  if (!valid) {
+    // Same answer for both cases so accounts cannot be discovered
+    throw new AuthError('Invalid email or password', 401);
+  }
+
+  return authResult(user, await createSession(user.id, client));
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token
+ * @param {string} refreshToken
+ * @param {{ userAgent?: string, ipAddress?: string }} [client]
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string }>}
+ * @throws {SessionError|AuthError} 401 when the token cannot be used
+ */
+const refresh = async (refreshToken, client) => {
+  const rotated = await rotateSession(refreshToken, client);
+  const user = await users.get(rotated.session.userId);
+
+  if (!user) {
+    throw new AuthError('Account no longer exists', 401);
+  }
+  return authResult(user, rotated);
+};
+
+/**
+ * Email a password reset link, if an account uses the address
+ * Unknown addresses are silently ignored so accounts cannot be discovered.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const user = await findByEmail(email);
+  if (!user) {
+    return;
+  }
+
+  const token = await createResetToken(user.id);
+  const resetUrl = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  await sendMail({ to: user.email, ...passwordResetEmail(user, resetUrl, RESET_TTL_MINUTES) });
+};
+
+/**
+ * Set a new password with a token from a reset email
+ * Every session of the user is revoked, so they log in again with the new password.
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<void>}
+ * @throws {AuthError} 400 when the token is unknown, expired or already used
+ */
+const resetPassword = async (token, password) => {
+  const userId = await consumeResetToken(token);
+  const user = userId !== null && await users.get(userId);
+
+  if (!user) {
+    throw new AuthError('This reset link is invalid or has expired', 400);
+  }
+
+  await users.update(user.id, { passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+  await revokeAllSessions(user.id);
+};
+
+module.exports = {
+  AuthError,
+  passwordProblems,
+  toPublicUser,
+  issueToken,
+  verifyToken,
+  register,
+  login,
+  refresh,
+  requestPasswordReset,
+  resetPassword
+};
\ No newline at end of file
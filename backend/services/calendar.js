@@ -0,0 +1,229 @@
+const { getRepository } = require('../repositories');
+const { roundLabel, updateInterview } = require('./interviews');
+const { saveOffer } = require('./offers');
+const { updateReminder } = require('./reminders');
+const { calendarStart, calendarEnd, icsDateTime, icsLines, icsEvent } = require('./ics');
+
+/**
+ * Calendar service
+ *
+ * Gathers what is on a user's calendar - interviews, application deadlines,
+ * offer deadlines and open reminders - as events of one shape, and moves an
+ * event to a new date by changing the record behind it, with the same side
+ * effects as editing that record directly (an offer's deadline reminder
+ * follows its deadline, for one). Event ids are `<type>-<record id>`.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far back and ahead the subscribable feed reaches
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+const jobs = getRepository('job');
+const interviews = getRepository('interview');
+const offers = getRepository('offer');
+const reminders = getRepository('reminder');
+const contacts = getRepository('contact');
+
+const jobSummary = (job) => job && { id: job.id, title: job.title, company: job.company, status: job.status };
+
+// Deadlines are kept as midnight UTC and shown as all-day events
+const dateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+const startOfDay = (value) => new Date(dateOnly(value)).toISOString();
+
+// Where each type of event comes from and how moving it changes the record
+const eventSources = {
+  interview: {
+    repository: interviews,
+    dateField: 'startsAt',
+    where: [{ field: 'outcome', op: 'in', value: ['pending', 'passed', 'failed'] }],
+    jobId: (interview) => interview.jobId,
+    describe: (interview) => ({
+      title: `${roundLabel(interview.roundType)} interview`,
+      start: interview.startsAt,
+      end: interview.endsAt || null,
+      allDay: false,
+      location: interview.location || interview.videoLink || null,
+      description: interview.prepNotes || null
+    }),
+    // The interview keeps its length unless a new end is given
+    move: async (interview, { start, end }) => {
+      const length = interview.endsAt ? new Date(interview.endsAt) - new Date(interview.startsAt) : null;
+      const endsAt = end || (length === null ? null : new Date(new Date(start).getTime() + length).toISOString());
+      return (await updateInterview(interview, { startsAt: start, endsAt })).interview;
+    }
+  },
+  deadline: {
+    repository: jobs,
+    dateField: 'deadline',
+    where: [],
+    jobId: (job) => job.id,
+    describe: (job) => ({
+      title: 'Application deadline',
+      start: dateOnly(job.deadline),
+      end: null,
+      allDay: true,
+      location: job.location || null,
+      description: null
+    }),
+    move: (job, { start }) => jobs.update(job.id, { deadline: startOfDay(start) })
+  },
+  offer: {
+    repository: offers,
+    dateField: 'deadline',
+    where: [],
+    jobId: (offer) => offer.jobId,
+    describe: (offer) => ({
+      title: 'Offer deadline',
+      start: dateOnly(offer.deadline),
+      end: null,
+      allDay: true,
+      location: null,
+      description: null
+    }),
+    move: async (offer, { start }) => (await saveOffer(await jobs.get(offer.jobId), { deadline: startOfDay(start) })).offer
+  },
+  reminder: {
+    repository: reminders,
+    dateField: 'remindAt',
+    where: [{ field: 'status', op: 'in', value: ['pending', 'due'] }],
+    jobId: (reminder) => reminder.jobId,
+    describe: (reminder) => ({
+      title: 'Follow up',
+      start: reminder.remindAt,
+      end: null,
+      allDay: false,
+      location: null,
+      description: reminder.note || null
+    }),
+    move: (reminder, { start }) => updateReminder(reminder, { remindAt: new Date(start).toISOString() })
+  }
+};
+
+const calendarEventTypes = Object.keys(eventSources);
+
+// Build events for records of one type, looking up each job and contact once
+const toEvents = async (type, records, cache = new Map()) => {
+  const lookup = (name, repository, id) => {
+    const key = `${name}-${id}`;
+    if (!cache.has(key)) {
+      cache.set(key, repository.get(id));
+    }
+    return cache.get(key);
+  };
+  const source = eventSources[type];
+
+  return Promise.all(records.map(async (record) => {
+    const jobId = source.jobId(record);
+    const hasJob = jobId !== null && jobId !== undefined;
+    const hasContact = record.contactId !== null && record.contactId !== undefined;
+    const contact = hasContact ? await lookup('contact', contacts, record.contactId) : null;
+
+    return {
+      id: `${type}-${record.id}`,
+      type,
+      ...source.describe(record),
+      jobId: hasJob ? jobId : null,
+      job: hasJob ? jobSummary(type === 'deadline' ? record : await lookup('job', jobs, jobId)) || null : null,
+      contactId: hasContact ? record.contactId : null,
+      contact: contact && { id: contact.id, name: contact.name, company: contact.company }
+    };
+  }));
+};
+
+/**
+ * A user's events starting in a period, earliest first
+ * @param {string|number} userId
+ * @param {{ from: string|Date, to: string|Date, types?: string[] }} range - `to` is exclusive
+ * @returns {Promise<Object[]>} Events: { id, type, title, start, end, allDay, location,
+ *   description, jobId, job, contactId, contact }; all-day events start on a YYYY-MM-DD date
+ */
+const listCalendarEvents = async (userId, { from, to, types = calendarEventTypes }) => {
+  const cache = new Map();
+  const lists = await Promise.all(types.map(async (type) => {
+    const { repository, dateField, where } = eventSources[type];
+    const { items } = await repository.query({
+      where: [
+        { field: 'userId', op: 'eq', value: userId },
+        { field: dateField, op: 'gte', value: new Date(from).toISOString() },
+        { field: dateField, op: 'lt', value: new Date(to).toISOString() },
+        ...where
+      ]
+    });
+    return toEvents(type, items, cache);
+  }));
+
+  return lists.flat().sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * Move one of the user's events; all-day events move to the day of `start`
+ * @param {string|number} userId
+ * @param {string} eventId - `<type>-<record id>`
+ * @param {{ start: string, end?: string }} when - `end` only applies to interviews
+ * @returns {Promise<Object|null>} The moved event, or null when the user has no such event
+ */
+const rescheduleEvent = async (userId, eventId, { start, end }) => {
+  const separator = String(eventId).indexOf('-');
+  const type = String(eventId).slice(0, separator);
+  const recordId = String(eventId).slice(separator + 1);
+  const source = calendarEventTypes.includes(type) ? eventSources[type] : null;
+
+  if (!source || !source.repository.isValidId(recordId)) {
+    return null;
+  }
+  const record = await source.repository.get(recordId);
+  const matches = source.where.every(({ field, value }) => value.includes(record && record[field]));
+  if (!record || String(record.userId) !== String(userId) || !record[source.dateField] || !matches) {
+    return null;
+  }
+
+  const moved = await source.move(record, { start, end });
+  const [event] = await toEvents(type, [moved]);
+  return event;
+};
+
+const feedSummary = (event) => {
+  if (event.job) return `${event.title}: ${event.job.title} at ${event.job.company}`;
+  if (event.contact) return `${event.title}: ${event.contact.name}`;
+  return event.title;
+};
+
+/**
+ * The user's calendar as an iCalendar document, for the subscribable feed
+ * @param {string|number} userId
+ * @param {Date} [now]
+ * @returns {Promise<string>}
+ */
+const calendarFeedIcs = async (userId, now = new Date()) => {
+  const events = await listCalendarEvents(userId, {
+    from: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+    to: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS)
+  });
+  const stamp = icsDateTime(now);
+
+  return icsLines([
+    ...calendarStart,
+    'X-WR-CALNAME:JINDER job search',
+    ...events.flatMap(event => icsEvent({
+      uid: event.id,
+      start: event.start,
+      // Interviews without an end time are blocked out for an hour
+      end: event.type === 'interview' ? event.end || new Date(new Date(event.start).getTime() + HOUR_MS).toISOString() : null,
+      allDay: event.allDay,
+      summary: feedSummary(event),
+      description: event.description,
+      location: event.location
+    }, stamp)),
+    ...calendarEnd
+  ]);
+};
+
+module.exports = {
+  calendarEventTypes,
+  listCalendarEvents,
+  rescheduleEvent,
+  calendarFeedIcs
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { getRepository } = require('../repositories');
+
+/**
+ * Calendar feed token service
+ *
+ * A user can subscribe to their calendar from another app through a URL
+ * that carries a token instead of a login. Like password reset tokens it
+ * looks like `<record id>.<secret>` and only a hash of the secret is
+ * stored, so the URL is shown once; issuing a new one or revoking the
+ * feed stops the old URL working.
+ */
+
+const feeds = getRepository('calendarFeed');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * @param {string|number} userId
+ * @returns {Promise<Object|null>} The user's feed, without its token
+ */
+const getCalendarFeed = async (userId) => {
+  const [feed] = await feeds.list({ userId });
+  return feed || null;
+};
+
+/**
+ * Revoke the user's feed, if they have one
+ * @param {string|number} userId
+ * @returns {Promise<boolean>} Whether there was a feed to revoke
+ */
+const revokeCalendarFeed = async (userId) => {
+  const existing = await feeds.list({ userId });
+  await Promise.all(existing.map(({ id }) => feeds.delete(id)));
+  return existing.length > 0;
+};
+
+/**
+ * Issue a feed token, revoking the previous one
+ * @param {string|number} userId
+ * @returns {Promise<{ feed: Object, token: string }>}
+ */
+const createCalendarFeed = async (userId) => {
+  await revokeCalendarFeed(userId);
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const feed = await feeds.create({ userId, tokenHash: hashSecret(secret), lastUsedAt: null });
+
+  return { feed, token: `${feed.id}.${secret}` };
+};
+
+/**
+ * Find the user a feed token belongs to, noting that the feed was read
+ * @param {string} token
+ * @returns {Promise<string|number|null>} The user, or null for an unknown or revoked token
+ */
+const userForFeedToken = async (token) => {
+  const [feedId, secret] = String(token).split('.');
+  const feed = secret && feeds.isValidId(feedId) ? await feeds.get(feedId) : null;
+
+  if (!feed || hashSecret(secret) !== feed.tokenHash) {
+    return null;
+  }
+
+  await feeds.update(feed.id, { lastUsedAt: new Date().toISOString() });
+  return feed.userId;
+};
+
+module.exports = {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  userForFeedToken
+};
\ No newline at end of file
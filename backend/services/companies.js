@@ -0,0 +1,358 @@
+const { getRepository } = require('../repositories');
+const { statuses } = require('../config/statuses');
+const { listJobInterviews } = require('./interviews');
+const { normalizeCompanyName } = require('./companyNames');
+
+/**
+ * Company service
+ *
+ * Jobs and contacts name their company as free text. Each name is matched
+ * to a company record by its normalised form ("Google LLC" and "google"
+ * both become "google") or by one of the company's aliases, and a record is
+ * created for names seen for the first time. Records that still describe
+ * the same employer ("Alphabet" and "Google") can be merged; the merged
+ * names become aliases so later jobs under those names land in the right
+ * place.
+ */
+
+const companySizes = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+'];
+
+const companies = getRepository('company');
+const jobs = getRepository('job');
+const contacts = getRepository('contact');
+const jobContacts = getRepository('jobContact');
+
+const companyFields = ['name', 'website', 'industry', 'size', 'headquarters', 'notes'];
+
+/**
+ * Raised when a company change would make two companies match the same name
+ */
+class CompanyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CompanyError';
+    this.status = status;
+  }
+}
+
+// Every key a company answers to
+const matchKeys = (company) => [company.normalizedName, ...(company.aliases || []).map(normalizeCompanyName)];
+
+// Optional text fields are stored as null rather than empty strings
+const companyRecord = (details) => Object.fromEntries(companyFields
+  .filter(field => details[field] !== undefined)
+  .map(field => [field, details[field] === '' ? null : details[field]]));
+
+/**
+ * @param {string|number} companyId
+ * @returns {Promise<Object|null>}
+ */
+const getCompany = (companyId) => (companies.isValidId(companyId) ? companies.get(companyId) : null);
+
+/**
+ * The user's company a name belongs to, by normalised name or alias
+ * @param {string|number} userId
+ * @param {string} name
+ * @param {Object[]} [known] - The user's companies, when already loaded
+ * @returns {Promise<Object|null>}
+ */
+const findCompanyByName = async (userId, name, known) => {
+  const key = normalizeCompanyName(name);
+  const candidates = known || await companies.list({ userId });
+  return key ? candidates.find(company => matchKeys(company).includes(key)) || null : null;
+};
+
+// Refuse names or aliases another company of the user already answers to
+const assertNamesAvailable = async (userId, names, exceptId) => {
+  const others = (await companies.list({ userId }))
+    .filter(company => String(company.id) !== String(exceptId));
+
+  for (const name of names) {
+    const taken = await findCompanyByName(userId, name, others);
+    if (taken) {
+      throw new CompanyError(`"${name}" already belongs to ${taken.name}; merge the companies instead`, 409);
+    }
+  }
+};
+
+/**
+ * @param {string|number} userId
+ * @param {Object} details - name plus any of aliases, website, industry, size, headquarters, notes
+ * @returns {Promise<Object>}
+ * @throws {CompanyError} 409 when another company already has the name or an alias
+ */
+const createCompany = async (userId, details) => {
+  const aliases = details.aliases || [];
+  await assertNamesAvailable(userId, [details.name, ...aliases]);
+
+  return companies.create({
+    userId,
+    website: null,
+    industry: null,
+    size: null,
+    headquarters: null,
+    notes: null,
+    ...companyRecord(details),
+    normalizedName: normalizeCompanyName(details.name),
+    aliases
+  });
+};
+
+/**
+ * @param {Object} company
+ * @param {Object} changes - Any of the fields createCompany takes
+ * @returns {Promise<Object>}
+ * @throws {CompanyError} 409 when another company already has the name or an alias
+ */
+const updateCompany = async (company, changes) => {
+  const names = [changes.name, ...(changes.aliases || [])].filter(name => name !== undefined);
+  await assertNamesAvailable(company.userId, names, company.id);
+
+  return companies.update(company.id, {
+    ...companyRecord(changes),
+    ...(changes.name !== undefined ? { normalizedName: normalizeCompanyName(changes.name) } : {}),
+    ...(changes.aliases !== undefined ? { aliases: changes.aliases } : {})
+  });
+};
+
+/**
+ * The company record for a free-text name, created when the user has none yet
+ * @param {string|number} userId
+ * @param {string} name
+ * @returns {Promise<Object|null>} Null for a blank name
+ */
+const resolveCompany = async (userId, name) => {
+  if (!normalizeCompanyName(name)) {
+    return null;
+  }
+  return await findCompanyByName(userId, name) || companies.create({
+    userId,
+    name: String(name).trim(),
+    normalizedName: normalizeCompanyName(name),
+    aliases: [],
+    website: null,
+    industry: null,
+    size: null,
+    headquarters: null,
+    notes: null
+  });
+};
+
+/**
+ * ID of the company a free-text name belongs to, for storing on a job or contact
+ * @param {string|number} userId
+ * @param {string} name
+ * @returns {Promise<string|number|null>}
+ */
+const resolveCompanyId = async (userId, name) => {
+  const company = await resolveCompany(userId, name);
+  return company ? company.id : null;
+};
+
+/**
+ * A user's companies, by name, each with how many applications it has
+ * @param {string|number} userId
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Matches name, aliases, industry, headquarters and notes
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+const listCompanies = async (userId, { q, page = 1, limit = 20 } = {}) => {
+  let matches = await companies.list({ userId });
+
+  if (q) {
+    const term = q.toLowerCase();
+    const key = normalizeCompanyName(q);
+    matches = matches.filter(company =>
+      [company.name, company.industry, company.headquarters, company.notes, ...(company.aliases || [])]
+        .some(value => String(value || '').toLowerCase().includes(term))
+      || (key && matchKeys(company).includes(key)));
+  }
+
+  const items = await Promise.all(matches.slice((page - 1) * limit, page * limit).map(async company => ({
+    ...company,
+    applicationCount: (await jobs.list({ companyId: company.id })).length
+  })));
+  return { items, total: matches.length };
+};
+
+const statusInfo = (value) => statuses.find(status => status.value === value) || {};
+
+// How the applications to a company went
+const summarizeOutcomes = (applications) => {
+  const count = (test) => applications.filter(test).length;
+  return {
+    applications: applications.length,
+    active: count(job => !statusInfo(job.status).terminal),
+    interviewing: count(job => statusInfo(job.status).stage === 'interviewing'),
+    offers: count(job => statusInfo(job.status).stage === 'offer'),
+    accepted: count(job => job.status === 'offer_accepted'),
+    rejected: count(job => job.status === 'rejected'),
+    withdrawn: count(job => job.status === 'withdrawn')
+  };
+};
+
+/**
+ * Everything the user has done with a company: applications (newest
+ * first), the people they know there, interviews and how it all went
+ * @param {Object} company
+ * @returns {Promise<{ applications: Object[], contacts: Object[], interviews: Object[], outcomes: Object }>}
+ */
+const getCompanyOverview = async (company) => {
+  const applications = (await jobs.list({ companyId: company.id }))
+    .map(({ id, title, company: name, status, dateApplied, location, updatedAt }) =>
+      ({ id, title, company: name, status, dateApplied, location, updatedAt }))
+    .sort((a, b) => String(b.dateApplied).localeCompare(String(a.dateApplied)));
+
+  // People working there, and anyone linked to one of its applications
+  const people = new Map((await contacts.list({ companyId: company.id })).map(contact => [String(contact.id), contact]));
+  for (const job of applications) {
+    for (const link of await jobContacts.list({ jobId: job.id })) {
+      if (!people.has(String(link.contactId))) {
+        const contact = await contacts.get(link.contactId);
+        if (contact) people.set(String(contact.id), contact);
+      }
+    }
+  }
+
+  const interviews = [];
+  for (const job of applications) {
+    for (const interview of await listJobInterviews(job.id)) {
+      interviews.push({ ...interview, job: { id: job.id, title: job.title, status: job.status } });
+    }
+  }
+  interviews.sort((a, b) => String(b.startsAt).localeCompare(String(a.startsAt)));
+
+  return {
+    applications,
+    contacts: [...people.values()]
+      .map(({ id, name, role, email, companyId, lastContactedAt }) =>
+        ({ id, name, role, email, worksHere: String(companyId) === String(company.id), lastContactedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    interviews,
+    outcomes: summarizeOutcomes(applications)
+  };
+};
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const websiteHost = (website) => {
+  try {
+    return new URL(website).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Why two companies might be the same employer, or null
+const duplicateReason = (a, b) => {
+  const hostA = a.website && websiteHost(a.website);
+  if (hostA && hostA === (b.website && websiteHost(b.website))) {
+    return 'same website';
+  }
+  const [nameA, nameB] = [a.normalizedName, b.normalizedName];
+  if (Math.min(nameA.length, nameB.length) >= 5 && editDistance(nameA, nameB) <= 2) {
+    return 'similar name';
+  }
+  const [firstA, firstB] = [nameA.split(' ')[0], nameB.split(' ')[0]];
+  if (firstA.length >= 4 && firstA === firstB) {
+    return 'same first word';
+  }
+  return null;
+};
+
+/**
+ * Pairs of the user's companies that look like the same employer
+ * @param {string|number} userId
+ * @returns {Promise<{ companies: Object[], reason: string }[]>}
+ */
+const findDuplicateCandidates = async (userId) => {
+  const all = await companies.list({ userId });
+  const pairs = [];
+
+  all.forEach((company, index) => {
+    all.slice(index + 1).forEach((other) => {
+      const reason = duplicateReason(company, other);
+      if (reason) {
+        pairs.push({ companies: [company, other], reason });
+      }
+    });
+  });
+  return pairs;
+};
+
+/**
+ * Fold companies into another one. Their jobs and contacts move over,
+ * their names become aliases and details the target lacks are copied.
+ * @param {Object} target - The company that remains
+ * @param {Object[]} sources - Companies of the same user to merge into it
+ * @returns {Promise<Object>} The updated target
+ */
+const mergeCompanies = async (target, sources) => {
+  const aliases = [...(target.aliases || [])];
+  const keys = new Set(matchKeys(target));
+  const details = {};
+
+  for (const source of sources) {
+    for (const name of [source.name, ...(source.aliases || [])]) {
+      if (!keys.has(normalizeCompanyName(name))) {
+        keys.add(normalizeCompanyName(name));
+        aliases.push(name);
+      }
+    }
+    for (const field of companyFields.filter(field => field !== 'name')) {
+      if (!target[field] && !details[field] && source[field]) {
+        details[field] = source[field];
+      }
+    }
+
+    await Promise.all((await jobs.list({ companyId: source.id })).map(job => jobs.update(job.id, { companyId: target.id })));
+    await Promise.all((await contacts.list({ companyId: source.id })).map(contact => contacts.update(contact.id, { companyId: target.id })));
+    await companies.delete(source.id);
+  }
+
+  return companies.update(target.id, { ...details, aliases });
+};
+
+/**
+ * Delete a company nothing is filed under any more
+ * @param {Object} company
+ * @returns {Promise<Object|null>} The deleted company
+ * @throws {CompanyError} 409 while applications still belong to it
+ */
+const deleteCompany = async (company) => {
+  if ((await jobs.list({ companyId: company.id })).length > 0) {
+    throw new CompanyError('Companies with applications cannot be deleted; merge them instead', 409);
+  }
+
+  const staff = await contacts.list({ companyId: company.id });
+  await Promise.all(staff.map(contact => contacts.update(contact.id, { companyId: null })));
+  return companies.delete(company.id);
+};
+
+module.exports = {
+  CompanyError,
+  companySizes,
+  getCompany,
+  findCompanyByName,
+  createCompany,
+  updateCompany,
+  resolveCompany,
+  resolveCompanyId,
+  listCompanies,
+  getCompanyOverview,
+  findDuplicateCandidates,
+  mergeCompanies,
+  deleteCompany
+};
\ No newline at end of file
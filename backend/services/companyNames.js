@@ -0,0 +1,41 @@
+/**
+ * Company name helpers
+ *
+ * Jobs and contacts name their company as free text ("Google LLC",
+ * "google", "Google, L.L.C."); company records are matched on a
+ * normalised form that ignores case, punctuation and legal forms.
+ */
+
+// Legal forms dropped from the end of company names before matching
+const legalSuffixes = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'kg', 'sa', 'sas', 'sarl', 'srl', 'spa',
+  'bv', 'nv', 'ab', 'as', 'oy', 'pty', 'pte', 'se', 'kk'
+]);
+
+/**
+ * Matching key for a company name
+ * @param {string} name - e.g. "Google, LLC"
+ * @returns {string} e.g. "google"; empty for names without letters or digits
+ */
+const normalizeCompanyName = (name) => {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // "L.L.C." and "S.A." read as one word once the dots are gone
+    .replace(/\b(\w)\.(?=\w\b)/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // "& Co." leaves a trailing "and"; a name is never reduced to nothing
+  while (words.length > 1 && (legalSuffixes.has(words[words.length - 1]) || words[words.length - 1] === 'and')) {
+    words.pop();
+  }
+  return words.join(' ');
+};
+
+module.exports = { normalizeCompanyName };
\ No newline at end of file
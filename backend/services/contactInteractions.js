@@ -0,0 +1,98 @@
+const { getRepository } = require('../repositories');
+const { rescheduleAfterInteraction } = require('./reminders');
+
+/**
+ * Contact interaction service
+ *
+ * The log of emails, calls, coffee chats, ... with a contact. The contact's
+ * lastContactedAt always matches its latest interaction, and networking
+ * reminders set "N days after the last interaction" move along with it.
+ */
+
+const interactionTypes = ['email', 'call', 'meeting', 'coffee_chat', 'message', 'other'];
+
+const interactions = getRepository('contactInteraction');
+const contacts = getRepository('contact');
+
+// Recompute lastContactedAt after the log changed
+const refreshLastContacted = async (contactId) => {
+  const [latest] = await interactions.list({ contactId });
+  const contact = await contacts.get(contactId);
+  const lastContactedAt = latest ? latest.occurredAt : null;
+
+  if (contact && contact.lastContactedAt !== lastContactedAt) {
+    await rescheduleAfterInteraction(await contacts.update(contactId, { lastContactedAt }));
+  }
+};
+
+const interactionRecord = ({ type, occurredAt, summary, jobId }) => {
+  const record = {};
+  if (type !== undefined) record.type = type;
+  if (occurredAt !== undefined) record.occurredAt = new Date(occurredAt).toISOString();
+  if (summary !== undefined) record.summary = summary || null;
+  if (jobId !== undefined) record.jobId = jobId === '' ? null : jobId;
+  return record;
+};
+
+/**
+ * Interactions with a contact, most recent first
+ * @param {string|number} contactId
+ * @returns {Promise<Object[]>}
+ */
+const listInteractions = (contactId) => interactions.list({ contactId });
+
+/**
+ * @param {string|number} interactionId
+ * @returns {Promise<Object|null>}
+ */
+const getInteraction = (interactionId) => (interactions.isValidId(interactionId) ? interactions.get(interactionId) : null);
+
+/**
+ * @param {Object} contact
+ * @param {{ type: string, occurredAt?: string, summary?: string, jobId?: string|number }} details
+ *   occurredAt defaults to now; jobId names the application it was about
+ * @returns {Promise<Object>}
+ */
+const logInteraction = async (contact, details) => {
+  const interaction = await interactions.create({
+    userId: contact.userId,
+    contactId: contact.id,
+    jobId: null,
+    summary: null,
+    occurredAt: new Date().toISOString(),
+    ...interactionRecord(details)
+  });
+
+  await refreshLastContacted(contact.id);
+  return interaction;
+};
+
+/**
+ * @param {Object} interaction
+ * @param {Object} changes - Any of the fields logInteraction takes
+ * @returns {Promise<Object>}
+ */
+const updateInteraction = async (interaction, changes) => {
+  const updated = await interactions.update(interaction.id, interactionRecord(changes));
+  await refreshLastContacted(interaction.contactId);
+  return updated;
+};
+
+/**
+ * @param {Object} interaction
+ * @returns {Promise<Object|null>} The deleted interaction
+ */
+const deleteInteraction = async (interaction) => {
+  const deleted = await interactions.delete(interaction.id);
+  await refreshLastContacted(interaction.contactId);
+  return deleted;
+};
+
+module.exports = {
+  interactionTypes,
+  listInteractions,
+  getInteraction,
+  logInteraction,
+  updateInteraction,
+  deleteInteraction
+};
\ No newline at end of file
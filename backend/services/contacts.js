@@ -0,0 +1,206 @@
+const { getRepository } = require('../repositories');
+const { deleteContactReminders } = require('./reminders');
+const { resolveCompanyId } = require('./companies');
+
+/**
+ * Contact service
+ *
+ * Networking contacts and their many-to-many links to job applications
+ * (Contact Management in docs/requirements.md). The interaction log lives
+ * in services/contactInteractions.js.
+ */
+
+const contacts = getRepository('contact');
+const jobContacts = getRepository('jobContact');
+const interactions = getRepository('contactInteraction');
+const jobs = getRepository('job');
+
+const contactFields = ['name', 'role', 'company', 'email', 'phone', 'linkedinUrl', 'notes'];
+
+// Optional text fields are stored as null rather than empty strings
+const contactRecord = (details) => Object.fromEntries(contactFields
+  .filter(field => details[field] !== undefined)
+  .map(field => [field, details[field] === '' ? null : details[field]]));
+
+const jobSummary = (job) => ({ id: job.id, title: job.title, company: job.company, status: job.status });
+
+/**
+ * The company is filed under the matching company record (services/companies.js)
+ * @param {string|number} userId
+ * @param {Object} details - name plus any of role, company, email, phone, linkedinUrl, notes
+ * @returns {Promise<Object>}
+ */
+const createContact = async (userId, details) => contacts.create({
+  userId,
+  role: null,
+  company: null,
+  email: null,
+  phone: null,
+  linkedinUrl: null,
+  notes: null,
+  lastContactedAt: null,
+  ...contactRecord(details),
+  companyId: await resolveCompanyId(userId, details.company)
+});
+
+/**
+ * @param {Object} contact
+ * @param {Object} changes - Any of the fields createContact takes
+ * @returns {Promise<Object>}
+ */
+const updateContact = async (contact, changes) => contacts.update(contact.id, {
+  ...contactRecord(changes),
+  ...(changes.company !== undefined ? { companyId: await resolveCompanyId(contact.userId, changes.company) } : {})
+});
+
+/**
+ * @param {string|number} contactId
+ * @returns {Promise<Object|null>}
+ */
+const getContact = (contactId) => (contacts.isValidId(contactId) ? contacts.get(contactId) : null);
+
+/**
+ * A user's contacts, by name
+ * @param {string|number} userId
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Matches name, company, role, email and notes
+ * @param {string} [filters.company] - Partial match on the company
+ * @param {string|number} [filters.jobId] - Only contacts linked to this job
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+const listContacts = async (userId, { q, company, jobId, page = 1, limit = 20 } = {}) => {
+  // Contact lists are short, so they are filtered and paged in memory
+  let matches = (q ? await contacts.search(q) : await contacts.list({ userId }))
+    .filter(contact => String(contact.userId) === String(userId));
+
+  if (company) {
+    const term = company.toLowerCase();
+    matches = matches.filter(contact => String(contact.company || '').toLowerCase().includes(term));
+  }
+  if (jobId !== undefined) {
+    const linked = new Set((await jobContacts.list({ jobId })).map(link => String(link.contactId)));
+    matches = matches.filter(contact => linked.has(String(contact.id)));
+  }
+
+  return { items: matches.slice((page - 1) * limit, page * limit), total: matches.length };
+};
+
+/**
+ * Jobs a contact is linked to, with the part the contact plays in each
+ * @param {string|number} contactId
+ * @returns {Promise<Object[]>} Job summaries with `relationship`
+ */
+const listContactJobs = async (contactId) => {
+  const links = await jobContacts.list({ contactId });
+  const linked = await Promise.all(links.map(async (link) => {
+    const job = await jobs.get(link.jobId);
+    return job && { ...jobSummary(job), relationship: link.relationship };
+  }));
+  return linked.filter(Boolean);
+};
+
+/**
+ * Contacts linked to a job, with the part each plays in it
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>} Contacts with `relationship`
+ */
+const listJobContacts = async (jobId) => {
+  const links = await jobContacts.list({ jobId });
+  const linked = await Promise.all(links.map(async (link) => {
+    const contact = await contacts.get(link.contactId);
+    return contact && { ...contact, relationship: link.relationship };
+  }));
+  return linked.filter(Boolean);
+};
+
+/**
+ * Link a contact to a job, or change the relationship of an existing link
+ * @param {Object} job
+ * @param {Object} contact
+ * @param {string} [relationship] - e.g. "Recruiter"
+ * @returns {Promise<{ link: Object, created: boolean }>}
+ */
+const linkContact = async (job, contact, relationship) => {
+  const [existing] = await jobContacts.list({ jobId: job.id, contactId: contact.id });
+
+  if (existing) {
+    const link = relationship === undefined
+      ? existing
+      : await jobContacts.update(existing.id, { relationship: relationship || null });
+    return { link, created: false };
+  }
+
+  const link = await jobContacts.create({
+    userId: job.userId,
+    jobId: job.id,
+    contactId: contact.id,
+    relationship: relationship || null
+  });
+  return { link, created: true };
+};
+
+/**
+ * @param {string|number} jobId
+ * @param {string|number} contactId
+ * @returns {Promise<boolean>} Whether there was a link to remove
+ */
+const unlinkContact = async (jobId, contactId) => {
+  const [link] = await jobContacts.list({ jobId, contactId });
+  if (!link) {
+    return false;
+  }
+  await jobContacts.delete(link.id);
+  return true;
+};
+
+/**
+ * Delete a contact with its links, interactions and reminders
+ * (SQLite cascades these itself; the other stores need it done explicitly)
+ * @param {Object} contact
+ * @returns {Promise<Object|null>} The deleted contact
+ */
+const deleteContact = async (contact) => {
+  const [links, logged] = await Promise.all([
+    jobContacts.list({ contactId: contact.id }),
+    interactions.list({ contactId: contact.id })
+  ]);
+
+  await Promise.all([
+    ...links.map(link => jobContacts.delete(link.id)),
+    ...logged.map(interaction => interactions.delete(interaction.id)),
+    deleteContactReminders(contact.id)
+  ]);
+  return contacts.delete(contact.id);
+};
+
+/**
+ * Forget the contacts of a deleted job; interactions about it are kept
+ * (SQLite does this itself; the other stores need it done explicitly)
+ * @param {string|number} jobId
+ */
+const detachJobContacts = async (jobId) => {
+  const [links, logged] = await Promise.all([
+    jobContacts.list({ jobId }),
+    interactions.list({ jobId })
+  ]);
+
+  await Promise.all([
+    ...links.map(link => jobContacts.delete(link.id)),
+    ...logged.map(interaction => interactions.update(interaction.id, { jobId: null }))
+  ]);
+};
+
+module.exports = {
+  createContact,
+  updateContact,
+  getContact,
+  listContacts,
+  listContactJobs,
+  listJobContacts,
+  linkContact,
+  unlinkContact,
+  deleteContact,
+  detachJobContacts
+};
\ No newline at end of file
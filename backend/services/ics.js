@@ -0,0 +1,69 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ *
+ * Shared by the .ics job export and the subscribable calendar feed. Events
+ * are plain objects: { uid, start, end?, allDay?, summary, description?, location? },
+ * with all-day dates given as YYYY-MM-DD.
+ */
+
+const calendarStart = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//JINDER//Job Tracker//EN', 'CALSCALE:GREGORIAN'];
+
+const calendarEnd = ['END:VCALENDAR'];
+
+const icsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = parts.length ? 74 : 75;
+    // Do not split a UTF-8 character
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    parts.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString());
+  return parts.join('\r\n ');
+};
+
+/**
+ * @param {string[]} list - Content lines
+ * @returns {string} The lines folded and CRLF terminated
+ */
+const icsLines = (list) => list.map(line => `${foldLine(line)}\r\n`).join('');
+
+/**
+ * @param {Object} event
+ * @param {string} stamp - DTSTAMP value, from icsDateTime
+ * @returns {string[]} Content lines of the VEVENT
+ */
+const icsEvent = (event, stamp) => {
+  const date = (value) => (event.allDay ? `;VALUE=DATE:${String(value).replace(/-/g, '')}` : `:${icsDateTime(value)}`);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@jinder`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART${date(event.start)}`,
+    ...(event.end ? [`DTEND${date(event.end)}`] : []),
+    `SUMMARY:${icsText(event.summary)}`,
+    ...(event.description ? [`DESCRIPTION:${icsText(event.description)}`] : []),
+    ...(event.location ? [`LOCATION:${icsText(event.location)}`] : []),
+    'END:VEVENT'
+  ];
+};
+
+module.exports = {
+  calendarStart,
+  calendarEnd,
+  icsText,
+  icsDateTime,
+  icsLines,
+  icsEvent
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { getRepository } = require('../repositories');
+const { canTransition } = require('./statusWorkflow');
+const { recordStatusChange } = require('./statusHistory');
+const { rescheduleAfterStatusChange } = require('./reminders');
+
+/**
+ * Interview service
+ *
+ * Interview rounds of a job application. Scheduling a round moves the job
+ * to the matching "... scheduled" status, and a round that has taken place
+ * (outcome passed or failed) moves it on to "... completed", as far as the
+ * status workflow allows. Rounds without a matching status leave the job as
+ * it is.
+ */
+
+// Round types and the statuses they move a job to
+const interviewRounds = {
+  phone_screen: { label: 'Phone screen', scheduled: 'phone_screen_scheduled', completed: 'phone_screen_completed' },
+  technical: { label: 'Technical', scheduled: 'technical_interview_scheduled', completed: 'technical_interview_completed' },
+  behavioral: { label: 'Behavioral' },
+  final: { label: 'Final', scheduled: 'final_interview_scheduled', completed: 'final_interview_completed' },
+  other: { label: 'Other' }
+};
+
+const interviewOutcomes = ['pending', 'passed', 'failed', 'cancelled'];
+
+// Outcomes meaning the interview took place
+const heldOutcomes = ['passed', 'failed'];
+
+const interviews = getRepository('interview');
+const jobs = getRepository('job');
+
+const roundLabel = (roundType) => (interviewRounds[roundType] || interviewRounds.other).label;
+
+// Statuses an interview should bring its job to, in order
+const statusTargets = ({ roundType, outcome }) => {
+  const round = interviewRounds[roundType] || {};
+  if (!round.scheduled || outcome === 'cancelled') {
+    return [];
+  }
+  return heldOutcomes.includes(outcome) ? [round.scheduled, round.completed] : [round.scheduled];
+};
+
+/**
+ * Move a job through the statuses an interview implies, skipping any step
+ * the workflow does not allow from where the job is
+ * @param {Object} job
+ * @param {Object} interview
+ * @returns {Promise<Object>} The job, updated or not
+ */
+const advanceJobStatus = async (job, interview) => {
+  let current = job;
+
+  for (const status of statusTargets(interview)) {
+    if (status !== current.status && canTransition(current.status, status)) {
+      const previous = current.status;
+      const updated = await jobs.update(current.id, { status }, {
+        where: [{ field: 'status', op: 'eq', value: previous }]
+      });
+      if (!updated) {
+        // Moved or deleted by another request since it was read: leave it there
+        return (await jobs.get(current.id)) || current;
+      }
+      current = updated;
+      const event = status === interviewRounds[interview.roundType].completed ? 'completed' : 'scheduled';
+      await recordStatusChange(current.id, previous, status, {
+        comment: `${roundLabel(interview.roundType)} interview ${event}`
+      });
+      await rescheduleAfterStatusChange(current.id);
+    }
+  }
+  return current;
+};
+
+const interviewRecord = ({ roundType, startsAt, endsAt, timezone, location, videoLink, interviewers, prepNotes, outcome }) => {
+  const record = {};
+  const optional = (value) => (value === '' ? null : value);
+
+  if (roundType !== undefined) record.roundType = roundType;
+  if (startsAt !== undefined) record.startsAt = new Date(startsAt).toISOString();
+  if (endsAt !== undefined) record.endsAt = endsAt ? new Date(endsAt).toISOString() : null;
+  if (timezone !== undefined) record.timezone = timezone || 'UTC';
+  if (location !== undefined) record.location = optional(location);
+  if (videoLink !== undefined) record.videoLink = optional(videoLink);
+  if (interviewers !== undefined) {
+    record.interviewers = interviewers.map(({ name, role, email }) => ({ name, role: role || null, email: email || null }));
+  }
+  if (prepNotes !== undefined) record.prepNotes = optional(prepNotes);
+  if (outcome !== undefined) record.outcome = outcome;
+  return record;
+};
+
+/**
+ * Schedule (or log) an interview round and advance the job's status
+ * @param {Object} job
+ * @param {Object} details - roundType, startsAt and the optional fields of the entity
+ * @returns {Promise<{ interview: Object, job: Object }>}
+ */
+const createInterview = async (job, details) => {
+  const interview = await interviews.create({
+    userId: job.userId,
+    jobId: job.id,
+    timezone: 'UTC',
+    interviewers: [],
+    outcome: 'pending',
+    ...interviewRecord(details)
+  });
+
+  return { interview, job: await advanceJobStatus(job, interview) };
+};
+
+/**
+ * Change an interview; recording that it took place advances the job's status
+ * @param {Object} interview
+ * @param {Object} changes
+ * @returns {Promise<{ interview: Object, job: Object }>}
+ */
+const updateInterview = async (interview, changes) => {
+  const updated = await interviews.update(interview.id, interviewRecord(changes));
+  const job = await jobs.get(updated.jobId);
+
+  return { interview: updated, job: await advanceJobStatus(job, updated) };
+};
+
+/**
+ * @param {string|number} interviewId
+ * @returns {Promise<Object|null>}
+ */
+const getInterview = (interviewId) => (interviews.isValidId(interviewId) ? interviews.get(interviewId) : null);
+
+/**
+ * Interview rounds of a job, earliest first
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>}
+ */
+const listJobInterviews = (jobId) => interviews.list({ jobId });
+
+/**
+ * A user's interviews that have not happened yet, soonest first, with the
+ * job each belongs to
+ * @param {string|number} userId
+ * @param {{ days?: number, limit?: number }} [options] - How far ahead to look
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>}
+ */
+const listUpcomingInterviews = async (userId, { days, limit } = {}, now = new Date()) => {
+  const where = [
+    { field: 'userId', op: 'eq', value: userId },
+    { field: 'outcome', op: 'eq', value: 'pending' },
+    { field: 'startsAt', op: 'gte', value: now.toISOString() }
+  ];
+  if (days !== undefined) {
+    where.push({ field: 'startsAt', op: 'lte', value: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() });
+  }
+
+  const { items } = await interviews.query({ where, sort: [{ field: 'startsAt', order: 'asc' }], limit });
+  return Promise.all(items.map(async (interview) => {
+    const job = await jobs.get(interview.jobId);
+    return { ...interview, job: job && { id: job.id, title: job.title, company: job.company, status: job.status } };
+  }));
+};
+
+/**
+ * @param {string|number} interviewId
+ * @returns {Promise<Object|null>} The deleted interview
+ */
+const deleteInterview = (interviewId) => interviews.delete(interviewId);
+
+/**
+ * Remove the interviews of a deleted job
+ * (SQLite cascades this itself; the other stores need it done explicitly)
+ * @param {string|number} jobId
+ */
+const deleteJobInterviews = async (jobId) => {
+  const jobInterviews = await interviews.list({ jobId });
+  await Promise.all(jobInterviews.map(interview => interviews.delete(interview.id)));
+};
+
+module.exports = {
+  interviewRounds,
+  interviewOutcomes,
+  roundLabel,
+  createInterview,
+  updateInterview,
+  getInterview,
+  listJobInterviews,
+  listUpcomingInterviews,
+  deleteInterview,
+  deleteJobInterviews
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+const { getRepository } = require('../repositories');
+const { deleteStatusHistory } = require('./statusHistory');
+const { deleteJobReminders } = require('./reminders');
+const { deleteJobInterviews } = require('./interviews');
+const { detachJobContacts } = require('./contacts');
+const { deleteJobNotes } = require('./notes');
+const { deleteJobAttachments } = require('./attachments');
+const { deleteJobOffer } = require('./offers');
+
+/**
+ * Job deletion service
+ *
+ * Deletes an application together with everything recorded about it, so
+ * every way of deleting a job leaves nothing behind: status history,
+ * reminders, interviews, contact links, notes with their revisions,
+ * attachments with their stored files, and the offer.
+ */
+
+const jobs = getRepository('job');
+
+/**
+ * Delete a job and the records that belong to it
+ * @param {Object} job - The job, already checked to belong to the user
+ * @returns {Promise<Object|null>} The deleted job, or null when it was already gone
+ */
+const deleteJob = async (job) => {
+  // Before the job row goes: the database would drop the attachments with it,
+  // leaving files no job uses in storage
+  await deleteJobAttachments(job.id);
+  const deletedJob = await jobs.delete(job.id);
+
+  if (!deletedJob) {
+    return null;
+  }
+
+  await deleteStatusHistory(deletedJob.id);
+  await deleteJobReminders(deletedJob.id);
+  await deleteJobInterviews(deletedJob.id);
+  await detachJobContacts(deletedJob.id);
+  await deleteJobNotes(deletedJob.id);
+  await deleteJobOffer(deletedJob.id);
+
+  return deletedJob;
+};
+
+module.exports = {
+  deleteJob
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { statuses } = require('../config/statuses');
+const { getStatusTimeline } = require('./statusHistory');
+const { listJobReminders } = require('./reminders');
+const { listJobInterviews, roundLabel } = require('./interviews');
+const { calendarStart, calendarEnd, icsDateTime, icsLines, icsEvent } = require('./ics');
+
+/**
+ * Job export service
+ *
+ * Writes the jobs matched by a GET /jobs query to a stream as CSV, JSON,
+ * XLSX or iCalendar. Jobs are read in batches with keyset pagination and
+ * written as they arrive, so large exports never sit in memory at once.
+ */
+
+const EXPORT_BATCH_SIZE = 200;
+
+// Optional extras a client can ask for with ?include=
+const exportIncludes = ['history', 'notes'];
+
+const statusLabel = (value) => (statuses.find(status => status.value === value) || {}).label || value;
+
+const dateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * Jobs matching a repository query, batch by batch, optionally with their status history
+ * @param {Object} repository - The job repository
+ * @param {Object} jobQuery - From buildJobQuery; its pagination is ignored
+ * @param {{ include: string[] }} options
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateJobs(repository, { where, sort }, { include }) {
+  let after;
+
+  for (;;) {
+    const { items } = await repository.query({ where, sort, limit: EXPORT_BATCH_SIZE, after });
+
+    for (const job of items) {
+      if (include.includes('history')) {
+        // Oldest change first reads naturally in a spreadsheet
+        const { entries } = await getStatusTimeline(job.id);
+        job.history = entries.reverse().map(({ fromStatus, toStatus, changedAt, comment }) =>
+          ({ fromStatus, toStatus, changedAt, comment: comment || null }));
+      }
+      yield job;
+    }
+
+    if (items.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    const last = items[items.length - 1];
+    after = sort.map(({ field }) => (last[field] === undefined ? null : last[field]));
+  }
+}
+
+/**
+ * Spreadsheet columns for an export
+ * Header names match what POST /jobs/import recognises, so exports can be imported again.
+ * @param {string[]} include
+ * @returns {{ header: string, value: Function, width: number }[]}
+ */
+const exportColumns = (include) => [
+  { header: 'ID', value: job => job.id, width: 8 },
+  { header: 'Title', value: job => job.title, width: 30 },
+  { header: 'Company', value: job => job.company, width: 24 },
+  { header: 'Status', value: job => statusLabel(job.status), width: 24 },
+  { header: 'Date Applied', value: job => dateOnly(job.dateApplied), width: 14 },
+  { header: 'Location', value: job => job.location || '', width: 20 },
+  { header: 'Type', value: job => job.type || '', width: 12 },
+  { header: 'Source', value: job => job.source || '', width: 16 },
+  { header: 'Deadline', value: job => dateOnly(job.deadline), width: 14 },
+  { header: 'Salary Range', value: job => job.salaryRange || '', width: 20 },
+  { header: 'Salary Min', value: job => (job.salaryMin === null || job.salaryMin === undefined ? '' : job.salaryMin), width: 12 },
+  { header: 'Salary Max', value: job => (job.salaryMax === null || job.salaryMax === undefined ? '' : job.salaryMax), width: 12 },
+  { header: 'Currency', value: job => job.salaryCurrency || '', width: 10 },
+  { header: 'Salary Period', value: job => job.salaryPeriod || '', width: 12 },
+  { header: 'Bonus', value: job => job.bonus || '', width: 20 },
+  { header: 'Equity', value: job => job.equity || '', width: 20 },
+  { header: 'Benefits', value: job => job.benefits || '', width: 30 },
+  { header: 'Tags', value: job => (job.tags || []).join(', '), width: 20 },
+  { header: 'Description', value: job => job.description || '', width: 40 },
+  ...(include.includes('notes') ? [{ header: 'Notes', value: job => job.notes || '', width: 40 }] : []),
+  ...(include.includes('history') ? [{
+    header: 'Status History',
+    value: job => job.history.map(change => `${dateOnly(change.changedAt)} ${statusLabel(change.toStatus)}`).join('; '),
+    width: 40
+  }] : []),
+  { header: 'Created At', value: job => job.createdAt || '', width: 24 },
+  { header: 'Updated At', value: job => job.updatedAt || '', width: 24 }
+];
+
+// Write a chunk, waiting when the client reads slower than we produce
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+const csvCell = (value) => {
+  let text = String(value);
+  // Spreadsheet apps run cells starting with these characters as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (output, jobs, { include }) => {
+  const columns = exportColumns(include);
+  // The byte order mark makes Excel read the file as UTF-8
+  await write(output, `\uFEFF${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+
+  for await (const job of jobs) {
+    await write(output, `${columns.map(column => csvCell(column.value(job))).join(',')}\r\n`);
+  }
+};
+
+const writeJson = async (output, jobs, { include }) => {
+  let first = true;
+  await write(output, '[');
+
+  for await (const { userId, notes, ...job } of jobs) {
+    const record = include.includes('notes') ? { ...job, notes: notes || null } : job;
+    await write(output, `${first ? '' : ','}\n  ${JSON.stringify(record)}`);
+    first = false;
+  }
+  await write(output, first ? ']' : '\n]');
+};
+
+const writeXlsx = async (output, jobs, { include }) => {
+  const columns = exportColumns(include);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Jobs', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(({ header, width }) => ({ header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const job of jobs) {
+    sheet.addRow(columns.map(column => column.value(job))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Sources of calendar events for the iCalendar export. Each takes a job and
+ * resolves to events shaped like
+ * { uid, start, end?, allDay?, summary, description?, location? }
+ * where start/end are Dates, or YYYY-MM-DD strings for all-day events.
+ */
+const calendarEventSources = [
+  async (job) => (job.dateApplied ? [{
+    uid: `job-${job.id}-applied`,
+    start: dateOnly(job.dateApplied),
+    allDay: true,
+    summary: `Applied: ${job.title} at ${job.company}`,
+    description: `Status: ${statusLabel(job.status)}`,
+    location: job.location
+  }] : []),
+  async (job) => (job.deadline ? [{
+    uid: `job-${job.id}-deadline`,
+    start: dateOnly(job.deadline),
+    allDay: true,
+    summary: `Application deadline: ${job.title} at ${job.company}`,
+    location: job.location
+  }] : []),
+  async (job) => (await listJobReminders(job.id))
+    .filter(reminder => reminder.status !== 'dismissed')
+    .map(reminder => ({
+      uid: `reminder-${reminder.id}`,
+      start: reminder.remindAt,
+      summary: `Follow up: ${job.title} at ${job.company}`,
+      description: reminder.note
+    })),
+  async (job) => (await listJobInterviews(job.id))
+    .filter(interview => interview.outcome !== 'cancelled')
+    .map(interview => ({
+      uid: `interview-${interview.id}`,
+      start: interview.startsAt,
+      // Interviews without an end time are blocked out for an hour
+      end: interview.endsAt || new Date(new Date(interview.startsAt).getTime() + 60 * 60 * 1000).toISOString(),
+      summary: `${roundLabel(interview.roundType)} interview: ${job.title} at ${job.company}`,
+      description: [
+        interview.videoLink,
+        (interview.interviewers || []).map(person => (person.role ? `${person.name} (${person.role})` : person.name)).join(', '),
+        interview.prepNotes
+      ].filter(Boolean).join('\n\n'),
+      location: interview.location || interview.videoLink
+    }))
+];
+
+const writeIcs = async (output, jobs) => {
+  const stamp = icsDateTime(new Date());
+
+  await write(output, icsLines(calendarStart));
+
+  for await (const job of jobs) {
+    for (const source of calendarEventSources) {
+      for (const event of await source(job)) {
+        await write(output, icsLines(icsEvent(event, stamp)));
+      }
+    }
+  }
+  await write(output, icsLines(calendarEnd));
+};
+
+const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsv },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', write: writeJson },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: writeXlsx
+  },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', write: writeIcs }
+};
+
+/**
+ * Write every job matched by a query to a stream
+ * @param {string} format - Key of exportFormats
+ * @param {import('stream').Writable} output - e.g. the HTTP response
+ * @param {Object} repository - The job repository
+ * @param {Object} jobQuery - From buildJobQuery
+ * @param {{ include?: string[] }} [options] - Extras from exportIncludes
+ * @returns {Promise<void>} Resolves once everything is written (the stream is left open)
+ */
+const exportJobs = (format, output, repository, jobQuery, { include = [] } = {}) =>
+  exportFormats[format].write(output, iterateJobs(repository, jobQuery, { include }), { include });
+
+module.exports = {
+  exportFormats,
+  exportIncludes,
+  calendarEventSources,
+  exportJobs
+};
\ No newline at end of file
@@ -0,0 +1,262 @@
+const { normalizeStatus } = require('./statusWorkflow');
+const { initialStatus } = require('../config/statuses');
+
+/**
+ * Job import service
+ *
+ * Turns an uploaded spreadsheet (CSV) into job records for POST /jobs/import:
+ * parse the file, map its columns onto job fields, normalise the values the
+ * way the API expects them and spot rows that are already tracked.
+ */
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Job fields a column can be mapped to, with header names that suggest them
+const importableFields = {
+  title: ['title', 'position', 'job title', 'role', 'job'],
+  company: ['company', 'employer', 'organization', 'organisation', 'company name'],
+  status: ['status', 'stage', 'state'],
+  dateApplied: ['date applied', 'applied', 'applied on', 'application date', 'date'],
+  description: ['description', 'job description', 'details'],
+  location: ['location', 'city', 'place'],
+  type: ['type', 'job type', 'employment type', 'contract type'],
+  source: ['source', 'job source', 'found via', 'channel'],
+  deadline: ['deadline', 'application deadline', 'closing date', 'apply by'],
+  salaryRange: ['salary range', 'salary', 'compensation', 'pay'],
+  salaryMin: ['salary min', 'min salary', 'minimum salary'],
+  salaryMax: ['salary max', 'max salary', 'maximum salary'],
+  salaryCurrency: ['currency', 'salary currency'],
+  salaryPeriod: ['salary period', 'pay period', 'period'],
+  bonus: ['bonus'],
+  equity: ['equity', 'stock'],
+  benefits: ['benefits', 'perks'],
+  notes: ['notes', 'note', 'comments'],
+  tags: ['tags', 'labels']
+};
+
+const requiredFields = ['title', 'company'];
+
+// Headers and field names come from the client, so "constructor" must not
+// find Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const delimiters = [',', ';', '\t'];
+
+// Pick the delimiter that splits the header record into the most columns;
+// delimiters inside quoted header names do not count
+const detectDelimiter = (text) => {
+  const counts = new Map(delimiters.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  return delimiters.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain delimiters, quotes
+ * written as "" and line breaks). Comma, semicolon and tab separated files
+ * are recognised; blank lines are skipped.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: { line: number, values: Object }[] }}
+ *   values are keyed by header; line is the row's line number in the file
+ */
+const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, fields: record });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length) {
+    endRecord();
+  }
+
+  const [header, ...body] = records;
+  const headers = header ? header.fields.map(name => name.trim()) : [];
+
+  return {
+    headers,
+    rows: body.map(({ line: rowLine, fields }) => ({
+      line: rowLine,
+      values: headers.reduce((values, name, index) => {
+        values[name] = (fields[index] || '').trim();
+        return values;
+      }, {})
+    }))
+  };
+};
+
+/**
+ * Guess which job field each column holds from its header
+ * @param {string[]} headers
+ * @returns {Object} { header: field } for every recognised column
+ */
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+
+  // Exact synonyms first, so "Salary Range" wins over a later "Salary"
+  Object.entries(importableFields).forEach(([field, synonyms]) => {
+    synonyms.some(synonym => {
+      const header = headers.find(name => !hasOwn(mapping, name) && simplify(name) === synonym);
+      if (header && !taken.has(field)) {
+        mapping[header] = field;
+        taken.add(field);
+      }
+      return taken.has(field);
+    });
+  });
+
+  return mapping;
+};
+
+/**
+ * Problems with a column mapping supplied by the client
+ * @param {Object} mapping - { header: field }
+ * @param {string[]} headers - Columns present in the file
+ * @returns {string[]} Error messages, empty when the mapping is usable
+ */
+const mappingProblems = (mapping, headers) => {
+  const problems = [];
+  const fields = Object.values(mapping);
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!headers.includes(header)) {
+      problems.push(`Column "${header}" does not exist in the file`);
+    }
+    if (!hasOwn(importableFields, field)) {
+      problems.push(`Column "${header}" cannot be mapped to "${field}"`);
+    }
+  });
+  [...new Set(fields)].filter(field => fields.indexOf(field) !== fields.lastIndexOf(field))
+    .forEach(field => problems.push(`More than one column is mapped to "${field}"`));
+  requiredFields.filter(field => !fields.includes(field))
+    .forEach(field => problems.push(`A column must be mapped to "${field}"`));
+
+  return problems;
+};
+
+// "03/14/2024" (MDY) or "14.03.2024" (DMY) to 2024-03-14; anything else is left for validation
+const normalizeDate = (value, dateFormat) => {
+  const match = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (!match) {
+    return value;
+  }
+
+  const [, first, second, year] = match;
+  const [month, day] = dateFormat === 'DMY' ? [second, first] : [first, second];
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+/**
+ * Build the job fields of one CSV row
+ * Empty cells are left out; status names are mapped to the canonical values
+ * (unknown ones are kept so validation can report them).
+ * @param {Object} values - Row values keyed by header
+ * @param {Object} mapping - { header: field }
+ * @param {{ dateFormat?: 'MDY'|'DMY' }} [options]
+ * @returns {Object}
+ */
+const mapRow = (values, mapping, { dateFormat = 'MDY' } = {}) => {
+  const job = {};
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    const value = hasOwn(values, header) ? values[header] : '';
+    if (value) {
+      job[field] = value;
+    }
+  });
+
+  job.status = job.status ? normalizeStatus(job.status) || job.status : initialStatus;
+  if (job.dateApplied) {
+    job.dateApplied = normalizeDate(job.dateApplied, dateFormat);
+  }
+  if (job.deadline) {
+    job.deadline = normalizeDate(job.deadline, dateFormat);
+  }
+  if (job.salaryCurrency) {
+    job.salaryCurrency = job.salaryCurrency.trim().toUpperCase();
+  }
+  if (job.type) {
+    // "Full time" and "FULL_TIME" both mean full-time
+    job.type = job.type.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  }
+  if (job.salaryPeriod) {
+    job.salaryPeriod = job.salaryPeriod.trim().toLowerCase();
+  }
+  if (job.tags) {
+    job.tags = [...new Set(job.tags.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  return job;
+};
+
+/**
+ * Key under which two applications count as the same one
+ * @param {{ title?: string, company?: string }} job
+ * @returns {string}
+ */
+const duplicateKey = ({ title, company }) => `${simplify(title || '')}|${simplify(company || '')}`;
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importableFields,
+  parseCsv,
+  suggestMapping,
+  mappingProblems,
+  mapRow,
+  duplicateKey
+};
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { normalizeSort, encodeCursor, decodeCursor } = require('../repositories/query');
+const { parseSearchQuery } = require('../repositories/textSearch');
+const jobEntity = require('../repositories/entities/job');
+
+/**
+ * Job list query service
+ *
+ * Turns the query string of GET /jobs into a repository query
+ * (see repositories/query.js) and the result back into paging metadata.
+ */
+
+const sortableFields = [
+  'title', 'company', 'status', 'dateApplied', 'deadline', 'location',
+  'salaryMin', 'salaryMax', 'createdAt', 'updatedAt'
+];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query string values may be repeated (?status=a&status=b) or comma separated
+const toList = (value) => {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// A bare date in dateTo means "until the end of that day"
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+/**
+ * Parse "status,-dateApplied" (or the older sortBy/sortOrder pair)
+ * @returns {{ field: string, order: string }[]}
+ */
+const parseSort = ({ sort, sortBy, sortOrder }) => {
+  if (sort) {
+    return toList(sort).map(item => (item.startsWith('-')
+      ? { field: item.slice(1), order: 'desc' }
+      : { field: item.replace(/^\+/, ''), order: 'asc' }));
+  }
+  if (sortBy) {
+    return [{ field: sortBy, order: sortOrder === 'asc' ? 'asc' : 'desc' }];
+  }
+  return [];
+};
+
+/**
+ * Fields named in a sort parameter that cannot be sorted on
+ * @returns {string[]}
+ */
+const invalidSortFields = (params) =>
+  parseSort(params).map(({ field }) => field).filter(field => !sortableFields.includes(field));
+
+/**
+ * Build the repository query for a GET /jobs request
+ * @param {Object} params - Validated req.query
+ * @returns {Object} Repository query plus `page` (null when a cursor is used),
+ *   `cursorError` when the cursor does not match the requested sort and the
+ *   parsed `search` terms (see applyTextSearch)
+ */
+const buildJobQuery = (params) => {
+  const where = [];
+
+  const statuses = toList(params.status);
+  if (statuses.length) {
+    where.push({ field: 'status', op: 'in', value: statuses });
+  }
+  const types = toList(params.type);
+  if (types.length) {
+    where.push({ field: 'type', op: 'in', value: types });
+  }
+  if (params.company) {
+    where.push({ field: 'company', op: 'contains', value: params.company });
+  }
+  if (params.location) {
+    where.push({ field: 'location', op: 'contains', value: params.location });
+  }
+  if (params.source) {
+    where.push({ field: 'source', op: 'contains', value: params.source });
+  }
+  if (params.dateFrom) {
+    where.push({ field: 'dateApplied', op: 'gte', value: new Date(params.dateFrom).toISOString() });
+  }
+  if (params.dateTo) {
+    where.push({ field: 'dateApplied', op: 'lte', value: new Date(endOfDay(params.dateTo)).toISOString() });
+  }
+  // Salary filters match jobs whose range overlaps the requested one; bounds
+  // are compared as stored, so combine them with a currency and period
+  if (params.salaryCurrency) {
+    where.push({ field: 'salaryCurrency', op: 'eq', value: params.salaryCurrency.toUpperCase() });
+  }
+  if (params.salaryPeriod) {
+    where.push({ field: 'salaryPeriod', op: 'eq', value: params.salaryPeriod });
+  }
+  if (params.salaryMin !== undefined) {
+    where.push({ field: 'salaryMax', op: 'gte', value: Number(params.salaryMin) });
+  }
+  if (params.salaryMax !== undefined) {
+    where.push({ field: 'salaryMin', op: 'lte', value: Number(params.salaryMax) });
+  }
+
+  const tags = toList(params.tags);
+  if (tags.length) {
+    where.push({ field: 'tags', op: params.tagMode === 'all' ? 'hasAll' : 'hasAny', value: tags });
+  }
+
+  const search = parseSearchQuery(params.search || '');
+  const sort = normalizeSort(parseSort(params), jobEntity.defaultSort);
+  const paginated = params.limit !== undefined || params.page !== undefined || params.cursor !== undefined;
+  const limit = paginated ? Math.min(Number(params.limit) || DEFAULT_LIMIT, MAX_LIMIT) : undefined;
+
+  if (params.cursor !== undefined) {
+    const after = decodeCursor(params.cursor, sort);
+    return { where, sort, limit, after, search, page: null, cursorError: !after };
+  }
+
+  const page = paginated ? Number(params.page) || 1 : 1;
+  return { where, sort, limit, offset: limit ? (page - 1) * limit : 0, search, page };
+};
+
+/**
+ * Narrow a job query to the jobs matching its full-text search, if it has one
+ * (same syntax and index as GET /search). Call it once every other condition,
+ * the owner included, is in place; the requested sort and pagination then
+ * apply to the matches as usual.
+ * @param {Object} repository - The job repository
+ * @param {Object} jobQuery - Result of buildJobQuery
+ * @returns {Promise<Object>} The same query
+ */
+const applyTextSearch = async (repository, jobQuery) => {
+  if (jobQuery.search.length) {
+    const { items } = await repository.textSearch(jobQuery.search, { where: jobQuery.where });
+    jobQuery.where.push({ field: 'id', op: 'in', value: items.map(({ record }) => record.id) });
+  }
+  return jobQuery;
+};
+
+/**
+ * Run a job list query, fetching one extra record to know whether another page follows
+ * @param {Object} repository - The job repository
+ * @param {Object} jobQuery - Result of buildJobQuery
+ * @returns {Promise<{ items: Object[], total: number, nextCursor: string|null }>}
+ */
+const runJobQuery = async (repository, jobQuery) => {
+  const { limit, sort } = jobQuery;
+  const { items, total } = await repository.query({
+    ...jobQuery,
+    limit: limit === undefined ? undefined : limit + 1
+  });
+
+  const hasMore = limit !== undefined && items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    total,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  sortableFields,
+  MAX_LIMIT,
+  toList,
+  invalidSortFields,
+  buildJobQuery,
+  applyTextSearch,
+  runJobQuery
+};
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { getRepository } = require('../repositories');
+
+/**
+ * Note service
+ *
+ * Markdown notes on a job application, each filed under a category (AC-3.1).
+ * Editing a note keeps the version it replaces as a revision and marks the
+ * note as edited (AC-3.2); deleting it removes its revisions as well.
+ *
+ * The job's `notes` field holds the text of all its notes, oldest first, so
+ * full-text search and exports cover them. It is refreshed after every change
+ * here and is not written anywhere else.
+ */
+
+const noteCategories = ['interview', 'research', 'negotiation', 'follow_up', 'general'];
+
+const notes = getRepository('note');
+const revisions = getRepository('noteRevision');
+const jobs = getRepository('job');
+const users = getRepository('user');
+
+// Rewrite the job's combined notes text after its notes changed
+const refreshJobNotes = async (jobId) => {
+  const jobNotes = await notes.list({ jobId });
+  const text = jobNotes.reverse().map(note => note.body).join('\n\n') || null;
+  const job = await jobs.get(jobId);
+
+  if (job && (job.notes || null) !== text) {
+    await jobs.update(jobId, { notes: text });
+  }
+};
+
+const deleteRevisions = async (noteId) => {
+  const noteRevisions = await revisions.list({ noteId });
+  await Promise.all(noteRevisions.map(revision => revisions.delete(revision.id)));
+};
+
+// Add the name of the user who wrote each note
+const withAuthors = async (list) => {
+  const authorIds = [...new Set(list.map(note => note.authorId).filter(id => id !== null && id !== undefined))];
+  const authors = new Map(await Promise.all(authorIds.map(async id => [String(id), await users.get(id)])));
+
+  return list.map((note) => {
+    const author = authors.get(String(note.authorId));
+    return { ...note, author: author ? { id: author.id, name: author.name || author.email } : null };
+  });
+};
+
+/**
+ * Notes of a job, newest first, with their authors
+ * @param {string|number} jobId
+ * @param {{ category?: string }} [filters]
+ * @returns {Promise<Object[]>}
+ */
+const listJobNotes = async (jobId, { category } = {}) =>
+  withAuthors(await notes.list(category ? { jobId, category } : { jobId }));
+
+/**
+ * @param {string|number} noteId
+ * @returns {Promise<Object|null>} The note without its author
+ */
+const getNote = (noteId) => (notes.isValidId(noteId) ? notes.get(noteId) : null);
+
+/**
+ * @param {Object} note
+ * @returns {Promise<Object>} The note with its author
+ */
+const describeNote = async (note) => (await withAuthors([note]))[0];
+
+/**
+ * Write a note on a job
+ * @param {Object} job
+ * @param {Object} author - The user writing it
+ * @param {{ category?: string, body: string }} details - category defaults to "general"
+ * @returns {Promise<Object>} The note with its author
+ */
+const createNote = async (job, author, { category, body }) => {
+  const note = await notes.create({
+    jobId: job.id,
+    authorId: author.id,
+    category: category || 'general',
+    body,
+    editedAt: null
+  });
+
+  await refreshJobNotes(job.id);
+  return describeNote(note);
+};
+
+/**
+ * Edit a note, keeping the current version as a revision
+ * Nothing is recorded when neither the category nor the text changes.
+ * @param {Object} note
+ * @param {{ category?: string, body?: string }} changes
+ * @returns {Promise<Object>} The note with its author
+ */
+const updateNote = async (note, { category = note.category, body = note.body }) => {
+  if (category === note.category && body === note.body) {
+    return describeNote(note);
+  }
+
+  await revisions.create({
+    noteId: note.id,
+    category: note.category,
+    body: note.body,
+    writtenAt: note.editedAt || note.createdAt
+  });
+  const updated = await notes.update(note.id, { category, body, editedAt: new Date().toISOString() });
+
+  if (body !== note.body) {
+    await refreshJobNotes(note.jobId);
+  }
+  return describeNote(updated);
+};
+
+/**
+ * Earlier versions of a note, most recent first
+ * @param {Object} note
+ * @returns {Promise<Object[]>}
+ */
+const listNoteRevisions = (note) => revisions.list({ noteId: note.id });
+
+/**
+ * Delete a note permanently, with its revisions
+ * @param {Object} note
+ * @returns {Promise<Object|null>} The deleted note
+ */
+const deleteNote = async (note) => {
+  await deleteRevisions(note.id);
+  const deleted = await notes.delete(note.id);
+  await refreshJobNotes(note.jobId);
+  return deleted;
+};
+
+/**
+ * Delete every note of a job, e.g. when the job itself is deleted
+ * @param {string|number} jobId
+ * @returns {Promise<void>}
+ */
+const deleteJobNotes = async (jobId) => {
+  const jobNotes = await notes.list({ jobId });
+  for (const note of jobNotes) {
+    await deleteRevisions(note.id);
+    await notes.delete(note.id);
+  }
+};
+
+/**
+ * Credit a user with the notes of a job that had no owner yet
+ * @param {string|number} jobId
+ * @param {string|number} userId
+ * @returns {Promise<void>}
+ */
+const adoptJobNotes = async (jobId, userId) => {
+  const jobNotes = await notes.list({ jobId });
+  await Promise.all(jobNotes
+    .filter(note => note.authorId === null || note.authorId === undefined)
+    .map(note => notes.update(note.id, { authorId: userId })));
+};
+
+module.exports = {
+  noteCategories,
+  listJobNotes,
+  getNote,
+  describeNote,
+  createNote,
+  updateNote,
+  listNoteRevisions,
+  deleteNote,
+  deleteJobNotes,
+  adoptJobNotes
+};
\ No newline at end of file
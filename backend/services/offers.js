@@ -0,0 +1,277 @@
+const { getRepository } = require('../repositories');
+const { canTransition } = require('./statusWorkflow');
+const { recordStatusChange } = require('./statusHistory');
+const { createReminder, updateReminder, getReminder, deleteReminder, rescheduleAfterStatusChange } = require('./reminders');
+
+/**
+ * Offer service
+ *
+ * The offer made for a job application, its negotiation rounds and the
+ * yearly total compensation used to compare offers side by side. Recording
+ * an offer moves the job to "Offer Received" and accepting it to "Offer
+ * Accepted", as far as the status workflow allows. While an offer with a
+ * deadline is pending, a reminder on the job fires remindDaysBefore days
+ * before the deadline.
+ */
+
+const offerDecisions = ['pending', 'accepted', 'declined'];
+const equityTypes = ['rsu', 'options', 'other'];
+const proposers = ['employer', 'candidate'];
+
+// Terms a negotiation round can propose
+const negotiableTerms = ['baseSalary', 'bonusPercent', 'bonusAmount', 'signingBonus', 'equityValue', 'ptoDays'];
+
+// Terms of the offer itself, besides the negotiable ones
+const offerFields = [
+  ...negotiableTerms, 'currency', 'equityType', 'vestingYears', 'cliffMonths', 'benefits',
+  'deadline', 'remindDaysBefore', 'decision'
+];
+
+const MAX_COMPARE_YEARS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Status a job moves to when its offer is recorded or accepted
+const decisionStatuses = {
+  pending: { status: 'offer_received', comment: 'Offer recorded' },
+  accepted: { status: 'offer_accepted', comment: 'Offer accepted' }
+};
+
+const offers = getRepository('offer');
+const jobs = getRepository('job');
+
+const pick = (details, fields) => Object.fromEntries(fields
+  .filter(field => details[field] !== undefined)
+  .map(field => [field, details[field] === '' ? null : details[field]]));
+
+const offerRecord = (details) => {
+  const record = pick(details, offerFields);
+  if (record.currency) record.currency = record.currency.toUpperCase();
+  if (record.deadline) record.deadline = new Date(record.deadline).toISOString();
+  return record;
+};
+
+// Move the job to the status of the offer's decision, if the workflow allows it
+const advanceJobStatus = async (job, decision) => {
+  const target = decisionStatuses[decision];
+  if (!target || target.status === job.status || !canTransition(job.status, target.status)) {
+    return job;
+  }
+
+  const updated = await jobs.update(job.id, { status: target.status }, {
+    where: [{ field: 'status', op: 'eq', value: job.status }]
+  });
+  if (!updated) {
+    // Moved or deleted by another request since it was read: leave it there
+    return (await jobs.get(job.id)) || job;
+  }
+  await recordStatusChange(job.id, job.status, target.status, { comment: target.comment });
+  await rescheduleAfterStatusChange(job.id);
+  return updated;
+};
+
+const deadlineNote = (job, deadline) =>
+  `Decide on the offer from ${job.company} by ${new Date(deadline).toISOString().slice(0, 10)}`;
+
+/**
+ * Keep the deadline reminder in line with the offer: set while the offer is
+ * pending and its deadline ahead, removed otherwise
+ * @returns {Promise<string|number|null>} The reminder's id
+ */
+const syncDeadlineReminder = async (offer, job, now = new Date()) => {
+  const existing = offer.reminderId ? await getReminder(offer.reminderId) : null;
+  const wanted = offer.deadline && offer.decision === 'pending' && new Date(offer.deadline) > now;
+
+  if (!wanted) {
+    if (existing) {
+      await deleteReminder(existing.id);
+    }
+    return null;
+  }
+
+  const before = new Date(new Date(offer.deadline).getTime() - offer.remindDaysBefore * DAY_MS);
+  const remindAt = new Date(Math.max(before.getTime(), now.getTime())).toISOString();
+  const note = deadlineNote(job, offer.deadline);
+
+  if (!existing) {
+    return (await createReminder(job, { note, remindAt })).id;
+  }
+  // Only a new deadline or date reopens a reminder that already fired
+  const dateChanged = new Date(existing.remindAt).getTime() !== new Date(remindAt).getTime()
+    && (before > now || new Date(existing.remindAt) > now);
+  if (existing.note !== note || dateChanged) {
+    await updateReminder(existing, { note, remindAt });
+  }
+  return existing.id;
+};
+
+/**
+ * @param {string|number} jobId
+ * @returns {Promise<Object|null>}
+ */
+const getJobOffer = async (jobId) => (await offers.list({ jobId }))[0] || null;
+
+/**
+ * Record the offer for a job, or change its terms
+ * @param {Object} job
+ * @param {Object} details - baseSalary (required for a new offer) and the other offer fields
+ * @returns {Promise<{ offer: Object, job: Object, created: boolean }>}
+ */
+const saveOffer = async (job, details) => {
+  const existing = await getJobOffer(job.id);
+  let offer = existing
+    ? await offers.update(existing.id, offerRecord(details))
+    : await offers.create({
+      userId: job.userId,
+      jobId: job.id,
+      currency: 'USD',
+      vestingYears: 4,
+      cliffMonths: 12,
+      remindDaysBefore: 2,
+      decision: 'pending',
+      rounds: [],
+      reminderId: null,
+      ...offerRecord(details)
+    });
+
+  const reminderId = await syncDeadlineReminder(offer, job);
+  if (String(reminderId) !== String(offer.reminderId)) {
+    offer = await offers.update(offer.id, { reminderId });
+  }
+
+  const decided = !existing || details.decision !== undefined;
+  return {
+    offer,
+    job: decided ? await advanceJobStatus(job, offer.decision) : job,
+    created: !existing
+  };
+};
+
+/**
+ * Log a negotiation round; terms proposed by the employer become the offer's
+ * terms, a candidate's counter-offer is kept for the record
+ * @param {Object} offer
+ * @param {{ proposedBy: string, note?: string }} details - Plus the proposed negotiable terms
+ * @returns {Promise<Object>} The offer
+ */
+const addNegotiationRound = async (offer, { proposedBy, note, ...terms }) => {
+  const proposed = pick(terms, negotiableTerms);
+  const round = {
+    number: (offer.rounds || []).length + 1,
+    proposedBy,
+    terms: proposed,
+    note: note || null,
+    createdAt: new Date().toISOString()
+  };
+
+  return offers.update(offer.id, {
+    ...(proposedBy === 'employer' ? proposed : {}),
+    rounds: [...(offer.rounds || []), round]
+  });
+};
+
+// Part of the grant vested after a number of months: nothing before the
+// cliff, then evenly month by month
+const vestedAfter = ({ equityValue, vestingYears, cliffMonths }, months) => {
+  const vestingMonths = vestingYears * 12;
+  if (!equityValue || months < cliffMonths) {
+    return 0;
+  }
+  return equityValue * Math.min(months, vestingMonths) / vestingMonths;
+};
+
+/**
+ * Total compensation of an offer per year
+ * The bonus is the fixed amount when given, otherwise bonusPercent of the
+ * base; the signing bonus counts in the first year.
+ * @param {Object} offer
+ * @param {number} years
+ * @returns {{ years: Object[], total: number, averagePerYear: number }}
+ *   years holds { year, base, bonus, equity, signing, total } for each year
+ */
+const compensationByYear = (offer, years) => {
+  const base = offer.baseSalary || 0;
+  const bonus = offer.bonusAmount !== null && offer.bonusAmount !== undefined
+    ? offer.bonusAmount
+    : base * (offer.bonusPercent || 0) / 100;
+
+  const rows = Array.from({ length: years }, (_, index) => {
+    const year = index + 1;
+    const equity = vestedAfter(offer, year * 12) - vestedAfter(offer, index * 12);
+    const signing = year === 1 ? offer.signingBonus || 0 : 0;
+    return {
+      year,
+      base: Math.round(base),
+      bonus: Math.round(bonus),
+      equity: Math.round(equity),
+      signing: Math.round(signing),
+      total: Math.round(base + bonus + equity + signing)
+    };
+  });
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+
+  return { years: rows, total, averagePerYear: Math.round(total / years) };
+};
+
+/**
+ * A user's offers side by side, with their total compensation over the
+ * given number of years
+ * @param {string|number} userId
+ * @param {{ years?: number, jobIds?: string[] }} [options] - jobIds limits the comparison to those jobs
+ * @returns {Promise<Object[]>} Offers with `job` and `compensation`, nearest deadline first
+ */
+const compareOffers = async (userId, { years = 4, jobIds } = {}) => {
+  const wanted = jobIds && jobIds.length ? new Set(jobIds.map(String)) : null;
+  const userOffers = (await offers.list({ userId }))
+    .filter(offer => !wanted || wanted.has(String(offer.jobId)))
+    // Offers without a deadline go last whatever the store's null ordering
+    .sort((a, b) => (a.deadline ? new Date(a.deadline).getTime() : Infinity)
+      - (b.deadline ? new Date(b.deadline).getTime() : Infinity));
+
+  return Promise.all(userOffers.map(async (offer) => {
+    const job = await jobs.get(offer.jobId);
+    return {
+      ...offer,
+      job: job && { id: job.id, title: job.title, company: job.company, status: job.status },
+      compensation: compensationByYear(offer, years)
+    };
+  }));
+};
+
+/**
+ * Delete an offer and its deadline reminder
+ * @param {Object} offer
+ * @returns {Promise<Object|null>} The deleted offer
+ */
+const deleteOffer = async (offer) => {
+  if (offer.reminderId && await getReminder(offer.reminderId)) {
+    await deleteReminder(offer.reminderId);
+  }
+  return offers.delete(offer.id);
+};
+
+/**
+ * Remove the offer of a deleted job
+ * (SQLite cascades this itself; the other stores need it done explicitly)
+ * @param {string|number} jobId
+ */
+const deleteJobOffer = async (jobId) => {
+  const offer = await getJobOffer(jobId);
+  if (offer) {
+    await offers.delete(offer.id);
+  }
+};
+
+module.exports = {
+  offerDecisions,
+  equityTypes,
+  proposers,
+  negotiableTerms,
+  MAX_COMPARE_YEARS,
+  getJobOffer,
+  saveOffer,
+  addNegotiationRound,
+  compensationByYear,
+  compareOffers,
+  deleteOffer,
+  deleteJobOffer
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { getRepository } = require('../repositories');
+
+/**
+ * Password reset token service
+ *
+ * Tokens are sent by email (AC-5.3), expire after
+ * PASSWORD_RESET_TTL_MINUTES (default 60) and work once. Like refresh
+ * tokens they look like `<record id>.<secret>` and only a hash of the
+ * secret is stored.
+ */
+
+const RESET_TTL_MINUTES = parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const resets = getRepository('passwordReset');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Issue a reset token for a user
+ * @param {string|number} userId
+ * @returns {Promise<string>} The token to send to the user
+ */
+const createResetToken = async (userId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const reset = await resets.create({
+    userId,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000).toISOString()
+  });
+
+  return `${reset.id}.${secret}`;
+};
+
+/**
+ * Use up a reset token, together with every other open token of its user
+ * @param {string} token
+ * @returns {Promise<string|number|null>} The user the token was issued to,
+ *   or null when it is unknown, expired or already used
+ */
+const consumeResetToken = async (token) => {
+  const [resetId, secret] = String(token).split('.');
+  const reset = secret && resets.isValidId(resetId) ? await resets.get(resetId) : null;
+  const now = new Date();
+
+  if (!reset || reset.usedAt || new Date(reset.expiresAt) <= now || hashSecret(secret) !== reset.tokenHash) {
+    return null;
+  }
+
+  const open = (await resets.list({ userId: reset.userId })).filter(({ usedAt }) => !usedAt);
+  await Promise.all(open.map(({ id }) => resets.update(id, { usedAt: now.toISOString() })));
+
+  return reset.userId;
+};
+
+module.exports = {
+  RESET_TTL_MINUTES,
+  createResetToken,
+  consumeResetToken
+};
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { processDueReminders } = require('./reminders');
+
+/**
+ * Reminder scheduler
+ *
+ * Runs processDueReminders on a timer inside the API process, every
+ * REMINDER_INTERVAL_SECONDS (default 60). Run a single API process with the
+ * scheduler enabled, or reminders may be sent more than once.
+ */
+
+const DEFAULT_INTERVAL_MS = (parseFloat(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+
+/**
+ * Start checking for due reminders
+ * @param {{ intervalMs?: number }} [options]
+ * @returns {Function} Stops the scheduler
+ */
+const startReminderScheduler = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a run that is still sending
+    if (running) return;
+    running = true;
+    try {
+      const fired = await processDueReminders();
+      if (fired > 0) {
+        console.log(`⏰ Sent ${fired} due reminder${fired === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Reminder scheduler failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // The timer alone should not keep the process alive
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { startReminderScheduler };
\ No newline at end of file
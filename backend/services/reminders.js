@@ -0,0 +1,303 @@
+const { getRepository } = require('../repositories');
+const { getStatusTimeline } = require('./statusHistory');
+const { defaultChannels, getNotifier } = require('../notifiers');
+
+/**
+ * Follow-up reminder service
+ *
+ * A reminder is set on a job, or on a contact for networking follow-ups,
+ * either for a fixed time or for N days after the job's last status change
+ * (the contact's last interaction); the latter moves whenever that happens
+ * again while it is still pending. processDueReminders (run by the scheduler in
+ * services/reminderScheduler.js) marks reminders due and sends them through
+ * their notification channels.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders still waiting for the user to act on them
+const openStatuses = ['pending', 'due'];
+
+const reminders = getRepository('reminder');
+const jobs = getRepository('job');
+const contacts = getRepository('contact');
+const users = getRepository('user');
+
+// When the job entered its current status
+const lastStatusChangeAt = async (job) => {
+  const { entries } = await getStatusTimeline(job.id);
+  return entries.length ? entries[0].changedAt : job.updatedAt || job.createdAt;
+};
+
+// When the contact was last in touch
+const lastInteractionAt = (contact) => contact.lastContactedAt || contact.createdAt;
+
+// The moment relative reminders of a job or contact count from
+const relativeStart = async ({ jobId, contactId }) => (jobId !== null && jobId !== undefined
+  ? lastStatusChangeAt(await jobs.get(jobId))
+  : lastInteractionAt(await contacts.get(contactId)));
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+
+const newReminder = async (target, { note, remindAt, offsetDays, channels }) => {
+  const relative = offsetDays !== undefined && offsetDays !== null;
+
+  return reminders.create({
+    ...target,
+    note: note || null,
+    remindAt: relative ? addDays(await relativeStart(target), offsetDays) : new Date(remindAt).toISOString(),
+    offsetDays: relative ? Number(offsetDays) : null,
+    channels: channels || defaultChannels(),
+    status: 'pending',
+    deliveries: []
+  });
+};
+
+/**
+ * Create a reminder for a job
+ * @param {Object} job
+ * @param {{ note?: string, remindAt?: string, offsetDays?: number, channels?: string[] }} details
+ *   Either remindAt or offsetDays (days after the last status change)
+ * @returns {Promise<Object>}
+ */
+const createReminder = (job, details) =>
+  newReminder({ userId: job.userId, jobId: job.id, contactId: null }, details);
+
+/**
+ * Create a networking follow-up reminder for a contact
+ * @param {Object} contact
+ * @param {{ note?: string, remindAt?: string, offsetDays?: number, channels?: string[] }} details
+ *   Either remindAt or offsetDays (days after the last interaction with the contact)
+ * @returns {Promise<Object>}
+ */
+const createContactReminder = (contact, details) =>
+  newReminder({ userId: contact.userId, jobId: null, contactId: contact.id }, details);
+
+/**
+ * Change a reminder; a new date, or reopening it, makes it pending again
+ * @param {Object} reminder
+ * @param {{ note?: string, remindAt?: string, offsetDays?: number, channels?: string[], status?: string }} changes
+ * @returns {Promise<Object>}
+ */
+const updateReminder = async (reminder, { note, remindAt, offsetDays, channels, status }) => {
+  const changes = {};
+
+  if (note !== undefined) {
+    changes.note = note || null;
+  }
+  if (channels !== undefined) {
+    changes.channels = channels;
+  }
+  if (offsetDays !== undefined && offsetDays !== null) {
+    Object.assign(changes, {
+      remindAt: addDays(await relativeStart(reminder), offsetDays),
+      offsetDays: Number(offsetDays),
+      status: 'pending',
+      firedAt: null
+    });
+  } else if (remindAt !== undefined) {
+    Object.assign(changes, { remindAt: new Date(remindAt).toISOString(), offsetDays: null, status: 'pending', firedAt: null });
+  }
+  if (status !== undefined) {
+    changes.status = status;
+    changes.completedAt = ['done', 'dismissed'].includes(status) ? new Date().toISOString() : null;
+  }
+
+  return reminders.update(reminder.id, changes);
+};
+
+/**
+ * Start and end of "today" for a client
+ * @param {Date} now
+ * @param {number} timezoneOffset - Minutes behind UTC, as Date#getTimezoneOffset returns
+ * @returns {{ start: string, end: string }}
+ */
+const todayRange = (now, timezoneOffset = 0) => {
+  const offsetMs = timezoneOffset * 60 * 1000;
+  const localMidnight = Math.floor((now.getTime() - offsetMs) / DAY_MS) * DAY_MS;
+  const start = localMidnight + offsetMs;
+  return { start: new Date(start).toISOString(), end: new Date(start + DAY_MS - 1).toISOString() };
+};
+
+/**
+ * A user's reminders, soonest first
+ * @param {string|number} userId
+ * @param {Object} [filters]
+ * @param {'today'|'overdue'|'upcoming'} [filters.due] - Open reminders set for today, for an
+ *   earlier day, or for today or later
+ * @param {string|number} [filters.jobId]
+ * @param {string|number} [filters.contactId]
+ * @param {string[]} [filters.status]
+ * @param {number} [filters.timezoneOffset] - The client's, to know when its day starts
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} With a summary of their `job`, or of their `contact` for networking reminders
+ */
+const listReminders = async (userId, { due, jobId, contactId, status = [], timezoneOffset } = {}, now = new Date()) => {
+  const where = [{ field: 'userId', op: 'eq', value: userId }];
+
+  if (jobId !== undefined) {
+    where.push({ field: 'jobId', op: 'eq', value: jobId });
+  }
+  if (contactId !== undefined) {
+    where.push({ field: 'contactId', op: 'eq', value: contactId });
+  }
+  if (status.length) {
+    where.push({ field: 'status', op: 'in', value: status });
+  }
+  if (due) {
+    const today = todayRange(now, timezoneOffset);
+    where.push({ field: 'status', op: 'in', value: openStatuses });
+    if (due === 'today') {
+      where.push({ field: 'remindAt', op: 'gte', value: today.start }, { field: 'remindAt', op: 'lte', value: today.end });
+    } else if (due === 'upcoming') {
+      where.push({ field: 'remindAt', op: 'gte', value: today.start });
+    } else {
+      where.push({ field: 'remindAt', op: 'lt', value: today.start });
+    }
+  }
+
+  const { items } = await reminders.query({ where, sort: [{ field: 'remindAt', order: 'asc' }] });
+  return Promise.all(items.map(async (reminder) => {
+    if (reminder.contactId === null || reminder.contactId === undefined) {
+      const job = await jobs.get(reminder.jobId);
+      return { ...reminder, job: job && { id: job.id, title: job.title, company: job.company, status: job.status } };
+    }
+    const contact = await contacts.get(reminder.contactId);
+    return { ...reminder, contact: contact && { id: contact.id, name: contact.name, company: contact.company } };
+  }));
+};
+
+/**
+ * @param {string|number} reminderId
+ * @returns {Promise<Object|null>}
+ */
+const getReminder = (reminderId) => (reminders.isValidId(reminderId) ? reminders.get(reminderId) : null);
+
+/**
+ * Every reminder of a job, whoever's and whatever its status
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>}
+ */
+const listJobReminders = (jobId) => reminders.list({ jobId });
+
+/**
+ * @param {string|number} reminderId
+ * @returns {Promise<Object|null>} The deleted reminder
+ */
+const deleteReminder = (reminderId) => reminders.delete(reminderId);
+
+// Move pending relative reminders so they count from a new moment
+const restartRelative = async (filter, from) => {
+  const pending = (await reminders.list({ ...filter, status: 'pending' }))
+    .filter(reminder => reminder.offsetDays !== null && reminder.offsetDays !== undefined);
+
+  await Promise.all(pending.map(reminder =>
+    reminders.update(reminder.id, { remindAt: addDays(from, reminder.offsetDays) })));
+};
+
+/**
+ * Restart the clock of pending relative reminders after a job changed status
+ * @param {string|number} jobId
+ * @param {string} [changedAt]
+ */
+const rescheduleAfterStatusChange = (jobId, changedAt = new Date().toISOString()) =>
+  restartRelative({ jobId }, changedAt);
+
+/**
+ * Restart the clock of a contact's pending relative reminders after its
+ * latest interaction changed
+ * @param {Object} contact - With the new lastContactedAt
+ */
+const rescheduleAfterInteraction = (contact) =>
+  restartRelative({ contactId: contact.id }, lastInteractionAt(contact));
+
+/**
+ * Remove the reminders of a deleted job
+ * (SQLite cascades this itself; the other stores need it done explicitly)
+ * @param {string|number} jobId
+ */
+const deleteJobReminders = async (jobId) => {
+  const jobReminders = await reminders.list({ jobId });
+  await Promise.all(jobReminders.map(reminder => reminders.delete(reminder.id)));
+};
+
+/**
+ * Remove the reminders of a deleted contact
+ * (SQLite cascades this itself; the other stores need it done explicitly)
+ * @param {string|number} contactId
+ */
+const deleteContactReminders = async (contactId) => {
+  const contactReminders = await reminders.list({ contactId });
+  await Promise.all(contactReminders.map(reminder => reminders.delete(reminder.id)));
+};
+
+// Send a reminder through each of its channels, recording how each went
+const deliver = async (reminder) => {
+  const forContact = reminder.contactId !== null && reminder.contactId !== undefined;
+  const [subject, user] = await Promise.all([
+    forContact ? contacts.get(reminder.contactId) : jobs.get(reminder.jobId),
+    users.get(reminder.userId)
+  ]);
+  if (!subject || !user) {
+    return [];
+  }
+  const about = forContact ? { contact: subject } : { job: subject };
+
+  return Promise.all((reminder.channels || []).map(async (channel) => {
+    const delivery = { channel, at: new Date().toISOString() };
+    try {
+      await getNotifier(channel).notify({ reminder, ...about, user });
+      return { ...delivery, ok: true };
+    } catch (error) {
+      console.error(`Failed to send reminder ${reminder.id} via ${channel}:`, error.message);
+      return { ...delivery, ok: false, error: error.message };
+    }
+  }));
+};
+
+/**
+ * Mark every pending reminder whose time has come as due and notify its owner
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many reminders fired
+ */
+const processDueReminders = async (now = new Date()) => {
+  const { items } = await reminders.query({
+    where: [
+      { field: 'status', op: 'eq', value: 'pending' },
+      { field: 'remindAt', op: 'lte', value: now.toISOString() }
+    ]
+  });
+
+  let count = 0;
+  for (const reminder of items) {
+    // Marked before sending so a slow notifier cannot make the next run fire it again
+    const fired = await reminders.update(
+      reminder.id,
+      { status: 'due', firedAt: now.toISOString() },
+      { where: [{ field: 'status', op: 'eq', value: 'pending' }] }
+    );
+    if (!fired) {
+      // Dismissed, rescheduled or deleted since the query ran
+      continue;
+    }
+    await reminders.update(reminder.id, { deliveries: await deliver(fired) });
+    count++;
+  }
+
+  return count;
+};
+
+module.exports = {
+  createReminder,
+  createContactReminder,
+  updateReminder,
+  listReminders,
+  listJobReminders,
+  getReminder,
+  deleteReminder,
+  rescheduleAfterStatusChange,
+  rescheduleAfterInteraction,
+  deleteJobReminders,
+  deleteContactReminders,
+  processDueReminders
+};
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Salary helpers
+ *
+ * A job's compensation is stored as structured fields: the base salary range
+ * (salaryMin, salaryMax) in a currency (ISO 4217 code) per period, plus
+ * free-text bonus, equity and benefits. Applications saved before that keep
+ * the salary as the text the user typed ("$80k - $100k", "120,000"), which
+ * parseCompensation turns into the same structure.
+ */
+
+const salaryPeriods = ['hourly', 'monthly', 'yearly'];
+
+// Fields making up a job's compensation, besides the salaryRange text
+const compensationFields = ['salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod', 'bonus', 'equity', 'benefits'];
+
+// Currency symbols, longest first so "CA$" is not read as "$"
+const currencySymbols = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'],
+  ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW']
+];
+
+// Currencies written with a bare "$", which alone does not say which one is meant
+const dollarCurrencies = ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN'];
+
+const currencyCodes = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'SGD',
+  'HKD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'BRL', 'MXN', 'ZAR', 'KRW'
+];
+
+const periodPatterns = [
+  ['hourly', /\/\s*(?:hr|hour|h)\b|\bper\s+hour\b|\ban\s+hour\b|\bhourly\b/i],
+  ['monthly', /\/\s*(?:mo|month)\b|\bper\s+month\b|\ba\s+month\b|\bmonthly\b|\bpcm\b/i]
+];
+
+const bonusPattern = /bonus|commission|\bOTE\b|sign[- ]?on/i;
+const equityPattern = /equity|stock|\bRSUs?\b|\boptions?\b|\bshares\b/i;
+
+// Amounts such as "140,000", "60.000", "80 000", "55.5k", "$90K" or "1.5M";
+// percentages are left out. A comma, dot or space followed by exactly three
+// digits separates thousands, any other dot is a decimal point.
+const amountPattern = /(\d+(?:[,. \u00a0]\d{3}(?!\d))*(?:\.\d+)?)(?!\d|[,.]\d)\s*([km]\b)?(?!\s*%)/gi;
+const thousandsSeparator = /[,. \u00a0](?=\d{3}(?!\d))/g;
+
+const multipliers = { k: 1000, m: 1000000 };
+
+// The currency named in the text, and the symbol it was found by if no code was given
+const findCurrency = (text) => {
+  const code = currencyCodes.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(text));
+  if (code) {
+    return { code, symbol: null };
+  }
+  const symbol = currencySymbols.find(([candidate]) => text.includes(candidate));
+  return symbol ? { code: symbol[1], symbol: symbol[0] } : null;
+};
+
+const detectCurrency = (text) => {
+  const found = findCurrency(text);
+  return found ? found.code : null;
+};
+
+/**
+ * Whether salary text names a different currency than the one given
+ * A bare "$" fits any dollar currency, so "$100k" in CAD is no conflict.
+ * @param {string} text - Salary range text
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean}
+ */
+const currencyConflicts = (text, currency) => {
+  const found = findCurrency(String(text || ''));
+  if (!found || !currency) {
+    return false;
+  }
+  const given = String(currency).toUpperCase();
+  return found.symbol === '$' ? !dollarCurrencies.includes(given) : found.code !== given;
+};
+
+const detectPeriod = (text) => (periodPatterns.find(([, pattern]) => pattern.test(text)) || [])[0] || null;
+
+// Hourly rates keep their cents, other amounts are whole numbers
+const roundAmount = (amount, period) => (period === 'hourly'
+  ? Math.round(amount * 100) / 100
+  : Math.round(amount));
+
+const parseAmounts = (text) => {
+  const amounts = [...text.matchAll(amountPattern)]
+    .map(([, number, suffix]) => ({
+      value: parseFloat(number.replace(thousandsSeparator, '')),
+      multiplier: suffix ? multipliers[suffix.toLowerCase()] : null
+    }))
+    .filter(({ value }) => value > 0)
+    .slice(0, 2);
+
+  // "$150-200k" or "1.5-2M": the suffix of the upper bound applies to the lower one too
+  if (amounts.length === 2 && !amounts[0].multiplier && amounts[1].multiplier && amounts[0].value < 1000) {
+    amounts[0].multiplier = amounts[1].multiplier;
+  }
+  return amounts.map(({ value, multiplier }) => value * (multiplier || 1));
+};
+
+/**
+ * Turn a salary written as text into structured compensation
+ * The base range is the first part holding amounts; parts joined with "+",
+ * "plus" or ";" mentioning a bonus or equity go to those fields and any
+ * other added parts to benefits. Amounts without a period are taken as yearly.
+ * @param {string} text - e.g. "$140,000 - $160,000 + equity", "€60.000 - €70.000", "€55.5k-60k", "$1.5M", "$45/hr"
+ * @returns {{ salaryMin: number|null, salaryMax: number|null, salaryCurrency: string|null,
+ *   salaryPeriod: string|null, bonus: string|null, equity: string|null, benefits: string|null }}
+ */
+const parseCompensation = (text) => {
+  const source = String(text || '').trim();
+  const parts = source.split(/\s*(?:\+|\bplus\b|;)\s*/i).filter(Boolean);
+  const result = {
+    salaryMin: null,
+    salaryMax: null,
+    salaryCurrency: detectCurrency(source),
+    salaryPeriod: null,
+    bonus: null,
+    equity: null,
+    benefits: null
+  };
+  const others = [];
+
+  parts.forEach((part, index) => {
+    if (bonusPattern.test(part)) {
+      result.bonus = result.bonus ? `${result.bonus}; ${part}` : part;
+    } else if (equityPattern.test(part)) {
+      result.equity = result.equity ? `${result.equity}; ${part}` : part;
+    } else if (result.salaryMin === null && parseAmounts(part).length) {
+      const amounts = parseAmounts(part);
+      result.salaryPeriod = detectPeriod(part) || detectPeriod(source) || 'yearly';
+      result.salaryMin = roundAmount(Math.min(...amounts), result.salaryPeriod);
+      result.salaryMax = roundAmount(Math.max(...amounts), result.salaryPeriod);
+      // "from $40" and "up to $60" leave the other bound open
+      if (amounts.length === 1 && /\bup\s+to\b/i.test(part)) {
+        result.salaryMin = null;
+      } else if (amounts.length === 1 && /\bfrom\b/i.test(part)) {
+        result.salaryMax = null;
+      }
+    } else if (index > 0 && !detectPeriod(part)) {
+      others.push(part);
+    }
+  });
+
+  result.benefits = others.length ? others.join('; ') : null;
+  return result;
+};
+
+/**
+ * Extract the lower and upper bound of a salary range
+ * @param {string} text - e.g. "$140,000 - $160,000 + equity", "90k", "€55.5k-60k"
+ * @returns {{ salaryMin: number|null, salaryMax: number|null }}
+ */
+const parseSalaryRange = (text) => {
+  const { salaryMin, salaryMax } = parseCompensation(text);
+  return { salaryMin, salaryMax };
+};
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat('en-US', {
+  ...(currency ? { style: 'currency', currency } : {}),
+  minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  maximumFractionDigits: 2
+}).format(amount);
+
+const periodSuffix = { hourly: ' an hour', monthly: ' a month', yearly: ' a year' };
+
+/**
+ * Compensation as one line of text, e.g. "$140,000 - $160,000 a year + 10% bonus + equity"
+ * Used as the salaryRange of jobs saved with structured compensation, so
+ * exports and older clients still show it.
+ * @param {Object} compensation - Fields named in compensationFields
+ * @returns {string} Empty when there is nothing to show
+ */
+const formatCompensation = ({ salaryMin, salaryMax, salaryCurrency, salaryPeriod, bonus, equity }) => {
+  const low = salaryMin === null || salaryMin === undefined ? null : salaryMin;
+  const high = salaryMax === null || salaryMax === undefined ? null : salaryMax;
+  let base = '';
+
+  if (low !== null && high !== null && low !== high) {
+    base = `${formatAmount(low, salaryCurrency)} - ${formatAmount(high, salaryCurrency)}`;
+  } else if (low !== null || high !== null) {
+    const amount = formatAmount(low !== null ? low : high, salaryCurrency);
+    base = low === null ? `up to ${amount}` : high === null ? `from ${amount}` : amount;
+  }
+  if (base && salaryPeriod) {
+    base += periodSuffix[salaryPeriod];
+  }
+
+  return [
+    base,
+    bonus && (bonusPattern.test(bonus) ? bonus : `${bonus} bonus`),
+    equity && (equityPattern.test(equity) ? equity : `${equity} equity`)
+  ].filter(Boolean).join(' + ');
+};
+
+/**
+ * Compensation fields to store for a saved job
+ * Salary text is parsed and any structured fields given override what was
+ * read from it; the compensation is replaced as a whole, so fields left out
+ * are cleared. Without salary text, the text is written from the fields.
+ * @param {Object} details - Validated request fields
+ * @returns {Object} Nothing when the request does not touch the compensation
+ */
+const compensationFromRequest = (details) => {
+  const given = compensationFields.filter(field => details[field] !== undefined);
+  if (details.salaryRange === undefined && given.length === 0) {
+    return {};
+  }
+
+  const compensation = details.salaryRange ? parseCompensation(details.salaryRange) : parseCompensation('');
+  given.forEach((field) => {
+    compensation[field] = details[field] === '' ? null : details[field];
+  });
+  if (compensation.salaryCurrency) {
+    compensation.salaryCurrency = compensation.salaryCurrency.toUpperCase();
+  }
+  if ((compensation.salaryMin !== null || compensation.salaryMax !== null) && !compensation.salaryPeriod) {
+    compensation.salaryPeriod = 'yearly';
+  }
+
+  return {
+    ...compensation,
+    salaryRange: details.salaryRange || formatCompensation(compensation) || null
+  };
+};
+
+module.exports = {
+  salaryPeriods,
+  compensationFields,
+  parseCompensation,
+  parseSalaryRange,
+  formatCompensation,
+  compensationFromRequest,
+  currencyConflicts
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { getRepository } = require('../repositories');
+const { parseSearchQuery } = require('../repositories/textSearch');
+
+/**
+ * Search service
+ *
+ * Relevance-ranked full-text search over job applications (AC-3.3).
+ * Title, company, description and notes are indexed; see
+ * repositories/textSearch.js for the query syntax.
+ */
+
+const jobs = getRepository('job');
+
+/**
+ * Search jobs
+ * @param {string} query - e.g. `react "senior engineer" engin*`
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.offset=0]
+ * @param {Object[]} [options.where] - Extra repository conditions (see repositories/query.js)
+ * @returns {Promise<{ terms: Object[], items: Object[], total: number }>}
+ *   items are { job, score, highlights }, best match first
+ */
+const searchJobs = async (query, { limit, offset = 0, where = [] } = {}) => {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) {
+    return { terms, items: [], total: 0 };
+  }
+
+  const { items, total } = await jobs.textSearch(terms, { where, limit, offset });
+  return {
+    terms,
+    items: items.map(({ record, score, highlights }) => ({ job: record, score, highlights })),
+    total
+  };
+};
+
+module.exports = { searchJobs };
\ No newline at end of file
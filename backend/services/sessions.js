@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { getRepository } = require('../repositories');
+
+/**
+ * Session service
+ *
+ * A session is one logged-in device. It owns a refresh token that is
+ * replaced on every use (rotation). Presenting a token that has already
+ * been rotated away means it was copied, so the session is revoked.
+ *
+ * Refresh tokens look like `<session id>.<secret>`; only a hash of the
+ * secret part is stored.
+ */
+
+// Sliding lifetime: each refresh extends the session (AC-5.2: active for 24 hours)
+const SESSION_TTL_MS = (parseFloat(process.env.REFRESH_TOKEN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Two tabs may refresh with the same token at once; the slower one is
+// refused without treating it as theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const sessions = getRepository('session');
+
+/**
+ * Raised when a refresh token cannot be used
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = 401;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const expiresFrom = (now) => new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+
+/**
+ * @param {Object} session
+ * @param {Date} [now]
+ * @returns {boolean} Whether the session can still be used
+ */
+const isSessionActive = (session, now = new Date()) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+
+/**
+ * Start a session for a user who just proved their identity
+ * @param {string|number} userId
+ * @param {{ userAgent?: string, ipAddress?: string }} [client]
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+const createSession = async (userId, { userAgent, ipAddress } = {}) => {
+  const now = new Date();
+  const secret = newSecret();
+
+  const session = await sessions.create({
+    userId,
+    tokenHash: hashSecret(secret),
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+    ipAddress: ipAddress || null,
+    lastUsedAt: now.toISOString(),
+    expiresAt: expiresFrom(now)
+  });
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * @param {string} refreshToken
+ * @param {{ userAgent?: string, ipAddress?: string }} [client]
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ * @throws {SessionError} When the token is unknown, expired, revoked or reused
+ */
+const rotateSession = async (refreshToken, { ipAddress } = {}) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const session = secret && sessions.isValidId(sessionId) ? await sessions.get(sessionId) : null;
+  const now = new Date();
+
+  if (!isSessionActive(session, now)) {
+    throw new SessionError('Session expired or revoked');
+  }
+
+  const presentedHash = hashSecret(secret);
+  if (presentedHash !== session.tokenHash) {
+    const reused = presentedHash === session.previousTokenHash;
+    const withinGrace = reused && now - new Date(session.rotatedAt) < ROTATION_GRACE_MS;
+
+    if (reused && !withinGrace) {
+      await sessions.update(session.id, { revokedAt: now.toISOString() });
+    }
+    throw new SessionError('Invalid refresh token');
+  }
+
+  // Only rotate if no concurrent request has rotated the same token since it
+  // was read; the loser of that race is refused like a reuse within the grace period
+  const nextSecret = newSecret();
+  const updated = await sessions.update(session.id, {
+    tokenHash: hashSecret(nextSecret),
+    previousTokenHash: session.tokenHash,
+    rotatedAt: now.toISOString(),
+    ipAddress: ipAddress || session.ipAddress,
+    lastUsedAt: now.toISOString(),
+    expiresAt: expiresFrom(now)
+  }, {
+    where: [{ field: 'tokenHash', op: 'eq', value: session.tokenHash }]
+  });
+
+  if (!updated) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  return { session: updated, refreshToken: `${session.id}.${nextSecret}` };
+};
+
+/**
+ * @param {string|number} sessionId
+ * @returns {Promise<Object|null>}
+ */
+const getSession = (sessionId) => (sessions.isValidId(sessionId) ? sessions.get(sessionId) : null);
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string|number} userId
+ * @returns {Promise<Object[]>} Sessions without token hashes
+ */
+const listSessions = async (userId) => {
+  const now = new Date();
+  const all = await sessions.list({ userId });
+
+  return all
+    .filter(session => isSessionActive(session, now))
+    .map(({ tokenHash, previousTokenHash, ...session }) => session);
+};
+
+/**
+ * @param {string|number} sessionId
+ * @returns {Promise<Object|null>} The revoked session
+ */
+const revokeSession = (sessionId) => sessions.update(sessionId, { revokedAt: new Date().toISOString() });
+
+/**
+ * Log a user out everywhere, optionally except one session
+ * @param {string|number} userId
+ * @param {{ except?: string|number }} [options]
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+const revokeAllSessions = async (userId, { except } = {}) => {
+  const revocable = (await listSessions(userId))
+    .filter(session => except === undefined || String(session.id) !== String(except));
+  await Promise.all(revocable.map(session => revokeSession(session.id)));
+  return revocable.length;
+};
+
+module.exports = {
+  SessionError,
+  isSessionActive,
+  createSession,
+  rotateSession,
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { getRepository } = require('../repositories');
+
+/**
+ * Status history service
+ *
+ * Records every status change of a job application and turns the stored
+ * changes into a timeline with the time spent in each stage (AC-2.2).
+ */
+
+const history = getRepository('statusChange');
+
+/**
+ * Record a status change
+ * @param {string|number} jobId
+ * @param {string|null} fromStatus - Previous status, null for a new application
+ * @param {string} toStatus
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Why the status changed
+ * @param {string} [options.changedAt] - ISO timestamp, defaults to now
+ * @returns {Promise<Object>} The stored history entry
+ */
+const recordStatusChange = (jobId, fromStatus, toStatus, { comment, changedAt } = {}) =>
+  history.create({
+    jobId,
+    fromStatus: fromStatus || null,
+    toStatus,
+    comment: comment || null,
+    changedAt: changedAt || new Date().toISOString()
+  });
+
+/**
+ * Turn a job's changes, oldest first, into stays: each covers the time from
+ * its change until the next change (or now, for the current status)
+ * @param {Object[]} changes
+ * @param {Date} [now]
+ * @returns {Object[]} The changes with endedAt, durationMs and isCurrent, oldest first
+ */
+const buildTimeline = (changes, now = new Date()) => changes.map((change, index) => {
+  const next = changes[index + 1];
+  const endedAt = next ? new Date(next.changedAt) : now;
+
+  return {
+    ...change,
+    endedAt: next ? next.changedAt : null,
+    durationMs: Math.max(0, endedAt - new Date(change.changedAt)),
+    isCurrent: !next
+  };
+});
+
+/**
+ * Build the timeline for a job
+ *
+ * Entries are returned newest first, with the total time spent in each
+ * status.
+ *
+ * @param {string|number} jobId
+ * @param {Date} [now] - Reference time for the current stage
+ * @returns {Promise<{ entries: Object[], timeInStatus: Object[] }>}
+ */
+const getStatusTimeline = async (jobId, now = new Date()) => {
+  const entries = buildTimeline(await history.list({ jobId }), now);
+
+  // Total time per status, in the order each status was first reached
+  const totals = new Map();
+  entries.forEach(({ toStatus, durationMs }) => {
+    const total = totals.get(toStatus) || { status: toStatus, durationMs: 0, visits: 0 };
+    total.durationMs += durationMs;
+    total.visits += 1;
+    totals.set(toStatus, total);
+  });
+
+  return {
+    entries: entries.reverse(),
+    timeInStatus: [...totals.values()]
+  };
+};
+
+/**
+ * Remove the history of a deleted job
+ * (SQLite cascades this itself; the other stores need it done explicitly)
+ * @param {string|number} jobId
+ */
+const deleteStatusHistory = async (jobId) => {
+  const changes = await history.list({ jobId });
+  await Promise.all(changes.map(change => history.delete(change.id)));
+};
+
+module.exports = {
+  recordStatusChange,
+  buildTimeline,
+  getStatusTimeline,
+  deleteStatusHistory
+};
\ No newline at end of file
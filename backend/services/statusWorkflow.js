@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const defaults = require('../config/statuses');
+
+/**
+ * Status workflow service
+ *
+ * Answers "is this a status?" and "may an application move from A to B?"
+ * using the catalogue in config/statuses.js, optionally overridden by the
+ * JSON file named in STATUS_WORKFLOW_PATH.
+ */
+
+/**
+ * Raised when an application is asked to make a move the graph does not allow
+ */
+class StatusTransitionError extends Error {
+  constructor(from, to, allowed = []) {
+    super(`Cannot change status from "${from}" to "${to}"`);
+    this.name = 'StatusTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+const loadTransitions = () => {
+  const configPath = process.env.STATUS_WORKFLOW_PATH;
+  if (!configPath) {
+    return defaults.transitions;
+  }
+
+  const config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+  return { ...defaults.transitions, ...config.transitions };
+};
+
+const values = defaults.statuses.map(status => status.value);
+const transitions = loadTransitions();
+
+// Fail fast on a workflow file that mentions statuses we do not know
+Object.entries(transitions).forEach(([from, targets]) => {
+  [from, ...targets].forEach((value) => {
+    if (!values.includes(value)) {
+      throw new Error(`Unknown status "${value}" in status transition graph`);
+    }
+  });
+});
+
+/**
+ * The full catalogue, as served to clients
+ * @returns {{ statuses: Object[], transitions: Object, initialStatus: string }}
+ */
+const getStatusCatalog = () => ({
+  statuses: defaults.statuses,
+  transitions,
+  initialStatus: defaults.initialStatus
+});
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether value is a canonical status
+ */
+const isKnownStatus = (value) => values.includes(value);
+
+/**
+ * Map a canonical, legacy or differently-cased status name to its canonical value
+ * @param {string} value - e.g. "Interview", "offered", "Phone Screen Scheduled"
+ * @returns {string|undefined} Canonical status, or undefined when unrecognised
+ */
+const normalizeStatus = (value) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (isKnownStatus(key)) {
+    return key;
+  }
+  return defaults.legacyAliases[key];
+};
+
+/**
+ * Statuses reachable in one move from the given status
+ * @param {string} from
+ * @returns {string[]}
+ */
+const allowedTransitions = (from) => transitions[from] || [];
+
+/**
+ * Staying in the same status is always allowed
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => from === to || allowedTransitions(from).includes(to);
+
+/**
+ * @throws {StatusTransitionError} When the move is not in the graph
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new StatusTransitionError(from, to, allowedTransitions(from));
+  }
+};
+
+module.exports = {
+  StatusTransitionError,
+  statusValues: values,
+  getStatusCatalog,
+  isKnownStatus,
+  normalizeStatus,
+  allowedTransitions,
+  canTransition,
+  assertTransition
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Tag name helpers
+ *
+ * Tags are free text typed by the user ("remote", "Dream company"). Names
+ * are tidied before they are stored and compared without regard to case,
+ * so "Remote" and "remote " are the same tag.
+ */
+
+// Colours given to tags the user has not picked one for
+const tagPalette = [
+  '#2563EB', '#7C3AED', '#DB2777', '#DC2626', '#EA580C',
+  '#CA8A04', '#16A34A', '#0D9488', '#0891B2', '#4B5563'
+];
+
+/**
+ * Tag name as stored: trimmed, with runs of whitespace collapsed
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeTagName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Matching key for a tag name
+ * @param {string} name - e.g. " Dream  Company"
+ * @returns {string} e.g. "dream company"
+ */
+const tagKey = (name) => normalizeTagName(name).toLowerCase();
+
+/**
+ * Palette colour for a tag, always the same one for the same name
+ * @param {string} name
+ * @returns {string} #RRGGBB
+ */
+const defaultTagColor = (name) => {
+  let hash = 0;
+  for (const char of tagKey(name)) {
+    hash = (hash * 31 + char.codePointAt(0)) % 1000003;
+  }
+  return tagPalette[hash % tagPalette.length];
+};
+
+module.exports = { tagPalette, normalizeTagName, tagKey, defaultTagColor };
\ No newline at end of file
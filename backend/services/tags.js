@@ -0,0 +1,248 @@
+const { getRepository } = require('../repositories');
+const { normalizeTagName, tagKey, defaultTagColor } = require('./tagNames');
+
+/**
+ * Tag service
+ *
+ * Jobs carry the names of their tags in job.tags, which is what list
+ * filters match on. Each name has a tag record per user holding its
+ * spelling and colour; names are matched without regard to case, and a
+ * record is created for names seen for the first time. Renaming, merging
+ * and deleting a tag rewrite the tags of every job that has it.
+ */
+
+// Most tags a job can have, as accepted by POST /jobs
+const MAX_JOB_TAGS = 20;
+
+const tags = getRepository('tag');
+const jobs = getRepository('job');
+
+/**
+ * Raised for tag changes the client should be told about
+ */
+class TagError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TagError';
+    this.status = status;
+  }
+}
+
+// The user's tags by matching key
+const tagsByKey = async (userId) => new Map((await tags.list({ userId })).map(tag => [tagKey(tag.name), tag]));
+
+// The user's jobs that have any of the given tag names
+const jobsTagged = async (userId, names) => (await jobs.query({
+  where: [
+    { field: 'userId', op: 'eq', value: userId },
+    { field: 'tags', op: 'hasAny', value: names }
+  ]
+})).items;
+
+// Replace tag names on a job, keeping each name once and the order they were added in
+const rewriteJobTags = async (job, replace) => {
+  const next = [...new Set((job.tags || []).map(replace).filter(Boolean))];
+  return jobs.update(job.id, { tags: next });
+};
+
+/**
+ * @param {string|number} tagId
+ * @returns {Promise<Object|null>}
+ */
+const getTag = (tagId) => (tags.isValidId(tagId) ? tags.get(tagId) : null);
+
+/**
+ * The stored spelling of tag names for a job, creating tags for new names
+ * @param {string|number} userId
+ * @param {string[]} [names]
+ * @returns {Promise<string[]>} Distinct names, in the order given
+ */
+const resolveTags = async (userId, names = []) => {
+  const known = await tagsByKey(userId);
+  const resolved = [];
+
+  for (const name of names.map(normalizeTagName).filter(Boolean)) {
+    const key = tagKey(name);
+    if (!known.has(key)) {
+      known.set(key, await tags.create({ userId, name, color: defaultTagColor(name) }));
+    }
+    if (!resolved.includes(known.get(key).name)) {
+      resolved.push(known.get(key).name);
+    }
+  }
+  return resolved;
+};
+
+/**
+ * The stored spelling of tag names for a list filter; unknown names are kept as given
+ * @param {string|number} userId
+ * @param {string[]} names
+ * @returns {Promise<string[]>}
+ */
+const matchTagNames = async (userId, names) => {
+  if (!names.length) {
+    return names;
+  }
+  const known = await tagsByKey(userId);
+  return names.map(name => (known.get(tagKey(name)) || { name }).name);
+};
+
+/**
+ * A user's tags with the number of applications that have each,
+ * most used first
+ * @param {string|number} userId
+ * @param {{ q?: string }} [filters] - q matches part of the name; names starting with it come first
+ * @returns {Promise<Object[]>}
+ */
+const listTags = async (userId, { q } = {}) => {
+  const counts = new Map();
+  (await jobs.list({ userId })).forEach(job => (job.tags || []).forEach((name) => {
+    counts.set(tagKey(name), (counts.get(tagKey(name)) || 0) + 1);
+  }));
+
+  const term = q ? tagKey(q) : '';
+  const startsWithTerm = (tag) => (term && tagKey(tag.name).startsWith(term) ? 0 : 1);
+
+  return (await tags.list({ userId }))
+    .filter(tag => !term || tagKey(tag.name).includes(term))
+    .map(tag => ({ ...tag, applicationCount: counts.get(tagKey(tag.name)) || 0 }))
+    .sort((a, b) => startsWithTerm(a) - startsWithTerm(b)
+      || b.applicationCount - a.applicationCount
+      || a.name.localeCompare(b.name));
+};
+
+/**
+ * Create a tag before any job has it, e.g. to pick its colour
+ * @param {string|number} userId
+ * @param {{ name: string, color?: string }} details
+ * @returns {Promise<Object>}
+ * @throws {TagError} 409 when the user already has a tag of that name
+ */
+const createTag = async (userId, { name, color }) => {
+  const tidy = normalizeTagName(name);
+  const existing = (await tagsByKey(userId)).get(tagKey(tidy));
+  if (existing) {
+    throw new TagError(`A tag named "${existing.name}" already exists`, 409);
+  }
+  return tags.create({ userId, name: tidy, color: color || defaultTagColor(tidy) });
+};
+
+/**
+ * Rename or recolour a tag; a new name is written to every job that has the tag
+ * @param {Object} tag
+ * @param {{ name?: string, color?: string }} changes
+ * @returns {Promise<{ tag: Object, jobCount: number }>} jobCount is the number of jobs rewritten
+ * @throws {TagError} 409 when another tag already has the new name
+ */
+const updateTag = async (tag, { name, color }) => {
+  const newName = name === undefined ? tag.name : normalizeTagName(name);
+  const other = (await tagsByKey(tag.userId)).get(tagKey(newName));
+
+  if (other && String(other.id) !== String(tag.id)) {
+    throw new TagError(`A tag named "${other.name}" already exists; merge the tags instead`, 409);
+  }
+
+  let jobCount = 0;
+  if (newName !== tag.name) {
+    const tagged = await jobsTagged(tag.userId, [tag.name]);
+    for (const job of tagged) {
+      await rewriteJobTags(job, current => (current === tag.name ? newName : current));
+    }
+    jobCount = tagged.length;
+  }
+
+  const updated = await tags.update(tag.id, { name: newName, ...(color ? { color } : {}) });
+  return { tag: updated, jobCount };
+};
+
+/**
+ * Fold other tags into one: every job that had any of them gets the target
+ * tag instead, and the merged tags are deleted
+ * @param {Object} target
+ * @param {Object[]} sources
+ * @returns {Promise<{ tag: Object, jobCount: number }>} jobCount is the number of jobs rewritten
+ */
+const mergeTags = async (target, sources) => {
+  const merged = new Set(sources.map(source => source.name));
+  const tagged = await jobsTagged(target.userId, [...merged]);
+
+  for (const job of tagged) {
+    await rewriteJobTags(job, current => (merged.has(current) ? target.name : current));
+  }
+  for (const source of sources) {
+    await tags.delete(source.id);
+  }
+
+  return { tag: await tags.get(target.id), jobCount: tagged.length };
+};
+
+/**
+ * Delete a tag and take it off every job that has it
+ * @param {Object} tag
+ * @returns {Promise<{ tag: Object, jobCount: number }>} The deleted tag and the number of jobs it was removed from
+ */
+const deleteTag = async (tag) => {
+  const tagged = await jobsTagged(tag.userId, [tag.name]);
+  for (const job of tagged) {
+    await rewriteJobTags(job, current => (current === tag.name ? null : current));
+  }
+  return { tag: await tags.delete(tag.id), jobCount: tagged.length };
+};
+
+/**
+ * Add tags to and remove tags from many jobs at once
+ * Added names are resolved like those of a saved job; jobs that would end up
+ * with more than MAX_JOB_TAGS tags are refused before any job is changed.
+ * @param {string|number} userId
+ * @param {Object[]} targets - The jobs, all belonging to the user
+ * @param {{ add?: string[], remove?: string[] }} changes
+ * @returns {Promise<Object[]>} The jobs whose tags changed
+ * @throws {TagError} 400 when a job would get too many tags
+ */
+const tagJobs = async (userId, targets, { add = [], remove = [] }) => {
+  // Spelled as resolveTags will store them, without creating tags for a change that is refused
+  const known = await tagsByKey(userId);
+  const spellings = new Map();
+  add.map(normalizeTagName).filter(Boolean).forEach((name) => {
+    if (!spellings.has(tagKey(name))) {
+      spellings.set(tagKey(name), (known.get(tagKey(name)) || { name }).name);
+    }
+  });
+  const added = [...spellings.values()];
+  const removed = new Set(remove.map(tagKey));
+
+  const changes = targets.map((job) => {
+    const current = job.tags || [];
+    const kept = current.filter(name => !removed.has(tagKey(name)));
+    const next = [...kept, ...added.filter(name => !kept.includes(name) && !removed.has(tagKey(name)))];
+    return { job, next, changed: next.length !== current.length || next.some((name, i) => name !== current[i]) };
+  });
+
+  const overfull = changes.find(({ next }) => next.length > MAX_JOB_TAGS);
+  if (overfull) {
+    throw new TagError(`"${overfull.job.title}" at ${overfull.job.company} would have more than ${MAX_JOB_TAGS} tags`, 400);
+  }
+
+  await resolveTags(userId, add);
+  const updated = [];
+  for (const { job, next, changed } of changes) {
+    if (changed) {
+      updated.push(await jobs.update(job.id, { tags: next }));
+    }
+  }
+  return updated;
+};
+
+module.exports = {
+  MAX_JOB_TAGS,
+  TagError,
+  getTag,
+  resolveTags,
+  matchTagNames,
+  listTags,
+  createTag,
+  updateTag,
+  mergeTags,
+  deleteTag,
+  tagJobs
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Local disk storage
+ *
+ * Keeps each file at ATTACHMENT_DIR/<key> (default backend/uploads). Keys
+ * may contain slashes, which become subdirectories.
+ */
+class LocalStorage {
+  constructor(directory = process.env.ATTACHMENT_DIR || DEFAULT_DIR) {
+    this.directory = path.resolve(directory);
+  }
+
+  // Keys are generated by the app, but never let one point outside the directory
+  pathOf(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.pathOf(key);
+    // Write under a temporary name first so a half-written file is never served
+    const partial = `${file}.${process.pid}.partial`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(partial, buffer);
+    await fs.promises.rename(partial, file);
+  }
+
+  async get(key) {
+    const file = this.pathOf(key);
+    try {
+      await fs.promises.access(file, fs.constants.R_OK);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * S3 storage
+ *
+ * Keeps each file as an object in S3_BUCKET, under S3_PREFIX when set.
+ * S3_ENDPOINT points at an S3-compatible service such as MinIO or
+ * Cloudflare R2 (most of them also need S3_FORCE_PATH_STYLE=true).
+ * S3_REGION defaults to us-east-1. Credentials come from S3_ACCESS_KEY_ID
+ * and S3_SECRET_ACCESS_KEY, or the usual AWS environment and profile
+ * settings when those are not set.
+ */
+class S3Storage {
+  constructor() {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET must be set when ATTACHMENT_STORAGE=s3');
+    }
+
+    const prefix = process.env.S3_PREFIX || '';
+    this.bucket = process.env.S3_BUCKET;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}`,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: `${this.prefix}${key}` }));
+      return object.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: `${this.prefix}${key}` }));
+  }
+}
+
+module.exports = S3Storage;
\ No newline at end of file
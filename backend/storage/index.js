@@ -0,0 +1,58 @@
+/**
+ * File storage for JINDER
+ *
+ * Uploaded documents are kept by a storage backend exposing:
+ * - put(key, buffer, { contentType }) resolving once the file is stored
+ * - get(key) resolving to a readable stream, or null when there is no such file
+ * - delete(key) resolving once the file is gone (missing files are ignored)
+ *
+ * The backend is chosen by the ATTACHMENT_STORAGE environment variable:
+ *
+ * - local: files under ATTACHMENT_DIR (default backend/uploads)
+ * - s3:    an S3 or S3-compatible bucket (MinIO, R2, ...) configured with S3_* variables
+ */
+
+const backends = {
+  local: () => require('./backends/LocalStorage'),
+  s3: () => require('./backends/S3Storage')
+};
+
+let storage = null;
+
+/**
+ * Name of the configured storage backend
+ * @returns {string}
+ */
+const getStorageName = () => (process.env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+
+/**
+ * Build a new storage backend
+ * @param {string} [storageName] - Defaults to ATTACHMENT_STORAGE
+ * @returns {Object} Storage instance
+ */
+function createStorage(storageName = getStorageName()) {
+  const loadBackend = backends[storageName];
+  if (!loadBackend) {
+    throw new Error(`Unknown attachment storage "${storageName}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const Storage = loadBackend();
+  return new Storage();
+}
+
+/**
+ * Shared storage backend, created on first use
+ * @returns {Object} Storage instance
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  createStorage,
+  getStorageName
+};
\ No newline at end of file
@@ -9,8 +9,23 @@ import Footer from './components/Footer';
 // Pages
 import Home from './pages/Home';
 import Login from './pages/Login';
+import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
+import Board from './pages/Board';
+import JobDetail from './pages/JobDetail';
+import JobEditor from './pages/JobEditor';
+import ImportJobs from './pages/ImportJobs';
+import Interviews from './pages/Interviews';
+import Calendar from './pages/Calendar';
+import Contacts from './pages/Contacts';
+import ContactDetail from './pages/ContactDetail';
+import Companies from './pages/Companies';
+import CompanyDetail from './pages/CompanyDetail';
+import Tags from './pages/Tags';
+import Offers from './pages/Offers';
 import Profile from './pages/Profile';
 
 function App() {
@@ -22,8 +37,24 @@ function App() {
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/jobs" element={<Jobs />} />
+            <Route path="/jobs/new" element={<JobEditor />} />
+            <Route path="/jobs/import" element={<ImportJobs />} />
+            <Route path="/jobs/:id" element={<JobDetail />} />
+            <Route path="/jobs/:id/edit" element={<JobEditor />} />
+            <Route path="/board" element={<Board />} />
+            <Route path="/interviews" element={<Interviews />} />
+            <Route path="/calendar" element={<Calendar />} />
+            <Route path="/contacts" element={<Contacts />} />
+            <Route path="/contacts/:id" element={<ContactDetail />} />
+            <Route path="/companies" element={<Companies />} />
+            <Route path="/companies/:id" element={<CompanyDetail />} />
+            <Route path="/tags" element={<Tags />} />
+            <Route path="/offers" element={<Offers />} />
             <Route path="/profile" element={<Profile />} />
           </Routes>
         </main>
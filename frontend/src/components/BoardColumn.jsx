@@ -0,0 +1,122 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './BoardColumn.css';
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : null);
+
+// "near" once the column holds as many cards as its limit, "over" past it
+const wipState = (count, limit) => {
+  if (!limit) return null;
+  if (count > limit) return 'over';
+  return count === limit ? 'near' : null;
+};
+
+/**
+ * One status column of the pipeline board
+ *
+ * The board owns the cards and the move logic; the column reports drops and
+ * key presses back through the handlers. `dropState` is 'allowed' or
+ * 'blocked' while a card is being dragged or moved with the keyboard, and
+ * `target` marks the column the card would land in.
+ *
+ * @param {Object} status - Catalogue entry of the column's status
+ * @param {Object[]} jobs - Cards in the column
+ * @param {number} [wipLimit] - Cards the column should hold at most
+ * @param {boolean} [collapsed]
+ * @param {Function} [onToggleCollapsed] - Given for columns that can be collapsed
+ */
+const BoardColumn = ({
+  status,
+  jobs,
+  wipLimit,
+  collapsed = false,
+  onToggleCollapsed,
+  dropState,
+  target = false,
+  liftedId,
+  pendingIds = [],
+  cardRef,
+  onCardDragStart,
+  onCardDragEnd,
+  onCardKeyDown,
+  onDragOver,
+  onDragLeave,
+  onDrop
+}) => {
+  const wip = wipState(jobs.length, wipLimit);
+  const classes = [
+    'board-column',
+    collapsed && 'collapsed',
+    dropState && `drop-${dropState}`,
+    target && 'drop-target',
+    wip && `wip-${wip}`
+  ].filter(Boolean).join(' ');
+
+  return (
+    <section
+      className={classes}
+      aria-label={`${status.label}, ${jobs.length} application${jobs.length === 1 ? '' : 's'}`}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+    >
+      <header className="board-column-header" style={{ borderTopColor: status.color }}>
+        <h2>{status.label}</h2>
+        <span
+          className="board-column-count"
+          title={wipLimit ? `Work-in-progress limit: ${wipLimit}` : undefined}
+        >
+          {wipLimit ? `${jobs.length} / ${wipLimit}` : jobs.length}
+        </span>
+        {onToggleCollapsed && (
+          <button
+            type="button"
+            className="board-column-toggle"
+            onClick={onToggleCollapsed}
+            aria-expanded={!collapsed}
+            aria-label={`${collapsed ? 'Expand' : 'Collapse'} ${status.label}`}
+          >
+            {collapsed ? '»' : '«'}
+          </button>
+        )}
+      </header>
+
+      {!collapsed && (
+        <ul className="board-cards">
+          {jobs.map(job => {
+            const pending = pendingIds.includes(job.id);
+            return (
+              <li
+                key={job.id}
+                ref={(element) => cardRef(job.id, element)}
+                className={`board-card${liftedId === job.id ? ' lifted' : ''}${pending ? ' pending' : ''}`}
+                tabIndex={0}
+                draggable={!pending}
+                aria-busy={pending}
+                aria-roledescription="Draggable application"
+                aria-describedby="board-instructions"
+                onDragStart={(e) => onCardDragStart(e, job)}
+                onDragEnd={onCardDragEnd}
+                onKeyDown={(e) => onCardKeyDown(e, job)}
+              >
+                <Link to={`/jobs/${job.id}`} className="board-card-title" draggable={false}>
+                  {job.title || job.position}
+                </Link>
+                <span className="board-card-company">{job.company}</span>
+                {(job.location || job.dateApplied) && (
+                  <span className="board-card-meta">
+                    {[job.location, formatDate(job.dateApplied)].filter(Boolean).join(' · ')}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default BoardColumn;
\ No newline at end of file
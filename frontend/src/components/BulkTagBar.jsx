@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { MAX_TAG_LENGTH, tagJobs } from '../services/tagService';
+import './BulkTagBar.css';
+
+/**
+ * Adds a tag to or removes it from the selected jobs
+ *
+ * @param {Array<string|number>} jobIds - The selected jobs
+ * @param {Object[]} tags - The user's tags, suggested while typing
+ * @param {(updatedJobs: Object[]) => void} onDone - Called with the jobs whose tags changed
+ * @param {() => void} onClear - Clears the selection
+ */
+const BulkTagBar = ({ jobIds, tags, onDone, onClear }) => {
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const apply = async (change) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await tagJobs(jobIds, { [change]: [name.trim()] });
+      setName('');
+      onDone(updated);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bulk-tag-bar">
+      <span className="bulk-tag-bar-count">
+        {jobIds.length} {jobIds.length === 1 ? 'job' : 'jobs'} selected
+      </span>
+      <input
+        type="text"
+        aria-label="Tag"
+        list="bulk-tag-names"
+        placeholder="Tag"
+        maxLength={MAX_TAG_LENGTH}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        disabled={saving}
+      />
+      <datalist id="bulk-tag-names">
+        {tags.map(tag => <option key={tag.id} value={tag.name} />)}
+      </datalist>
+      <button type="button" className="btn btn-primary" onClick={() => apply('add')} disabled={saving || !name.trim()}>
+        Add tag
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={() => apply('remove')} disabled={saving || !name.trim()}>
+        Remove tag
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={onClear} disabled={saving}>
+        Clear selection
+      </button>
+      {error && <p className="bulk-tag-bar-error" role="alert">{error}</p>}
+    </div>
+  );
+};
+
+export default BulkTagBar;
\ No newline at end of file
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import CalendarEvent from './CalendarEvent';
+import { dayKey, eventDayKey, fromDayKey } from '../utils/calendarDates';
+import './CalendarAgenda.css';
+
+// "Today", "Tomorrow" or the date
+const dayHeading = (key) => {
+  const today = new Date();
+  if (key === dayKey(today)) return 'Today';
+  if (key === dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1))) return 'Tomorrow';
+  return fromDayKey(key).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+};
+
+// The value a date or datetime-local input holds for the event's start
+const inputValue = (event) => {
+  if (event.allDay) return event.start.slice(0, 10);
+  const start = new Date(event.start);
+  return `${dayKey(start)}T${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`;
+};
+
+const groupByDay = (events) => events.reduce((groups, event) => {
+  const key = eventDayKey(event);
+  const last = groups[groups.length - 1];
+  if (last && last.key === key) {
+    last.events.push(event);
+  } else {
+    groups.push({ key, events: [event] });
+  }
+  return groups;
+}, []);
+
+/**
+ * Events listed day by day, each with a form to move it to another date -
+ * the way to reschedule without dragging
+ *
+ * @param {Object[]} events - Earliest first
+ * @param {string[]} [pendingIds] - Events whose move is being saved
+ * @param {Function} onReschedule - Called with the event and its new start
+ */
+const CalendarAgenda = ({ events, pendingIds = [], onReschedule }) => {
+  const [editing, setEditing] = useState(null);
+  const [value, setValue] = useState('');
+
+  const startEditing = (event) => {
+    setEditing(event.id);
+    setValue(inputValue(event));
+  };
+
+  const handleSubmit = (e, event) => {
+    e.preventDefault();
+    setEditing(null);
+    if (value && value !== inputValue(event)) {
+      onReschedule(event, event.allDay ? value : new Date(value).toISOString());
+    }
+  };
+
+  if (events.length === 0) {
+    return <p className="contacts-empty">Nothing on the calendar for these days.</p>;
+  }
+
+  return (
+    <div className="calendar-agenda">
+      {groupByDay(events).map(group => (
+        <section key={group.key} className="calendar-agenda-day">
+          <h2>{dayHeading(group.key)}</h2>
+          <ul>
+            {group.events.map(event => (
+              <li key={event.id} className="calendar-agenda-item">
+                <span className="calendar-agenda-time">
+                  {event.allDay ? 'All day' : new Date(event.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                </span>
+                <div className="calendar-agenda-body">
+                  <CalendarEvent event={event} compact pending={pendingIds.includes(event.id)} />
+                  {event.location && <span className="calendar-agenda-meta">{event.location}</span>}
+                </div>
+                {editing === event.id ? (
+                  <form className="calendar-agenda-move" onSubmit={(e) => handleSubmit(e, event)}>
+                    <label>
+                      <span className="calendar-agenda-label">New {event.allDay ? 'date' : 'time'}</span>
+                      <input
+                        type={event.allDay ? 'date' : 'datetime-local'}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        required
+                        autoFocus
+                      />
+                    </label>
+                    <button type="submit" className="btn btn-primary">Move</button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                  </form>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => startEditing(event)}
+                    disabled={pendingIds.includes(event.id)}
+                  >
+                    Reschedule
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default CalendarAgenda;
\ No newline at end of file
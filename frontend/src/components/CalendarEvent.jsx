@@ -0,0 +1,76 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { calendarEventTypes } from '../services/calendarService';
+import './CalendarEvent.css';
+
+const colorOf = (type) => calendarEventTypes.find(option => option.value === type)?.color;
+
+// Tab of the application page each type of event belongs to
+const jobTabs = { interview: 'interviews', offer: 'offer', reminder: 'reminders' };
+
+/**
+ * @param {Object} event - Calendar event from the API
+ * @returns {string|null} Page of the application or contact the event belongs to
+ */
+export const eventLink = (event) => {
+  if (event.jobId !== null && event.jobId !== undefined) {
+    return jobTabs[event.type] ? `/jobs/${event.jobId}?tab=${jobTabs[event.type]}` : `/jobs/${event.jobId}`;
+  }
+  if (event.contactId !== null && event.contactId !== undefined) return `/contacts/${event.contactId}`;
+  return null;
+};
+
+/**
+ * @param {Object} event - Calendar event from the API
+ * @returns {string} The event's title with what it is about, e.g. "Follow up: Engineer at Acme"
+ */
+export const eventSummary = (event) => {
+  if (event.job) return `${event.title}: ${event.job.title} at ${event.job.company}`;
+  if (event.contact) return `${event.title}: ${event.contact.name}`;
+  return event.title;
+};
+
+/**
+ * @param {Object} event - Calendar event from the API
+ * @returns {string|null} Start time, e.g. "2:30 PM", or null for all-day events
+ */
+export const eventTime = (event) => (event.allDay
+  ? null
+  : new Date(event.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }));
+
+/**
+ * One event in a calendar cell, linking to its application or contact
+ *
+ * With `onDragStart` the chip can be dragged to another day or hour; the
+ * grid it sits in handles the drop.
+ *
+ * @param {Object} event
+ * @param {boolean} [pending] - A move of the event is being saved
+ * @param {boolean} [compact] - Leave out the time, for cells that already show it
+ */
+const CalendarEvent = ({ event, pending = false, compact = false, onDragStart, onDragEnd }) => {
+  const link = eventLink(event);
+  const time = compact ? null : eventTime(event);
+  const label = (
+    <>
+      {time && <span className="calendar-event-time">{time}</span>}
+      {eventSummary(event)}
+    </>
+  );
+
+  return (
+    <div
+      className={`calendar-event calendar-event-${event.type}${pending ? ' pending' : ''}`}
+      style={{ borderLeftColor: colorOf(event.type) }}
+      title={[eventSummary(event), event.location, event.description].filter(Boolean).join('\n')}
+      draggable={Boolean(onDragStart) && !pending}
+      aria-busy={pending}
+      onDragStart={onDragStart && ((e) => onDragStart(e, event))}
+      onDragEnd={onDragEnd}
+    >
+      {link ? <Link to={link} draggable={false}>{label}</Link> : <span>{label}</span>}
+    </div>
+  );
+};
+
+export default CalendarEvent;
\ No newline at end of file
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { fetchCalendarFeed, createCalendarFeed, revokeCalendarFeed } from '../services/calendarService';
+import './CalendarFeed.css';
+
+const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Private feed URL for subscribing to the calendar from another calendar
+ * app. The URL works without logging in, so it is shown only when created;
+ * creating another or revoking it stops the old one working.
+ */
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [url, setUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    fetchCalendarFeed()
+      .then((loaded) => active && setFeed(loaded))
+      .catch((err) => active && setError(err.message));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed?.active && !window.confirm('Create a new feed URL? Calendars subscribed to the current one will stop updating.')) {
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const created = await createCalendarFeed();
+      setFeed(created);
+      setUrl(created.url);
+      setCopied(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke the feed URL? Calendars subscribed to it will stop updating.')) {
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await revokeCalendarFeed();
+      setFeed({ active: false, createdAt: null, lastUsedAt: null });
+      setUrl(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      setError('Could not copy the URL; select it and copy it instead.');
+    }
+  };
+
+  return (
+    <details className="calendar-feed">
+      <summary>Subscribe from another calendar</summary>
+      <div className="calendar-feed-body">
+        <p>
+          Add this calendar to Google Calendar, Outlook or Apple Calendar by subscribing to a private URL.
+          Anyone with the URL can see your interviews and deadlines, so keep it to yourself.
+        </p>
+        {error && <p className="contacts-error" role="alert">{error}</p>}
+
+        {url && (
+          <div className="calendar-feed-url">
+            <input type="text" value={url} readOnly aria-label="Feed URL" onFocus={(e) => e.target.select()} />
+            <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <p className="calendar-feed-note">Copy the URL now; it is not shown again.</p>
+          </div>
+        )}
+
+        {feed && (
+          <p className="calendar-feed-status">
+            {feed.active
+              ? `Feed created ${formatDate(feed.createdAt)}; ${feed.lastUsedAt ? `last read ${formatDate(feed.lastUsedAt)}` : 'not read yet'}.`
+              : 'No feed URL yet.'}
+          </p>
+        )}
+
+        <div className="calendar-feed-actions">
+          <button type="button" className="btn btn-primary" onClick={handleCreate} disabled={busy || !feed}>
+            {feed?.active ? 'Create new URL' : 'Create feed URL'}
+          </button>
+          {feed?.active && (
+            <button type="button" className="btn btn-danger" onClick={handleRevoke} disabled={busy}>
+              Revoke
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default CalendarFeed;
\ No newline at end of file
@@ -0,0 +1,165 @@
+import React, { useEffect, useRef, useState } from 'react';
+import CalendarEvent from './CalendarEvent';
+import { dayKey, eventDayKey } from '../utils/calendarDates';
+import './CalendarGrid.css';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Hour the week view is scrolled to when it opens
+const FIRST_VISIBLE_HOUR = 8;
+
+const hourLabel = (hour) => new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' });
+
+const slotKey = (day, hour) => (hour === null ? day : `${day}T${hour}`);
+
+/**
+ * Month or week grid of calendar events, events dragged to another day (or,
+ * in the week view, another hour) to move them
+ *
+ * The page owns the events and the move logic; a drop is reported as
+ * `onMove(event, { day, hour })`, with `hour` null for a whole day.
+ *
+ * @param {'month'|'week'} view
+ * @param {Date[]} days - Days shown, a multiple of seven starting on Monday
+ * @param {number} [month] - Month being shown; other days are dimmed
+ * @param {Object[]} events
+ * @param {string[]} [pendingIds] - Events whose move is being saved
+ * @param {Function} onMove
+ */
+const CalendarGrid = ({ view, days, month, events, pendingIds = [], onMove }) => {
+  const [dragging, setDragging] = useState(null);
+  const [overSlot, setOverSlot] = useState(null);
+  const hoursRef = useRef(null);
+  const today = dayKey(new Date());
+
+  useEffect(() => {
+    if (view === 'week' && hoursRef.current) {
+      const row = hoursRef.current.querySelector(`[data-hour="${FIRST_VISIBLE_HOUR}"]`);
+      hoursRef.current.scrollTop = row ? row.offsetTop : 0;
+    }
+  }, [view]);
+
+  const eventsIn = (day, hour) => events.filter(event => eventDayKey(event) === day && (
+    hour === undefined
+      || (hour === null ? event.allDay : !event.allDay && new Date(event.start).getHours() === hour)
+  ));
+
+  const handleDragStart = (e, event) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', event.id);
+    setDragging(event);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setOverSlot(null);
+  };
+
+  // Any slot takes a drop; a timed event dropped on a whole day keeps its time
+  const dropHandlers = (day, hour) => ({
+    onDragOver: (e) => {
+      if (dragging) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setOverSlot(slotKey(day, hour));
+      }
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setOverSlot(current => (current === slotKey(day, hour) ? null : current));
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (dragging) {
+        onMove(dragging, { day, hour });
+      }
+      handleDragEnd();
+    }
+  });
+
+  const renderEvents = (list, compact) => list.map(event => (
+    <CalendarEvent
+      key={event.id}
+      event={event}
+      compact={compact}
+      pending={pendingIds.includes(event.id)}
+      onDragStart={handleDragStart}
+      onDragEnd={handleDragEnd}
+    />
+  ));
+
+  const cellClass = (base, day, hour) => [
+    base,
+    day === today && 'today',
+    overSlot === slotKey(day, hour) && 'drop-target'
+  ].filter(Boolean).join(' ');
+
+  const weekdays = days.slice(0, 7);
+
+  if (view === 'month') {
+    return (
+      <div className="calendar-grid calendar-month">
+        {weekdays.map(day => (
+          <div key={day.getDay()} className="calendar-weekday">
+            {day.toLocaleDateString('en-US', { weekday: 'short' })}
+          </div>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          return (
+            <div
+              key={key}
+              className={cellClass(`calendar-day${day.getMonth() !== month ? ' outside' : ''}`, key, null)}
+              {...dropHandlers(key, null)}
+            >
+              <span className="calendar-day-number">{day.getDate()}</span>
+              {renderEvents(eventsIn(key), false)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <div className="calendar-grid calendar-week">
+      <div className="calendar-week-row calendar-week-head">
+        <div className="calendar-hour-label" />
+        {days.map(day => (
+          <div key={dayKey(day)} className={`calendar-weekday${dayKey(day) === today ? ' today' : ''}`}>
+            {day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+          </div>
+        ))}
+      </div>
+      <div className="calendar-week-row calendar-all-day">
+        <div className="calendar-hour-label">All day</div>
+        {days.map(day => {
+          const key = dayKey(day);
+          return (
+            <div key={key} className={cellClass('calendar-slot', key, null)} {...dropHandlers(key, null)}>
+              {renderEvents(eventsIn(key, null), true)}
+            </div>
+          );
+        })}
+      </div>
+      <div className="calendar-week-hours" ref={hoursRef}>
+        {HOURS.map(hour => (
+          <div key={hour} className="calendar-week-row" data-hour={hour}>
+            <div className="calendar-hour-label">{hourLabel(hour)}</div>
+            {days.map(day => {
+              const key = dayKey(day);
+              return (
+                <div key={key} className={cellClass('calendar-slot', key, hour)} {...dropHandlers(key, hour)}>
+                  {renderEvents(eventsIn(key, hour), false)}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarGrid;
\ No newline at end of file
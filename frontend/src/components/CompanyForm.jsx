@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { companySizes } from '../services/companyService';
+import './ContactForm.css';
+
+const companyFields = ['name', 'website', 'industry', 'size', 'headquarters', 'notes'];
+
+const toFormState = (company) => ({
+  ...Object.fromEntries(companyFields.map(field => [field, company?.[field] || ''])),
+  aliases: (company?.aliases || []).join(', ')
+});
+
+/**
+ * Form for adding or editing a company
+ * 
+ * @param {Object} [company] - The company to edit; omit to add a new one
+ * @param {Function} onSubmit - Called with the fields to send to the API
+ * @param {Function} [onCancel]
+ * @param {boolean} [saving]
+ */
+const CompanyForm = ({ company, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState(() => toFormState(company));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Blank optional fields are sent as null so an edit can clear them
+    onSubmit({
+      ...Object.fromEntries(companyFields.map((field) => {
+        const value = field === 'notes' ? form.notes : form[field].trim();
+        return [field, field === 'name' ? value : value || null];
+      })),
+      aliases: form.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit}>
+      <div className="contact-form-row">
+        <label>
+          Name
+          <input name="name" value={form.name} onChange={handleChange} maxLength={100} required disabled={saving} />
+        </label>
+        <label>
+          Also known as
+          <input
+            name="aliases"
+            placeholder="Comma separated, e.g. Facebook"
+            value={form.aliases}
+            onChange={handleChange}
+            disabled={saving}
+          />
+        </label>
+      </div>
+      <div className="contact-form-row">
+        <label>
+          Website
+          <input
+            type="url"
+            name="website"
+            placeholder="https://"
+            value={form.website}
+            onChange={handleChange}
+            disabled={saving}
+          />
+        </label>
+        <label>
+          Industry
+          <input name="industry" value={form.industry} onChange={handleChange} maxLength={100} disabled={saving} />
+        </label>
+        <label>
+          Size
+          <select name="size" value={form.size} onChange={handleChange} disabled={saving}>
+            <option value="">Unknown</option>
+            {companySizes.map(size => (
+              <option key={size} value={size}>{size} employees</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Headquarters
+          <input
+            name="headquarters"
+            value={form.headquarters}
+            onChange={handleChange}
+            maxLength={100}
+            disabled={saving}
+          />
+        </label>
+      </div>
+      <label>
+        Notes
+        <textarea name="notes" rows={3} value={form.notes} onChange={handleChange} maxLength={5000} disabled={saving} />
+      </label>
+      <div className="contact-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save company'}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default CompanyForm;
\ No newline at end of file
@@ -0,0 +1,104 @@
+import React from 'react';
+import { salaryPeriods, currencies } from '../utils/compensation';
+import './CompensationFields.css';
+
+/**
+ * Inputs for a job's compensation: base salary range, currency and period,
+ * bonus, equity and benefits
+ *
+ * @param {Object} value - Form values (see compensationFormValues)
+ * @param {(value: Object) => void} onChange
+ * @param {boolean} [disabled]
+ */
+const CompensationFields = ({ value, onChange, disabled = false }) => {
+  const handleChange = (e) => onChange({ ...value, [e.target.name]: e.target.value });
+
+  return (
+    <fieldset className="compensation-fields" disabled={disabled}>
+      <legend>Compensation</legend>
+
+      <div className="compensation-row">
+        <label>
+          Minimum
+          <input
+            type="number"
+            name="salaryMin"
+            min="0"
+            step="any"
+            value={value.salaryMin}
+            onChange={handleChange}
+            placeholder="e.g. 140000"
+          />
+        </label>
+        <label>
+          Maximum
+          <input
+            type="number"
+            name="salaryMax"
+            min="0"
+            step="any"
+            value={value.salaryMax}
+            onChange={handleChange}
+            placeholder="e.g. 160000"
+          />
+        </label>
+        <label>
+          Currency
+          <select name="salaryCurrency" value={value.salaryCurrency} onChange={handleChange}>
+            {!currencies.includes(value.salaryCurrency) && (
+              <option value={value.salaryCurrency}>{value.salaryCurrency || 'Not set'}</option>
+            )}
+            {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+        </label>
+        <label>
+          Period
+          <select name="salaryPeriod" value={value.salaryPeriod} onChange={handleChange}>
+            {salaryPeriods.map(period => (
+              <option key={period.value} value={period.value}>{period.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="compensation-row">
+        <label>
+          Bonus
+          <input
+            type="text"
+            name="bonus"
+            maxLength={200}
+            value={value.bonus}
+            onChange={handleChange}
+            placeholder="e.g. 10% target"
+          />
+        </label>
+        <label>
+          Equity
+          <input
+            type="text"
+            name="equity"
+            maxLength={200}
+            value={value.equity}
+            onChange={handleChange}
+            placeholder="e.g. 0.5% over 4 years"
+          />
+        </label>
+      </div>
+
+      <label>
+        Benefits
+        <textarea
+          name="benefits"
+          rows={2}
+          maxLength={1000}
+          value={value.benefits}
+          onChange={handleChange}
+          placeholder="Health insurance, 401(k) match, remote stipend..."
+        />
+      </label>
+    </fieldset>
+  );
+};
+
+export default CompensationFields;
\ No newline at end of file
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import './ContactForm.css';
+
+const contactFields = ['name', 'role', 'company', 'email', 'phone', 'linkedinUrl', 'notes'];
+
+const toFormState = (contact) =>
+  Object.fromEntries(contactFields.map(field => [field, contact?.[field] || '']));
+
+/**
+ * Form for adding or editing a networking contact
+ * 
+ * @param {Object} [contact] - The contact to edit; omit to add a new one
+ * @param {Function} onSubmit - Called with the fields to send to the API
+ * @param {Function} [onCancel]
+ * @param {boolean} [saving]
+ * @param {string} [submitLabel]
+ */
+const ContactForm = ({ contact, onSubmit, onCancel, saving = false, submitLabel = 'Save contact' }) => {
+  const [form, setForm] = useState(() => toFormState(contact));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Blank optional fields are sent as null so an edit can clear them
+    onSubmit(Object.fromEntries(contactFields.map((field) => {
+      const value = field === 'notes' ? form.notes : form[field].trim();
+      return [field, field === 'name' ? value : value || null];
+    })));
+  };
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit}>
+      <div className="contact-form-row">
+        <label>
+          Name
+          <input name="name" value={form.name} onChange={handleChange} maxLength={100} required disabled={saving} />
+        </label>
+        <label>
+          Role
+          <input
+            name="role"
+            placeholder="e.g. Recruiter"
+            value={form.role}
+            onChange={handleChange}
+            maxLength={100}
+            disabled={saving}
+          />
+        </label>
+        <label>
+          Company
+          <input name="company" value={form.company} onChange={handleChange} maxLength={100} disabled={saving} />
+        </label>
+      </div>
+      <div className="contact-form-row">
+        <label>
+          Email
+          <input type="email" name="email" value={form.email} onChange={handleChange} disabled={saving} />
+        </label>
+        <label>
+          Phone
+          <input type="tel" name="phone" value={form.phone} onChange={handleChange} maxLength={40} disabled={saving} />
+        </label>
+        <label>
+          LinkedIn
+          <input
+            type="url"
+            name="linkedinUrl"
+            placeholder="https://www.linkedin.com/in/..."
+            value={form.linkedinUrl}
+            onChange={handleChange}
+            disabled={saving}
+          />
+        </label>
+      </div>
+      <label>
+        Notes
+        <textarea name="notes" rows={3} value={form.notes} onChange={handleChange} maxLength={5000} disabled={saving} />
+      </label>
+      <div className="contact-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ContactForm;
\ No newline at end of file
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { exportJobs } from '../services/jobService';
+import './ExportMenu.css';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ics', label: 'Calendar (.ics)' }
+];
+
+// Hand a downloaded file to the browser's save dialog
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export menu for the job list
+ *
+ * Downloads every job matching `filters` (the same parameters as GET /api/jobs),
+ * optionally with notes and the status history as extra columns.
+ */
+const ExportMenu = ({ filters = {} }) => {
+  const [open, setOpen] = useState(false);
+  const [include, setInclude] = useState({ notes: false, history: false });
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError(null);
+
+    try {
+      const extras = Object.keys(include).filter(name => include[name]);
+      const { blob, filename } = await exportJobs(format, {
+        ...filters,
+        ...(extras.length ? { include: extras.join(',') } : {})
+      });
+      saveFile(blob, filename);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="btn btn-secondary"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        Export ▾
+      </button>
+
+      {open && (
+        <div className="export-menu-panel">
+          {FORMATS.map(format => (
+            <button
+              key={format.value}
+              type="button"
+              className="export-menu-item"
+              onClick={() => handleExport(format.value)}
+              disabled={exporting !== null}
+            >
+              {exporting === format.value ? 'Exporting...' : format.label}
+            </button>
+          ))}
+
+          <div className="export-menu-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={include.notes}
+                onChange={(e) => setInclude({ ...include, notes: e.target.checked })}
+              />
+              Include notes
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={include.history}
+                onChange={(e) => setInclude({ ...include, history: e.target.checked })}
+              />
+              Include status history
+            </label>
+          </div>
+
+          {error && <p className="export-menu-error" role="alert">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
\ No newline at end of file
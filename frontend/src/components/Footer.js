@@ -0,0 +1,10 @@
+import React from 'react';
+import './Footer.css';
+
+const Footer = () => (
+  <footer className="footer">
+    <p>&copy; {new Date().getFullYear()} JINDER - Job Application Tracker</p>
+  </footer>
+);
+
+export default Footer;
\ No newline at end of file
@@ -1,8 +1,19 @@
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { getCurrentUser, logout } from '../services/authService';
 import './Header.css';
 
 const Header = () => {
+  // Re-read the session on every navigation so login/logout show up immediately
+  useLocation();
+  const navigate = useNavigate();
+  const user = getCurrentUser();
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
   return (
     <header className="header">
       <div className="container">
@@ -12,9 +23,22 @@ const Header = () => {
         <nav className="nav">
           <Link to="/" className="nav-link">Home</Link>
           <Link to="/jobs" className="nav-link">Jobs</Link>
+          <Link to="/board" className="nav-link">Board</Link>
+          <Link to="/interviews" className="nav-link">Interviews</Link>
+          <Link to="/calendar" className="nav-link">Calendar</Link>
+          <Link to="/offers" className="nav-link">Offers</Link>
+          <Link to="/contacts" className="nav-link">Contacts</Link>
+          <Link to="/companies" className="nav-link">Companies</Link>
+          <Link to="/tags" className="nav-link">Tags</Link>
           <Link to="/dashboard" className="nav-link">Dashboard</Link>
           <Link to="/profile" className="nav-link">Profile</Link>
-          <Link to="/login" className="nav-link">Login</Link>
+          {user ? (
+            <button type="button" className="nav-link" onClick={handleLogout}>
+              Logout ({user.name || user.email})
+            </button>
+          ) : (
+            <Link to="/login" className="nav-link">Login</Link>
+          )}
         </nav>
       </div>
     </header>
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { interviewRounds, interviewOutcomes } from '../services/interviewService';
+import { browserTimeZone, zonedTimeToUtc, utcToZonedInput } from '../utils/timeZones';
+import './InterviewForm.css';
+
+// Older browsers cannot list zones; they get a free-text field instead
+const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : null;
+
+const emptyInterviewer = { name: '', role: '', email: '' };
+
+const toFormState = (interview) => {
+  const timezone = interview?.timezone || browserTimeZone();
+
+  return {
+    roundType: interview?.roundType || 'phone_screen',
+    timezone,
+    start: interview ? utcToZonedInput(interview.startsAt, timezone) : '',
+    end: interview?.endsAt ? utcToZonedInput(interview.endsAt, timezone) : '',
+    location: interview?.location || '',
+    videoLink: interview?.videoLink || '',
+    interviewers: (interview?.interviewers || []).map(person => ({ ...emptyInterviewer, ...person })),
+    prepNotes: interview?.prepNotes || '',
+    outcome: interview?.outcome || 'pending'
+  };
+};
+
+/**
+ * Form for scheduling or editing an interview round
+ * Times are entered as wall-clock times in the chosen time zone.
+ * 
+ * @param {Object} [interview] - The interview to edit; omit to schedule a new one
+ * @param {Function} onSubmit - Called with the fields to send to the API
+ * @param {Function} onCancel
+ * @param {boolean} [saving]
+ */
+const InterviewForm = ({ interview, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState(() => toFormState(interview));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleInterviewerChange = (index, field, value) => {
+    setForm(current => ({
+      ...current,
+      interviewers: current.interviewers.map((person, i) => (i === index ? { ...person, [field]: value } : person))
+    }));
+  };
+
+  const addInterviewer = () => {
+    setForm(current => ({ ...current, interviewers: [...current.interviewers, emptyInterviewer] }));
+  };
+
+  const removeInterviewer = (index) => {
+    setForm(current => ({ ...current, interviewers: current.interviewers.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      roundType: form.roundType,
+      startsAt: zonedTimeToUtc(form.start, form.timezone),
+      endsAt: form.end ? zonedTimeToUtc(form.end, form.timezone) : null,
+      timezone: form.timezone,
+      location: form.location.trim(),
+      videoLink: form.videoLink.trim(),
+      interviewers: form.interviewers
+        .filter(person => person.name.trim())
+        .map(person => ({ name: person.name.trim(), role: person.role.trim(), email: person.email.trim() })),
+      prepNotes: form.prepNotes,
+      outcome: form.outcome
+    });
+  };
+
+  return (
+    <form className="interview-form" onSubmit={handleSubmit}>
+      <div className="interview-form-row">
+        <label>
+          Round
+          <select name="roundType" value={form.roundType} onChange={handleChange} disabled={saving}>
+            {interviewRounds.map(round => (
+              <option key={round.value} value={round.value}>{round.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Outcome
+          <select name="outcome" value={form.outcome} onChange={handleChange} disabled={saving}>
+            {interviewOutcomes.map(outcome => (
+              <option key={outcome.value} value={outcome.value}>{outcome.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="interview-form-row">
+        <label>
+          Starts
+          <input type="datetime-local" name="start" value={form.start} onChange={handleChange} required disabled={saving} />
+        </label>
+        <label>
+          Ends
+          <input type="datetime-local" name="end" value={form.end} min={form.start} onChange={handleChange} disabled={saving} />
+        </label>
+        <label>
+          Time zone
+          {timeZones ? (
+            <select name="timezone" value={form.timezone} onChange={handleChange} disabled={saving}>
+              {timeZones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+            </select>
+          ) : (
+            <input type="text" name="timezone" value={form.timezone} onChange={handleChange} required disabled={saving} />
+          )}
+        </label>
+      </div>
+
+      <div className="interview-form-row">
+        <label>
+          Location
+          <input type="text" name="location" maxLength={200} value={form.location} onChange={handleChange} disabled={saving} />
+        </label>
+        <label>
+          Video link
+          <input type="url" name="videoLink" maxLength={500} placeholder="https://" value={form.videoLink} onChange={handleChange} disabled={saving} />
+        </label>
+      </div>
+
+      <fieldset className="interview-form-people">
+        <legend>Interviewers</legend>
+        {form.interviewers.map((person, index) => (
+          <div key={index} className="interview-form-person">
+            <input
+              type="text"
+              aria-label="Interviewer name"
+              placeholder="Name"
+              maxLength={100}
+              value={person.name}
+              onChange={(e) => handleInterviewerChange(index, 'name', e.target.value)}
+              disabled={saving}
+            />
+            <input
+              type="text"
+              aria-label="Interviewer role"
+              placeholder="Role"
+              maxLength={100}
+              value={person.role}
+              onChange={(e) => handleInterviewerChange(index, 'role', e.target.value)}
+              disabled={saving}
+            />
+            <input
+              type="email"
+              aria-label="Interviewer email"
+              placeholder="Email"
+              value={person.email}
+              onChange={(e) => handleInterviewerChange(index, 'email', e.target.value)}
+              disabled={saving}
+            />
+            <button type="button" className="btn btn-secondary" onClick={() => removeInterviewer(index)} disabled={saving}>
+              Remove
+            </button>
+          </div>
+        ))}
+        {form.interviewers.length < 20 && (
+          <button type="button" className="btn btn-secondary" onClick={addInterviewer} disabled={saving}>
+            Add interviewer
+          </button>
+        )}
+      </fieldset>
+
+      <label>
+        Preparation notes
+        <textarea name="prepNotes" rows={4} maxLength={5000} value={form.prepNotes} onChange={handleChange} disabled={saving} />
+      </label>
+
+      <div className="interview-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : interview ? 'Save interview' : 'Schedule interview'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InterviewForm;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import React from 'react';
+import { browserTimeZone, formatInTimeZone } from '../utils/timeZones';
+import './InterviewTime.css';
+
+/**
+ * When an interview takes place, in its own time zone and, if different, the user's
+ */
+const InterviewTime = ({ interview }) => {
+  const local = browserTimeZone();
+  const { startsAt, endsAt, timezone } = interview;
+  const sameZone = !timezone || timezone === local;
+
+  return (
+    <span className="interview-time">
+      {formatInTimeZone(startsAt, timezone)}
+      {endsAt && ` – ${new Date(endsAt).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' })}`}
+      {!sameZone && (
+        <span className="interview-time-local"> ({timezone}; {formatInTimeZone(startsAt, local)} your time)</span>
+      )}
+    </span>
+  );
+};
+
+export default InterviewTime;
\ No newline at end of file
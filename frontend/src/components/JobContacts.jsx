@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import ContactForm from './ContactForm';
+import {
+  fetchContacts,
+  fetchJobContacts,
+  createContact,
+  linkJobContact,
+  unlinkJobContact
+} from '../services/contactService';
+import './JobContacts.css';
+
+/**
+ * Contacts linked to one job, with forms to link a saved contact or add a new one
+ * @param {string|number} jobId
+ */
+const JobContacts = ({ jobId }) => {
+  const [contacts, setContacts] = useState([]);
+  // The user's other contacts, loaded when the link form opens
+  const [candidates, setCandidates] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [selected, setSelected] = useState('');
+  const [relationship, setRelationship] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadContacts = useCallback(async () => {
+    try {
+      setContacts(await fetchJobContacts(jobId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    loadContacts();
+  }, [loadContacts]);
+
+  const closeForm = () => {
+    setMode(null);
+    setSelected('');
+    setRelationship('');
+  };
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadContacts();
+      closeForm();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openLinkForm = async () => {
+    setMode('link');
+    try {
+      const { data } = await fetchContacts({ limit: 100 });
+      setCandidates(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLink = (e) => {
+    e.preventDefault();
+    runAndReload(() => linkJobContact(jobId, selected, relationship.trim() || null));
+  };
+
+  const handleCreate = (details) => runAndReload(async () => {
+    const contact = await createContact(details);
+    await linkJobContact(jobId, contact.id, relationship.trim() || null);
+  });
+
+  const linkedIds = new Set(contacts.map(contact => String(contact.id)));
+  const available = (candidates || []).filter(contact => !linkedIds.has(String(contact.id)));
+
+  const relationshipInput = (
+    <input
+      type="text"
+      placeholder="Relationship, e.g. Referrer (optional)"
+      aria-label="Relationship"
+      maxLength={100}
+      value={relationship}
+      onChange={(e) => setRelationship(e.target.value)}
+      disabled={saving}
+    />
+  );
+
+  return (
+    <div className="job-contacts">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+
+      {contacts.length === 0 ? (
+        <p className="job-contacts-empty">No contacts linked to this application.</p>
+      ) : (
+        <ul>
+          {contacts.map(contact => (
+            <li key={contact.id} className="job-contact">
+              <div>
+                <Link to={`/contacts/${contact.id}`} className="job-contact-name">{contact.name}</Link>
+                {contact.relationship && <span className="job-contact-relationship">{contact.relationship}</span>}
+                <div className="job-contact-meta">
+                  {[contact.role, contact.company].filter(Boolean).join(' · ')}
+                  {contact.email && (
+                    <>
+                      {(contact.role || contact.company) && ' · '}
+                      <a href={`mailto:${contact.email}`}>{contact.email}</a>
+                    </>
+                  )}
+                </div>
+              </div>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => runAndReload(() => unlinkJobContact(jobId, contact.id))}
+                disabled={saving}
+              >
+                Unlink
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {mode === null && (
+        <div className="job-contacts-actions">
+          <button type="button" className="btn btn-primary" onClick={openLinkForm}>
+            Link a contact
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setMode('create')}>
+            New contact
+          </button>
+        </div>
+      )}
+
+      {mode === 'link' && (
+        <form className="job-contacts-link" onSubmit={handleLink}>
+          <select
+            aria-label="Contact"
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+            required
+            disabled={saving || candidates === null}
+          >
+            <option value="">{candidates === null ? 'Loading contacts...' : 'Choose a contact'}</option>
+            {available.map(contact => (
+              <option key={contact.id} value={contact.id}>
+                {contact.company ? `${contact.name} (${contact.company})` : contact.name}
+              </option>
+            ))}
+          </select>
+          {relationshipInput}
+          <button type="submit" className="btn btn-primary" disabled={saving || !selected}>
+            Link
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={closeForm} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {mode === 'create' && (
+        <div className="job-contacts-create">
+          {relationshipInput}
+          <ContactForm onSubmit={handleCreate} onCancel={closeForm} saving={saving} submitLabel="Add and link" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobContacts;
\ No newline at end of file
@@ -0,0 +1,246 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  attachmentKinds,
+  ACCEPTED_FILE_TYPES,
+  fetchJobAttachments,
+  uploadAttachment,
+  attachDocument,
+  downloadAttachment,
+  deleteAttachment,
+  fetchDocuments
+} from '../services/attachmentService';
+import './JobDocuments.css';
+
+const kindLabel = (value) => attachmentKinds.find(kind => kind.value === value)?.label || value;
+
+const kindOrder = (value) => attachmentKinds.findIndex(kind => kind.value === value);
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// The first characters of the content hash tell versions of a file apart
+const shortHash = (sha256) => sha256.slice(0, 8);
+
+// Hand a downloaded file to the browser's save dialog
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Documents sent with one job: resumes, cover letters, offer letters
+ *
+ * A file can be uploaded or picked from the documents already stored; the
+ * short hash identifies the exact version, and "Also sent with" lists the
+ * other applications that received the same file.
+ * @param {string|number} jobId
+ */
+const JobDocuments = ({ jobId }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [storedDocuments, setStoredDocuments] = useState([]);
+  const [kind, setKind] = useState('resume');
+  const [label, setLabel] = useState('');
+  const [file, setFile] = useState(null);
+  const [documentId, setDocumentId] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const fileInput = useRef(null);
+
+  const loadAttachments = useCallback(async () => {
+    try {
+      const [jobAttachments, userDocuments] = await Promise.all([
+        fetchJobAttachments(jobId),
+        fetchDocuments()
+      ]);
+      setAttachments(jobAttachments);
+      setStoredDocuments(userDocuments);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      await action();
+      await loadAttachments();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setLabel('');
+    setFile(null);
+    setDocumentId('');
+    if (fileInput.current) {
+      fileInput.current.value = '';
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const details = { kind, label: label.trim() };
+    let deduplicated = false;
+
+    const attached = await runAndReload(async () => {
+      if (file) {
+        ({ deduplicated } = await uploadAttachment(jobId, file, details));
+      } else {
+        await attachDocument(jobId, documentId, details);
+      }
+    });
+    if (attached) {
+      resetForm();
+      if (deduplicated) {
+        setNotice('This file was already stored, so the existing copy is attached.');
+      }
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const { blob, filename } = await downloadAttachment(jobId, attachment);
+      saveFile(blob, filename);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (attachment) => {
+    const message = attachment.sentWith.length
+      ? `Remove ${attachment.fileName} from this job? Other jobs keep their copy.`
+      : `Remove ${attachment.fileName}? The file is deleted because no other job uses it.`;
+    if (window.confirm(message)) {
+      runAndReload(() => deleteAttachment(jobId, attachment.id));
+    }
+  };
+
+  const attachedIds = new Set(attachments.map(attachment => String(attachment.documentId)));
+  const reusable = storedDocuments.filter(document => !attachedIds.has(String(document.id)));
+  const sorted = [...attachments].sort((a, b) => kindOrder(a.kind) - kindOrder(b.kind));
+
+  return (
+    <div className="job-documents">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+      {notice && <p className="job-documents-notice" role="status">{notice}</p>}
+
+      {sorted.length === 0 ? (
+        <p className="job-documents-empty">No documents attached yet.</p>
+      ) : (
+        <ul>
+          {sorted.map(attachment => (
+            <li key={attachment.id} className="job-document">
+              <div className="job-document-info">
+                <div className="job-document-header">
+                  <span className={`job-document-kind ${attachment.kind}`}>{kindLabel(attachment.kind)}</span>
+                  <span className="job-document-name">{attachment.fileName}</span>
+                  {attachment.label && <span className="job-document-label">{attachment.label}</span>}
+                </div>
+                <div className="job-document-meta">
+                  <span title={attachment.document.sha256}>version {shortHash(attachment.document.sha256)}</span>
+                  {' · '}{formatSize(attachment.document.size)}
+                  {' · '}attached {formatDate(attachment.createdAt)}
+                </div>
+                {attachment.sentWith.length > 0 && (
+                  <div className="job-document-meta">
+                    Also sent with{' '}
+                    {attachment.sentWith.map((job, index) => (
+                      <React.Fragment key={job.id}>
+                        {index > 0 && ', '}
+                        <Link to={`/jobs/${job.id}?tab=documents`}>{job.title} at {job.company}</Link>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="job-document-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => handleDownload(attachment)}>
+                  Download
+                </button>
+                <button type="button" className="btn btn-danger" onClick={() => handleRemove(attachment)} disabled={saving}>
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="job-documents-form" onSubmit={handleSubmit}>
+        <select aria-label="Kind" value={kind} onChange={(e) => setKind(e.target.value)} disabled={saving}>
+          {attachmentKinds.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Label, e.g. Backend v3 (optional)"
+          maxLength={100}
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          disabled={saving}
+        />
+        <input
+          ref={fileInput}
+          type="file"
+          aria-label="File"
+          accept={ACCEPTED_FILE_TYPES}
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setDocumentId('');
+          }}
+          disabled={saving}
+        />
+        {reusable.length > 0 && (
+          <select
+            aria-label="Stored document"
+            value={documentId}
+            onChange={(e) => setDocumentId(e.target.value)}
+            disabled={saving || Boolean(file)}
+          >
+            <option value="">Or attach a stored document...</option>
+            {reusable.map(document => (
+              <option key={document.id} value={document.id}>
+                {document.fileName} ({shortHash(document.sha256)})
+                {document.labels.length ? ` - ${document.labels.join(', ')}` : ''}
+              </option>
+            ))}
+          </select>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={saving || (!file && !documentId)}>
+          {saving ? 'Saving...' : 'Attach'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default JobDocuments;
\ No newline at end of file
@@ -1,45 +1,60 @@
 import React, { useState, useEffect } from 'react';
-import { jobsAPI } from '../services/api';
+import { createJob, updateJob, jobTypes } from '../services/jobService';
+import StatusSelect from './StatusSelect';
+import TagInput from './TagInput';
+import CompensationFields from './CompensationFields';
+import SourceInput from './SourceInput';
+import { emptyCompensation, compensationFormValues, compensationPayload } from '../utils/compensation';
 import './JobForm.css';
 
+/**
+ * Form for adding an application or editing one (the /jobs/new and
+ * /jobs/:id/edit pages)
+ *
+ * When editing, the status offers only the moves the catalogue allows from
+ * the saved one. Notes typed when adding become the job's first note; after
+ * that they are kept on its Notes tab.
+ * @param {string|number} [jobId] - Updates this job instead of creating one
+ * @param {Object} [initialData] - The job as returned by the API
+ * @param {Function} [onSave] - Called with the saved job
+ * @param {Function} [onCancel]
+ */
 const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
   const [formData, setFormData] = useState({
-    companyName: '',
-    jobTitle: '',
+    company: '',
+    title: '',
     location: '',
-    salaryRange: '',
-    applicationDate: '',
-    status: 'Applied',
-    jobDescription: '',
+    type: '',
+    source: '',
+    deadline: '',
+    dateApplied: new Date().toISOString().split('T')[0],
+    status: 'applied',
+    description: '',
     notes: '',
-    applicationUrl: '',
-    contactPerson: {
-      name: '',
-      email: ''
-    },
-    requiredSkills: []
+    tags: []
   });
 
+  const [compensation, setCompensation] = useState(emptyCompensation);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [skillInput, setSkillInput] = useState('');
-
-  const statusOptions = [
-    { value: 'Applied', label: 'Applied' },
-    { value: 'Interview', label: 'Interview' },
-    { value: 'Offer', label: 'Offer' },
-    { value: 'Rejected', label: 'Rejected' }
-  ];
 
   useEffect(() => {
     if (initialData) {
       setFormData({
-        ...initialData,
-        applicationDate: initialData.applicationDate ? 
-          new Date(initialData.applicationDate).toISOString().split('T')[0] : '',
-        contactPerson: initialData.contactPerson || { name: '', email: '' },
-        requiredSkills: initialData.requiredSkills || []
+        company: initialData.company || '',
+        title: initialData.title || '',
+        location: initialData.location || '',
+        type: initialData.type || '',
+        source: initialData.source || '',
+        deadline: initialData.deadline ? initialData.deadline.slice(0, 10) : '',
+        dateApplied: initialData.dateApplied ?
+          new Date(initialData.dateApplied).toISOString().split('T')[0] : '',
+        status: initialData.status || 'applied',
+        description: initialData.description || '',
+        notes: '',
+        tags: initialData.tags || []
       });
+      setCompensation(compensationFormValues(initialData));
     }
   }, [initialData]);
 
@@ -47,33 +62,25 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
     const newErrors = {};
 
     // Required fields validation
-    if (!formData.companyName.trim()) {
-      newErrors.companyName = 'Company name is required';
-    }
-
-    if (!formData.jobTitle.trim()) {
-      newErrors.jobTitle = 'Job title is required';
+    if (!formData.company.trim()) {
+      newErrors.company = 'Company name is required';
     }
 
-    // Email validation if contact email is provided
-    if (formData.contactPerson.email && 
-        !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.contactPerson.email)) {
-      newErrors.contactEmail = 'Please enter a valid email address';
+    if (!formData.title.trim()) {
+      newErrors.title = 'Job title is required';
     }
 
-    // URL validation if application URL is provided
-    if (formData.applicationUrl && 
-        !/^https?:\/\/[^\s$.?#].[^\s]*$/i.test(formData.applicationUrl)) {
-      newErrors.applicationUrl = 'Please enter a valid URL';
+    // Salary range validation
+    if (compensation.salaryMin !== '' && compensation.salaryMax !== '' &&
+        Number(compensation.salaryMax) < Number(compensation.salaryMin)) {
+      newErrors.compensation = 'Maximum salary cannot be below the minimum';
     }
 
     // Date validation
-    if (formData.applicationDate) {
-      const selectedDate = new Date(formData.applicationDate);
-      const today = new Date();
-      if (selectedDate > today) {
-        newErrors.applicationDate = 'Application date cannot be in the future';
-      }
+    if (!formData.dateApplied) {
+      newErrors.dateApplied = 'Application date is required';
+    } else if (new Date(formData.dateApplied) > new Date()) {
+      newErrors.dateApplied = 'Application date cannot be in the future';
     }
 
     setErrors(newErrors);
@@ -83,21 +90,10 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     
-    if (name.includes('contactPerson.')) {
-      const field = name.split('.')[1];
-      setFormData(prev => ({
-        ...prev,
-        contactPerson: {
-          ...prev.contactPerson,
-          [field]: value
-        }
-      }));
-    } else {
-      setFormData(prev => ({
-        ...prev,
-        [name]: value
-      }));
-    }
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
 
     // Clear error when user starts typing
     if (errors[name]) {
@@ -105,27 +101,6 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
     }
   };
 
-  const handleSkillAdd = (e) => {
-    if (e.key === 'Enter' || e.type === 'click') {
-      e.preventDefault();
-      const skill = skillInput.trim();
-      if (skill && !formData.requiredSkills.includes(skill)) {
-        setFormData(prev => ({
-          ...prev,
-          requiredSkills: [...prev.requiredSkills, skill]
-        }));
-        setSkillInput('');
-      }
-    }
-  };
-
-  const handleSkillRemove = (skillToRemove) => {
-    setFormData(prev => ({
-      ...prev,
-      requiredSkills: prev.requiredSkills.filter(skill => skill !== skillToRemove)
-    }));
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -136,24 +111,32 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
     setIsSubmitting(true);
 
     try {
+      // The salary text is written by the API from the compensation fields.
+      // They are left out of an edit that does not touch them, so a salary
+      // the API could only keep as text (e.g. "Competitive") survives it.
+      const compensationChanged = !initialData ||
+        JSON.stringify(compensation) !== JSON.stringify(compensationFormValues(initialData));
       const jobData = {
         ...formData,
-        applicationDate: formData.applicationDate || null
+        ...(compensationChanged ? compensationPayload(compensation) : {}),
+        company: formData.company.trim(),
+        title: formData.title.trim(),
+        location: formData.location.trim() || null,
+        type: formData.type || null,
+        source: formData.source.trim() || null,
+        deadline: formData.deadline || null
       };
 
-      let response;
-      if (jobId) {
-        response = await jobsAPI.updateJob(jobId, jobData);
-      } else {
-        response = await jobsAPI.createJob(jobData);
-      }
+      const response = jobId
+        ? await updateJob(jobId, jobData)
+        : await createJob(jobData);
 
       if (onSave) {
         onSave(response.data);
       }
     } catch (error) {
       console.error('Error saving job:', error);
-      setErrors({ submit: 'Failed to save job. Please try again.' });
+      setErrors({ submit: error.message || 'Failed to save job. Please try again.' });
     } finally {
       setIsSubmitting(false);
     }
@@ -173,39 +156,39 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
         <form onSubmit={handleSubmit}>
           {/* Company Name */}
           <div className="form-group">
-            <label htmlFor="companyName" className="required">
+            <label htmlFor="company" className="required">
               Company Name
             </label>
             <input
               type="text"
-              id="companyName"
-              name="companyName"
-              value={formData.companyName}
+              id="company"
+              name="company"
+              value={formData.company}
               onChange={handleInputChange}
-              className={errors.companyName ? 'error' : ''}
+              className={errors.company ? 'error' : ''}
               required
             />
-            {errors.companyName && (
-              <span className="error-message">{errors.companyName}</span>
+            {errors.company && (
+              <span className="error-message">{errors.company}</span>
             )}
           </div>
 
           {/* Job Title */}
           <div className="form-group">
-            <label htmlFor="jobTitle" className="required">
+            <label htmlFor="title" className="required">
               Job Title
             </label>
             <input
               type="text"
-              id="jobTitle"
-              name="jobTitle"
-              value={formData.jobTitle}
+              id="title"
+              name="title"
+              value={formData.title}
               onChange={handleInputChange}
-              className={errors.jobTitle ? 'error' : ''}
+              className={errors.title ? 'error' : ''}
               required
             />
-            {errors.jobTitle && (
-              <span className="error-message">{errors.jobTitle}</span>
+            {errors.title && (
+              <span className="error-message">{errors.title}</span>
             )}
           </div>
 
@@ -219,163 +202,122 @@ const JobForm = ({ jobId = null, onSave, onCancel, initialData = null }) => {
               value={formData.location}
               onChange={handleInputChange}
               placeholder="e.g., San Francisco, CA (Remote)"
+              maxLength={100}
             />
           </div>
 
-          {/* Salary Range */}
+          {/* Job Type */}
+          <div className="form-group">
+            <label htmlFor="type">Job Type</label>
+            <select id="type" name="type" value={formData.type} onChange={handleInputChange}>
+              <option value="">Not specified</option>
+              {jobTypes.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Source */}
+          <div className="form-group">
+            <label htmlFor="source">Source</label>
+            <SourceInput id="source" value={formData.source} onChange={handleInputChange} />
+          </div>
+
+          {/* Application Deadline */}
           <div className="form-group">
-            <label htmlFor="salaryRange">Salary Range</label>
+            <label htmlFor="deadline">Application Deadline</label>
             <input
-              type="text"
-              id="salaryRange"
-              name="salaryRange"
-              value={formData.salaryRange}
+              type="date"
+              id="deadline"
+              name="deadline"
+              value={formData.deadline}
               onChange={handleInputChange}
-              placeholder="e.g., $80,000 - $120,000"
             />
           </div>
 
+          {/* Compensation */}
+          <CompensationFields
+            value={compensation}
+            onChange={(next) => {
+              setCompensation(next);
+              setErrors(prev => ({ ...prev, compensation: '' }));
+            }}
+            disabled={isSubmitting}
+          />
+          {errors.compensation && (
+            <span className="error-message">{errors.compensation}</span>
+          )}
+
           {/* Application Date */}
           <div className="form-group">
-            <label htmlFor="applicationDate">Application Date</label>
+            <label htmlFor="dateApplied" className="required">
+              Application Date
+            </label>
             <input
               type="date"
-              id="applicationDate"
-              name="applicationDate"
-              value={formData.applicationDate}
+              id="dateApplied"
+              name="dateApplied"
+              value={formData.dateApplied}
               onChange={handleInputChange}
-              className={errors.applicationDate ? 'error' : ''}
+              className={errors.dateApplied ? 'error' : ''}
             />
-            {errors.applicationDate && (
-              <span className="error-message">{errors.applicationDate}</span>
+            {errors.dateApplied && (
+              <span className="error-message">{errors.dateApplied}</span>
             )}
           </div>
 
           {/* Status */}
           <div className="form-group">
             <label htmlFor="status">Application Status</label>
-            <select
+            <StatusSelect
               id="status"
               name="status"
               value={formData.status}
+              currentStatus={initialData?.status}
               onChange={handleInputChange}
-            >
-              {statusOptions.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
-          </div>
-
-          {/* Application URL */}
-          <div className="form-group">
-            <label htmlFor="applicationUrl">Application URL</label>
-            <input
-              type="url"
-              id="applicationUrl"
-              name="applicationUrl"
-              value={formData.applicationUrl}
-              onChange={handleInputChange}
-              className={errors.applicationUrl ? 'error' : ''}
-              placeholder="https://..."
             />
-            {errors.applicationUrl && (
-              <span className="error-message">{errors.applicationUrl}</span>
-            )}
-          </div>
-
-          {/* Contact Person */}
-          <div className="form-section">
-            <h3>Contact Person</h3>
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="contactPersonName">Name</label>
-                <input
-                  type="text"
-                  id="contactPersonName"
-                  name="contactPerson.name"
-                  value={formData.contactPerson.name}
-                  onChange={handleInputChange}
-                />
-              </div>
-              <div className="form-group">
-                <label htmlFor="contactPersonEmail">Email</label>
-                <input
-                  type="email"
-                  id="contactPersonEmail"
-                  name="contactPerson.email"
-                  value={formData.contactPerson.email}
-                  onChange={handleInputChange}
-                  className={errors.contactEmail ? 'error' : ''}
-                />
-                {errors.contactEmail && (
-                  <span className="error-message">{errors.contactEmail}</span>
-                )}
-              </div>
-            </div>
           </div>
 
-          {/* Required Skills */}
+          {/* Tags */}
           <div className="form-group">
-            <label>Required Skills</label>
-            <div className="skills-input">
-              <input
-                type="text"
-                value={skillInput}
-                onChange={(e) => setSkillInput(e.target.value)}
-                onKeyPress={handleSkillAdd}
-                placeholder="Type a skill and press Enter"
-              />
-              <button
-                type="button"
-                onClick={handleSkillAdd}
-                className="add-skill-btn"
-              >
-                Add
-              </button>
-            </div>
-            <div className="skills-list">
-              {formData.requiredSkills.map((skill, index) => (
-                <span key={index} className="skill-tag">
-                  {skill}
-                  <button
-                    type="button"
-                    onClick={() => handleSkillRemove(skill)}
-                    className="remove-skill"
-                  >
-                    ×
-                  </button>
-                </span>
-              ))}
-            </div>
+            <label htmlFor="tags">Tags</label>
+            <TagInput
+              id="tags"
+              value={formData.tags}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              disabled={isSubmitting}
+            />
           </div>
 
           {/* Job Description */}
           <div className="form-group">
-            <label htmlFor="jobDescription">Job Description</label>
+            <label htmlFor="description">Job Description</label>
             <textarea
-              id="jobDescription"
-              name="jobDescription"
-              value={formData.jobDescription}
+              id="description"
+              name="description"
+              value={formData.description}
               onChange={handleInputChange}
               rows={6}
               placeholder="Paste the job description here..."
+              maxLength={1000}
             />
           </div>
 
-          {/* Notes */}
-          <div className="form-group">
-            <label htmlFor="notes">Notes</label>
-            <textarea
-              id="notes"
-              name="notes"
-              value={formData.notes}
-              onChange={handleInputChange}
-              rows={4}
-              placeholder="Any additional notes about this application..."
-            />
-          </div>
+          {/* Notes, which become the first note of a new job */}
+          {!jobId && (
+            <div className="form-group">
+              <label htmlFor="notes">Notes</label>
+              <textarea
+                id="notes"
+                name="notes"
+                value={formData.notes}
+                onChange={handleInputChange}
+                rows={4}
+                maxLength={2000}
+                placeholder="Any additional notes about this application..."
+              />
+            </div>
+          )}
 
           {/* Submit Error */}
           {errors.submit && (
@@ -0,0 +1,144 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import InterviewForm from './InterviewForm';
+import InterviewTime from './InterviewTime';
+import {
+  interviewRounds,
+  interviewOutcomes,
+  fetchJobInterviews,
+  scheduleInterview,
+  updateInterview,
+  deleteInterview
+} from '../services/interviewService';
+import './JobInterviews.css';
+
+const labelOf = (options, value) => options.find(option => option.value === value)?.label || value;
+
+/**
+ * Interview rounds of one job, with forms to schedule, edit and record them
+ * @param {string|number} jobId
+ * @param {Function} [onJobChange] - Called with the job after an interview was saved, as its status may have changed
+ */
+const JobInterviews = ({ jobId, onJobChange }) => {
+  const [interviews, setInterviews] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadInterviews = useCallback(async () => {
+    try {
+      setInterviews(await fetchJobInterviews(jobId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    loadInterviews();
+  }, [loadInterviews]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      const result = await action();
+      await loadInterviews();
+      if (result?.job && onJobChange) {
+        onJobChange(result.job);
+      }
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (fields) => {
+    const saved = await runAndReload(() => (editing === 'new'
+      ? scheduleInterview(jobId, fields)
+      : updateInterview(jobId, editing.id, fields)));
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (interview) => {
+    if (window.confirm('Delete this interview? The application keeps its current status.')) {
+      runAndReload(() => deleteInterview(jobId, interview.id));
+    }
+  };
+
+  return (
+    <div className="job-interviews">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+
+      {interviews.length === 0 && editing !== 'new' && (
+        <p className="job-interviews-empty">No interviews yet.</p>
+      )}
+
+      <ul>
+        {interviews.map(interview => (editing?.id === interview.id ? (
+          <li key={interview.id}>
+            <InterviewForm
+              interview={interview}
+              onSubmit={handleSubmit}
+              onCancel={() => setEditing(null)}
+              saving={saving}
+            />
+          </li>
+        ) : (
+          <li key={interview.id} className={`job-interview ${interview.outcome}`}>
+            <div className="job-interview-main">
+              <strong>{labelOf(interviewRounds, interview.roundType)} interview</strong>
+              <div><InterviewTime interview={interview} /></div>
+              {(interview.location || interview.videoLink) && (
+                <div className="job-interview-meta">
+                  {interview.location}
+                  {interview.location && interview.videoLink && ' · '}
+                  {interview.videoLink && (
+                    <a href={interview.videoLink} target="_blank" rel="noopener noreferrer">Join video call</a>
+                  )}
+                </div>
+              )}
+              {interview.interviewers?.length > 0 && (
+                <div className="job-interview-meta">
+                  With {interview.interviewers.map(person => (person.role ? `${person.name} (${person.role})` : person.name)).join(', ')}
+                </div>
+              )}
+              {interview.prepNotes && <p className="job-interview-notes">{interview.prepNotes}</p>}
+            </div>
+            <div className="job-interview-actions">
+              <select
+                aria-label="Outcome"
+                value={interview.outcome}
+                onChange={(e) => runAndReload(() => updateInterview(jobId, interview.id, { outcome: e.target.value }))}
+                disabled={saving}
+              >
+                {interviewOutcomes.map(outcome => (
+                  <option key={outcome.value} value={outcome.value}>{outcome.label}</option>
+                ))}
+              </select>
+              <button type="button" className="btn btn-secondary" onClick={() => setEditing(interview)} disabled={saving}>
+                Edit
+              </button>
+              <button type="button" className="btn btn-danger" onClick={() => handleDelete(interview)} disabled={saving}>
+                Delete
+              </button>
+            </div>
+          </li>
+        )))}
+      </ul>
+
+      {editing === 'new' ? (
+        <InterviewForm onSubmit={handleSubmit} onCancel={() => setEditing(null)} saving={saving} />
+      ) : (
+        <button type="button" className="btn btn-primary" onClick={() => setEditing('new')} disabled={saving}>
+          Schedule interview
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default JobInterviews;
\ No newline at end of file
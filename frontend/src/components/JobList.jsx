@@ -1,7 +1,74 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import StatusBadge from './StatusBadge';
+import JobSearch from './JobSearch';
+import ExportMenu from './ExportMenu';
+import RemindersPanel from './RemindersPanel';
+import TagChip from './TagChip';
+import TagFilter from './TagFilter';
+import BulkTagBar from './BulkTagBar';
+import SalaryFilter from './SalaryFilter';
+import useTags from '../hooks/useTags';
+import { fetchJobs } from '../services/jobService';
+import { formatCompensation } from '../utils/compensation';
 import './JobList.css';
 
-const JobList = ({ jobs = [], onEdit, onDelete }) => {
+// Filtered applications read per request; more are loaded on demand
+const FILTER_PAGE_SIZE = 50;
+
+/**
+ * Job application cards with search, filters, export and bulk tagging
+ *
+ * @param {Object[]} jobs - Applications loaded so far
+ * @param {number} [total] - All of the user's applications, when `jobs` is one page of them
+ * @param {Function} [onEdit] - Shows an Edit button on each card
+ * @param {Function} [onDelete] - Shows a Delete button on each card
+ */
+const JobList = ({ jobs = [], total = jobs.length, onEdit, onDelete }) => {
+  const { tags, getTag, reload: reloadTags } = useTags();
+  const [tagFilter, setTagFilter] = useState({ tags: [], tagMode: 'any' });
+  const [salaryFilter, setSalaryFilter] = useState({});
+  // Jobs matching the filters (GET /api/jobs) as { items, total, nextCursor },
+  // null while no filter is set
+  const [filtered, setFiltered] = useState(null);
+  const [filterError, setFilterError] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [selected, setSelected] = useState([]);
+  // Tags changed here since the list was loaded, by job id
+  const [retagged, setRetagged] = useState({});
+
+  const filters = {
+    ...(tagFilter.tags.length ? { tags: tagFilter.tags.join(','), tagMode: tagFilter.tagMode } : {}),
+    ...salaryFilter
+  };
+  const filterKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    const params = JSON.parse(filterKey);
+    if (Object.keys(params).length === 0) {
+      setFiltered(null);
+      return undefined;
+    }
+
+    let active = true;
+    fetchJobs({ ...params, limit: FILTER_PAGE_SIZE })
+      .then((result) => {
+        if (active) {
+          setFiltered({ items: result.data, total: result.total, nextCursor: result.nextCursor });
+          setFilterError(null);
+        }
+      })
+      .catch((err) => {
+        if (active) {
+          setFilterError(err.message);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [filterKey, retagged]);
+
   // Handle empty state
   if (!jobs || jobs.length === 0) {
     return (
@@ -12,6 +79,8 @@ const JobList = ({ jobs = [], onEdit, onDelete }) => {
           <p className="empty-state-message">
             You haven't added any job applications yet. Start by adding your first job application!
           </p>
+          <Link to="/jobs/new" className="btn btn-primary">Add job</Link>
+          <Link to="/jobs/import" className="job-list-import">Or import them from a spreadsheet</Link>
         </div>
       </div>
     );
@@ -27,35 +96,94 @@ const JobList = ({ jobs = [], onEdit, onDelete }) => {
     });
   };
 
-  const getStatusClass = (status) => {
-    const statusMap = {
-      'applied': 'status-applied',
-      'interviewing': 'status-interviewing',
-      'offered': 'status-offered',
-      'rejected': 'status-rejected',
-      'withdrawn': 'status-withdrawn'
-    };
-    return statusMap[status?.toLowerCase()] || 'status-default';
+  const shown = filtered ? filtered.items : jobs;
+
+  const handleLoadMore = async () => {
+    const cursor = filtered.nextCursor;
+    setLoadingMore(true);
+    try {
+      const result = await fetchJobs({ ...filters, limit: FILTER_PAGE_SIZE, cursor });
+      // The filters may have changed while this page was loading
+      setFiltered(current => (current && current.nextCursor === cursor
+        ? { items: [...current.items, ...result.data], total: result.total, nextCursor: result.nextCursor }
+        : current));
+      setFilterError(null);
+    } catch (err) {
+      setFilterError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleSelected = (jobId) => setSelected(current => (current.includes(jobId)
+    ? current.filter(id => id !== jobId)
+    : [...current, jobId]));
+
+  const handleRetagged = (updatedJobs) => {
+    setRetagged(current => ({
+      ...current,
+      ...Object.fromEntries(updatedJobs.map(job => [job.id, job.tags]))
+    }));
+    reloadTags();
   };
 
   return (
     <div className="job-list-container">
       <div className="job-list-header">
-        <h2 className="job-list-title">Job Applications ({jobs.length})</h2>
+        <h2 className="job-list-title">
+          Job Applications ({filtered ? `${filtered.total} of ${total}` : total})
+        </h2>
+        <div className="job-list-actions">
+          <Link to="/jobs/new" className="btn btn-primary">Add job</Link>
+          <Link to="/jobs/import" className="job-list-import">Import from CSV</Link>
+          <ExportMenu filters={filters} />
+        </div>
+        <JobSearch />
+        <TagFilter tags={tags} value={tagFilter} onChange={setTagFilter} />
+        <SalaryFilter value={salaryFilter} onChange={setSalaryFilter} />
+        {filterError && <p className="job-list-error" role="alert">{filterError}</p>}
       </div>
+
+      <RemindersPanel jobs={jobs} />
+
+      {selected.length > 0 && (
+        <BulkTagBar
+          jobIds={selected}
+          tags={tags}
+          onDone={handleRetagged}
+          onClear={() => setSelected([])}
+        />
+      )}
       
       <div className="job-list">
-        {jobs.map((job) => (
+        {filtered && filtered.items.length === 0 && (
+          <p className="job-list-no-match">No applications match these filters.</p>
+        )}
+        {shown.map((job) => (
           <div key={job.id} className="job-card">
             <div className="job-card-header">
+              <input
+                type="checkbox"
+                className="job-card-select"
+                aria-label={`Select ${job.position || job.title} at ${job.company}`}
+                checked={selected.includes(job.id)}
+                onChange={() => toggleSelected(job.id)}
+              />
               <div className="job-info">
-                <h3 className="job-position">{job.position || 'Position not specified'}</h3>
+                <h3 className="job-position">
+                  <Link to={`/jobs/${job.id}`}>{job.position || job.title || 'Position not specified'}</Link>
+                </h3>
                 <p className="job-company">{job.company || 'Company not specified'}</p>
+                {(retagged[job.id] || job.tags || []).length > 0 && (
+                  <div className="job-card-tags">
+                    {(retagged[job.id] || job.tags).map(name => (
+                      <TagChip key={name} name={name} color={getTag(name)?.color} />
+                    ))}
+                  </div>
+                )}
               </div>
               <div className="job-status">
-                <span className={`status-badge ${getStatusClass(job.status)}`}>
-                  {job.status || 'Unknown'}
-                </span>
+                <StatusBadge status={job.status} />
               </div>
             </div>
             
@@ -71,36 +199,49 @@ const JobList = ({ jobs = [], onEdit, onDelete }) => {
                     <span className="detail-value">{job.location}</span>
                   </div>
                 )}
-                {job.salary && (
+                {formatCompensation(job) && (
                   <div className="job-detail-item">
                     <span className="detail-label">Salary:</span>
-                    <span className="detail-value">{job.salary}</span>
+                    <span className="detail-value">{formatCompensation(job)}</span>
                   </div>
                 )}
               </div>
             </div>
             
             <div className="job-card-actions">
-              <button
-                className="action-btn edit-btn"
-                onClick={() => onEdit && onEdit(job)}
-                aria-label={`Edit ${job.position} at ${job.company}`}
-              >
-                <span className="btn-icon">✏️</span>
-                Edit
-              </button>
-              <button
-                className="action-btn delete-btn"
-                onClick={() => onDelete && onDelete(job)}
-                aria-label={`Delete ${job.position} at ${job.company}`}
-              >
-                <span className="btn-icon">🗑️</span>
-                Delete
-              </button>
+              {onEdit && (
+                <button
+                  className="action-btn edit-btn"
+                  onClick={() => onEdit(job)}
+                  aria-label={`Edit ${job.position || job.title} at ${job.company}`}
+                >
+                  <span className="btn-icon">✏️</span>
+                  Edit
+                </button>
+              )}
+              {onDelete && (
+                <button
+                  className="action-btn delete-btn"
+                  onClick={() => onDelete(job)}
+                  aria-label={`Delete ${job.position || job.title} at ${job.company}`}
+                >
+                  <span className="btn-icon">🗑️</span>
+                  Delete
+                </button>
+              )}
             </div>
           </div>
         ))}
       </div>
+
+      {filtered && filtered.nextCursor && (
+        <div className="job-list-more">
+          <span>Showing {filtered.items.length} of {filtered.total} matches</span>
+          <button type="button" className="btn btn-secondary" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
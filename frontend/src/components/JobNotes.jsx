@@ -0,0 +1,236 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Markdown from './Markdown';
+import {
+  noteCategories,
+  MAX_NOTE_LENGTH,
+  fetchJobNotes,
+  createNote,
+  updateNote,
+  fetchNoteRevisions,
+  deleteNote
+} from '../services/noteService';
+import './JobNotes.css';
+
+const categoryLabel = (value) => noteCategories.find(category => category.value === value)?.label || value;
+
+const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Form for writing or editing a note, with a preview of the rendered Markdown
+ */
+const NoteEditor = ({ note, onSubmit, onCancel, saving }) => {
+  const [category, setCategory] = useState(note?.category || 'general');
+  const [body, setBody] = useState(note?.body || '');
+  const [preview, setPreview] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ category, body: body.trim() });
+  };
+
+  return (
+    <form className="note-editor" onSubmit={handleSubmit}>
+      <div className="note-editor-toolbar">
+        <select
+          aria-label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          disabled={saving}
+        >
+          {noteCategories.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-secondary" onClick={() => setPreview(!preview)} disabled={saving}>
+          {preview ? 'Write' : 'Preview'}
+        </button>
+      </div>
+
+      {preview ? (
+        <Markdown text={body} className="note-editor-preview" />
+      ) : (
+        <textarea
+          aria-label="Note"
+          rows={5}
+          maxLength={MAX_NOTE_LENGTH}
+          placeholder="Write a note. Markdown works: **bold**, *italic*, - lists, [links](https://...)"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          disabled={saving}
+        />
+      )}
+
+      <div className="note-editor-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving || !body.trim()}>
+          {saving ? 'Saving...' : 'Save note'}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Notes on one job (AC-3.1, AC-3.2): write, filter by category, edit with the
+ * earlier versions kept, and delete
+ * @param {string|number} jobId
+ */
+const JobNotes = ({ jobId }) => {
+  const [notes, setNotes] = useState([]);
+  const [category, setCategory] = useState('');
+  const [editing, setEditing] = useState(null);
+  // Earlier versions by note id, for the notes whose history is open
+  const [revisions, setRevisions] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadNotes = useCallback(async () => {
+    try {
+      setNotes(await fetchJobNotes(jobId, category || undefined));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [jobId, category]);
+
+  useEffect(() => {
+    loadNotes();
+  }, [loadNotes]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadNotes();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const closeHistory = (noteId) => setRevisions(({ [noteId]: closed, ...open }) => open);
+
+  const handleSubmit = async (fields) => {
+    const saved = await runAndReload(() => (editing === 'new'
+      ? createNote(jobId, fields)
+      : updateNote(jobId, editing.id, fields)));
+    if (saved) {
+      // An edit adds a revision, so close the outdated history
+      closeHistory(editing.id);
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (note) => {
+    if (window.confirm('Delete this note? It cannot be recovered.')) {
+      runAndReload(() => deleteNote(jobId, note.id));
+    }
+  };
+
+  const toggleHistory = async (note) => {
+    if (revisions[note.id]) {
+      closeHistory(note.id);
+      return;
+    }
+    try {
+      const history = await fetchNoteRevisions(jobId, note.id);
+      setRevisions(current => ({ ...current, [note.id]: history }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="job-notes">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+
+      <div className="job-notes-filter">
+        <select aria-label="Filter by category" value={category} onChange={(e) => setCategory(e.target.value)}>
+          <option value="">All categories</option>
+          {noteCategories.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {editing === 'new' ? (
+        <NoteEditor onSubmit={handleSubmit} onCancel={() => setEditing(null)} saving={saving} />
+      ) : (
+        <button type="button" className="btn btn-primary" onClick={() => setEditing('new')} disabled={saving}>
+          Add note
+        </button>
+      )}
+
+      {notes.length === 0 && (
+        <p className="job-notes-empty">{category ? 'No notes in this category.' : 'No notes yet.'}</p>
+      )}
+
+      <ul>
+        {notes.map(note => (editing?.id === note.id ? (
+          <li key={note.id}>
+            <NoteEditor note={note} onSubmit={handleSubmit} onCancel={() => setEditing(null)} saving={saving} />
+          </li>
+        ) : (
+          <li key={note.id} className="job-note">
+            <div className="job-note-header">
+              <span className={`job-note-category ${note.category}`}>{categoryLabel(note.category)}</span>
+              <span className="job-note-meta">
+                {note.author ? `${note.author.name} · ` : ''}
+                {formatDate(note.createdAt)}
+                {note.editedAt && (
+                  <span className="job-note-edited">
+                    {' '}· edited {formatDate(note.editedAt)}
+                  </span>
+                )}
+              </span>
+            </div>
+
+            <Markdown text={note.body} />
+
+            <div className="job-note-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setEditing(note)} disabled={saving}>
+                Edit
+              </button>
+              <button type="button" className="btn btn-danger" onClick={() => handleDelete(note)} disabled={saving}>
+                Delete
+              </button>
+              {note.editedAt && (
+                <button type="button" className="btn btn-secondary" onClick={() => toggleHistory(note)}>
+                  {revisions[note.id] ? 'Hide earlier versions' : 'Earlier versions'}
+                </button>
+              )}
+            </div>
+
+            {revisions[note.id] && (
+              <ol className="job-note-revisions">
+                {revisions[note.id].map(revision => (
+                  <li key={revision.id}>
+                    <div className="job-note-meta">
+                      {categoryLabel(revision.category)} · written {formatDate(revision.writtenAt)}
+                    </div>
+                    <Markdown text={revision.body} />
+                  </li>
+                ))}
+              </ol>
+            )}
+          </li>
+        )))}
+      </ul>
+    </div>
+  );
+};
+
+export default JobNotes;
\ No newline at end of file
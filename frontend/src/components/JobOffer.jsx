@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import OfferForm from './OfferForm';
+import {
+  offerDecisions,
+  equityTypes,
+  negotiableTerms,
+  fetchJobOffer,
+  saveOffer,
+  addNegotiationRound,
+  deleteOffer
+} from '../services/offerService';
+import { formatMoney } from '../utils/compensation';
+import './JobOffer.css';
+
+const labelOf = (options, value) => options.find(option => option.value === value)?.label || value;
+
+const emptyRound = {
+  proposedBy: 'candidate',
+  note: '',
+  ...Object.fromEntries(negotiableTerms.map(term => [term.value, '']))
+};
+
+// Deadlines are midnight UTC of the day, so show that day wherever the user is
+const formatDeadline = (value) => new Date(value).toLocaleDateString('en-US', {
+  timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+});
+
+const formatTerm = (term, value, currency) => {
+  if (term === 'bonusPercent') return `${value}%`;
+  if (term === 'ptoDays') return `${value} days`;
+  return formatMoney(value, currency);
+};
+
+/**
+ * The offer for one job: its terms, yearly total compensation, negotiation
+ * rounds and the decision on it
+ * @param {string|number} jobId
+ * @param {Function} [onJobChange] - Called after the offer was recorded or decided on, as the job's status may have changed
+ */
+const JobOffer = ({ jobId, onJobChange }) => {
+  const [offer, setOffer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [round, setRound] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadOffer = useCallback(async () => {
+    try {
+      setOffer(await fetchJobOffer(jobId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    loadOffer();
+  }, [loadOffer]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      const result = await action();
+      await loadOffer();
+      if (result?.job && onJobChange) {
+        onJobChange(result.job);
+      }
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async (fields) => {
+    if (await runAndReload(() => saveOffer(jobId, fields))) {
+      setEditing(false);
+    }
+  };
+
+  const handleDecision = (decision) => runAndReload(() => saveOffer(jobId, { baseSalary: offer.baseSalary, decision }));
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this offer and its negotiation history? The application keeps its current status.')) {
+      runAndReload(() => deleteOffer(jobId));
+    }
+  };
+
+  const handleRoundChange = (e) => {
+    const { name, value } = e.target;
+    setRound(current => ({ ...current, [name]: value }));
+  };
+
+  const handleRoundSubmit = async (e) => {
+    e.preventDefault();
+    const terms = Object.fromEntries(negotiableTerms
+      .filter(term => round[term.value] !== '')
+      .map(term => [term.value, Number(round[term.value])]));
+    const saved = await runAndReload(() => addNegotiationRound(jobId, {
+      proposedBy: round.proposedBy,
+      note: round.note.trim() || undefined,
+      ...terms
+    }));
+    if (saved) {
+      setRound(null);
+    }
+  };
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (editing || !offer) {
+    return (
+      <div className="job-offer">
+        {error && <p className="job-detail-error" role="alert">{error}</p>}
+        {editing ? (
+          <OfferForm offer={offer} onSubmit={handleSave} onCancel={() => setEditing(false)} saving={saving} />
+        ) : (
+          <>
+            <p className="job-offer-empty">No offer recorded.</p>
+            <button type="button" className="btn btn-secondary" onClick={() => setEditing(true)}>
+              Record offer
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const { currency, compensation } = offer;
+  const terms = [
+    ['Base salary', formatMoney(offer.baseSalary, currency)],
+    ['Bonus', offer.bonusAmount !== null && offer.bonusAmount !== undefined
+      ? formatMoney(offer.bonusAmount, currency)
+      : offer.bonusPercent && `${offer.bonusPercent}% of base`],
+    ['Signing bonus', offer.signingBonus && formatMoney(offer.signingBonus, currency)],
+    ['Equity', offer.equityValue && [
+      formatMoney(offer.equityValue, currency),
+      offer.equityType && labelOf(equityTypes, offer.equityType),
+      `over ${offer.vestingYears} years, ${offer.cliffMonths}-month cliff`
+    ].filter(Boolean).join(' ')],
+    ['PTO', offer.ptoDays && `${offer.ptoDays} days`],
+    ['Benefits', offer.benefits],
+    ['Deadline', offer.deadline && formatDeadline(offer.deadline)]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="job-offer">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+
+      <div className="job-offer-header">
+        <span className={`job-offer-decision ${offer.decision}`}>{labelOf(offerDecisions, offer.decision)}</span>
+        <div className="job-offer-actions">
+          {offer.decision === 'pending' ? (
+            <>
+              <button type="button" className="btn btn-primary" onClick={() => handleDecision('accepted')} disabled={saving}>
+                Accept
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => handleDecision('declined')} disabled={saving}>
+                Decline
+              </button>
+            </>
+          ) : (
+            <button type="button" className="btn btn-secondary" onClick={() => handleDecision('pending')} disabled={saving}>
+              Reopen
+            </button>
+          )}
+          <button type="button" className="btn btn-secondary" onClick={() => setEditing(true)} disabled={saving}>
+            Edit
+          </button>
+          <button type="button" className="btn btn-danger" onClick={handleDelete} disabled={saving}>
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <dl className="job-offer-terms">
+        {terms.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <table className="job-offer-years">
+        <caption>Total compensation, {currency}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Year</th>
+            <th scope="col">Base</th>
+            <th scope="col">Bonus</th>
+            <th scope="col">Equity</th>
+            <th scope="col">Signing</th>
+            <th scope="col">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {compensation.years.map(year => (
+            <tr key={year.year}>
+              <th scope="row">{year.year}</th>
+              <td>{formatMoney(year.base, currency)}</td>
+              <td>{formatMoney(year.bonus, currency)}</td>
+              <td>{formatMoney(year.equity, currency)}</td>
+              <td>{formatMoney(year.signing, currency)}</td>
+              <td>{formatMoney(year.total, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row" colSpan={5}>Over {compensation.years.length} years</th>
+            <td>{formatMoney(compensation.total, currency)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <h3>Negotiation</h3>
+      {offer.rounds.length === 0 && !round && <p className="job-offer-empty">No negotiation rounds yet.</p>}
+      <ol className="job-offer-rounds">
+        {offer.rounds.map(entry => (
+          <li key={entry.number} className={`job-offer-round ${entry.proposedBy}`}>
+            <strong>{entry.proposedBy === 'employer' ? 'Revised offer' : 'Counter-offer'}</strong>
+            <span className="job-offer-meta"> · {new Date(entry.createdAt).toLocaleDateString()}</span>
+            {Object.keys(entry.terms).length > 0 && (
+              <div>
+                {Object.entries(entry.terms)
+                  .map(([term, value]) => `${labelOf(negotiableTerms, term)}: ${formatTerm(term, value, currency)}`)
+                  .join(' · ')}
+              </div>
+            )}
+            {entry.note && <p className="job-offer-note">{entry.note}</p>}
+          </li>
+        ))}
+      </ol>
+
+      {round ? (
+        <form className="job-offer-round-form" onSubmit={handleRoundSubmit}>
+          <fieldset disabled={saving}>
+            <label>
+              Proposed by
+              <select name="proposedBy" value={round.proposedBy} onChange={handleRoundChange}>
+                <option value="candidate">Me (counter-offer)</option>
+                <option value="employer">Employer (revised offer)</option>
+              </select>
+            </label>
+            <div className="job-offer-round-terms">
+              {negotiableTerms.map(term => (
+                <label key={term.value}>
+                  {term.label}
+                  <input
+                    type="number"
+                    name={term.value}
+                    min="0"
+                    step="any"
+                    value={round[term.value]}
+                    onChange={handleRoundChange}
+                  />
+                </label>
+              ))}
+            </div>
+            <label>
+              Note
+              <textarea name="note" rows={2} maxLength={2000} value={round.note} onChange={handleRoundChange} />
+            </label>
+            {round.proposedBy === 'employer' && (
+              <p className="job-offer-meta">The terms you enter replace the offer's current terms.</p>
+            )}
+            <div className="job-offer-actions">
+              <button type="submit" className="btn btn-primary">{saving ? 'Saving...' : 'Add round'}</button>
+              <button type="button" className="btn btn-secondary" onClick={() => setRound(null)}>Cancel</button>
+            </div>
+          </fieldset>
+        </form>
+      ) : (
+        <button type="button" className="btn btn-secondary" onClick={() => setRound(emptyRound)} disabled={saving}>
+          Add negotiation round
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default JobOffer;
\ No newline at end of file
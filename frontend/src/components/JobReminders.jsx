@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  fetchReminders,
+  createReminder,
+  updateReminder,
+  deleteReminder
+} from '../services/reminderService';
+import './JobReminders.css';
+
+const statusLabels = {
+  pending: 'Scheduled',
+  due: 'Due',
+  done: 'Done',
+  dismissed: 'Dismissed'
+};
+
+const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const emptyForm = { mode: 'offset', remindAt: '', offsetDays: 7, note: '' };
+
+/**
+ * Reminders of one job or one contact, with a form to add another
+ * @param {string|number} [jobId]
+ * @param {string|number} [contactId] - Instead of jobId
+ */
+const JobReminders = ({ jobId, contactId }) => {
+  // Relative reminders restart from the last status change or the last interaction
+  const offsetBase = contactId === undefined ? 'the last status change' : 'the last interaction';
+
+  const [reminders, setReminders] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadReminders = useCallback(async () => {
+    try {
+      setReminders(await fetchReminders({ jobId, contactId }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [jobId, contactId]);
+
+  useEffect(() => {
+    loadReminders();
+  }, [loadReminders]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadReminders();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const schedule = form.mode === 'date'
+      ? { remindAt: new Date(form.remindAt).toISOString() }
+      : { offsetDays: Number(form.offsetDays) };
+
+    const created = await runAndReload(() => createReminder({
+      jobId,
+      contactId,
+      ...schedule,
+      note: form.note.trim() || undefined
+    }));
+    if (created) {
+      setForm(emptyForm);
+    }
+  };
+
+  return (
+    <div className="job-reminders">
+      {error && <p className="job-detail-error" role="alert">{error}</p>}
+
+      {reminders.length === 0 ? (
+        <p className="job-reminders-empty">No reminders set.</p>
+      ) : (
+        <ul>
+          {reminders.map(reminder => (
+            <li key={reminder.id} className={`job-reminder ${reminder.status}`}>
+              <div>
+                <strong>{formatTime(reminder.remindAt)}</strong>
+                <span className="job-reminder-status">{statusLabels[reminder.status]}</span>
+                {reminder.offsetDays !== null && reminder.offsetDays !== undefined && (
+                  <span className="job-reminder-meta">
+                    {' '}· {reminder.offsetDays} day{reminder.offsetDays === 1 ? '' : 's'} after {offsetBase}
+                  </span>
+                )}
+                {reminder.note && <div className="job-reminder-meta">{reminder.note}</div>}
+              </div>
+              <div className="job-reminder-actions">
+                {(reminder.status === 'pending' || reminder.status === 'due') && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => runAndReload(() => updateReminder(reminder.id, { status: 'done' }))}
+                    disabled={saving}
+                  >
+                    Done
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  onClick={() => runAndReload(() => deleteReminder(reminder.id))}
+                  disabled={saving}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="job-reminder-form" onSubmit={handleSubmit}>
+        <select name="mode" value={form.mode} onChange={handleChange} disabled={saving}>
+          <option value="offset">Days after {offsetBase}</option>
+          <option value="date">On a date</option>
+        </select>
+        {form.mode === 'date' ? (
+          <input
+            type="datetime-local"
+            name="remindAt"
+            aria-label="Remind at"
+            value={form.remindAt}
+            onChange={handleChange}
+            required
+            disabled={saving}
+          />
+        ) : (
+          <input
+            type="number"
+            name="offsetDays"
+            aria-label={`Days after ${offsetBase}`}
+            min={0}
+            max={365}
+            value={form.offsetDays}
+            onChange={handleChange}
+            required
+            disabled={saving}
+          />
+        )}
+        <input
+          type="text"
+          name="note"
+          placeholder="Note (optional)"
+          maxLength={500}
+          value={form.note}
+          onChange={handleChange}
+          disabled={saving}
+        />
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          Add reminder
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default JobReminders;
\ No newline at end of file
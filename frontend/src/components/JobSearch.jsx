@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { searchJobs } from '../services/api';
+import StatusBadge from './StatusBadge';
+import './JobSearch.css';
+
+const DEBOUNCE_MS = 300;
+
+// Highlights come from GET /api/search already HTML-escaped, with matches
+// wrapped in <mark>, so they can be rendered as markup
+const Highlighted = ({ html, fallback, as: Tag = 'span', className }) => (
+  html
+    ? <Tag className={className} dangerouslySetInnerHTML={{ __html: html }} />
+    : <Tag className={className}>{fallback}</Tag>
+);
+
+/**
+ * Search box for the job list (AC-3.3)
+ *
+ * Supports words, "quoted phrases" and prefixes such as engin*; results are
+ * ranked by relevance and show the matching text highlighted.
+ */
+const JobSearch = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      setResults([]);
+      setTotal(0);
+      setError(null);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      const result = await searchJobs(trimmed, { limit: 20 });
+      if (!active) return;
+
+      if (result.success) {
+        setResults(result.data.data);
+        setTotal(result.data.total);
+        setError(null);
+      } else {
+        setResults([]);
+        setTotal(0);
+        setError(result.message);
+      }
+      setLoading(false);
+    }, DEBOUNCE_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const showResults = query.trim() !== '';
+
+  return (
+    <div className="job-search">
+      <input
+        type="search"
+        className="job-search-input"
+        placeholder='Search jobs, e.g. react "senior engineer" engin*'
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        aria-label="Search job applications"
+      />
+
+      {showResults && (
+        <div className="job-search-results" aria-live="polite">
+          {loading && <p className="job-search-status">Searching...</p>}
+          {!loading && error && <p className="job-search-status error">{error}</p>}
+          {!loading && !error && results.length === 0 && (
+            <p className="job-search-status">No matching applications.</p>
+          )}
+          {!loading && results.length > 0 && (
+            <>
+              <p className="job-search-status">
+                Showing {results.length} of {total} result{total === 1 ? '' : 's'}
+              </p>
+              <ul className="job-search-list">
+                {results.map(({ job, highlights }) => (
+                  <li key={job.id} className="job-search-result">
+                    <div className="job-search-result-header">
+                      <Link to={`/jobs/${job.id}`} className="job-search-title">
+                        <Highlighted html={highlights.title} fallback={job.title} />
+                      </Link>
+                      <StatusBadge status={job.status} />
+                    </div>
+                    <Highlighted
+                      html={highlights.company}
+                      fallback={job.company}
+                      as="p"
+                      className="job-search-company"
+                    />
+                    {highlights.description && (
+                      <Highlighted html={highlights.description} as="p" className="job-search-snippet" />
+                    )}
+                    {highlights.notes && (
+                      <p className="job-search-snippet">
+                        <span className="job-search-snippet-label">Notes: </span>
+                        <Highlighted html={highlights.notes} />
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobSearch;
\ No newline at end of file
@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import apiService from '../services/apiService.js';
+import useStatusCatalog from '../hooks/useStatusCatalog';
+import StatusSelect from './StatusSelect';
+import StatusBadge from './StatusBadge';
 import './JobTracker.css';
 
 const JobTracker = () => {
+  const { getStatus } = useStatusCatalog();
+  const navigate = useNavigate();
   const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -59,17 +65,9 @@ const JobTracker = () => {
       };
       
       const createdJob = await apiService.createJob(jobData);
-      setJobs(prevJobs => [...prevJobs, createdJob]);
-      
-      // Reset form
-      setNewJob({
-        title: '',
-        company: '',
-        status: 'applied',
-        dateApplied: '',
-        notes: ''
-      });
-      setShowAddForm(false);
+
+      // Continue on the new application's page
+      navigate(`/jobs/${createdJob.id}`, { state: { notice: 'Application added.' } });
     } catch (err) {
       setError('Failed to create job. Please try again.');
       console.error('Error creating job:', err);
@@ -149,17 +147,9 @@ const JobTracker = () => {
     }
   };
 
-  // Get status color class
-  const getStatusColor = (status) => {
-    const colors = {
-      'applied': 'status-applied',
-      'interviewing': 'status-interviewing',
-      'offered': 'status-offered',
-      'rejected': 'status-rejected',
-      'accepted': 'status-accepted'
-    };
-    return colors[status] || 'status-default';
-  };
+  // Count applications whose status belongs to a catalogue stage
+  const countByStage = (stage) =>
+    jobs.filter(job => getStatus(job.status)?.stage === stage).length;
 
   if (loading) {
     return (
@@ -230,18 +220,12 @@ const JobTracker = () => {
             <div className="form-row">
               <div className="form-group">
                 <label htmlFor="status">Status</label>
-                <select
+                <StatusSelect
                   id="status"
                   value={newJob.status}
                   onChange={(e) => setNewJob({...newJob, status: e.target.value})}
                   disabled={operationLoading.create}
-                >
-                  <option value="applied">Applied</option>
-                  <option value="interviewing">Interviewing</option>
-                  <option value="offered">Offered</option>
-                  <option value="rejected">Rejected</option>
-                  <option value="accepted">Accepted</option>
-                </select>
+                />
               </div>
               <div className="form-group">
                 <label htmlFor="dateApplied">Date Applied</label>
@@ -299,11 +283,11 @@ const JobTracker = () => {
           <span className="stat-label">Total Applications</span>
         </div>
         <div className="summary-stat">
-          <span className="stat-number">{jobs.filter(job => job.status === 'interviewing').length}</span>
+          <span className="stat-number">{countByStage('interviewing')}</span>
           <span className="stat-label">Interviewing</span>
         </div>
         <div className="summary-stat">
-          <span className="stat-number">{jobs.filter(job => job.status === 'offered').length}</span>
+          <span className="stat-number">{countByStage('offer')}</span>
           <span className="stat-label">Offers</span>
         </div>
       </div>
@@ -338,17 +322,12 @@ const JobTracker = () => {
                     />
                   </div>
                   <div className="form-row">
-                    <select
+                    <StatusSelect
                       value={editingJob.status}
+                      currentStatus={job.status}
                       onChange={(e) => setEditingJob({...editingJob, status: e.target.value})}
                       disabled={operationLoading.update}
-                    >
-                      <option value="applied">Applied</option>
-                      <option value="interviewing">Interviewing</option>
-                      <option value="offered">Offered</option>
-                      <option value="rejected">Rejected</option>
-                      <option value="accepted">Accepted</option>
-                    </select>
+                    />
                     <input
                       type="date"
                       value={editingJob.dateApplied}
@@ -392,12 +371,12 @@ const JobTracker = () => {
                 <>
                   <div className="job-header">
                     <div className="job-title-company">
-                      <h3 className="job-title">{job.title}</h3>
+                      <h3 className="job-title">
+                        <Link to={`/jobs/${job.id}`}>{job.title}</Link>
+                      </h3>
                       <p className="job-company">{job.company}</p>
                     </div>
-                    <div className={`job-status ${getStatusColor(job.status)}`}>
-                      {job.status.charAt(0).toUpperCase() + job.status.slice(1)}
-                    </div>
+                    <StatusBadge status={job.status} className="job-status" />
                   </div>
                   
                   <div className="job-details">
@@ -415,18 +394,13 @@ const JobTracker = () => {
                   </div>
 
                   <div className="job-actions">
-                    <select
+                    <StatusSelect
                       value={job.status}
+                      currentStatus={job.status}
                       onChange={(e) => handleStatusChange(job.id, e.target.value)}
                       className="status-select"
                       disabled={operationLoading.update}
-                    >
-                      <option value="applied">Applied</option>
-                      <option value="interviewing">Interviewing</option>
-                      <option value="offered">Offered</option>
-                      <option value="rejected">Rejected</option>
-                      <option value="accepted">Accepted</option>
-                    </select>
+                    />
                     
                     <button 
                       className="btn btn-sm btn-outline"
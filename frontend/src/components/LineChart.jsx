@@ -0,0 +1,78 @@
+import React from 'react';
+import './LineChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 36 };
+
+// Round the top of the axis up to a whole number that splits into four steps
+const axisMax = (max) => Math.max(4, Math.ceil(max / 4) * 4);
+
+/**
+ * Line chart of one or more series over the same labelled points, drawn as SVG
+ *
+ * @param {string[]} labels - One per point, along the x axis
+ * @param {Object[]} series - [{ name, color, values }], `values` aligned with `labels`
+ * @param {string} title - Accessible name of the chart
+ */
+const LineChart = ({ labels = [], series = [], title }) => {
+  if (labels.length === 0) {
+    return <p className="line-chart-empty">Nothing to chart yet.</p>;
+  }
+
+  const top = axisMax(Math.max(0, ...series.flatMap(line => line.values)));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (labels.length === 1 ? plotWidth / 2 : (index / (labels.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - (value / top) * plotHeight;
+  const ticks = [0, 1, 2, 3, 4].map(step => (top / 4) * step);
+  // Label every point when they fit, otherwise about eight of them
+  const labelEvery = Math.ceil(labels.length / 8);
+
+  return (
+    <figure className="line-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title}>
+        {ticks.map(tick => (
+          <g key={tick} className="line-chart-tick">
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} />
+            <text x={PADDING.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle">{tick}</text>
+          </g>
+        ))}
+
+        {labels.map((label, index) => (index % labelEvery === 0 ? (
+          <text key={index} className="line-chart-label" x={x(index)} y={HEIGHT - 8} textAnchor="middle">
+            {label}
+          </text>
+        ) : null))}
+
+        {series.map(line => (
+          <g key={line.name}>
+            <polyline
+              className="line-chart-line"
+              points={line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+              stroke={line.color}
+            />
+            {line.values.map((value, index) => (
+              <circle key={index} cx={x(index)} cy={y(value)} r={3.5} fill={line.color}>
+                <title>{`${labels[index]}: ${value} ${line.name.toLowerCase()}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      {series.length > 1 && (
+        <figcaption className="line-chart-legend">
+          {series.map(line => (
+            <span key={line.name}>
+              <span className="line-chart-swatch" style={{ backgroundColor: line.color }} />
+              {line.name}
+            </span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  );
+};
+
+export default LineChart;
\ No newline at end of file
@@ -0,0 +1,127 @@
+import React from 'react';
+import './Markdown.css';
+
+/**
+ * Renders the Markdown subset used in notes: paragraphs, # headings, - and 1.
+ * lists, > quotes, ``` code blocks, **bold**, *italic*, `code` and
+ * [links](https://...). The text is turned into React elements rather than
+ * HTML, so nothing in a note can inject markup; links must be http(s).
+ */
+
+// Fresh per call: the pattern is global and renderInline recurses
+const inlinePattern = () => /`([^`]+)`|\*\*(.+?)\*\*|\*(.+?)\*|_(.+?)_|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+const renderInline = (text) => {
+  const parts = [];
+  const pattern = inlinePattern();
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, code, bold, italic, underscored, label, href] = match;
+    if (match.index > last) {
+      parts.push(text.slice(last, match.index));
+    }
+
+    const key = parts.length;
+    if (code !== undefined) {
+      parts.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      parts.push(<strong key={key}>{renderInline(bold)}</strong>);
+    } else if (italic !== undefined || underscored !== undefined) {
+      parts.push(<em key={key}>{renderInline(italic !== undefined ? italic : underscored)}</em>);
+    } else {
+      parts.push(<a key={key} href={href} target="_blank" rel="noopener noreferrer">{renderInline(label)}</a>);
+    }
+    last = match.index + whole.length;
+  }
+
+  if (last < text.length) {
+    parts.push(text.slice(last));
+  }
+  return parts;
+};
+
+// Lines of a paragraph keep their line breaks
+const renderLines = (lines) => lines.flatMap((line, index) =>
+  (index === 0 ? renderInline(line) : [<br key={`br-${index}`} />, ...renderInline(line)]));
+
+const blockRules = [
+  { type: 'ul', test: line => /^\s*[-*+]\s+/.test(line), strip: line => line.replace(/^\s*[-*+]\s+/, '') },
+  { type: 'ol', test: line => /^\s*\d+[.)]\s+/.test(line), strip: line => line.replace(/^\s*\d+[.)]\s+/, '') },
+  { type: 'blockquote', test: line => /^\s*>/.test(line), strip: line => line.replace(/^\s*>\s?/, '') }
+];
+
+/**
+ * Split Markdown text into blocks
+ * @param {string} text
+ * @returns {{ type: string, lines: string[], level?: number }[]}
+ */
+const parseBlocks = (text) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i++]);
+      }
+      blocks.push({ type: 'pre', lines: code });
+      i++;
+    } else if (/^#{1,3}\s+/.test(line)) {
+      const [, hashes, heading] = line.match(/^(#{1,3})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, lines: [heading] });
+      i++;
+    } else {
+      const rule = blockRules.find(candidate => candidate.test(line));
+      const block = { type: rule ? rule.type : 'p', lines: [] };
+      // A paragraph runs until a blank line or the start of another kind of block
+      const continues = rule
+        ? candidate => rule.test(candidate)
+        : candidate => candidate.trim() && !/^\s*```|^#{1,3}\s+/.test(candidate) && !blockRules.some(other => other.test(candidate));
+
+      while (i < lines.length && continues(lines[i])) {
+        block.lines.push(rule ? rule.strip(lines[i]) : lines[i]);
+        i++;
+      }
+      blocks.push(block);
+    }
+  }
+  return blocks;
+};
+
+const renderBlock = (block, key) => {
+  switch (block.type) {
+    case 'pre':
+      return <pre key={key}><code>{block.lines.join('\n')}</code></pre>;
+    case 'heading': {
+      // Note headings sit below the page's own h1/h2
+      const Tag = `h${block.level + 2}`;
+      return <Tag key={key}>{renderInline(block.lines[0])}</Tag>;
+    }
+    case 'ul':
+    case 'ol': {
+      const Tag = block.type;
+      return <Tag key={key}>{block.lines.map((item, index) => <li key={index}>{renderInline(item)}</li>)}</Tag>;
+    }
+    case 'blockquote':
+      return <blockquote key={key}>{renderLines(block.lines)}</blockquote>;
+    default:
+      return <p key={key}>{renderLines(block.lines)}</p>;
+  }
+};
+
+const Markdown = ({ text, className = '' }) => (
+  <div className={`markdown ${className}`.trim()}>
+    {parseBlocks(text).map(renderBlock)}
+  </div>
+);
+
+export default Markdown;
\ No newline at end of file
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { equityTypes } from '../services/offerService';
+import { currencies } from '../utils/compensation';
+import './OfferForm.css';
+
+const numberFields = [
+  'baseSalary', 'bonusPercent', 'bonusAmount', 'signingBonus', 'equityValue',
+  'vestingYears', 'cliffMonths', 'ptoDays', 'remindDaysBefore'
+];
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const toFormState = (offer = {}) => ({
+  ...Object.fromEntries(numberFields.map(field => [field, isSet(offer[field]) ? String(offer[field]) : ''])),
+  vestingYears: String(offer.vestingYears ?? 4),
+  cliffMonths: String(offer.cliffMonths ?? 12),
+  remindDaysBefore: String(offer.remindDaysBefore ?? 2),
+  currency: offer.currency || 'USD',
+  equityType: offer.equityType || '',
+  benefits: offer.benefits || '',
+  // Deadlines are stored as midnight UTC of the chosen day
+  deadline: offer.deadline ? offer.deadline.slice(0, 10) : ''
+});
+
+/**
+ * Form for recording an offer or editing its terms
+ * Empty amounts are sent as null so the API clears them.
+ *
+ * @param {Object} [offer] - The offer to edit; omit to record a new one
+ * @param {Function} onSubmit - Called with the fields to send to the API
+ * @param {Function} onCancel
+ * @param {boolean} [saving]
+ */
+const OfferForm = ({ offer, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState(() => toFormState(offer));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      ...Object.fromEntries(numberFields.map(field => [field, isSet(form[field]) ? Number(form[field]) : null])),
+      // The API falls back to its defaults for these rather than clearing them
+      vestingYears: Number(form.vestingYears) || 4,
+      cliffMonths: Number(form.cliffMonths) || 0,
+      remindDaysBefore: Number(form.remindDaysBefore) || 0,
+      currency: form.currency,
+      equityType: form.equityType || null,
+      benefits: form.benefits.trim() || null,
+      deadline: form.deadline || null
+    });
+  };
+
+  const amountInput = (name, label, placeholder) => (
+    <label>
+      {label}
+      <input
+        type="number"
+        name={name}
+        min="0"
+        step="any"
+        value={form[name]}
+        onChange={handleChange}
+        placeholder={placeholder}
+      />
+    </label>
+  );
+
+  return (
+    <form className="offer-form" onSubmit={handleSubmit}>
+      <fieldset disabled={saving}>
+        <div className="offer-form-row">
+          <label>
+            Base salary *
+            <input
+              type="number"
+              name="baseSalary"
+              min="0"
+              step="any"
+              required
+              value={form.baseSalary}
+              onChange={handleChange}
+              placeholder="e.g. 150000"
+            />
+          </label>
+          <label>
+            Currency
+            <select name="currency" value={form.currency} onChange={handleChange}>
+              {!currencies.includes(form.currency) && <option value={form.currency}>{form.currency}</option>}
+              {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          {amountInput('ptoDays', 'PTO days', 'e.g. 25')}
+        </div>
+
+        <div className="offer-form-row">
+          {amountInput('bonusPercent', 'Target bonus %', 'e.g. 10')}
+          {amountInput('bonusAmount', 'or fixed bonus', 'e.g. 15000')}
+          {amountInput('signingBonus', 'Signing bonus', 'e.g. 20000')}
+        </div>
+
+        <div className="offer-form-row">
+          <label>
+            Equity
+            <select name="equityType" value={form.equityType} onChange={handleChange}>
+              <option value="">None</option>
+              {equityTypes.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+          </label>
+          {amountInput('equityValue', 'Grant value', 'e.g. 200000')}
+          <label>
+            Vesting (years)
+            <input type="number" name="vestingYears" min="1" max="10" value={form.vestingYears} onChange={handleChange} />
+          </label>
+          <label>
+            Cliff (months)
+            <input type="number" name="cliffMonths" min="0" max="60" value={form.cliffMonths} onChange={handleChange} />
+          </label>
+        </div>
+
+        <label>
+          Benefits
+          <textarea
+            name="benefits"
+            rows={2}
+            maxLength={2000}
+            value={form.benefits}
+            onChange={handleChange}
+            placeholder="Health insurance, 401(k) match, learning budget..."
+          />
+        </label>
+
+        <div className="offer-form-row">
+          <label>
+            Decision deadline
+            <input type="date" name="deadline" value={form.deadline} onChange={handleChange} />
+          </label>
+          <label>
+            Remind me (days before)
+            <input
+              type="number"
+              name="remindDaysBefore"
+              min="0"
+              max="30"
+              value={form.remindDaysBefore}
+              onChange={handleChange}
+              disabled={!form.deadline}
+            />
+          </label>
+        </div>
+
+        <div className="offer-form-actions">
+          <button type="submit" className="btn btn-primary">
+            {saving ? 'Saving...' : offer ? 'Save offer' : 'Record offer'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+        </div>
+      </fieldset>
+    </form>
+  );
+};
+
+export default OfferForm;
\ No newline at end of file
@@ -0,0 +1,67 @@
+import React from 'react';
+import './PieChart.css';
+
+const RADIUS = 80;
+const CENTER = 100;
+
+const pointAt = (fraction) => {
+  const angle = fraction * 2 * Math.PI - Math.PI / 2;
+  return `${CENTER + RADIUS * Math.cos(angle)} ${CENTER + RADIUS * Math.sin(angle)}`;
+};
+
+const percentOf = (value, total) => Math.round((value / total) * 1000) / 10;
+
+/**
+ * Pie chart drawn as SVG, with a legend giving each slice's count and share
+ * Slices without a value are left out.
+ *
+ * @param {Object[]} slices - [{ key, label, value, color }]
+ * @param {string} title - Accessible name of the chart
+ */
+const PieChart = ({ slices = [], title }) => {
+  const shown = slices.filter(slice => slice.value > 0);
+  const total = shown.reduce((sum, slice) => sum + slice.value, 0);
+
+  if (total === 0) {
+    return <p className="pie-chart-empty">Nothing to chart yet.</p>;
+  }
+
+  let start = 0;
+  const arcs = shown.map(slice => {
+    const end = start + slice.value / total;
+    const largeArc = end - start > 0.5 ? 1 : 0;
+    const arc = { ...slice, path: `M ${CENTER} ${CENTER} L ${pointAt(start)} A ${RADIUS} ${RADIUS} 0 ${largeArc} 1 ${pointAt(end)} Z` };
+    start = end;
+    return arc;
+  });
+
+  return (
+    <figure className="pie-chart">
+      <svg viewBox={`0 0 ${CENTER * 2} ${CENTER * 2}`} role="img" aria-label={title}>
+        {arcs.map(arc => {
+          const tooltip = <title>{`${arc.label}: ${arc.value} (${percentOf(arc.value, total)}%)`}</title>;
+          // An arc cannot start and end at the same point, so a lone slice is a circle
+          return arcs.length === 1 ? (
+            <circle key={arc.key} cx={CENTER} cy={CENTER} r={RADIUS} fill={arc.color}>{tooltip}</circle>
+          ) : (
+            <path key={arc.key} d={arc.path} fill={arc.color}>{tooltip}</path>
+          );
+        })}
+      </svg>
+
+      <figcaption>
+        <ul className="pie-chart-legend">
+          {arcs.map(arc => (
+            <li key={arc.key}>
+              <span className="pie-chart-swatch" style={{ backgroundColor: arc.color }} />
+              <span className="pie-chart-label">{arc.label}</span>
+              <span className="pie-chart-value">{arc.value} · {percentOf(arc.value, total)}%</span>
+            </li>
+          ))}
+        </ul>
+      </figcaption>
+    </figure>
+  );
+};
+
+export default PieChart;
\ No newline at end of file
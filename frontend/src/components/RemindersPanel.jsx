@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchReminders, updateReminder, snoozeReminder } from '../services/reminderService';
+import './RemindersPanel.css';
+
+const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Follow-ups that are overdue or due today, with buttons to act on them
+ * @param {Object[]} [jobs] - Known jobs, to show titles instead of IDs
+ */
+const RemindersPanel = ({ jobs = [] }) => {
+  const [groups, setGroups] = useState({ overdue: [], today: [] });
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadReminders = useCallback(async () => {
+    try {
+      const [overdue, today] = await Promise.all([
+        fetchReminders({ due: 'overdue' }),
+        fetchReminders({ due: 'today' })
+      ]);
+      setGroups({ overdue, today });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReminders();
+  }, [loadReminders]);
+
+  const runAndReload = async (reminderId, action) => {
+    setBusyId(reminderId);
+    try {
+      await action();
+      await loadReminders();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const describeJob = (jobId) => {
+    const job = jobs.find(candidate => String(candidate.id) === String(jobId));
+    return job ? `${job.title || job.position} at ${job.company}` : 'View application';
+  };
+
+  // Reminders follow up on either an application or a networking contact
+  const reminderLink = (reminder) => (reminder.contact ? (
+    <Link to={`/contacts/${reminder.contact.id}`}>
+      {reminder.contact.company ? `${reminder.contact.name} (${reminder.contact.company})` : reminder.contact.name}
+    </Link>
+  ) : (
+    <Link to={`/jobs/${reminder.jobId}?tab=reminders`}>{describeJob(reminder.jobId)}</Link>
+  ));
+
+  const renderGroup = (title, reminders, className) => reminders.length > 0 && (
+    <div className={`reminders-group ${className}`}>
+      <h4>{title} ({reminders.length})</h4>
+      <ul>
+        {reminders.map(reminder => (
+          <li key={reminder.id} className="reminder-item">
+            <div>
+              {reminderLink(reminder)}
+              <div className="reminder-meta">
+                {formatTime(reminder.remindAt)}
+                {reminder.note && <span> · {reminder.note}</span>}
+              </div>
+            </div>
+            <div className="reminder-actions">
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => runAndReload(reminder.id, () => updateReminder(reminder.id, { status: 'done' }))}
+                disabled={busyId === reminder.id}
+              >
+                Done
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => runAndReload(reminder.id, () => snoozeReminder(reminder.id))}
+                disabled={busyId === reminder.id}
+              >
+                Tomorrow
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => runAndReload(reminder.id, () => updateReminder(reminder.id, { status: 'dismissed' }))}
+                disabled={busyId === reminder.id}
+              >
+                Dismiss
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  if (!error && groups.overdue.length === 0 && groups.today.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="reminders-panel" aria-label="Follow-up reminders">
+      <h3>Follow-ups</h3>
+      {error && <p className="reminders-error" role="alert">{error}</p>}
+      {renderGroup('Overdue', groups.overdue, 'overdue')}
+      {renderGroup('Today', groups.today, 'today')}
+    </section>
+  );
+};
+
+export default RemindersPanel;
\ No newline at end of file
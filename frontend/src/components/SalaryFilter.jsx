@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { salaryPeriods, currencies } from '../utils/compensation';
+import './SalaryFilter.css';
+
+const emptyFilter = { salaryMin: '', salaryMax: '', salaryCurrency: '', salaryPeriod: '' };
+
+/**
+ * Salary filter for the job list: jobs whose base salary range overlaps the
+ * given one, optionally in one currency and period
+ *
+ * Amounts are compared as stored, so a yearly minimum is best combined with
+ * the yearly period.
+ * @param {Object} value - The applied filter, only with the fields that are set
+ * @param {(value: Object) => void} onChange
+ */
+const SalaryFilter = ({ value, onChange }) => {
+  const [draft, setDraft] = useState({ ...emptyFilter, ...value });
+
+  const handleChange = (e) => setDraft(current => ({ ...current, [e.target.name]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onChange(Object.fromEntries(Object.entries(draft).filter(([, field]) => field !== '')));
+  };
+
+  const handleClear = () => {
+    setDraft(emptyFilter);
+    onChange({});
+  };
+
+  return (
+    <form className="salary-filter" onSubmit={handleSubmit}>
+      <span className="salary-filter-label">Salary:</span>
+      <input
+        type="number"
+        name="salaryMin"
+        aria-label="Salary at least"
+        min="0"
+        placeholder="Min"
+        value={draft.salaryMin}
+        onChange={handleChange}
+      />
+      <span>–</span>
+      <input
+        type="number"
+        name="salaryMax"
+        aria-label="Salary at most"
+        min="0"
+        placeholder="Max"
+        value={draft.salaryMax}
+        onChange={handleChange}
+      />
+      <select name="salaryCurrency" aria-label="Currency" value={draft.salaryCurrency} onChange={handleChange}>
+        <option value="">Any currency</option>
+        {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+      </select>
+      <select name="salaryPeriod" aria-label="Period" value={draft.salaryPeriod} onChange={handleChange}>
+        <option value="">Any period</option>
+        {salaryPeriods.map(period => (
+          <option key={period.value} value={period.value}>{period.label}</option>
+        ))}
+      </select>
+      <button type="submit" className="btn btn-secondary">Apply</button>
+      {Object.keys(value).length > 0 && (
+        <button type="button" className="btn btn-secondary" onClick={handleClear}>Clear</button>
+      )}
+    </form>
+  );
+};
+
+export default SalaryFilter;
\ No newline at end of file
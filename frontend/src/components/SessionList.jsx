@@ -0,0 +1,110 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchSessions, revokeSession, revokeOtherSessions } from '../services/authService';
+import './SessionList.css';
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// "Chrome on Windows" is enough to recognise a device; fall back to the raw string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`));
+  const system = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS X', 'Linux'].find(name => userAgent.includes(name));
+  if (!browser) return userAgent;
+
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+  return system ? `${browserName} on ${system === 'Mac OS X' ? 'macOS' : system}` : browserName;
+};
+
+/**
+ * Devices the user is logged in on, with buttons to log them out
+ */
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await fetchSessions());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const runAndReload = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      await loadSessions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <p>Loading sessions...</p>;
+  }
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <div className="session-list">
+      {error && <p className="session-error" role="alert">{error}</p>}
+
+      <ul>
+        {sessions.map(session => (
+          <li key={session.id} className={`session-item${session.current ? ' current' : ''}`}>
+            <div>
+              <strong>{describeDevice(session.userAgent)}</strong>
+              {session.current && <span className="session-current">This device</span>}
+              <div className="session-meta">
+                {session.ipAddress && <span>{session.ipAddress} · </span>}
+                Last active {formatTimestamp(session.lastUsedAt)}
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => runAndReload(() => revokeSession(session.id))}
+                disabled={busy}
+              >
+                Log out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasOthers && (
+        <button
+          type="button"
+          className="btn btn-danger"
+          onClick={() => runAndReload(revokeOtherSessions)}
+          disabled={busy}
+        >
+          Log out all other devices
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
\ No newline at end of file
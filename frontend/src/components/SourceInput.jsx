@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Suggested while typing; any other text is accepted too
+const commonSources = [
+  'LinkedIn', 'Indeed', 'Glassdoor', 'Company website', 'Referral',
+  'Recruiter', 'Job board', 'Networking event', 'Career fair'
+];
+
+/**
+ * Text input for where an application came from, e.g. "LinkedIn" or "Referral"
+ *
+ * @param {string} id
+ * @param {string} value
+ * @param {Function} onChange - Called with the change event; the input is named "source"
+ * @param {boolean} [disabled]
+ */
+const SourceInput = ({ id, value, onChange, disabled = false }) => (
+  <>
+    <input
+      type="text"
+      id={id}
+      name="source"
+      list={`${id}-suggestions`}
+      maxLength={100}
+      value={value}
+      onChange={onChange}
+      disabled={disabled}
+      placeholder="e.g., LinkedIn, Referral"
+    />
+    <datalist id={`${id}-suggestions`}>
+      {commonSources.map(source => <option key={source} value={source} />)}
+    </datalist>
+  </>
+);
+
+export default SourceInput;
\ No newline at end of file
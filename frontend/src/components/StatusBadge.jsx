@@ -0,0 +1,21 @@
+import React from 'react';
+import useStatusCatalog from '../hooks/useStatusCatalog';
+
+/**
+ * Colour-coded status pill (colours come from the status catalogue, see AC-2.3)
+ */
+const StatusBadge = ({ status, className = 'status-badge' }) => {
+  const { getStatus } = useStatusCatalog();
+  const entry = getStatus(status);
+
+  return (
+    <span
+      className={`${className} status-${status || 'default'}`}
+      style={entry ? { backgroundColor: entry.color, color: '#FFFFFF' } : undefined}
+    >
+      {entry?.label || status || 'Unknown'}
+    </span>
+  );
+};
+
+export default StatusBadge;
\ No newline at end of file
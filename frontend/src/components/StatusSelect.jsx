@@ -0,0 +1,31 @@
+import React from 'react';
+import useStatusCatalog from '../hooks/useStatusCatalog';
+
+/**
+ * Status dropdown driven by the server's status catalogue
+ *
+ * When `currentStatus` is given, only that status and the statuses it may
+ * move to are offered. Any other props are passed to the <select>.
+ */
+const StatusSelect = ({ value, currentStatus, ...selectProps }) => {
+  const { optionsFor, getStatus } = useStatusCatalog();
+  const options = optionsFor(currentStatus);
+
+  // Keep the current value visible while the catalogue is loading
+  const showValue = value && !options.some(option => option.value === value);
+
+  return (
+    <select value={value} {...selectProps}>
+      {showValue && (
+        <option value={value}>{getStatus(value)?.label || value}</option>
+      )}
+      {options.map(option => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default StatusSelect;
\ No newline at end of file
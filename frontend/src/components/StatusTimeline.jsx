@@ -0,0 +1,73 @@
+import React from 'react';
+import StatusBadge from './StatusBadge';
+import useStatusCatalog from '../hooks/useStatusCatalog';
+import { formatDuration } from '../utils/formatDuration';
+import './StatusTimeline.css';
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Status history of a job (AC-2.2)
+ *
+ * Expects the payload of GET /api/jobs/:id/history: `entries` newest first
+ * and `timeInStatus` totals per status.
+ */
+const StatusTimeline = ({ entries = [], timeInStatus = [] }) => {
+  const { getStatus } = useStatusCatalog();
+
+  if (entries.length === 0) {
+    return <p className="timeline-empty">No status changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="status-timeline">
+      <ol className="timeline-list">
+        {entries.map(entry => (
+          <li key={entry.id} className={`timeline-entry${entry.isCurrent ? ' current' : ''}`}>
+            <div className="timeline-marker" style={{ backgroundColor: getStatus(entry.toStatus)?.color }} />
+            <div className="timeline-content">
+              <div className="timeline-heading">
+                <StatusBadge status={entry.toStatus} />
+                {entry.fromStatus && (
+                  <span className="timeline-from">
+                    from {getStatus(entry.fromStatus)?.label || entry.fromStatus}
+                  </span>
+                )}
+              </div>
+              <div className="timeline-meta">
+                <time dateTime={entry.changedAt}>{formatTimestamp(entry.changedAt)}</time>
+                <span className="timeline-duration">
+                  {entry.isCurrent ? 'for ' : ''}{formatDuration(entry.durationMs)}
+                </span>
+              </div>
+              {entry.comment && <p className="timeline-comment">{entry.comment}</p>}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="time-in-status">
+        <h4>Time in each status</h4>
+        <ul>
+          {timeInStatus.map(total => (
+            <li key={total.status}>
+              <span>{getStatus(total.status)?.label || total.status}</span>
+              <span>
+                {formatDuration(total.durationMs)}
+                {total.visits > 1 && ` (${total.visits} visits)`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default StatusTimeline;
\ No newline at end of file
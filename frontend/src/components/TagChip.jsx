@@ -0,0 +1,32 @@
+import React from 'react';
+import './TagChip.css';
+
+// Dark text on light colours, white on the rest
+const textColor = (hex) => {
+  const value = parseInt(String(hex).slice(1), 16);
+  const luminance = (0.299 * ((value >> 16) & 255) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+  return luminance > 0.6 ? '#111827' : '#FFFFFF';
+};
+
+/**
+ * Coloured tag pill, with a remove button when `onRemove` is given
+ */
+const TagChip = ({ name, color, onRemove, onClick, active = false }) => {
+  const style = color ? { backgroundColor: color, color: textColor(color) } : undefined;
+  const label = onClick ? (
+    <button type="button" className="tag-chip-toggle" onClick={onClick} aria-pressed={active}>{name}</button>
+  ) : name;
+
+  return (
+    <span className={`tag-chip${active ? ' active' : ''}${onClick && !active ? ' inactive' : ''}`} style={style}>
+      {label}
+      {onRemove && (
+        <button type="button" className="tag-chip-remove" onClick={onRemove} aria-label={`Remove tag ${name}`}>
+          ×
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
\ No newline at end of file
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import TagChip from './TagChip';
+import './TagFilter.css';
+
+/**
+ * Tag filter for the job list: pick tags and whether jobs need any or all of them
+ *
+ * @param {Object[]} tags - The user's tags (see useTags)
+ * @param {{ tags: string[], tagMode: 'any' | 'all' }} value
+ * @param {(value: { tags: string[], tagMode: string }) => void} onChange
+ */
+const TagFilter = ({ tags, value, onChange }) => {
+  if (tags.length === 0) {
+    return null;
+  }
+
+  const toggle = (name) => onChange({
+    ...value,
+    tags: value.tags.includes(name) ? value.tags.filter(tag => tag !== name) : [...value.tags, name]
+  });
+
+  return (
+    <div className="tag-filter">
+      <span className="tag-filter-label">Tags:</span>
+      {tags.map(tag => (
+        <TagChip
+          key={tag.id}
+          name={`${tag.name} (${tag.applicationCount})`}
+          color={tag.color}
+          active={value.tags.includes(tag.name)}
+          onClick={() => toggle(tag.name)}
+        />
+      ))}
+
+      {value.tags.length > 1 && (
+        <select
+          aria-label="Match"
+          value={value.tagMode}
+          onChange={(e) => onChange({ ...value, tagMode: e.target.value })}
+        >
+          <option value="any">Any of these</option>
+          <option value="all">All of these</option>
+        </select>
+      )}
+      {value.tags.length > 0 && (
+        <button type="button" className="btn btn-secondary" onClick={() => onChange({ ...value, tags: [] })}>
+          Clear
+        </button>
+      )}
+      <Link to="/tags" className="tag-filter-manage">Manage tags</Link>
+    </div>
+  );
+};
+
+export default TagFilter;
\ No newline at end of file
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import TagChip from './TagChip';
+import useTags from '../hooks/useTags';
+import { MAX_TAG_LENGTH, MAX_JOB_TAGS } from '../services/tagService';
+import './TagInput.css';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Tag field for the job form and the job page, suggesting the user's existing tags as they type
+ *
+ * Enter or a comma adds the typed tag; a name that matches an existing tag
+ * in another case takes that tag's spelling.
+ * @param {string[]} value - Tag names
+ * @param {(tags: string[]) => void} onChange
+ */
+const TagInput = ({ id, value = [], onChange, disabled = false }) => {
+  const { tags, getTag } = useTags();
+  const [text, setText] = useState('');
+  const [focused, setFocused] = useState(false);
+
+  const has = (name) => value.some(tag => tag.toLowerCase() === name.toLowerCase());
+  const full = value.length >= MAX_JOB_TAGS;
+
+  const addTag = (name) => {
+    const tidy = name.trim().replace(/\s+/g, ' ');
+    if (tidy && !has(tidy) && !full) {
+      onChange([...value, getTag(tidy)?.name || tidy]);
+    }
+    setText('');
+  };
+
+  const removeTag = (name) => onChange(value.filter(tag => tag !== name));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && value.length) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const term = text.trim().toLowerCase();
+  const suggestions = tags
+    .filter(tag => !has(tag.name) && tag.name.toLowerCase().includes(term))
+    .sort((a, b) => Number(!a.name.toLowerCase().startsWith(term)) - Number(!b.name.toLowerCase().startsWith(term)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  return (
+    <div className="tag-input">
+      <div className="tag-input-field">
+        {value.map(name => (
+          <TagChip
+            key={name}
+            name={name}
+            color={getTag(name)?.color}
+            onRemove={disabled ? undefined : () => removeTag(name)}
+          />
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          maxLength={MAX_TAG_LENGTH}
+          placeholder={full ? `At most ${MAX_JOB_TAGS} tags` : 'Add a tag, e.g. remote'}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setFocused(false);
+            addTag(text);
+          }}
+          disabled={disabled || full}
+          autoComplete="off"
+        />
+      </div>
+
+      {focused && suggestions.length > 0 && (
+        <ul className="tag-input-suggestions" role="listbox">
+          {suggestions.map(tag => (
+            <li key={tag.id} role="option" aria-selected="false">
+              {/* mousedown runs before the input loses focus */}
+              <button type="button" onMouseDown={(e) => { e.preventDefault(); addTag(tag.name); }}>
+                <TagChip name={tag.name} color={tag.color} />
+                <span className="tag-input-count">{tag.applicationCount}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
\ No newline at end of file
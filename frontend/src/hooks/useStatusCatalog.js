@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import { fetchStatusCatalog } from '../services/api';
+
+// The catalogue rarely changes, so every component shares a single request
+let catalogRequest = null;
+
+const emptyCatalog = {
+  statuses: [],
+  transitions: {},
+  initialStatus: 'applied',
+};
+
+/**
+ * Load the application status catalogue served by GET /api/statuses
+ *
+ * @returns {Object} Catalogue plus helpers:
+ * - statuses: [{ value, label, stage, color, terminal }]
+ * - transitions: { status: [next statuses] }
+ * - getStatus(value): catalogue entry for a status
+ * - optionsFor(current): statuses selectable from `current` (all when omitted)
+ */
+const useStatusCatalog = () => {
+  const [catalog, setCatalog] = useState(emptyCatalog);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    if (!catalogRequest) {
+      catalogRequest = fetchStatusCatalog();
+    }
+
+    catalogRequest.then((result) => {
+      if (!result.success) {
+        // Allow the next component to retry
+        catalogRequest = null;
+      }
+      if (!active) {
+        return;
+      }
+      if (result.success) {
+        setCatalog(result.data);
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const getStatus = (value) => catalog.statuses.find(status => status.value === value);
+
+  const optionsFor = (current) => {
+    if (!current) {
+      return catalog.statuses;
+    }
+    const allowed = [current, ...(catalog.transitions[current] || [])];
+    return catalog.statuses.filter(status => allowed.includes(status.value));
+  };
+
+  return {
+    ...catalog,
+    loading,
+    error,
+    getStatus,
+    optionsFor,
+  };
+};
+
+export default useStatusCatalog;
\ No newline at end of file
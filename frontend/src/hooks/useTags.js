@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchTags } from '../services/tagService';
+
+/**
+ * Load the user's tags served by GET /api/tags
+ *
+ * @returns {Object}
+ * - tags: [{ id, name, color, applicationCount }], most used first
+ * - getTag(name): the tag of a name, matched without regard to case
+ * - reload(): fetch the tags again, e.g. after a rename or merge
+ */
+const useTags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setTags(await fetchTags());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const getTag = (name) => tags.find(tag => tag.name.toLowerCase() === String(name).toLowerCase());
+
+  return {
+    tags,
+    loading,
+    error,
+    getTag,
+    reload,
+  };
+};
+
+export default useTags;
\ No newline at end of file
@@ -0,0 +1,287 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import BoardColumn from '../components/BoardColumn';
+import useStatusCatalog from '../hooks/useStatusCatalog';
+import { fetchJobs, changeJobStatus } from '../services/jobService';
+import './Contacts.css';
+import './Board.css';
+
+// Collapsed columns and work-in-progress limits, kept per browser
+const SETTINGS_KEY = 'jinder-board';
+
+const readSettings = () => {
+  try {
+    return { collapsed: {}, wipLimits: {}, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return { collapsed: {}, wipLimits: {} };
+  }
+};
+
+// The board shows every application, so read them all a page at a time
+const fetchAllJobs = async () => {
+  const all = [];
+  let cursor = null;
+  do {
+    const page = await fetchJobs({ limit: 100, ...(cursor ? { cursor } : {}) });
+    all.push(...page.data);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return all;
+};
+
+const describe = (job) => `${job.title || job.position} at ${job.company}`;
+
+/**
+ * Pipeline board: a column per status, with cards moved between columns by
+ * drag and drop or from the keyboard. A move shows at once and is undone if
+ * the API rejects it, e.g. with 409 for a transition the workflow does not
+ * allow.
+ */
+const Board = () => {
+  const { statuses, transitions, getStatus, loading: catalogLoading } = useStatusCatalog();
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [settings, setSettings] = useState(readSettings);
+  const [pendingIds, setPendingIds] = useState([]);
+  // Card dragged with the mouse and the column under it
+  const [dragging, setDragging] = useState(null);
+  const [dropStatus, setDropStatus] = useState(null);
+  // Card picked up with the keyboard and the column it would be dropped in
+  const [lifted, setLifted] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const cards = useRef({});
+  const refocusId = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+
+    fetchAllJobs()
+      .then((loaded) => {
+        if (active) {
+          setJobs(loaded);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  // A card moved with the keyboard is rendered anew in its column; keep it focused
+  useEffect(() => {
+    if (refocusId.current !== null) {
+      cards.current[refocusId.current]?.focus();
+      refocusId.current = null;
+    }
+  });
+
+  const cardRef = useCallback((jobId, element) => {
+    if (element) {
+      cards.current[jobId] = element;
+    } else {
+      delete cards.current[jobId];
+    }
+  }, []);
+
+  const labelOf = (status) => getStatus(status)?.label || status;
+
+  const canMove = (job, status) => status !== job.status && (transitions[job.status] || []).includes(status);
+
+  const replaceJob = (job) => setJobs(current => current.map(candidate => (candidate.id === job.id ? job : candidate)));
+
+  const moveJob = async (job, status) => {
+    setError(null);
+    replaceJob({ ...job, status });
+    setPendingIds(ids => [...ids, job.id]);
+    setAnnouncement(`${describe(job)} moved to ${labelOf(status)}.`);
+
+    try {
+      const result = await changeJobStatus(job.id, status);
+      replaceJob(result.data);
+    } catch (err) {
+      replaceJob(job);
+      const message = err.status === 409
+        ? `${describe(job)} cannot move from ${labelOf(job.status)} to ${labelOf(status)}, so it was put back.`
+        : `${describe(job)} was put back in ${labelOf(job.status)}: ${err.message}`;
+      setError(message);
+      setAnnouncement(message);
+    } finally {
+      setPendingIds(ids => ids.filter(id => id !== job.id));
+    }
+  };
+
+  const setCollapsed = (status, collapsed) => setSettings(current => ({
+    ...current,
+    collapsed: { ...current.collapsed, [status]: collapsed }
+  }));
+
+  const setWipLimit = (status, value) => setSettings(current => {
+    const wipLimits = { ...current.wipLimits };
+    if (Number(value) > 0) {
+      wipLimits[status] = Number(value);
+    } else {
+      delete wipLimits[status];
+    }
+    return { ...current, wipLimits };
+  });
+
+  const handleDragStart = (e, job) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(job.id));
+    setLifted(null);
+    setDragging(job);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropStatus(null);
+  };
+
+  // Only columns the card may move to accept the drop
+  const handleDragOver = (status) => (e) => {
+    if (dragging && canMove(dragging, status)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropStatus(status);
+    }
+  };
+
+  const handleDragLeave = (status) => (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDropStatus(current => (current === status ? null : current));
+    }
+  };
+
+  const handleDrop = (status) => (e) => {
+    e.preventDefault();
+    if (dragging && canMove(dragging, status)) {
+      moveJob(dragging, status);
+    }
+    handleDragEnd();
+  };
+
+  // Space picks a card up and drops it, the arrow keys choose among the
+  // columns it may move to and Escape puts it back
+  const handleCardKeyDown = (e, job) => {
+    // Keys pressed on the title link belong to the link
+    if (e.target !== e.currentTarget || pendingIds.includes(job.id)) {
+      return;
+    }
+
+    if (!lifted || lifted.job.id !== job.id) {
+      if (e.key === ' ') {
+        e.preventDefault();
+        setLifted({ job, target: job.status });
+        setAnnouncement(`Picked up ${describe(job)} in ${labelOf(job.status)}. Use the arrow keys to choose a column, Space to drop it or Escape to cancel.`);
+      }
+      return;
+    }
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const options = statuses
+        .map(status => status.value)
+        .filter(status => status === job.status || canMove(job, status));
+      const next = options[options.indexOf(lifted.target) + (e.key === 'ArrowRight' ? 1 : -1)];
+      if (next) {
+        setLifted({ job, target: next });
+        setAnnouncement(next === job.status ? `Back in ${labelOf(next)}.` : `Move to ${labelOf(next)}.`);
+      }
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      setLifted(null);
+      if (lifted.target === job.status) {
+        setAnnouncement(`${describe(job)} stays in ${labelOf(job.status)}.`);
+      } else {
+        refocusId.current = job.id;
+        moveJob(job, lifted.target);
+      }
+    } else if (e.key === 'Escape' || e.key === 'Tab') {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+      }
+      setLifted(null);
+      setAnnouncement(`Move cancelled; ${describe(job)} stays in ${labelOf(job.status)}.`);
+    }
+  };
+
+  const moving = dragging || lifted?.job;
+
+  const dropStateOf = (status) => {
+    if (!moving || status === moving.status) return null;
+    return canMove(moving, status) ? 'allowed' : 'blocked';
+  };
+
+  if (loading || catalogLoading) {
+    return <div className="contacts-page board-page"><p>Loading...</p></div>;
+  }
+
+  return (
+    <div className="contacts-page board-page">
+      <header className="contacts-header">
+        <h1>Board</h1>
+        <details className="board-settings">
+          <summary>Work-in-progress limits</summary>
+          <div className="board-settings-fields">
+            {statuses.filter(status => !status.terminal).map(status => (
+              <label key={status.value}>
+                {status.label}
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.wipLimits[status.value] || ''}
+                  onChange={(e) => setWipLimit(status.value, e.target.value)}
+                  placeholder="None"
+                />
+              </label>
+            ))}
+          </div>
+        </details>
+      </header>
+
+      <p id="board-instructions" className="board-instructions">
+        Drag a card to another column to change its status, or focus it and press Space, choose a
+        column with the arrow keys and press Space again. Columns the application cannot move to are dimmed.
+      </p>
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+      <p className="board-live" aria-live="polite">{announcement}</p>
+
+      <div className="board-columns">
+        {statuses.map(status => {
+          const collapsible = status.stage === 'closed';
+          const collapsed = collapsible && (settings.collapsed[status.value] ?? true);
+          return (
+            <BoardColumn
+              key={status.value}
+              status={status}
+              jobs={jobs.filter(job => job.status === status.value)}
+              wipLimit={settings.wipLimits[status.value]}
+              collapsed={collapsed}
+              onToggleCollapsed={collapsible ? () => setCollapsed(status.value, !collapsed) : undefined}
+              dropState={dropStateOf(status.value)}
+              target={moving && status.value !== moving.status && (dropStatus === status.value || lifted?.target === status.value)}
+              liftedId={lifted?.job.id}
+              pendingIds={pendingIds}
+              cardRef={cardRef}
+              onCardDragStart={handleDragStart}
+              onCardDragEnd={handleDragEnd}
+              onCardKeyDown={handleCardKeyDown}
+              onDragOver={handleDragOver(status.value)}
+              onDragLeave={handleDragLeave(status.value)}
+              onDrop={handleDrop(status.value)}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Board;
\ No newline at end of file
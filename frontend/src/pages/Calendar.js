@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import CalendarGrid from '../components/CalendarGrid';
+import CalendarAgenda from '../components/CalendarAgenda';
+import CalendarFeed from '../components/CalendarFeed';
+import { eventSummary } from '../components/CalendarEvent';
+import { calendarEventTypes, fetchCalendarEvents, rescheduleEvent } from '../services/calendarService';
+import {
+  AGENDA_DAYS,
+  addDays,
+  dayKey,
+  daysBetween,
+  eventDayKey,
+  fromDayKey,
+  visibleRange
+} from '../utils/calendarDates';
+import './Contacts.css';
+import './Calendar.css';
+
+// Chosen view and hidden event types, kept per browser
+const SETTINGS_KEY = 'jinder-calendar';
+
+const views = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' }
+];
+
+const readSettings = () => {
+  try {
+    return { view: 'month', hiddenTypes: [], ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return { view: 'month', hiddenTypes: [] };
+  }
+};
+
+const formatDay = (date, options = {}) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...options });
+
+const periodTitle = (view, anchor, { start, end }) => {
+  if (view === 'month') {
+    return anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+  return `${formatDay(start)} – ${formatDay(addDays(end, -1), { year: 'numeric' })}`;
+};
+
+const byStart = (a, b) => new Date(a.start) - new Date(b.start);
+
+/**
+ * Calendar of interviews, application and offer deadlines and follow-up
+ * reminders, by month, week or as an agenda. Dragging an event to another
+ * day or hour moves the record behind it; the move shows at once and is
+ * undone if the API rejects it.
+ */
+const Calendar = () => {
+  const [settings, setSettings] = useState(readSettings);
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingIds, setPendingIds] = useState([]);
+
+  const { view, hiddenTypes } = settings;
+  const range = visibleRange(view, anchor);
+  const rangeStart = range.start.getTime();
+  const rangeEnd = range.end.getTime();
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+
+    // A day either side, since all-day events are dated in UTC
+    fetchCalendarEvents({
+      from: addDays(new Date(rangeStart), -1).toISOString(),
+      to: addDays(new Date(rangeEnd), 1).toISOString()
+    })
+      .then((loaded) => {
+        if (active) {
+          setEvents(loaded);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [rangeStart, rangeEnd]);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const firstDay = dayKey(range.start);
+  const lastDay = dayKey(addDays(range.end, -1));
+  const visible = events.filter(event => {
+    const key = eventDayKey(event);
+    return !hiddenTypes.includes(event.type) && key >= firstDay && key <= lastDay;
+  });
+
+  const setView = (value) => setSettings(current => ({ ...current, view: value }));
+
+  const toggleType = (type) => setSettings(current => ({
+    ...current,
+    hiddenTypes: current.hiddenTypes.includes(type)
+      ? current.hiddenTypes.filter(hidden => hidden !== type)
+      : [...current.hiddenTypes, type]
+  }));
+
+  const step = (direction) => setAnchor(current => {
+    if (view === 'month') {
+      return new Date(current.getFullYear(), current.getMonth() + direction, 1);
+    }
+    return addDays(current, direction * (view === 'week' ? 7 : AGENDA_DAYS));
+  });
+
+  const replaceEvent = (event) => setEvents(current => current
+    .map(candidate => (candidate.id === event.id ? event : candidate))
+    .sort(byStart));
+
+  const reschedule = async (event, start) => {
+    const length = event.end ? new Date(event.end) - new Date(event.start) : null;
+    setError(null);
+    replaceEvent({
+      ...event,
+      start,
+      end: length === null ? event.end : new Date(new Date(start).getTime() + length).toISOString()
+    });
+    setPendingIds(ids => [...ids, event.id]);
+
+    try {
+      replaceEvent(await rescheduleEvent(event.id, { start }));
+    } catch (err) {
+      replaceEvent(event);
+      setError(`${eventSummary(event)} was put back: ${err.message}`);
+    } finally {
+      setPendingIds(ids => ids.filter(id => id !== event.id));
+    }
+  };
+
+  // All-day events move to the day; timed ones keep their minutes, and their
+  // time of day too unless dropped on an hour
+  const handleMove = (event, { day, hour }) => {
+    if (event.allDay) {
+      if (day !== event.start) {
+        reschedule(event, day);
+      }
+      return;
+    }
+
+    const current = new Date(event.start);
+    const moved = fromDayKey(day);
+    moved.setHours(hour === null ? current.getHours() : hour, current.getMinutes());
+    if (moved.getTime() !== current.getTime()) {
+      reschedule(event, moved.toISOString());
+    }
+  };
+
+  return (
+    <div className="contacts-page calendar-page">
+      <header className="contacts-header">
+        <h1>Calendar</h1>
+        <CalendarFeed />
+      </header>
+
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button type="button" className="btn btn-secondary" onClick={() => step(-1)} aria-label="Previous">‹</button>
+          <button type="button" className="btn btn-secondary" onClick={() => setAnchor(new Date())}>Today</button>
+          <button type="button" className="btn btn-secondary" onClick={() => step(1)} aria-label="Next">›</button>
+          <h2>{periodTitle(view, anchor, range)}</h2>
+        </div>
+        <div className="calendar-views" role="group" aria-label="View">
+          {views.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`btn ${view === option.value ? 'btn-primary' : 'btn-secondary'}`}
+              aria-pressed={view === option.value}
+              onClick={() => setView(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <fieldset className="calendar-types">
+        <legend>Show</legend>
+        {calendarEventTypes.map(type => (
+          <label key={type.value} className="calendar-type">
+            <input
+              type="checkbox"
+              checked={!hiddenTypes.includes(type.value)}
+              onChange={() => toggleType(type.value)}
+            />
+            <span className="calendar-type-swatch" style={{ background: type.color }} />
+            {type.label}
+          </label>
+        ))}
+      </fieldset>
+
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+
+      {loading && events.length === 0 ? (
+        <p>Loading...</p>
+      ) : view === 'agenda' ? (
+        <CalendarAgenda events={visible} pendingIds={pendingIds} onReschedule={reschedule} />
+      ) : (
+        <>
+          <p className="calendar-hint">Drag an event to another day{view === 'week' ? ' or hour' : ''} to reschedule it.</p>
+          <CalendarGrid
+            view={view}
+            days={daysBetween(range.start, range.end)}
+            month={anchor.getMonth()}
+            events={visible}
+            pendingIds={pendingIds}
+            onMove={handleMove}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Calendar;
\ No newline at end of file
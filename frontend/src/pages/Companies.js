@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import CompanyForm from '../components/CompanyForm';
+import {
+  fetchCompanies,
+  fetchDuplicateCompanies,
+  createCompany,
+  mergeCompanies
+} from '../services/companyService';
+import './Contacts.css';
+import './Companies.css';
+
+const DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+
+const Companies = () => {
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ data: [], total: 0 });
+  const [duplicates, setDuplicates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadCompanies = useCallback(
+    () => fetchCompanies({ q: query.trim() || undefined, page, limit: PAGE_SIZE }),
+    [query, page]
+  );
+
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const companies = await loadCompanies();
+        if (active) {
+          setResult(companies);
+          setError(null);
+        }
+      } catch (err) {
+        if (active) setError(err.message);
+      } finally {
+        if (active) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [loadCompanies]);
+
+  useEffect(() => {
+    fetchDuplicateCompanies().then(setDuplicates).catch(() => setDuplicates([]));
+  }, []);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      const [companies, pairs] = await Promise.all([loadCompanies(), fetchDuplicateCompanies()]);
+      setResult(companies);
+      setDuplicates(pairs);
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (details) => {
+    if (await runAndReload(() => createCompany(details))) {
+      setAdding(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    setQuery(e.target.value);
+    setPage(1);
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div className="contacts-page">
+      <header className="contacts-header">
+        <h1>Companies</h1>
+        {!adding && (
+          <button type="button" className="btn btn-primary" onClick={() => setAdding(true)}>
+            Add company
+          </button>
+        )}
+      </header>
+
+      {adding && <CompanyForm onSubmit={handleCreate} onCancel={() => setAdding(false)} saving={saving} />}
+
+      {duplicates.length > 0 && (
+        <section className="companies-duplicates" aria-label="Possible duplicates">
+          <h2>Possible duplicates</h2>
+          <ul>
+            {duplicates.map(({ companies: [first, second], reason }) => (
+              <li key={`${first.id}-${second.id}`}>
+                <span>
+                  <strong>{first.name}</strong> and <strong>{second.name}</strong>
+                  <span className="contacts-meta"> · {reason}</span>
+                </span>
+                <span className="companies-duplicate-actions">
+                  {[[first, second], [second, first]].map(([target, source]) => (
+                    <button
+                      key={target.id}
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => runAndReload(() => mergeCompanies(target.id, [source.id]))}
+                      disabled={saving}
+                    >
+                      Keep {target.name}
+                    </button>
+                  ))}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <input
+        type="search"
+        className="contacts-search"
+        placeholder="Search by name, industry, headquarters or notes"
+        aria-label="Search companies"
+        value={query}
+        onChange={handleSearch}
+      />
+
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+
+      {loading && result.data.length === 0 ? (
+        <p>Loading...</p>
+      ) : result.data.length === 0 ? (
+        <p className="contacts-empty">
+          {query.trim() ? 'No companies match your search.' : 'No companies yet. They are added as you track applications.'}
+        </p>
+      ) : (
+        <ul className="contacts-list">
+          {result.data.map(company => (
+            <li key={company.id} className="contacts-item">
+              <div>
+                <Link to={`/companies/${company.id}`} className="contacts-name">{company.name}</Link>
+                <div className="contacts-meta">
+                  {[company.industry, company.size && `${company.size} employees`, company.headquarters]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </div>
+              </div>
+              <div className="contacts-meta">
+                {company.applicationCount} application{company.applicationCount === 1 ? '' : 's'}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pageCount > 1 && (
+        <nav className="contacts-pagination" aria-label="Pages">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1 || loading}
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPage(page + 1)}
+            disabled={page === pageCount || loading}
+          >
+            Next
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default Companies;
\ No newline at end of file
@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import CompanyForm from '../components/CompanyForm';
+import InterviewTime from '../components/InterviewTime';
+import StatusBadge from '../components/StatusBadge';
+import { interviewRounds, interviewOutcomes } from '../services/interviewService';
+import {
+  getCompany,
+  fetchCompanies,
+  updateCompany,
+  mergeCompanies,
+  deleteCompany
+} from '../services/companyService';
+import './ContactDetail.css';
+import './CompanyDetail.css';
+
+const roundLabel = (value) => interviewRounds.find(round => round.value === value)?.label || value;
+const outcomeLabel = (value) => interviewOutcomes.find(outcome => outcome.value === value)?.label || value;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const outcomeTiles = [
+  { key: 'applications', label: 'Applications' },
+  { key: 'active', label: 'Active' },
+  { key: 'interviewing', label: 'Interviewing' },
+  { key: 'offers', label: 'Offers' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'withdrawn', label: 'Withdrawn' }
+];
+
+const CompanyDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [company, setCompany] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Other companies offered by the merge tool, loaded when it opens
+  const [mergeCandidates, setMergeCandidates] = useState(null);
+  const [mergeIds, setMergeIds] = useState([]);
+
+  const loadCompany = useCallback(async () => {
+    try {
+      setCompany(await getCompany(id));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadCompany();
+  }, [loadCompany]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadCompany();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (details) => {
+    if (await runAndReload(() => updateCompany(company.id, details))) {
+      setEditing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${company.name}?`)) return;
+
+    setSaving(true);
+    try {
+      await deleteCompany(company.id);
+      navigate('/companies');
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const openMergeTool = async () => {
+    try {
+      const { data } = await fetchCompanies({ limit: 100 });
+      setMergeCandidates(data.filter(other => String(other.id) !== String(company.id)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleMergeId = (otherId) => {
+    setMergeIds(current => (current.includes(otherId)
+      ? current.filter(candidate => candidate !== otherId)
+      : [...current, otherId]));
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    if (await runAndReload(() => mergeCompanies(company.id, mergeIds))) {
+      setMergeCandidates(null);
+      setMergeIds([]);
+    }
+  };
+
+  if (loading) {
+    return <div className="contact-detail"><p>Loading...</p></div>;
+  }
+
+  if (!company) {
+    return (
+      <div className="contact-detail">
+        <p className="contact-detail-error">{error || 'Company not found'}</p>
+        <Link to="/companies">← Back to companies</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="contact-detail">
+      <Link to="/companies" className="contact-detail-back">← Back to companies</Link>
+
+      <header className="contact-detail-header">
+        <div>
+          <h1>{company.name}</h1>
+          <p className="contact-detail-subtitle">
+            {[company.industry, company.size && `${company.size} employees`, company.headquarters]
+              .filter(Boolean)
+              .join(' · ')}
+          </p>
+        </div>
+        {!editing && (
+          <div className="contact-detail-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setEditing(true)} disabled={saving}>
+              Edit
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={openMergeTool} disabled={saving}>
+              Merge
+            </button>
+            {company.applications.length === 0 && (
+              <button type="button" className="btn btn-danger" onClick={handleDelete} disabled={saving}>
+                Delete
+              </button>
+            )}
+          </div>
+        )}
+      </header>
+
+      {error && <p className="contact-detail-error" role="alert">{error}</p>}
+
+      {mergeCandidates && (
+        <form className="contact-detail-section company-merge" onSubmit={handleMerge}>
+          <h2>Merge into {company.name}</h2>
+          <p className="contact-detail-meta">
+            Applications and contacts of the selected companies move here, and their names become aliases.
+          </p>
+          {mergeCandidates.length === 0 ? (
+            <p className="contact-detail-empty">There are no other companies.</p>
+          ) : (
+            <div className="company-merge-options">
+              {mergeCandidates.map(other => (
+                <label key={other.id}>
+                  <input
+                    type="checkbox"
+                    checked={mergeIds.includes(other.id)}
+                    onChange={() => toggleMergeId(other.id)}
+                    disabled={saving}
+                  />
+                  {other.name}
+                  <span className="contact-detail-meta">
+                    {' '}({other.applicationCount} application{other.applicationCount === 1 ? '' : 's'})
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="contact-detail-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving || mergeIds.length === 0}>
+              Merge selected
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => { setMergeCandidates(null); setMergeIds([]); }}
+              disabled={saving}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <section className="contact-detail-section">
+        <h2>How it went</h2>
+        <div className="company-outcomes">
+          {outcomeTiles.map(tile => (
+            <div key={tile.key} className="company-outcome">
+              <span className="company-outcome-value">{company.outcomes[tile.key]}</span>
+              <span className="company-outcome-label">{tile.label}</span>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Details</h2>
+        {editing ? (
+          <CompanyForm company={company} onSubmit={handleUpdate} onCancel={() => setEditing(false)} saving={saving} />
+        ) : (
+          <dl className="contact-detail-fields">
+            <dt>Website</dt>
+            <dd>
+              {company.website
+                ? <a href={company.website} target="_blank" rel="noopener noreferrer">{company.website}</a>
+                : '—'}
+            </dd>
+            <dt>Also known as</dt>
+            <dd>{company.aliases.length ? company.aliases.join(', ') : '—'}</dd>
+            {company.notes && (
+              <>
+                <dt>Notes</dt>
+                <dd className="contact-detail-notes">{company.notes}</dd>
+              </>
+            )}
+          </dl>
+        )}
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Applications</h2>
+        {company.applications.length === 0 ? (
+          <p className="contact-detail-empty">No applications yet.</p>
+        ) : (
+          <ul className="contact-detail-list">
+            {company.applications.map(job => (
+              <li key={job.id}>
+                <div>
+                  <Link to={`/jobs/${job.id}`}>{job.title}</Link>
+                  <div className="contact-detail-meta">
+                    Applied {formatDate(job.dateApplied)}
+                    {job.company !== company.name && ` as ${job.company}`}
+                    {job.location && ` · ${job.location}`}
+                  </div>
+                </div>
+                <StatusBadge status={job.status} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Interviews</h2>
+        {company.interviews.length === 0 ? (
+          <p className="contact-detail-empty">No interviews.</p>
+        ) : (
+          <ul className="contact-detail-list">
+            {company.interviews.map(interview => (
+              <li key={interview.id}>
+                <div>
+                  <strong>{roundLabel(interview.roundType)}</strong>
+                  <span className="contact-detail-meta"> · <InterviewTime interview={interview} /></span>
+                  <div className="contact-detail-meta">
+                    <Link to={`/jobs/${interview.job.id}?tab=interviews`}>{interview.job.title}</Link>
+                  </div>
+                </div>
+                <span className="contact-detail-meta">{outcomeLabel(interview.outcome)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Contacts</h2>
+        {company.contacts.length === 0 ? (
+          <p className="contact-detail-empty">You don't know anyone here yet.</p>
+        ) : (
+          <ul className="contact-detail-list">
+            {company.contacts.map(contact => (
+              <li key={contact.id}>
+                <div>
+                  <Link to={`/contacts/${contact.id}`}>{contact.name}</Link>
+                  <div className="contact-detail-meta">
+                    {[contact.role, !contact.worksHere && 'linked to an application'].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                {contact.lastContactedAt && (
+                  <span className="contact-detail-meta">Last contact {formatDate(contact.lastContactedAt)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default CompanyDetail;
\ No newline at end of file
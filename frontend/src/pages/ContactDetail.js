@@ -0,0 +1,296 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import ContactForm from '../components/ContactForm';
+import JobReminders from '../components/JobReminders';
+import StatusBadge from '../components/StatusBadge';
+import {
+  interactionTypes,
+  getContact,
+  updateContact,
+  deleteContact,
+  fetchInteractions,
+  logInteraction,
+  deleteInteraction
+} from '../services/contactService';
+import './ContactDetail.css';
+
+const typeLabel = (value) => interactionTypes.find(type => type.value === value)?.label || value;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Today as YYYY-MM-DD in the user's time zone, for the date input
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+};
+
+const emptyInteraction = () => ({ type: 'email', date: today(), summary: '', jobId: '' });
+
+const ContactDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [contact, setContact] = useState(null);
+  const [interactions, setInteractions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [interaction, setInteraction] = useState(emptyInteraction);
+  const [saving, setSaving] = useState(false);
+
+  const loadContact = useCallback(async () => {
+    try {
+      const [contactResponse, interactionsResponse] = await Promise.all([
+        getContact(id),
+        fetchInteractions(id)
+      ]);
+      setContact(contactResponse);
+      setInteractions(interactionsResponse);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadContact();
+  }, [loadContact]);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadContact();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (details) => {
+    if (await runAndReload(() => updateContact(contact.id, details))) {
+      setEditing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${contact.name} with their interactions and reminders?`)) return;
+
+    setSaving(true);
+    try {
+      await deleteContact(contact.id);
+      navigate('/contacts');
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const handleInteractionChange = (e) => {
+    const { name, value } = e.target;
+    setInteraction(current => ({ ...current, [name]: value }));
+  };
+
+  const handleLogInteraction = async (e) => {
+    e.preventDefault();
+    const logged = await runAndReload(() => logInteraction(contact.id, {
+      type: interaction.type,
+      // Noon keeps the chosen day in every time zone
+      occurredAt: new Date(`${interaction.date}T12:00:00`).toISOString(),
+      summary: interaction.summary.trim() || null,
+      jobId: interaction.jobId || null
+    }));
+    if (logged) {
+      setInteraction(emptyInteraction());
+    }
+  };
+
+  if (loading) {
+    return <div className="contact-detail"><p>Loading...</p></div>;
+  }
+
+  if (!contact) {
+    return (
+      <div className="contact-detail">
+        <p className="contact-detail-error">{error || 'Contact not found'}</p>
+        <Link to="/contacts">← Back to contacts</Link>
+      </div>
+    );
+  }
+
+  const jobLabel = (jobId) => {
+    const job = contact.jobs.find(candidate => String(candidate.id) === String(jobId));
+    return job ? `${job.title} at ${job.company}` : null;
+  };
+
+  return (
+    <div className="contact-detail">
+      <Link to="/contacts" className="contact-detail-back">← Back to contacts</Link>
+
+      <header className="contact-detail-header">
+        <div>
+          <h1>{contact.name}</h1>
+          <p className="contact-detail-subtitle">
+            {contact.role}
+            {contact.role && contact.company && ' at '}
+            {contact.companyId ? <Link to={`/companies/${contact.companyId}`}>{contact.company}</Link> : contact.company}
+          </p>
+        </div>
+        {!editing && (
+          <div className="contact-detail-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setEditing(true)} disabled={saving}>
+              Edit
+            </button>
+            <button type="button" className="btn btn-danger" onClick={handleDelete} disabled={saving}>
+              Delete
+            </button>
+          </div>
+        )}
+      </header>
+
+      {error && <p className="contact-detail-error" role="alert">{error}</p>}
+
+      <section className="contact-detail-section">
+        <h2>Details</h2>
+        {editing ? (
+          <ContactForm contact={contact} onSubmit={handleUpdate} onCancel={() => setEditing(false)} saving={saving} />
+        ) : (
+          <dl className="contact-detail-fields">
+            <dt>Email</dt>
+            <dd>{contact.email ? <a href={`mailto:${contact.email}`}>{contact.email}</a> : '—'}</dd>
+            <dt>Phone</dt>
+            <dd>{contact.phone ? <a href={`tel:${contact.phone}`}>{contact.phone}</a> : '—'}</dd>
+            <dt>LinkedIn</dt>
+            <dd>
+              {contact.linkedinUrl
+                ? <a href={contact.linkedinUrl} target="_blank" rel="noopener noreferrer">Profile</a>
+                : '—'}
+            </dd>
+            <dt>Last contact</dt>
+            <dd>{contact.lastContactedAt ? formatDate(contact.lastContactedAt) : '—'}</dd>
+            {contact.notes && (
+              <>
+                <dt>Notes</dt>
+                <dd className="contact-detail-notes">{contact.notes}</dd>
+              </>
+            )}
+          </dl>
+        )}
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Applications</h2>
+        {contact.jobs.length === 0 ? (
+          <p className="contact-detail-empty">Not linked to any application. Link contacts from an application's page.</p>
+        ) : (
+          <ul className="contact-detail-list">
+            {contact.jobs.map(job => (
+              <li key={job.id}>
+                <div>
+                  <Link to={`/jobs/${job.id}`}>{job.title} at {job.company}</Link>
+                  {job.relationship && <div className="contact-detail-meta">{job.relationship}</div>}
+                </div>
+                <StatusBadge status={job.status} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Interactions</h2>
+        {interactions.length === 0 ? (
+          <p className="contact-detail-empty">No interactions logged.</p>
+        ) : (
+          <ul className="contact-detail-list">
+            {interactions.map(entry => (
+              <li key={entry.id}>
+                <div>
+                  <strong>{typeLabel(entry.type)}</strong>
+                  <span className="contact-detail-meta"> · {formatDate(entry.occurredAt)}</span>
+                  {entry.jobId && jobLabel(entry.jobId) && (
+                    <span className="contact-detail-meta"> · {jobLabel(entry.jobId)}</span>
+                  )}
+                  {entry.summary && <p className="contact-detail-notes">{entry.summary}</p>}
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  onClick={() => runAndReload(() => deleteInteraction(contact.id, entry.id))}
+                  disabled={saving}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form className="contact-interaction-form" onSubmit={handleLogInteraction}>
+          <select
+            name="type"
+            aria-label="Type"
+            value={interaction.type}
+            onChange={handleInteractionChange}
+            disabled={saving}
+          >
+            {interactionTypes.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            name="date"
+            aria-label="Date"
+            value={interaction.date}
+            onChange={handleInteractionChange}
+            required
+            disabled={saving}
+          />
+          {contact.jobs.length > 0 && (
+            <select
+              name="jobId"
+              aria-label="Application"
+              value={interaction.jobId}
+              onChange={handleInteractionChange}
+              disabled={saving}
+            >
+              <option value="">No application</option>
+              {contact.jobs.map(job => (
+                <option key={job.id} value={job.id}>{job.title} at {job.company}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            name="summary"
+            placeholder="What did you talk about? (optional)"
+            maxLength={2000}
+            value={interaction.summary}
+            onChange={handleInteractionChange}
+            disabled={saving}
+          />
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            Log interaction
+          </button>
+        </form>
+      </section>
+
+      <section className="contact-detail-section">
+        <h2>Follow-ups</h2>
+        {/* Remounted when an interaction is logged, which reschedules relative reminders */}
+        <JobReminders key={contact.lastContactedAt || 'never'} contactId={contact.id} />
+      </section>
+    </div>
+  );
+};
+
+export default ContactDetail;
\ No newline at end of file
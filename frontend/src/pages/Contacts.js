@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import ContactForm from '../components/ContactForm';
+import { fetchContacts, createContact } from '../services/contactService';
+import './Contacts.css';
+
+const DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const Contacts = () => {
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ data: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadContacts = useCallback(
+    () => fetchContacts({ q: query.trim() || undefined, page, limit: PAGE_SIZE }),
+    [query, page]
+  );
+
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const contacts = await loadContacts();
+        if (active) {
+          setResult(contacts);
+          setError(null);
+        }
+      } catch (err) {
+        if (active) setError(err.message);
+      } finally {
+        if (active) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [loadContacts]);
+
+  const handleSearch = (e) => {
+    setQuery(e.target.value);
+    setPage(1);
+  };
+
+  const handleCreate = async (details) => {
+    setSaving(true);
+    try {
+      await createContact(details);
+      setAdding(false);
+      setResult(await loadContacts());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div className="contacts-page">
+      <header className="contacts-header">
+        <h1>Contacts</h1>
+        {!adding && (
+          <button type="button" className="btn btn-primary" onClick={() => setAdding(true)}>
+            Add contact
+          </button>
+        )}
+      </header>
+
+      {adding && (
+        <ContactForm onSubmit={handleCreate} onCancel={() => setAdding(false)} saving={saving} />
+      )}
+
+      <input
+        type="search"
+        className="contacts-search"
+        placeholder="Search by name, company, role, email or notes"
+        aria-label="Search contacts"
+        value={query}
+        onChange={handleSearch}
+      />
+
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+
+      {loading && result.data.length === 0 ? (
+        <p>Loading...</p>
+      ) : result.data.length === 0 ? (
+        <p className="contacts-empty">
+          {query.trim() ? 'No contacts match your search.' : 'No contacts yet. Add the people you meet while job hunting.'}
+        </p>
+      ) : (
+        <ul className="contacts-list">
+          {result.data.map(contact => (
+            <li key={contact.id} className="contacts-item">
+              <div>
+                <Link to={`/contacts/${contact.id}`} className="contacts-name">{contact.name}</Link>
+                <div className="contacts-meta">
+                  {[contact.role, contact.company].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+              <div className="contacts-meta">
+                {contact.lastContactedAt ? `Last contact ${formatDate(contact.lastContactedAt)}` : 'Not contacted yet'}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pageCount > 1 && (
+        <nav className="contacts-pagination" aria-label="Pages">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1 || loading}
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPage(page + 1)}
+            disabled={page === pageCount || loading}
+          >
+            Next
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default Contacts;
\ No newline at end of file
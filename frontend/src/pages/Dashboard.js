@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import LineChart from '../components/LineChart';
+import PieChart from '../components/PieChart';
+import InterviewTime from '../components/InterviewTime';
+import { fetchSummary, fetchPipeline, fetchVolume, fetchActivity } from '../services/analyticsService';
+import { interviewRounds, fetchUpcomingInterviews } from '../services/interviewService';
+import { fetchReminders } from '../services/reminderService';
+import './Contacts.css';
+import './Dashboard.css';
+
+const rangeOptions = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+  { days: 0, label: 'All time' }
+];
+
+const UPCOMING_DAYS = 14;
+const UPCOMING_LIMIT = 5;
+
+const roundLabel = (value) => interviewRounds.find(round => round.value === value)?.label || value;
+
+// Analytics count applications made from this date on
+const rangeStart = (days) => (days
+  ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  : undefined);
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const formatDays = (value) => (value === null || value === undefined ? '—' : `${value} d`);
+
+// Weeks start on Monday UTC, so show them in UTC as well
+const formatWeek = (value) => new Date(value).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+
+const formatWhen = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const describeJob = (job) => (job ? `${job.title} at ${job.company}` : null);
+
+/**
+ * Overview of the job search (AC-4.1): outcome rates, applications per
+ * status and per week, what is coming up and the latest actions. Every
+ * number comes from the analytics endpoints rather than from counting jobs
+ * in the browser.
+ */
+const Dashboard = () => {
+  const [days, setDays] = useState(90);
+  const [metrics, setMetrics] = useState({ summary: null, pipeline: [], volume: [] });
+  const [upcoming, setUpcoming] = useState({ interviews: [], reminders: [], overdue: 0 });
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const range = { dateFrom: rangeStart(days) };
+    setLoading(true);
+
+    Promise.all([fetchSummary(range), fetchPipeline(range), fetchVolume({ interval: 'week', ...range })])
+      .then(([summary, pipeline, volume]) => {
+        if (active) {
+          setMetrics({ summary, pipeline, volume });
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [days]);
+
+  // What is coming up and the latest actions do not depend on the period
+  useEffect(() => {
+    let active = true;
+
+    Promise.all([
+      fetchUpcomingInterviews({ days: UPCOMING_DAYS, limit: UPCOMING_LIMIT }),
+      fetchReminders({ due: 'upcoming' }),
+      fetchReminders({ due: 'overdue' }),
+      fetchActivity(10)
+    ])
+      .then(([interviews, reminders, overdue, latest]) => {
+        if (active) {
+          setUpcoming({ interviews, reminders: reminders.slice(0, UPCOMING_LIMIT), overdue: overdue.length });
+          setActivity(latest);
+        }
+      })
+      .catch((err) => active && setError(err.message));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const { summary, pipeline, volume } = metrics;
+
+  const kpis = summary ? [
+    { label: 'Applications', value: summary.applications, note: `${summary.active} active` },
+    { label: 'Response rate', value: formatPercent(summary.responseRate), note: `${summary.responded} responded` },
+    { label: 'Time to first response', value: formatDays(summary.medianDaysToFirstResponse), note: 'median' },
+    { label: 'Interview rate', value: formatPercent(summary.interviewRate), note: `${summary.interviewing} interviewing` },
+    { label: 'Offer rate', value: formatPercent(summary.offerRate), note: `${summary.offers} offers` },
+    { label: 'Interview success', value: formatPercent(summary.interviewSuccessRate), note: `${summary.interviewsPassed} of ${summary.interviewsHeld} passed` }
+  ] : [];
+
+  const reminderLink = (reminder) => {
+    if (reminder.contact) {
+      return <Link to={`/contacts/${reminder.contact.id}`}>{reminder.contact.name}</Link>;
+    }
+    return <Link to={`/jobs/${reminder.jobId}?tab=reminders`}>{describeJob(reminder.job) || 'View application'}</Link>;
+  };
+
+  const activitySubject = (entry) => {
+    if (entry.job) {
+      return <Link to={`/jobs/${entry.job.id}`}>{describeJob(entry.job)}</Link>;
+    }
+    return entry.contactId ? <Link to={`/contacts/${entry.contactId}`}>View contact</Link> : null;
+  };
+
+  return (
+    <div className="contacts-page dashboard-page">
+      <header className="contacts-header">
+        <h1>Dashboard</h1>
+        <label className="dashboard-range">
+          Applications made
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {rangeOptions.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+          </select>
+        </label>
+      </header>
+
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+
+      {loading && !summary ? (
+        <p>Loading...</p>
+      ) : summary && (
+        <>
+          <section className="dashboard-kpis" aria-label="Key figures">
+            {kpis.map(kpi => (
+              <div key={kpi.label} className="dashboard-kpi">
+                <span className="dashboard-kpi-label">{kpi.label}</span>
+                <span className="dashboard-kpi-value">{kpi.value}</span>
+                <span className="dashboard-kpi-note">{kpi.note}</span>
+              </div>
+            ))}
+          </section>
+
+          <section className="dashboard-card">
+            <h2>Pipeline</h2>
+            <ul className="dashboard-pipeline">
+              {pipeline.map(entry => (
+                <li key={entry.status} className={entry.count === 0 ? 'empty' : undefined}>
+                  <span className="dashboard-pipeline-count" style={{ borderColor: entry.color }}>{entry.count}</span>
+                  <span>{entry.label}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <div className="dashboard-grid">
+            <section className="dashboard-card">
+              <h2>Applications per week</h2>
+              <LineChart
+                title="Applications and responses per week"
+                labels={volume.map(week => formatWeek(week.start))}
+                series={[
+                  { name: 'Applications', color: '#2563EB', values: volume.map(week => week.applications) },
+                  { name: 'Responded', color: '#10B981', values: volume.map(week => week.responded) }
+                ]}
+              />
+            </section>
+
+            <section className="dashboard-card">
+              <h2>Applications by status</h2>
+              <PieChart
+                title="Applications by status"
+                slices={pipeline.map(entry => ({ key: entry.status, label: entry.label, value: entry.count, color: entry.color }))}
+              />
+            </section>
+          </div>
+        </>
+      )}
+
+      <div className="dashboard-grid">
+        <section className="dashboard-card">
+          <h2>Coming up</h2>
+          {upcoming.overdue > 0 && (
+            <p className="dashboard-overdue">
+              {upcoming.overdue} overdue reminder{upcoming.overdue === 1 ? '' : 's'}. <Link to="/jobs">Review them</Link>
+            </p>
+          )}
+          {upcoming.interviews.length === 0 && upcoming.reminders.length === 0 ? (
+            <p className="contacts-empty">Nothing in the next {UPCOMING_DAYS} days.</p>
+          ) : (
+            <ul className="dashboard-list">
+              {upcoming.interviews.map(interview => (
+                <li key={`interview-${interview.id}`}>
+                  <Link to={`/jobs/${interview.jobId}?tab=interviews`}>{describeJob(interview.job) || 'View application'}</Link>
+                  <span className="dashboard-list-meta">
+                    {roundLabel(interview.roundType)} interview · <InterviewTime interview={interview} />
+                  </span>
+                </li>
+              ))}
+              {upcoming.reminders.map(reminder => (
+                <li key={`reminder-${reminder.id}`}>
+                  {reminderLink(reminder)}
+                  <span className="dashboard-list-meta">
+                    Reminder · {formatWhen(reminder.remindAt)}{reminder.note && ` · ${reminder.note}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="dashboard-card">
+          <h2>Recent activity</h2>
+          {activity.length === 0 ? (
+            <p className="contacts-empty">No activity yet. Add an application to get started.</p>
+          ) : (
+            <ol className="dashboard-list dashboard-activity">
+              {activity.map((entry, index) => (
+                <li key={`${entry.type}-${entry.at}-${index}`} className={`activity-${entry.type}`}>
+                  <span>
+                    {entry.summary}
+                    {(entry.job || entry.contactId) && ' · '}
+                    {activitySubject(entry)}
+                  </span>
+                  {entry.detail && <span className="dashboard-activity-detail">{entry.detail}</span>}
+                  <time className="dashboard-list-meta" dateTime={entry.at}>{formatWhen(entry.at)}</time>
+                </li>
+              ))}
+            </ol>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
\ No newline at end of file
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../services/authService';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [sentMessage, setSentMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      setSentMessage(await requestPasswordReset(email));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (sentMessage) {
+    return (
+      <div className="auth-page">
+        <div className="auth-form">
+          <h2>Check your email</h2>
+          <p className="auth-notice" role="status">{sentMessage}.</p>
+          <p className="auth-switch">
+            <Link to="/login">Back to log in</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>Forgot password</h2>
+        <p className="auth-hint">Enter your email and we will send you a link to choose a new password.</p>
+
+        {error && <p className="auth-error" role="alert">{error}</p>}
+
+        <label htmlFor="email">Email</label>
+        <input
+          id="email"
+          type="email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          disabled={submitting}
+        />
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Sending...' : 'Send reset link'}
+        </button>
+
+        <p className="auth-switch">
+          Remembered it? <Link to="/login">Log in</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPassword;
\ No newline at end of file
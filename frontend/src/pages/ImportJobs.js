@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import StatusBadge from '../components/StatusBadge';
+import { importJobs } from '../services/jobService';
+import './ImportJobs.css';
+
+// Job fields a CSV column can be mapped to (see POST /api/jobs/import)
+const JOB_FIELDS = [
+  { value: 'title', label: 'Title (required)' },
+  { value: 'company', label: 'Company (required)' },
+  { value: 'status', label: 'Status' },
+  { value: 'dateApplied', label: 'Date applied' },
+  { value: 'location', label: 'Location' },
+  { value: 'source', label: 'Source' },
+  { value: 'deadline', label: 'Application deadline' },
+  { value: 'salaryRange', label: 'Salary range' },
+  { value: 'salaryMin', label: 'Salary min' },
+  { value: 'salaryMax', label: 'Salary max' },
+  { value: 'salaryCurrency', label: 'Currency' },
+  { value: 'salaryPeriod', label: 'Salary period' },
+  { value: 'bonus', label: 'Bonus' },
+  { value: 'equity', label: 'Equity' },
+  { value: 'benefits', label: 'Benefits' },
+  { value: 'description', label: 'Description' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'tags', label: 'Tags' }
+];
+
+const ACTION_LABELS = {
+  import: 'Import',
+  skip: 'Duplicate',
+  invalid: 'Invalid'
+};
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read the file'));
+  reader.readAsText(file);
+});
+
+/**
+ * Import wizard: upload a CSV file, map its columns onto job fields,
+ * preview what will happen to each row, then import.
+ */
+const ImportJobs = () => {
+  const [step, setStep] = useState('upload');
+  const [csv, setCsv] = useState('');
+  const [options, setOptions] = useState({ dateFormat: 'MDY', duplicates: 'skip' });
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    run(async () => {
+      const content = await readFile(file);
+      // Without a mapping the API suggests one from the column headers
+      const response = await importJobs({ csv: content, dryRun: true, ...options });
+      setCsv(content);
+      setHeaders(response.headers);
+      setMapping(response.mapping);
+      setStep('mapping');
+    });
+  };
+
+  const handleMappingChange = (header, field) => {
+    const next = { ...mapping };
+    // A field can only come from one column
+    Object.keys(next).forEach((key) => {
+      if (next[key] === field) delete next[key];
+    });
+    if (field) {
+      next[header] = field;
+    } else {
+      delete next[header];
+    }
+    setMapping(next);
+  };
+
+  const handlePreview = () => run(async () => {
+    const response = await importJobs({ csv, mapping, dryRun: true, ...options });
+    setPreview(response);
+    setStep(response.mappingErrors.length ? 'mapping' : 'preview');
+    if (response.mappingErrors.length) {
+      setError(response.mappingErrors.join('. '));
+    }
+  });
+
+  const handleImport = () => run(async () => {
+    setResult(await importJobs({ csv, mapping, dryRun: false, ...options }));
+    setStep('done');
+  });
+
+  return (
+    <div className="import-jobs">
+      <Link to="/jobs" className="import-back">← Back to jobs</Link>
+      <h1>Import applications</h1>
+
+      <ol className="import-steps">
+        {['upload', 'mapping', 'preview', 'done'].map((name, index) => (
+          <li key={name} className={step === name ? 'active' : ''}>
+            {index + 1}. {name === 'done' ? 'Import' : name.charAt(0).toUpperCase() + name.slice(1)}
+          </li>
+        ))}
+      </ol>
+
+      {error && <p className="import-error" role="alert">{error}</p>}
+
+      {step === 'upload' && (
+        <section className="import-section">
+          <p>
+            Choose a CSV file exported from your spreadsheet. The first row must hold the column names.
+          </p>
+          <div className="import-options">
+            <label>
+              Dates like 03/04/2024 are
+              <select
+                value={options.dateFormat}
+                onChange={(e) => setOptions({ ...options, dateFormat: e.target.value })}
+              >
+                <option value="MDY">month/day/year</option>
+                <option value="DMY">day/month/year</option>
+              </select>
+            </label>
+            <label>
+              Rows matching an existing application
+              <select
+                value={options.duplicates}
+                onChange={(e) => setOptions({ ...options, duplicates: e.target.value })}
+              >
+                <option value="skip">are skipped</option>
+                <option value="import">are imported anyway</option>
+              </select>
+            </label>
+          </div>
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={working} />
+          {working && <p>Reading file...</p>}
+        </section>
+      )}
+
+      {step === 'mapping' && (
+        <section className="import-section">
+          <p>Tell us which job field each column holds. Columns left on "Ignore" are not imported.</p>
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th>Column</th>
+                <th>Job field</th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map(header => (
+                <tr key={header}>
+                  <td>{header}</td>
+                  <td>
+                    <select
+                      value={mapping[header] || ''}
+                      onChange={(e) => handleMappingChange(header, e.target.value)}
+                      disabled={working}
+                    >
+                      <option value="">Ignore</option>
+                      {JOB_FIELDS.map(field => (
+                        <option key={field.value} value={field.value}>{field.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="import-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setStep('upload')} disabled={working}>
+              Back
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handlePreview} disabled={working}>
+              {working ? 'Checking...' : 'Preview import'}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {step === 'preview' && preview && (
+        <section className="import-section">
+          <p>
+            {preview.summary.import} of {preview.summary.total} rows will be imported
+            {preview.summary.skip > 0 && `, ${preview.summary.skip} duplicates skipped`}
+            {preview.summary.invalid > 0 && `, ${preview.summary.invalid} invalid rows skipped`}.
+          </p>
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Title</th>
+                <th>Company</th>
+                <th>Status</th>
+                <th>Applied</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.data.map(row => (
+                <tr key={row.line} className={`import-row-${row.action}`}>
+                  <td>{row.line}</td>
+                  <td>{row.data.title}</td>
+                  <td>{row.data.company}</td>
+                  <td><StatusBadge status={row.data.status} /></td>
+                  <td>{row.data.dateApplied}</td>
+                  <td>
+                    <span className={`import-action import-action-${row.action}`}>{ACTION_LABELS[row.action]}</span>
+                    {row.errors.map(rowError => (
+                      <div key={rowError.field} className="import-row-error">{rowError.message}</div>
+                    ))}
+                    {row.duplicateOf && (
+                      <div className="import-row-note">
+                        {row.duplicateOf.jobId
+                          ? <>Matches <Link to={`/jobs/${row.duplicateOf.jobId}`}>an existing application</Link></>
+                          : `Same as line ${row.duplicateOf.line}`}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="import-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setStep('mapping')} disabled={working}>
+              Back to mapping
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={working || preview.summary.import === 0}
+            >
+              {working ? 'Importing...' : `Import ${preview.summary.import} applications`}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {step === 'done' && result && (
+        <section className="import-section">
+          <p className="import-success">{result.message}.</p>
+          <Link to="/jobs" className="btn btn-primary">View applications</Link>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportJobs;
\ No newline at end of file
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import InterviewTime from '../components/InterviewTime';
+import StatusBadge from '../components/StatusBadge';
+import { interviewRounds, fetchUpcomingInterviews } from '../services/interviewService';
+import './Interviews.css';
+
+const rangeOptions = [
+  { days: 7, label: 'Next 7 days' },
+  { days: 30, label: 'Next 30 days' },
+  { days: undefined, label: 'All upcoming' }
+];
+
+const roundLabel = (value) => interviewRounds.find(round => round.value === value)?.label || value;
+
+// "Today", "Tomorrow" or the date, in the user's time zone
+const dayHeading = (value) => {
+  const day = new Date(value).toDateString();
+  const today = new Date();
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+
+  if (day === today.toDateString()) return 'Today';
+  if (day === tomorrow.toDateString()) return 'Tomorrow';
+  return new Date(value).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+};
+
+const groupByDay = (interviews) => interviews.reduce((groups, interview) => {
+  const heading = dayHeading(interview.startsAt);
+  const last = groups[groups.length - 1];
+  if (last && last.heading === heading) {
+    last.interviews.push(interview);
+  } else {
+    groups.push({ heading, interviews: [interview] });
+  }
+  return groups;
+}, []);
+
+const Interviews = () => {
+  const [days, setDays] = useState(30);
+  const [interviews, setInterviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+
+    fetchUpcomingInterviews({ days })
+      .then((upcoming) => {
+        if (active) {
+          setInterviews(upcoming);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [days]);
+
+  return (
+    <div className="interviews-page">
+      <header className="interviews-header">
+        <h1>Upcoming interviews</h1>
+        <div className="interviews-range" role="group" aria-label="Period">
+          {rangeOptions.map(option => (
+            <button
+              key={option.label}
+              type="button"
+              className={`btn ${days === option.days ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setDays(option.days)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      {error && <p className="interviews-error" role="alert">{error}</p>}
+
+      {loading ? (
+        <p>Loading...</p>
+      ) : interviews.length === 0 ? (
+        <p className="interviews-empty">No interviews scheduled. Add them from an application's page.</p>
+      ) : (
+        groupByDay(interviews).map(group => (
+          <section key={group.heading} className="interviews-day">
+            <h2>{group.heading}</h2>
+            <ul>
+              {group.interviews.map(interview => (
+                <li key={interview.id} className="interviews-item">
+                  <div>
+                    <Link to={`/jobs/${interview.jobId}?tab=interviews`} className="interviews-job">
+                      {interview.job ? `${interview.job.title} at ${interview.job.company}` : 'View application'}
+                    </Link>
+                    <div>
+                      {roundLabel(interview.roundType)} interview · <InterviewTime interview={interview} />
+                    </div>
+                    {(interview.location || interview.videoLink) && (
+                      <div className="interviews-meta">
+                        {interview.location}
+                        {interview.location && interview.videoLink && ' · '}
+                        {interview.videoLink && (
+                          <a href={interview.videoLink} target="_blank" rel="noopener noreferrer">Join video call</a>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  {interview.job && <StatusBadge status={interview.job.status} />}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Interviews;
\ No newline at end of file
@@ -0,0 +1,322 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import StatusBadge from '../components/StatusBadge';
+import StatusSelect from '../components/StatusSelect';
+import StatusTimeline from '../components/StatusTimeline';
+import JobReminders from '../components/JobReminders';
+import JobInterviews from '../components/JobInterviews';
+import JobOffer from '../components/JobOffer';
+import JobContacts from '../components/JobContacts';
+import JobNotes from '../components/JobNotes';
+import JobDocuments from '../components/JobDocuments';
+import TagChip from '../components/TagChip';
+import TagInput from '../components/TagInput';
+import useTags from '../hooks/useTags';
+import { formatSalary } from '../utils/compensation';
+import { dayKey } from '../utils/calendarDates';
+import { getJobById, getJobHistory, changeJobStatus } from '../services/jobService';
+import { tagJobs } from '../services/tagService';
+import './JobDetail.css';
+
+// Sections of the page; the one shown is in the `tab` query parameter so it can be linked to
+const tabs = [
+  { value: 'overview', label: 'Overview' },
+  { value: 'interviews', label: 'Interviews' },
+  { value: 'offer', label: 'Offer' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'documents', label: 'Documents' },
+  { value: 'contacts', label: 'Contacts' },
+  { value: 'reminders', label: 'Reminders' },
+  { value: 'history', label: 'History' }
+];
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// Deadlines are days kept as midnight UTC; read at local noon so the day shown does not shift
+const formatDeadline = (value) => formatDate(`${value.slice(0, 10)}T12:00:00`);
+
+/**
+ * One application: its header and status control above tabs for the
+ * overview (description, details, tags and compensation), interviews, offer,
+ * notes, documents, contacts, reminders and status history. `?tab=notes`
+ * and so on open a tab directly.
+ */
+const JobDetail = () => {
+  const { id } = useParams();
+  const notice = useLocation().state?.notice;
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tabRefs = useRef({});
+  const [job, setJob] = useState(null);
+  const [history, setHistory] = useState({ entries: [], timeInStatus: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [nextStatus, setNextStatus] = useState('');
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [savingTags, setSavingTags] = useState(false);
+  const { getTag, reload: reloadTags } = useTags();
+
+  const loadJob = useCallback(async () => {
+    try {
+      const [jobResponse, historyResponse] = await Promise.all([
+        getJobById(id),
+        getJobHistory(id)
+      ]);
+      setJob(jobResponse.data);
+      setHistory(historyResponse.data);
+      setNextStatus(jobResponse.data.status);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadJob();
+  }, [loadJob]);
+
+  const handleStatusChange = async (e) => {
+    e.preventDefault();
+    if (nextStatus === job.status) return;
+
+    setSaving(true);
+    try {
+      await changeJobStatus(job.id, nextStatus, comment.trim() || undefined);
+      setComment('');
+      await loadJob();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Tags are saved as soon as one is added or removed
+  const handleTagsChange = async (tags) => {
+    const current = job.tags || [];
+    setSavingTags(true);
+    try {
+      const [updated] = await tagJobs([job.id], {
+        add: tags.filter(tag => !current.includes(tag)),
+        remove: current.filter(tag => !tags.includes(tag))
+      });
+      if (updated) {
+        setJob(updated);
+      }
+      reloadTags();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingTags(false);
+    }
+  };
+
+  const requestedTab = searchParams.get('tab');
+  const activeTab = tabs.some(tab => tab.value === requestedTab) ? requestedTab : 'overview';
+
+  const selectTab = (value) => {
+    setSearchParams(value === 'overview' ? {} : { tab: value }, { replace: true });
+  };
+
+  // Arrow keys, Home and End move between the tabs
+  const handleTabKeyDown = (e) => {
+    const index = tabs.findIndex(tab => tab.value === activeTab);
+    const targets = {
+      ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+      ArrowRight: (index + 1) % tabs.length,
+      Home: 0,
+      End: tabs.length - 1
+    };
+    if (e.key in targets) {
+      e.preventDefault();
+      const next = tabs[targets[e.key]].value;
+      selectTab(next);
+      tabRefs.current[next]?.focus();
+    }
+  };
+
+  if (loading) {
+    return <div className="job-detail"><p>Loading...</p></div>;
+  }
+
+  if (!job) {
+    return (
+      <div className="job-detail">
+        <p className="job-detail-error">{error || 'Job not found'}</p>
+        <Link to="/jobs">← Back to jobs</Link>
+      </div>
+    );
+  }
+
+  const salary = formatSalary(job);
+  const compensation = [
+    ['Base salary', salary],
+    ['Bonus', job.bonus],
+    ['Equity', job.equity],
+    ['Benefits', job.benefits]
+  ].filter(([, value]) => value);
+  const deadlinePassed = job.deadline && job.deadline.slice(0, 10) < dayKey(new Date());
+  const details = [
+    ['Location', job.location],
+    ['Source', job.source],
+    ['Applied', job.dateApplied && formatDate(job.dateApplied)],
+    ['Application deadline', job.deadline && `${formatDeadline(job.deadline)}${deadlinePassed ? ' (passed)' : ''}`],
+    ['Added', job.createdAt && formatDate(job.createdAt)],
+    ['Last updated', job.updatedAt && formatDate(job.updatedAt)]
+  ].filter(([, value]) => value);
+
+  const renderTab = () => {
+    switch (activeTab) {
+      case 'interviews':
+        return <JobInterviews jobId={job.id} onJobChange={loadJob} />;
+      case 'offer':
+        return <JobOffer jobId={job.id} onJobChange={loadJob} />;
+      case 'notes':
+        return <JobNotes jobId={job.id} />;
+      case 'documents':
+        return <JobDocuments jobId={job.id} />;
+      case 'contacts':
+        return <JobContacts jobId={job.id} />;
+      case 'reminders':
+        // Remounted on status changes, which reschedule relative reminders
+        return <JobReminders key={job.status} jobId={job.id} />;
+      case 'history':
+        return <StatusTimeline entries={history.entries} timeInStatus={history.timeInStatus} />;
+      default:
+        return (
+          <>
+            <h2>Description</h2>
+            {job.description
+              ? <p className="job-detail-description">{job.description}</p>
+              : <p className="job-detail-empty">No description yet.</p>}
+
+            {details.length > 0 && (
+              <>
+                <h2>Details</h2>
+                <dl className="job-detail-compensation">
+                  {details.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <dt>{label}</dt>
+                      <dd className={label === 'Application deadline' && deadlinePassed ? 'job-detail-overdue' : undefined}>
+                        {value}
+                      </dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </>
+            )}
+
+            <h2><label htmlFor="job-tags">Tags</label></h2>
+            <TagInput id="job-tags" value={job.tags || []} onChange={handleTagsChange} disabled={savingTags} />
+
+            <h2>Compensation</h2>
+            {compensation.length > 0 ? (
+              <dl className="job-detail-compensation">
+                {compensation.map(([label, value]) => (
+                  <React.Fragment key={label}>
+                    <dt>{label}</dt>
+                    <dd>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            ) : (
+              <p className="job-detail-empty">No compensation recorded.</p>
+            )}
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="job-detail">
+      <Link to="/jobs" className="job-detail-back">← Back to jobs</Link>
+
+      {notice && <p className="job-detail-notice" role="status">{notice}</p>}
+
+      <header className="job-detail-header">
+        <div>
+          <h1>{job.title}</h1>
+          <p className="job-detail-company">
+            {job.companyId ? <Link to={`/companies/${job.companyId}`}>{job.company}</Link> : job.company}
+          </p>
+          {job.tags?.length > 0 && (
+            <div className="job-detail-tags">
+              {job.tags.map(name => <TagChip key={name} name={name} color={getTag(name)?.color} />)}
+            </div>
+          )}
+        </div>
+        <div className="job-detail-header-actions">
+          <StatusBadge status={job.status} />
+          <Link to={`/jobs/${job.id}/edit`} className="btn btn-secondary">Edit</Link>
+        </div>
+      </header>
+
+      {error && <p className="job-detail-error">{error}</p>}
+
+      <section className="job-detail-section">
+        <h2>Change status</h2>
+        <form className="status-change-form" onSubmit={handleStatusChange}>
+          <StatusSelect
+            value={nextStatus}
+            currentStatus={job.status}
+            onChange={(e) => setNextStatus(e.target.value)}
+            disabled={saving}
+          />
+          <input
+            type="text"
+            placeholder="Comment (optional)"
+            maxLength={500}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            disabled={saving}
+          />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={saving || nextStatus === job.status}
+          >
+            {saving ? 'Saving...' : 'Update'}
+          </button>
+        </form>
+      </section>
+
+      <div className="job-detail-tabs" role="tablist" aria-label="Application sections" onKeyDown={handleTabKeyDown}>
+        {tabs.map(tab => (
+          <button
+            key={tab.value}
+            ref={(element) => { tabRefs.current[tab.value] = element; }}
+            type="button"
+            role="tab"
+            id={`job-tab-${tab.value}`}
+            aria-selected={activeTab === tab.value}
+            aria-controls="job-tab-panel"
+            tabIndex={activeTab === tab.value ? 0 : -1}
+            className={`job-detail-tab${activeTab === tab.value ? ' active' : ''}`}
+            onClick={() => selectTab(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <section
+        id="job-tab-panel"
+        className="job-detail-section job-detail-panel"
+        role="tabpanel"
+        aria-labelledby={`job-tab-${activeTab}`}
+      >
+        {renderTab()}
+      </section>
+    </div>
+  );
+};
+
+export default JobDetail;
\ No newline at end of file
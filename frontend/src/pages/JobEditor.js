@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import JobForm from '../components/JobForm';
+import { getJobById } from '../services/jobService';
+import './Contacts.css';
+
+/**
+ * Adds an application (/jobs/new) or edits one (/jobs/:id/edit), then
+ * opens its page
+ */
+const JobEditor = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(Boolean(id));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!id) return undefined;
+    let active = true;
+
+    getJobById(id)
+      .then((response) => {
+        if (active) {
+          setJob(response.data);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [id]);
+
+  const handleSave = (saved) => {
+    navigate(`/jobs/${saved.id}`, {
+      state: { notice: id ? 'Job application updated.' : 'Job application added successfully!' }
+    });
+  };
+
+  const handleCancel = () => navigate(id ? `/jobs/${id}` : '/jobs');
+
+  if (loading) {
+    return <div className="contacts-page"><p>Loading...</p></div>;
+  }
+
+  if (id && !job) {
+    return (
+      <div className="contacts-page">
+        <p className="contacts-error" role="alert">{error || 'Job not found'}</p>
+        <Link to="/jobs">← Back to jobs</Link>
+      </div>
+    );
+  }
+
+  return <JobForm jobId={id} initialData={job} onSave={handleSave} onCancel={handleCancel} />;
+};
+
+export default JobEditor;
\ No newline at end of file
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import JobList from '../components/JobList';
+import { fetchJobs, deleteJob } from '../services/jobService';
+import './Contacts.css';
+import './Jobs.css';
+
+// Applications read per request; more are loaded on demand
+const PAGE_SIZE = 50;
+
+/**
+ * The user's applications, newest first, a page at a time
+ */
+const Jobs = () => {
+  const navigate = useNavigate();
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    fetchJobs({ limit: PAGE_SIZE })
+      .then((page) => {
+        if (active) {
+          setJobs(page.data);
+          setTotal(page.total);
+          setNextCursor(page.nextCursor);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await fetchJobs({ limit: PAGE_SIZE, cursor: nextCursor });
+      setJobs(current => [...current, ...page.data]);
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleDelete = async (job) => {
+    if (!window.confirm(`Delete ${job.title || job.position} at ${job.company}? Its notes, interviews, documents and offer go with it.`)) {
+      return;
+    }
+    try {
+      await deleteJob(job.id);
+      setJobs(current => current.filter(candidate => candidate.id !== job.id));
+      setTotal(current => current - 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div className="contacts-page"><p>Loading...</p></div>;
+  }
+
+  return (
+    <div className="jobs-page">
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+      <JobList
+        jobs={jobs}
+        total={total}
+        onEdit={(job) => navigate(`/jobs/${job.id}/edit`)}
+        onDelete={handleDelete}
+      />
+      {nextCursor && (
+        <div className="jobs-more">
+          <span>Showing {jobs.length} of {total}</span>
+          <button type="button" className="btn btn-secondary" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Jobs;
\ No newline at end of file
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { login } from '../services/authService';
+import './Auth.css';
+
+const Login = () => {
+  const navigate = useNavigate();
+  // Set by pages that send the user here, e.g. after a password reset
+  const notice = useLocation().state?.notice;
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(email, password);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>Log in</h2>
+
+        {notice && !error && <p className="auth-notice" role="status">{notice}</p>}
+        {error && <p className="auth-error" role="alert">{error}</p>}
+
+        <label htmlFor="email">Email</label>
+        <input
+          id="email"
+          type="email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          disabled={submitting}
+        />
+
+        <label htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          disabled={submitting}
+        />
+        <Link to="/forgot-password" className="auth-forgot">Forgot password?</Link>
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Logging in...' : 'Log in'}
+        </button>
+
+        <p className="auth-switch">
+          No account yet? <Link to="/register">Create one</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
\ No newline at end of file
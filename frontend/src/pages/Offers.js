@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import StatusBadge from '../components/StatusBadge';
+import { offerDecisions, MAX_COMPARE_YEARS, compareOffers } from '../services/offerService';
+import { formatMoney } from '../utils/compensation';
+import './Contacts.css';
+import './Offers.css';
+
+const yearOptions = Array.from({ length: MAX_COMPARE_YEARS }, (_, index) => index + 1);
+
+const decisionLabel = (value) => offerDecisions.find(decision => decision.value === value)?.label || value;
+
+const formatDeadline = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' })
+  : '—');
+
+// Highest total in each currency; totals in different currencies are not compared
+const bestTotals = (offers) => offers.reduce((best, offer) => ({
+  ...best,
+  [offer.currency]: Math.max(best[offer.currency] ?? -Infinity, offer.compensation.total)
+}), {});
+
+const Offers = () => {
+  const [years, setYears] = useState(4);
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+
+    compareOffers({ years })
+      .then((compared) => {
+        if (active) {
+          setOffers(compared);
+          setError(null);
+        }
+      })
+      .catch((err) => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [years]);
+
+  const best = bestTotals(offers);
+  const mixedCurrencies = Object.keys(best).length > 1;
+  const isBest = (offer) => offers.length > 1 && offer.compensation.total === best[offer.currency];
+
+  const row = (label, render) => (
+    <tr>
+      <th scope="row">{label}</th>
+      {offers.map(offer => <td key={offer.id}>{render(offer)}</td>)}
+    </tr>
+  );
+
+  return (
+    <div className="contacts-page offers-page">
+      <header className="contacts-header">
+        <h1>Offers</h1>
+        <label className="offers-years">
+          Compare over
+          <select value={years} onChange={(e) => setYears(Number(e.target.value))}>
+            {yearOptions.map(count => (
+              <option key={count} value={count}>{count} year{count === 1 ? '' : 's'}</option>
+            ))}
+          </select>
+        </label>
+      </header>
+
+      {error && <p className="contacts-error" role="alert">{error}</p>}
+      {mixedCurrencies && (
+        <p className="offers-warning" role="status">
+          These offers are in different currencies; totals are only compared between offers in the same currency.
+        </p>
+      )}
+
+      {loading ? (
+        <p>Loading...</p>
+      ) : offers.length === 0 ? (
+        <p className="contacts-empty">No offers yet. Record one from an application's page.</p>
+      ) : (
+        <div className="offers-table-wrapper">
+          <table className="offers-table">
+            <thead>
+              <tr>
+                <th scope="col" aria-label="Term" />
+                {offers.map(offer => (
+                  <th key={offer.id} scope="col" className={isBest(offer) ? 'offers-best' : undefined}>
+                    <Link to={`/jobs/${offer.jobId}?tab=offer`}>
+                      {offer.job ? offer.job.company : 'View application'}
+                    </Link>
+                    {offer.job && <div className="offers-job-title">{offer.job.title}</div>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {row('Status', offer => offer.job && <StatusBadge status={offer.job.status} />)}
+              {row('Decision', offer => decisionLabel(offer.decision))}
+              {row('Deadline', offer => formatDeadline(offer.deadline))}
+              {row('Base salary', offer => formatMoney(offer.baseSalary, offer.currency))}
+              {row('Yearly bonus', offer => formatMoney(offer.compensation.years[0].bonus, offer.currency))}
+              {row('Signing bonus', offer => formatMoney(offer.signingBonus || 0, offer.currency))}
+              {row('Equity grant', offer => (offer.equityValue
+                ? `${formatMoney(offer.equityValue, offer.currency)} / ${offer.vestingYears} yrs`
+                : '—'))}
+              {row('PTO', offer => (offer.ptoDays ? `${offer.ptoDays} days` : '—'))}
+              {yearOptions.slice(0, years).map(year => (
+                <React.Fragment key={year}>
+                  {row(`Year ${year}`, offer => formatMoney(offer.compensation.years[year - 1].total, offer.currency))}
+                </React.Fragment>
+              ))}
+            </tbody>
+            <tfoot>
+              {row(`Total over ${years} year${years === 1 ? '' : 's'}`, offer => (
+                <strong className={isBest(offer) ? 'offers-best' : undefined}>
+                  {formatMoney(offer.compensation.total, offer.currency)}
+                </strong>
+              ))}
+              {row('Average per year', offer => formatMoney(offer.compensation.averagePerYear, offer.currency))}
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Offers;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import SessionList from '../components/SessionList';
+import { getCurrentUser } from '../services/authService';
+import './Profile.css';
+
+const Profile = () => {
+  const user = getCurrentUser();
+
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="profile">
+      <header className="profile-header">
+        <h1>{user.name || 'Your profile'}</h1>
+        <p className="profile-email">{user.email}</p>
+      </header>
+
+      <section className="profile-section">
+        <h2>Active sessions</h2>
+        <SessionList />
+      </section>
+    </div>
+  );
+};
+
+export default Profile;
\ No newline at end of file
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { register, passwordProblems } from '../services/authService';
+import './Auth.css';
+
+const Register = () => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState({
+    name: '',
+    email: '',
+    password: '',
+    passwordConfirmation: ''
+  });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const problems = passwordProblems(form.password);
+  const confirmationMismatch = form.passwordConfirmation !== '' && form.passwordConfirmation !== form.password;
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (problems.length || confirmationMismatch) return;
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      // Registering also logs the new user in (AC-5.1)
+      await register(form);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>Create an account</h2>
+
+        {error && <p className="auth-error" role="alert">{error}</p>}
+
+        <label htmlFor="name">Name</label>
+        <input
+          id="name"
+          name="name"
+          type="text"
+          autoComplete="name"
+          value={form.name}
+          onChange={handleChange}
+          disabled={submitting}
+        />
+
+        <label htmlFor="email">Email</label>
+        <input
+          id="email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          value={form.email}
+          onChange={handleChange}
+          required
+          disabled={submitting}
+        />
+
+        <label htmlFor="password">Password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          autoComplete="new-password"
+          value={form.password}
+          onChange={handleChange}
+          required
+          disabled={submitting}
+        />
+        {form.password && problems.length > 0 && (
+          <p className="auth-hint">Password needs {problems.join(', ')}.</p>
+        )}
+
+        <label htmlFor="passwordConfirmation">Confirm password</label>
+        <input
+          id="passwordConfirmation"
+          name="passwordConfirmation"
+          type="password"
+          autoComplete="new-password"
+          value={form.passwordConfirmation}
+          onChange={handleChange}
+          required
+          disabled={submitting}
+        />
+        {confirmationMismatch && <p className="auth-hint">Passwords do not match.</p>}
+
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={submitting || problems.length > 0 || confirmationMismatch}
+        >
+          {submitting ? 'Creating account...' : 'Create account'}
+        </button>
+
+        <p className="auth-switch">
+          Already registered? <Link to="/login">Log in</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Register;
\ No newline at end of file
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword, passwordProblems } from '../services/authService';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [passwordConfirmation, setPasswordConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const problems = passwordProblems(password);
+  const confirmationMismatch = passwordConfirmation !== '' && passwordConfirmation !== password;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (problems.length || confirmationMismatch) return;
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const message = await resetPassword(token, password, passwordConfirmation);
+      navigate('/login', { state: { notice: message } });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-page">
+        <div className="auth-form">
+          <h2>Reset password</h2>
+          <p className="auth-error" role="alert">This reset link is incomplete. Please use the link from the email.</p>
+          <p className="auth-switch">
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>Choose a new password</h2>
+
+        {error && <p className="auth-error" role="alert">{error}</p>}
+
+        <label htmlFor="password">New password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="new-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          disabled={submitting}
+        />
+        {password && problems.length > 0 && (
+          <p className="auth-hint">Password needs {problems.join(', ')}.</p>
+        )}
+
+        <label htmlFor="passwordConfirmation">Confirm new password</label>
+        <input
+          id="passwordConfirmation"
+          type="password"
+          autoComplete="new-password"
+          value={passwordConfirmation}
+          onChange={(e) => setPasswordConfirmation(e.target.value)}
+          required
+          disabled={submitting}
+        />
+        {confirmationMismatch && <p className="auth-hint">Passwords do not match.</p>}
+
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={submitting || problems.length > 0 || confirmationMismatch}
+        >
+          {submitting ? 'Saving...' : 'Set new password'}
+        </button>
+
+        <p className="auth-switch">
+          Link expired? <Link to="/forgot-password">Request a new one</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import TagChip from '../components/TagChip';
+import useTags from '../hooks/useTags';
+import { MAX_TAG_LENGTH, createTag, updateTag, mergeTags, deleteTag } from '../services/tagService';
+import './Contacts.css';
+import './Tags.css';
+
+const DEFAULT_COLOR = '#2563EB';
+
+const applications = (count) => `${count} application${count === 1 ? '' : 's'}`;
+
+/**
+ * Name and colour fields for a new or existing tag
+ */
+const TagEditor = ({ tag, onSubmit, onCancel, saving }) => {
+  const [name, setName] = useState(tag?.name || '');
+  const [color, setColor] = useState(tag?.color || DEFAULT_COLOR);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name: name.trim(), color });
+  };
+
+  return (
+    <form className="tag-editor" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        aria-label="Tag name"
+        placeholder="Tag name"
+        maxLength={MAX_TAG_LENGTH}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        disabled={saving}
+        required
+      />
+      <input
+        type="color"
+        aria-label="Colour"
+        value={color}
+        onChange={(e) => setColor(e.target.value)}
+        disabled={saving}
+      />
+      <TagChip name={name.trim() || 'Preview'} color={color} />
+      <button type="submit" className="btn btn-primary" disabled={saving || !name.trim()}>
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Tag management: colours, renames and merges, which rewrite every tagged application
+ */
+const Tags = () => {
+  const { tags, loading, error: loadError, reload } = useTags();
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [target, setTarget] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const runAndReload = async (action) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      await reload();
+      setError(null);
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (fields) => {
+    const saved = await runAndReload(() => (editing === 'new'
+      ? createTag(fields)
+      : updateTag(editing.id, fields)));
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (tag) => {
+    const used = tag.applicationCount ? ` It is removed from ${applications(tag.applicationCount)}.` : '';
+    if (window.confirm(`Delete the tag "${tag.name}"?${used}`)) {
+      runAndReload(() => deleteTag(tag.id));
+      setSelected(current => current.filter(id => id !== tag.id));
+    }
+  };
+
+  const toggleSelected = (tagId) => setSelected(current => (current.includes(tagId)
+    ? current.filter(id => id !== tagId)
+    : [...current, tagId]));
+
+  const mergeTarget = selected.map(String).includes(target) ? target : String(selected[0] || '');
+
+  const handleMerge = async () => {
+    const into = tags.find(tag => String(tag.id) === mergeTarget);
+    const sources = selected.filter(id => String(id) !== mergeTarget);
+    if (!into || !window.confirm(`Merge ${sources.length} ${sources.length === 1 ? 'tag' : 'tags'} into "${into.name}"?`)) {
+      return;
+    }
+    const result = await runAndReload(() => mergeTags(into.id, sources));
+    if (result) {
+      setMessage(result.message);
+      setSelected([]);
+    }
+  };
+
+  return (
+    <div className="contacts-page">
+      <header className="contacts-header">
+        <h1>Tags</h1>
+        {editing !== 'new' && (
+          <button type="button" className="btn btn-primary" onClick={() => setEditing('new')}>
+            New tag
+          </button>
+        )}
+      </header>
+
+      {editing === 'new' && (
+        <TagEditor onSubmit={handleSubmit} onCancel={() => setEditing(null)} saving={saving} />
+      )}
+
+      {(error || loadError) && <p className="contacts-error" role="alert">{error || loadError}</p>}
+      {message && <p className="tags-message" role="status">{message}</p>}
+
+      {selected.length > 1 && (
+        <div className="tags-merge">
+          <span>Merge {selected.length} tags into</span>
+          <select aria-label="Merge into" value={mergeTarget} onChange={(e) => setTarget(e.target.value)} disabled={saving}>
+            {tags.filter(tag => selected.includes(tag.id)).map(tag => (
+              <option key={tag.id} value={String(tag.id)}>{tag.name}</option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={saving}>
+            Merge
+          </button>
+        </div>
+      )}
+
+      {loading && tags.length === 0 ? (
+        <p>Loading...</p>
+      ) : tags.length === 0 ? (
+        <p className="contacts-empty">No tags yet. Add them to applications or create one here.</p>
+      ) : (
+        <ul className="contacts-list">
+          {tags.map(tag => (
+            <li key={tag.id} className="contacts-item">
+              {editing?.id === tag.id ? (
+                <TagEditor tag={tag} onSubmit={handleSubmit} onCancel={() => setEditing(null)} saving={saving} />
+              ) : (
+                <>
+                  <label className="tags-name">
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${tag.name} for merging`}
+                      checked={selected.includes(tag.id)}
+                      onChange={() => toggleSelected(tag.id)}
+                    />
+                    <TagChip name={tag.name} color={tag.color} />
+                    <span className="contacts-meta">{applications(tag.applicationCount)}</span>
+                  </label>
+                  <span className="tags-actions">
+                    <button type="button" className="btn btn-secondary" onClick={() => setEditing(tag)} disabled={saving}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-danger" onClick={() => handleDelete(tag)} disabled={saving}>
+                      Delete
+                    </button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Tags;
\ No newline at end of file
@@ -0,0 +1,175 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Analytics Service
+ * Metrics the API computes over the user's applications: outcome rates,
+ * pipeline counts, funnel, weekly or monthly volume, time in each status,
+ * breakdowns and the recent activity feed. Every metric except the feed
+ * accepts `dateFrom` and `dateTo` to limit it to applications made then.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the analytics endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const analyticsAPI = axios.create({
+  baseURL: `${API_BASE_URL}/analytics`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(analyticsAPI);
+
+/**
+ * Most entries the activity feed returns
+ */
+export const MAX_ACTIVITY_LIMIT = 50;
+
+/**
+ * Custom error class for analytics service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class AnalyticsServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'AnalyticsServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toAnalyticsError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new AnalyticsServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the response, interview, offer and rejection rates and time to first response
+ *
+ * @param {Object} [range={}]
+ * @param {string} [range.dateFrom] - ISO 8601 date
+ * @param {string} [range.dateTo] - ISO 8601 date, inclusive
+ * @returns {Promise<Object>} Counts, rates (percentages, null without applications) and days
+ * @throws {AnalyticsServiceError} When the summary cannot be computed
+ */
+export const fetchSummary = async (range = {}) => {
+  try {
+    const response = await analyticsAPI.get('/summary', { params: range });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load summary');
+  }
+};
+
+/**
+ * Fetches how many applications are in each status
+ *
+ * @param {Object} [range={}] - dateFrom and dateTo, as for fetchSummary
+ * @returns {Promise<Object[]>} Every status in workflow order with its label, colour and `count`
+ * @throws {AnalyticsServiceError} When the pipeline cannot be computed
+ */
+export const fetchPipeline = async (range = {}) => {
+  try {
+    const response = await analyticsAPI.get('/pipeline', { params: range });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load pipeline');
+  }
+};
+
+/**
+ * Fetches how many applications reached each stage
+ *
+ * @param {Object} [range={}] - dateFrom and dateTo, as for fetchSummary
+ * @returns {Promise<Object[]>} Stages with `count`, `percentOfPrevious` and `percentOfTotal`
+ * @throws {AnalyticsServiceError} When the funnel cannot be computed
+ */
+export const fetchFunnel = async (range = {}) => {
+  try {
+    const response = await analyticsAPI.get('/funnel', { params: range });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load funnel');
+  }
+};
+
+/**
+ * Fetches the number of applications per week or month
+ *
+ * @param {Object} [params={}]
+ * @param {string} [params.interval] - 'week' (the default) or 'month'
+ * @param {string} [params.dateFrom]
+ * @param {string} [params.dateTo]
+ * @returns {Promise<Object[]>} Periods, oldest first, with `start`, `applications` and `responded`
+ * @throws {AnalyticsServiceError} When the volume cannot be computed
+ */
+export const fetchVolume = async (params = {}) => {
+  try {
+    const response = await analyticsAPI.get('/volume', { params });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load application volume');
+  }
+};
+
+/**
+ * Fetches the average and median time spent in each open status
+ *
+ * @param {Object} [range={}] - dateFrom and dateTo, as for fetchSummary
+ * @returns {Promise<Object[]>}
+ * @throws {AnalyticsServiceError} When the times cannot be computed
+ */
+export const fetchTimeInStatus = async (range = {}) => {
+  try {
+    const response = await analyticsAPI.get('/time-in-status', { params: range });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load time in status');
+  }
+};
+
+/**
+ * Fetches outcome rates per company, location, tag or source
+ *
+ * @param {string} by - 'company', 'location', 'tag' or 'source'
+ * @param {Object} [params={}]
+ * @param {number} [params.limit] - Only the largest this many groups
+ * @param {string} [params.dateFrom]
+ * @param {string} [params.dateTo]
+ * @returns {Promise<Object[]>} Groups, largest first
+ * @throws {AnalyticsServiceError} When the breakdown cannot be computed
+ */
+export const fetchBreakdown = async (by, params = {}) => {
+  try {
+    const response = await analyticsAPI.get('/breakdown', { params: { by, ...params } });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load breakdown');
+  }
+};
+
+/**
+ * Fetches the user's latest actions across applications and contacts
+ *
+ * @param {number} [limit=10] - 1 to MAX_ACTIVITY_LIMIT
+ * @returns {Promise<Object[]>} Entries, newest first, with `type`, `at`, `summary`,
+ *   `detail` and a `job` summary or `contactId`
+ * @throws {AnalyticsServiceError} When the activity cannot be loaded
+ */
+export const fetchActivity = async (limit = 10) => {
+  try {
+    const response = await analyticsAPI.get('/activity', { params: { limit } });
+    return response.data.data;
+  } catch (error) {
+    throw toAnalyticsError(error, 'Failed to load recent activity');
+  }
+};
+
+export { analyticsAPI, AnalyticsServiceError };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { installAuthInterceptors } from './authService';
 
 // Base URL configuration - can be overridden by environment variables
 const BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -12,20 +13,8 @@ const apiClient = axios.create({
   },
 });
 
-// Request interceptor for adding auth tokens if needed
-apiClient.interceptors.request.use(
-  (config) => {
-    // Add auth token if available
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+// Adds the auth token and refreshes it when it has expired
+installAuthInterceptors(apiClient);
 
 // Response interceptor for handling common errors
 apiClient.interceptors.response.use(
@@ -39,11 +28,6 @@ apiClient.interceptors.response.use(
       const { status, data } = error.response;
       
       switch (status) {
-        case 401:
-          // Unauthorized - clear auth token and redirect to login
-          localStorage.removeItem('authToken');
-          window.location.href = '/login';
-          break;
         case 403:
           console.error('Access forbidden:', data.message || 'Insufficient permissions');
           break;
@@ -234,6 +218,56 @@ export const fetchJobById = async (id) => {
   }
 };
 
+/**
+ * Fetch the application status catalogue
+ * @returns {Promise<Object>} Statuses, allowed transitions and the initial status
+ */
+export const fetchStatusCatalog = async () => {
+  try {
+    const response = await apiClient.get('/statuses');
+    return {
+      success: true,
+      data: response.data.data,
+      message: 'Statuses fetched successfully',
+    };
+  } catch (error) {
+    console.error('Error fetching statuses:', error);
+    return {
+      success: false,
+      data: null,
+      message: error.message || 'Failed to fetch statuses',
+      error,
+    };
+  }
+};
+
+/**
+ * Full-text search over job applications, best match first
+ * @param {string} query - Words, "quoted phrases" and prefixes ending in *
+ * @param {Object} params - Query parameters (optional)
+ * @param {number} params.page - Page number for pagination
+ * @param {number} params.limit - Number of results per page
+ * @returns {Promise<Object>} Results as { job, score, highlights } plus total
+ */
+export const searchJobs = async (query, params = {}) => {
+  try {
+    const response = await apiClient.get('/search', { params: { ...params, q: query } });
+    return {
+      success: true,
+      data: response.data,
+      message: 'Search completed successfully',
+    };
+  } catch (error) {
+    console.error('Error searching jobs:', error);
+    return {
+      success: false,
+      data: null,
+      message: error.message || 'Failed to search jobs',
+      error,
+    };
+  }
+};
+
 // Export the configured axios instance for custom requests
 export { apiClient };
 
@@ -247,6 +281,8 @@ export default {
   updateJob,
   deleteJob,
   fetchJobById,
+  fetchStatusCatalog,
+  searchJobs,
   apiClient,
   BASE_URL,
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Attachment Service
+ * Resumes, cover letters and other documents attached to job applications.
+ * The server stores each file once per user: uploading a file that is already
+ * stored attaches the existing document, so the jobs it was sent with can be
+ * listed.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the attachment and document endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const attachmentAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(attachmentAPI);
+
+/**
+ * Kinds of document the API accepts
+ */
+export const attachmentKinds = [
+  { value: 'resume', label: 'Resume' },
+  { value: 'cover_letter', label: 'Cover letter' },
+  { value: 'offer_letter', label: 'Offer letter' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * File extensions the API accepts, for the file picker
+ */
+export const ACCEPTED_FILE_TYPES = '.pdf,.doc,.docx,.odt,.rtf,.txt,.md,.png,.jpg,.jpeg';
+
+/**
+ * Custom error class for attachment service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class AttachmentServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'AttachmentServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toAttachmentError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new AttachmentServiceError(message, error.response?.status, details);
+};
+
+// Downloads are requested as a Blob, so error bodies arrive as a Blob too
+const downloadFile = async (url, fallbackName, fallbackMessage) => {
+  try {
+    const response = await attachmentAPI.get(url, { responseType: 'blob', timeout: 60000 });
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    return { blob: response.data, filename };
+  } catch (error) {
+    let data = {};
+    try {
+      data = JSON.parse(await error.response?.data?.text());
+    } catch (parseError) {
+      // Not JSON, use the generic message
+    }
+    throw new AttachmentServiceError(data.message || fallbackMessage, error.response?.status);
+  }
+};
+
+/**
+ * Fetches the documents attached to a job, newest first
+ *
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>} Attachments, each with its stored `document`
+ *   ({ id, sha256, fileName, mimeType, size, createdAt }) and `sentWith`, the
+ *   other jobs the same file was attached to
+ * @throws {AttachmentServiceError} When the job does not exist (status 404)
+ */
+export const fetchJobAttachments = async (jobId) => {
+  try {
+    const response = await attachmentAPI.get(`/jobs/${jobId}/attachments`);
+    return response.data.data;
+  } catch (error) {
+    throw toAttachmentError(error, 'Failed to load documents');
+  }
+};
+
+/**
+ * Uploads a file and attaches it to a job
+ *
+ * @param {string|number} jobId
+ * @param {File} file
+ * @param {{ kind?: string, label?: string }} [details] - kind is one of attachmentKinds
+ * @returns {Promise<{ attachment: Object, deduplicated: boolean }>} `deduplicated`
+ *   is true when the same file was already stored and has been reused
+ * @throws {AttachmentServiceError} When the file is too large (413) or not an accepted type (415)
+ *
+ * @example
+ * const { deduplicated } = await uploadAttachment(12, file, { kind: 'resume', label: 'Backend v3' });
+ */
+export const uploadAttachment = async (jobId, file, { kind, label } = {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  if (kind) form.append('kind', kind);
+  if (label) form.append('label', label);
+
+  try {
+    const response = await attachmentAPI.post(`/jobs/${jobId}/attachments`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000, // Large files take a while on slow connections
+    });
+    return { attachment: response.data.data, deduplicated: response.data.deduplicated };
+  } catch (error) {
+    throw toAttachmentError(error, 'Failed to upload document');
+  }
+};
+
+/**
+ * Attaches a document the user already stored to a job
+ *
+ * @param {string|number} jobId
+ * @param {string|number} documentId
+ * @param {{ kind?: string, label?: string }} [details]
+ * @returns {Promise<Object>} The attachment
+ * @throws {AttachmentServiceError} When the job or document does not exist (status 404)
+ */
+export const attachDocument = async (jobId, documentId, { kind, label } = {}) => {
+  try {
+    const response = await attachmentAPI.post(`/jobs/${jobId}/attachments`, { documentId, kind, label: label || undefined });
+    return response.data.data;
+  } catch (error) {
+    throw toAttachmentError(error, 'Failed to attach document');
+  }
+};
+
+/**
+ * Downloads the file of an attachment
+ *
+ * @param {string|number} jobId
+ * @param {Object} attachment
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ * @throws {AttachmentServiceError} When the attachment or its file is missing (status 404)
+ */
+export const downloadAttachment = (jobId, attachment) => downloadFile(
+  `/jobs/${jobId}/attachments/${attachment.id}/download`,
+  attachment.fileName,
+  'Failed to download document'
+);
+
+/**
+ * Removes a document from a job
+ * The server deletes the file as well when no other job uses it.
+ *
+ * @param {string|number} jobId
+ * @param {string|number} attachmentId
+ * @returns {Promise<void>}
+ * @throws {AttachmentServiceError} When the attachment does not exist (status 404)
+ */
+export const deleteAttachment = async (jobId, attachmentId) => {
+  try {
+    await attachmentAPI.delete(`/jobs/${jobId}/attachments/${attachmentId}`);
+  } catch (error) {
+    throw toAttachmentError(error, 'Failed to remove document');
+  }
+};
+
+/**
+ * Fetches the user's stored documents, newest first
+ *
+ * @param {string} [kind] - Only documents attached at least once as this kind
+ * @returns {Promise<Object[]>} Documents with `kinds`, `labels` and `sentWith`
+ */
+export const fetchDocuments = async (kind) => {
+  try {
+    const response = await attachmentAPI.get('/documents', { params: kind ? { kind } : {} });
+    return response.data.data;
+  } catch (error) {
+    throw toAttachmentError(error, 'Failed to load documents');
+  }
+};
+
+/**
+ * Downloads a stored document
+ *
+ * @param {Object} document
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ * @throws {AttachmentServiceError} When the document or its file is missing (status 404)
+ */
+export const downloadDocument = (document) => downloadFile(
+  `/documents/${document.id}/download`,
+  document.fileName,
+  'Failed to download document'
+);
+
+export { attachmentAPI, AttachmentServiceError };
\ No newline at end of file
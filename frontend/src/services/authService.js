@@ -0,0 +1,328 @@
+import axios from 'axios';
+
+/**
+ * Auth Service
+ * Registration, login and the stored session. The access token is kept in
+ * localStorage under `authToken`; it is short-lived, so the refresh token
+ * stored next to it is traded for a new one whenever the API answers 401
+ * (see installAuthInterceptors, used by the other services).
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+const REFRESH_TOKEN_KEY = 'authRefreshToken';
+
+/**
+ * Axios instance for the auth endpoints
+ * Requests flagged `skipAuthRefresh` are neither refreshed nor redirected on
+ * 401: a failed login must show its message instead.
+ * @type {import('axios').AxiosInstance}
+ */
+const authAPI = axios.create({
+  baseURL: `${API_BASE_URL}/auth`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+/**
+ * Custom error class for auth service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class AuthServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'AuthServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toAuthError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = data.message || details[0]?.msg || fallbackMessage;
+  return new AuthServiceError(message, error.response?.status, details);
+};
+
+const saveSession = ({ user, token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  return user;
+};
+
+const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+const withToken = (config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+};
+
+// The refresh in progress; requests failing meanwhile wait for it instead of starting another
+let pendingRefresh = null;
+
+/**
+ * Trades the stored refresh token for a new access token
+ * Concurrent calls share a single request, because the server rotates the
+ * refresh token and would refuse the second use.
+ * 
+ * @returns {Promise<string>} The new access token
+ * @throws {AuthServiceError} When the session has expired or was revoked
+ */
+export const refreshSession = () => {
+  if (pendingRefresh) {
+    return pendingRefresh;
+  }
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    return Promise.reject(new AuthServiceError('Not logged in', 401));
+  }
+
+  pendingRefresh = authAPI.post('/refresh', { refreshToken }, { skipAuthRefresh: true })
+    .then((response) => {
+      saveSession(response.data.data);
+      return response.data.data.token;
+    })
+    .catch((error) => {
+      // Another tab may have refreshed first and stored the next token
+      const storedToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (storedToken && storedToken !== refreshToken) {
+        return localStorage.getItem(TOKEN_KEY);
+      }
+      throw toAuthError(error, 'Your session has expired');
+    })
+    .finally(() => {
+      pendingRefresh = null;
+    });
+
+  return pendingRefresh;
+};
+
+/**
+ * Adds the access token to every request of an axios instance and, when the
+ * API answers 401, refreshes the session and replays the request once.
+ * When the session cannot be refreshed the user is sent to the login page.
+ * 
+ * Install it before the instance's own response interceptors so they only
+ * see errors that survived the retry.
+ * 
+ * @param {import('axios').AxiosInstance} client
+ */
+export const installAuthInterceptors = (client) => {
+  client.interceptors.request.use(withToken);
+
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      if (response?.status !== 401 || !config || config.skipAuthRefresh || config.authRetried) {
+        return Promise.reject(error);
+      }
+
+      let token;
+      try {
+        token = await refreshSession();
+      } catch (refreshError) {
+        clearSession();
+        window.location.href = '/login';
+        return Promise.reject(error);
+      }
+
+      // Replay without this instance's interceptors so the original error handling still applies once
+      config.authRetried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return axios(config);
+    }
+  );
+};
+
+installAuthInterceptors(authAPI);
+
+/**
+ * Creates an account and logs it in
+ * 
+ * @param {Object} details
+ * @param {string} details.email
+ * @param {string} details.password - At least 8 characters with upper and lower case letters and a number
+ * @param {string} details.passwordConfirmation
+ * @param {string} [details.name]
+ * 
+ * @returns {Promise<Object>} The new user
+ * @throws {AuthServiceError} When validation fails or the email is taken (status 409)
+ */
+export const register = async (details) => {
+  try {
+    const response = await authAPI.post('/register', details, { skipAuthRefresh: true });
+    return saveSession(response.data.data);
+  } catch (error) {
+    throw toAuthError(error, 'Failed to create account');
+  }
+};
+
+/**
+ * Logs in with email and password
+ * 
+ * @param {string} email
+ * @param {string} password
+ * 
+ * @returns {Promise<Object>} The logged-in user
+ * @throws {AuthServiceError} When the credentials are wrong (status 401)
+ */
+export const login = async (email, password) => {
+  try {
+    const response = await authAPI.post('/login', { email, password }, { skipAuthRefresh: true });
+    return saveSession(response.data.data);
+  } catch (error) {
+    throw toAuthError(error, 'Failed to log in');
+  }
+};
+
+/**
+ * Ends the session on the server and forgets it locally
+ * The local session is cleared straight away; the server call is best effort.
+ * 
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  clearSession();
+  if (!token) {
+    return;
+  }
+
+  try {
+    await authAPI.post('/logout', {}, {
+      headers: { Authorization: `Bearer ${token}` },
+      skipAuthRefresh: true,
+    });
+  } catch (error) {
+    // An expired access token cannot end the session; it will expire on its own
+  }
+};
+
+/**
+ * The user of the stored session, or null when logged out
+ * @returns {Object|null}
+ */
+export const getCurrentUser = () => {
+  if (!localStorage.getItem(TOKEN_KEY)) {
+    return null;
+  }
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Asks for a password reset email (AC-5.3)
+ * The API answers the same whether or not the address has an account.
+ * 
+ * @param {string} email
+ * @returns {Promise<string>} Confirmation message to show
+ * @throws {AuthServiceError} When the address is invalid
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    const response = await authAPI.post('/forgot', { email }, { skipAuthRefresh: true });
+    return response.data.message;
+  } catch (error) {
+    throw toAuthError(error, 'Failed to send reset email');
+  }
+};
+
+/**
+ * Sets a new password with the token from a reset email
+ * Every session of the account is logged out, including this browser's.
+ * 
+ * @param {string} token
+ * @param {string} password
+ * @param {string} passwordConfirmation
+ * @returns {Promise<string>} Confirmation message to show
+ * @throws {AuthServiceError} When the token is invalid or expired (status 400)
+ */
+export const resetPassword = async (token, password, passwordConfirmation) => {
+  try {
+    const response = await authAPI.post(
+      '/reset',
+      { token, password, passwordConfirmation },
+      { skipAuthRefresh: true }
+    );
+    clearSession();
+    return response.data.message;
+  } catch (error) {
+    throw toAuthError(error, 'Failed to reset password');
+  }
+};
+
+/**
+ * Devices the user is logged in on, most recently used first
+ * 
+ * @returns {Promise<Object[]>} Sessions; the one of this browser has `current: true`
+ * @throws {AuthServiceError} When the sessions cannot be loaded
+ */
+export const fetchSessions = async () => {
+  try {
+    const response = await authAPI.get('/sessions');
+    return response.data.data;
+  } catch (error) {
+    throw toAuthError(error, 'Failed to load sessions');
+  }
+};
+
+/**
+ * Logs out one device
+ * 
+ * @param {string|number} sessionId
+ * @returns {Promise<void>}
+ * @throws {AuthServiceError} When the session does not exist (status 404)
+ */
+export const revokeSession = async (sessionId) => {
+  try {
+    await authAPI.delete(`/sessions/${sessionId}`);
+  } catch (error) {
+    throw toAuthError(error, 'Failed to revoke session');
+  }
+};
+
+/**
+ * Logs out every device except this one
+ * 
+ * @returns {Promise<number>} How many sessions were revoked
+ * @throws {AuthServiceError} When the request fails
+ */
+export const revokeOtherSessions = async () => {
+  try {
+    const response = await authAPI.delete('/sessions');
+    return response.data.count;
+  } catch (error) {
+    throw toAuthError(error, 'Failed to revoke sessions');
+  }
+};
+
+/**
+ * Password rules from AC-5.1, mirrored from the API for instant feedback
+ * @param {string} password
+ * @returns {string[]} Unmet rules, empty when the password is acceptable
+ */
+export const passwordProblems = (password) => [
+  [password.length >= 8, 'at least 8 characters'],
+  [/[A-Z]/.test(password), 'an uppercase letter'],
+  [/[a-z]/.test(password), 'a lowercase letter'],
+  [/\d/.test(password), 'a number'],
+].filter(([met]) => !met).map(([, rule]) => rule);
+
+export { AuthServiceError };
\ No newline at end of file
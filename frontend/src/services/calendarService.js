@@ -0,0 +1,141 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Calendar Service
+ * Interviews, application deadlines, offer deadlines and follow-up reminders
+ * as calendar events, moving them to another date, and the private feed URL
+ * other calendar apps subscribe to. Event ids are `<type>-<record id>`.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the calendar endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const calendarAPI = axios.create({
+  baseURL: `${API_BASE_URL}/calendar`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(calendarAPI);
+
+/**
+ * The kinds of event on the calendar, with the colour each is drawn in
+ */
+export const calendarEventTypes = [
+  { value: 'interview', label: 'Interviews', color: '#8B5CF6' },
+  { value: 'deadline', label: 'Application deadlines', color: '#F59E0B' },
+  { value: 'offer', label: 'Offer deadlines', color: '#10B981' },
+  { value: 'reminder', label: 'Follow-ups', color: '#2563EB' }
+];
+
+/**
+ * Custom error class for calendar service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class CalendarServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'CalendarServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toCalendarError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new CalendarServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the events starting in a period, earliest first
+ *
+ * @param {Object} range
+ * @param {string} range.from - ISO 8601 date
+ * @param {string} range.to - ISO 8601 date, exclusive; at most 400 days after `from`
+ * @param {string[]} [range.types] - Only these kinds of event
+ * @returns {Promise<Object[]>} Events with `id`, `type`, `title`, `start`, `end`, `allDay`,
+ *   `location`, `description` and a `job` or `contact` summary; all-day events start on a YYYY-MM-DD date
+ * @throws {CalendarServiceError} When the events cannot be loaded
+ */
+export const fetchCalendarEvents = async ({ from, to, types }) => {
+  try {
+    const params = { from, to, ...(types ? { types: types.join(',') } : {}) };
+    const response = await calendarAPI.get('/events', { params });
+    return response.data.data;
+  } catch (error) {
+    throw toCalendarError(error, 'Failed to load calendar');
+  }
+};
+
+/**
+ * Moves an event; all-day events move to the day of `start`
+ *
+ * @param {string} eventId
+ * @param {Object} when
+ * @param {string} when.start - ISO 8601 date or date-time
+ * @param {string} [when.end] - New end of an interview; by default it keeps its length
+ * @returns {Promise<Object>} The moved event
+ * @throws {CalendarServiceError} When the event cannot be moved
+ */
+export const rescheduleEvent = async (eventId, when) => {
+  try {
+    const response = await calendarAPI.patch(`/events/${encodeURIComponent(eventId)}`, when);
+    return response.data.data;
+  } catch (error) {
+    throw toCalendarError(error, 'Failed to move event');
+  }
+};
+
+/**
+ * Fetches whether the user has a feed URL and when a calendar app last read it
+ *
+ * @returns {Promise<Object>} `active`, `createdAt` and `lastUsedAt`
+ * @throws {CalendarServiceError} When the feed cannot be loaded
+ */
+export const fetchCalendarFeed = async () => {
+  try {
+    const response = await calendarAPI.get('/feed');
+    return response.data.data;
+  } catch (error) {
+    throw toCalendarError(error, 'Failed to load calendar feed');
+  }
+};
+
+/**
+ * Issues a feed URL, revoking the previous one
+ *
+ * @returns {Promise<Object>} The feed, with its `url`; the URL cannot be fetched again
+ * @throws {CalendarServiceError} When the feed cannot be created
+ */
+export const createCalendarFeed = async () => {
+  try {
+    const response = await calendarAPI.post('/feed');
+    return response.data.data;
+  } catch (error) {
+    throw toCalendarError(error, 'Failed to create calendar feed');
+  }
+};
+
+/**
+ * Revokes the feed URL, so calendar apps subscribed to it stop updating
+ *
+ * @returns {Promise<void>}
+ * @throws {CalendarServiceError} When the feed cannot be revoked
+ */
+export const revokeCalendarFeed = async () => {
+  try {
+    await calendarAPI.delete('/feed');
+  } catch (error) {
+    throw toCalendarError(error, 'Failed to revoke calendar feed');
+  }
+};
+
+export { calendarAPI, CalendarServiceError };
\ No newline at end of file
@@ -0,0 +1,175 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Company Service
+ * Companies the user's applications and contacts are filed under. The
+ * server matches free-text company names to these records; companies that
+ * turn out to be the same employer can be merged.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the company endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const companyAPI = axios.create({
+  baseURL: `${API_BASE_URL}/companies`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(companyAPI);
+
+/**
+ * Company sizes the API accepts, by number of employees
+ */
+export const companySizes = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+'];
+
+/**
+ * Custom error class for company service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class CompanyServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'CompanyServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toCompanyError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new CompanyServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Searches the user's companies, sorted by name
+ * 
+ * @param {Object} [params={}]
+ * @param {string} [params.q] - Matches name, aliases, industry, headquarters and notes
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=20]
+ * @returns {Promise<{ data: Object[], total: number, page: number, limit: number }>}
+ *   Companies, each with its `applicationCount`
+ * @throws {CompanyServiceError} When the companies cannot be loaded
+ */
+export const fetchCompanies = async (params = {}) => {
+  try {
+    const response = await companyAPI.get('/', { params });
+    return response.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to load companies');
+  }
+};
+
+/**
+ * Fetches pairs of companies that look like the same employer
+ * 
+ * @returns {Promise<{ companies: Object[], reason: string }[]>}
+ * @throws {CompanyServiceError} When the suggestions cannot be loaded
+ */
+export const fetchDuplicateCompanies = async () => {
+  try {
+    const response = await companyAPI.get('/duplicates');
+    return response.data.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to load duplicate companies');
+  }
+};
+
+/**
+ * Fetches a company with everything done there
+ * 
+ * @param {string|number} companyId
+ * @returns {Promise<Object>} The company with `applications`, `contacts`,
+ *   `interviews` and an `outcomes` summary
+ * @throws {CompanyServiceError} When the company does not exist (status 404)
+ */
+export const getCompany = async (companyId) => {
+  try {
+    const response = await companyAPI.get(`/${companyId}`);
+    return response.data.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to load company');
+  }
+};
+
+/**
+ * @param {Object} company
+ * @param {string} company.name
+ * @param {string[]} [company.aliases] - Other names jobs may use for it
+ * @param {string} [company.website]
+ * @param {string} [company.industry]
+ * @param {string} [company.size] - One of companySizes
+ * @param {string} [company.headquarters]
+ * @param {string} [company.notes]
+ * @returns {Promise<Object>} The created company
+ * @throws {CompanyServiceError} When another company has the name (status 409) or it is invalid (status 400)
+ */
+export const createCompany = async (company) => {
+  try {
+    const response = await companyAPI.post('/', company);
+    return response.data.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to create company');
+  }
+};
+
+/**
+ * Replaces a company's details
+ * 
+ * @param {string|number} companyId
+ * @param {Object} company - The fields createCompany takes; name is required
+ * @returns {Promise<Object>} The updated company
+ * @throws {CompanyServiceError} When another company has the name or an alias (status 409)
+ */
+export const updateCompany = async (companyId, company) => {
+  try {
+    const response = await companyAPI.put(`/${companyId}`, company);
+    return response.data.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to update company');
+  }
+};
+
+/**
+ * Folds other companies into one; their applications and contacts move
+ * over and their names become aliases
+ * 
+ * @param {string|number} companyId - The company that remains
+ * @param {Array<string|number>} companyIds - Companies to merge into it
+ * @returns {Promise<Object>} The merged company
+ * @throws {CompanyServiceError} When a company does not exist (status 404)
+ */
+export const mergeCompanies = async (companyId, companyIds) => {
+  try {
+    const response = await companyAPI.post(`/${companyId}/merge`, { companyIds });
+    return response.data.data;
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to merge companies');
+  }
+};
+
+/**
+ * Deletes a company without applications
+ * 
+ * @param {string|number} companyId
+ * @returns {Promise<void>}
+ * @throws {CompanyServiceError} When applications still belong to it (status 409)
+ */
+export const deleteCompany = async (companyId) => {
+  try {
+    await companyAPI.delete(`/${companyId}`);
+  } catch (error) {
+    throw toCompanyError(error, 'Failed to delete company');
+  }
+};
+
+export { companyAPI, CompanyServiceError };
\ No newline at end of file
@@ -0,0 +1,253 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Contact Service
+ * Networking contacts (recruiters, referrers, hiring managers, ...), the
+ * applications they are linked to and the log of interactions with them.
+ * Follow-up reminders on contacts go through the reminder service.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the contact endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const contactAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(contactAPI);
+
+/**
+ * Interaction types the API accepts
+ */
+export const interactionTypes = [
+  { value: 'email', label: 'Email' },
+  { value: 'call', label: 'Call' },
+  { value: 'meeting', label: 'Meeting' },
+  { value: 'coffee_chat', label: 'Coffee chat' },
+  { value: 'message', label: 'Message' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Custom error class for contact service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class ContactServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'ContactServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toContactError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new ContactServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Searches the user's contacts, sorted by name
+ * 
+ * @param {Object} [params={}]
+ * @param {string} [params.q] - Matches name, company, role, email and notes
+ * @param {string} [params.company] - Partial match on the company
+ * @param {string|number} [params.jobId] - Only contacts linked to this job
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=20]
+ * @returns {Promise<{ data: Object[], total: number, page: number, limit: number }>}
+ * @throws {ContactServiceError} When the contacts cannot be loaded
+ */
+export const fetchContacts = async (params = {}) => {
+  try {
+    const response = await contactAPI.get('/contacts', { params });
+    return response.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to load contacts');
+  }
+};
+
+/**
+ * Fetches a contact with the jobs it is linked to
+ * 
+ * @param {string|number} contactId
+ * @returns {Promise<Object>} The contact, with `jobs` (job summaries with `relationship`)
+ * @throws {ContactServiceError} When the contact does not exist (status 404)
+ */
+export const getContact = async (contactId) => {
+  try {
+    const response = await contactAPI.get(`/contacts/${contactId}`);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to load contact');
+  }
+};
+
+/**
+ * @param {Object} contact
+ * @param {string} contact.name
+ * @param {string} [contact.role]
+ * @param {string} [contact.company]
+ * @param {string} [contact.email]
+ * @param {string} [contact.phone]
+ * @param {string} [contact.linkedinUrl] - A linkedin.com profile
+ * @param {string} [contact.notes]
+ * @returns {Promise<Object>} The created contact
+ * @throws {ContactServiceError} When the contact is invalid (status 400)
+ */
+export const createContact = async (contact) => {
+  try {
+    const response = await contactAPI.post('/contacts', contact);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to create contact');
+  }
+};
+
+/**
+ * Replaces a contact's details
+ * 
+ * @param {string|number} contactId
+ * @param {Object} contact - The fields createContact takes; name is required
+ * @returns {Promise<Object>} The updated contact
+ * @throws {ContactServiceError} When the contact does not exist (status 404) or is invalid (status 400)
+ */
+export const updateContact = async (contactId, contact) => {
+  try {
+    const response = await contactAPI.put(`/contacts/${contactId}`, contact);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to update contact');
+  }
+};
+
+/**
+ * Deletes a contact with its interactions and reminders
+ * 
+ * @param {string|number} contactId
+ * @returns {Promise<void>}
+ * @throws {ContactServiceError} When the contact does not exist (status 404)
+ */
+export const deleteContact = async (contactId) => {
+  try {
+    await contactAPI.delete(`/contacts/${contactId}`);
+  } catch (error) {
+    throw toContactError(error, 'Failed to delete contact');
+  }
+};
+
+/**
+ * Fetches the interaction log of a contact, most recent first
+ * 
+ * @param {string|number} contactId
+ * @returns {Promise<Object[]>} Interactions
+ * @throws {ContactServiceError} When the contact does not exist (status 404)
+ */
+export const fetchInteractions = async (contactId) => {
+  try {
+    const response = await contactAPI.get(`/contacts/${contactId}/interactions`);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to load interactions');
+  }
+};
+
+/**
+ * Logs an email, call, coffee chat, ... with a contact
+ * 
+ * @param {string|number} contactId
+ * @param {Object} interaction
+ * @param {string} interaction.type - One of interactionTypes
+ * @param {string} [interaction.occurredAt] - ISO 8601 timestamp, defaults to now
+ * @param {string} [interaction.summary]
+ * @param {string|number} [interaction.jobId] - The application it was about
+ * @returns {Promise<Object>} The logged interaction
+ * @throws {ContactServiceError} When the interaction is invalid (status 400)
+ * 
+ * @example
+ * await logInteraction(7, { type: 'coffee_chat', summary: 'Talked about the platform team' });
+ */
+export const logInteraction = async (contactId, interaction) => {
+  try {
+    const response = await contactAPI.post(`/contacts/${contactId}/interactions`, interaction);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to log interaction');
+  }
+};
+
+/**
+ * @param {string|number} contactId
+ * @param {string|number} interactionId
+ * @returns {Promise<void>}
+ * @throws {ContactServiceError} When the interaction does not exist (status 404)
+ */
+export const deleteInteraction = async (contactId, interactionId) => {
+  try {
+    await contactAPI.delete(`/contacts/${contactId}/interactions/${interactionId}`);
+  } catch (error) {
+    throw toContactError(error, 'Failed to delete interaction');
+  }
+};
+
+/**
+ * Fetches the contacts linked to a job
+ * 
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>} Contacts, each with its `relationship` to the job
+ * @throws {ContactServiceError} When the job does not exist (status 404)
+ */
+export const fetchJobContacts = async (jobId) => {
+  try {
+    const response = await contactAPI.get(`/jobs/${jobId}/contacts`);
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to load contacts');
+  }
+};
+
+/**
+ * Links a contact to a job, or changes the relationship of an existing link
+ * 
+ * @param {string|number} jobId
+ * @param {string|number} contactId
+ * @param {string} [relationship] - e.g. 'Recruiter' or 'Referrer'
+ * @returns {Promise<Object>} The contact with its `relationship`
+ * @throws {ContactServiceError} When the job or contact does not exist (status 404)
+ */
+export const linkJobContact = async (jobId, contactId, relationship) => {
+  try {
+    const response = await contactAPI.post(`/jobs/${jobId}/contacts`, { contactId, relationship });
+    return response.data.data;
+  } catch (error) {
+    throw toContactError(error, 'Failed to link contact');
+  }
+};
+
+/**
+ * Unlinks a contact from a job; the contact itself is kept
+ * 
+ * @param {string|number} jobId
+ * @param {string|number} contactId
+ * @returns {Promise<void>}
+ * @throws {ContactServiceError} When the contact is not linked to the job (status 404)
+ */
+export const unlinkJobContact = async (jobId, contactId) => {
+  try {
+    await contactAPI.delete(`/jobs/${jobId}/contacts/${contactId}`);
+  } catch (error) {
+    throw toContactError(error, 'Failed to unlink contact');
+  }
+};
+
+export { contactAPI, ContactServiceError };
\ No newline at end of file
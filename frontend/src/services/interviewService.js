@@ -0,0 +1,167 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Interview Service
+ * Interview rounds of job applications. Scheduling a round, or recording
+ * that it took place, can move the job to a new status; the calls that do
+ * so resolve to the job as well.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the interview endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const interviewAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(interviewAPI);
+
+/**
+ * Round types the API accepts, in the order they usually happen
+ */
+export const interviewRounds = [
+  { value: 'phone_screen', label: 'Phone screen' },
+  { value: 'technical', label: 'Technical' },
+  { value: 'behavioral', label: 'Behavioral' },
+  { value: 'final', label: 'Final' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Outcomes of an interview; passed and failed mean it took place
+ */
+export const interviewOutcomes = [
+  { value: 'pending', label: 'Upcoming' },
+  { value: 'passed', label: 'Passed' },
+  { value: 'failed', label: 'Not passed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+/**
+ * Custom error class for interview service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class InterviewServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'InterviewServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toInterviewError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new InterviewServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the interview rounds of a job, earliest first
+ * 
+ * @param {string|number} jobId
+ * @returns {Promise<Object[]>} Interviews
+ * @throws {InterviewServiceError} When the job does not exist (status 404)
+ */
+export const fetchJobInterviews = async (jobId) => {
+  try {
+    const response = await interviewAPI.get(`/jobs/${jobId}/interviews`);
+    return response.data.data;
+  } catch (error) {
+    throw toInterviewError(error, 'Failed to load interviews');
+  }
+};
+
+/**
+ * Fetches the user's interviews that are still to come, across all jobs
+ * 
+ * @param {Object} [params={}]
+ * @param {number} [params.days] - Only the next this many days
+ * @param {number} [params.limit] - At most this many interviews
+ * @returns {Promise<Object[]>} Interviews, each with a `job` summary
+ * @throws {InterviewServiceError} When the interviews cannot be loaded
+ */
+export const fetchUpcomingInterviews = async (params = {}) => {
+  try {
+    const response = await interviewAPI.get('/interviews/upcoming', { params });
+    return response.data.data;
+  } catch (error) {
+    throw toInterviewError(error, 'Failed to load upcoming interviews');
+  }
+};
+
+/**
+ * Schedules an interview round, or logs one that already took place
+ * 
+ * @param {string|number} jobId
+ * @param {Object} interview
+ * @param {string} interview.roundType - One of interviewRounds
+ * @param {string} interview.startsAt - ISO 8601 timestamp
+ * @param {string} [interview.endsAt]
+ * @param {string} [interview.timezone] - IANA zone the interview takes place in
+ * @param {string} [interview.location]
+ * @param {string} [interview.videoLink]
+ * @param {Object[]} [interview.interviewers] - [{ name, role, email }]
+ * @param {string} [interview.prepNotes]
+ * @param {string} [interview.outcome] - One of interviewOutcomes
+ * @returns {Promise<{ interview: Object, job: Object }>} The interview and the job, with its new status
+ * @throws {InterviewServiceError} When the interview is invalid (status 400)
+ * 
+ * @example
+ * const { job } = await scheduleInterview(123, {
+ *   roundType: 'phone_screen',
+ *   startsAt: '2024-03-05T13:30:00.000Z',
+ *   timezone: 'Europe/Berlin'
+ * });
+ */
+export const scheduleInterview = async (jobId, interview) => {
+  try {
+    const response = await interviewAPI.post(`/jobs/${jobId}/interviews`, interview);
+    return { interview: response.data.data, job: response.data.job };
+  } catch (error) {
+    throw toInterviewError(error, 'Failed to schedule interview');
+  }
+};
+
+/**
+ * Reschedules, edits or records the outcome of an interview
+ * 
+ * @param {string|number} jobId
+ * @param {string|number} interviewId
+ * @param {Object} changes - Any of the fields scheduleInterview takes
+ * @returns {Promise<{ interview: Object, job: Object }>}
+ * @throws {InterviewServiceError} When the interview does not exist (status 404) or is invalid (status 400)
+ */
+export const updateInterview = async (jobId, interviewId, changes) => {
+  try {
+    const response = await interviewAPI.patch(`/jobs/${jobId}/interviews/${interviewId}`, changes);
+    return { interview: response.data.data, job: response.data.job };
+  } catch (error) {
+    throw toInterviewError(error, 'Failed to update interview');
+  }
+};
+
+/**
+ * @param {string|number} jobId
+ * @param {string|number} interviewId
+ * @returns {Promise<void>}
+ * @throws {InterviewServiceError} When the interview does not exist (status 404)
+ */
+export const deleteInterview = async (jobId, interviewId) => {
+  try {
+    await interviewAPI.delete(`/jobs/${jobId}/interviews/${interviewId}`);
+  } catch (error) {
+    throw toInterviewError(error, 'Failed to delete interview');
+  }
+};
+
+export { interviewAPI, InterviewServiceError };
\ No newline at end of file
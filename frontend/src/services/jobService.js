@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+import { formatCompensation } from '../utils/compensation';
 
 /**
  * Job Service API Configuration
@@ -23,22 +25,10 @@ const jobAPI = axios.create({
 });
 
 /**
- * Request interceptor to add authentication token
- * This runs before every request is sent
+ * Adds the authentication token to every request and transparently
+ * refreshes it when the API answers 401 (see authService.js)
  */
-jobAPI.interceptors.request.use(
-  (config) => {
-    // Get auth token from localStorage or context
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+installAuthInterceptors(jobAPI);
 
 /**
  * Response interceptor to handle common errors
@@ -55,11 +45,6 @@ jobAPI.interceptors.response.use(
       const { status, data } = error.response;
       
       switch (status) {
-        case 401:
-          // Unauthorized - redirect to login
-          localStorage.removeItem('authToken');
-          window.location.href = '/login';
-          break;
         case 403:
           console.error('Access forbidden:', data.message);
           break;
@@ -97,19 +82,44 @@ class JobServiceError extends Error {
   }
 }
 
+/**
+ * Job types the API accepts (backend/config/jobTypes.js)
+ */
+export const jobTypes = [
+  { value: 'full-time', label: 'Full-time' },
+  { value: 'part-time', label: 'Part-time' },
+  { value: 'contract', label: 'Contract' },
+  { value: 'temporary', label: 'Temporary' },
+  { value: 'internship', label: 'Internship' },
+  { value: 'freelance', label: 'Freelance' }
+];
+
 /**
  * Fetches all jobs with optional filtering and pagination
  * 
- * @param {Object} [params={}] - Query parameters for filtering/pagination
- * @param {string} [params.search] - Search term for job titles/descriptions
- * @param {string} [params.location] - Filter by location
- * @param {string} [params.type] - Filter by job type (full-time, part-time, etc.)
+ * @param {Object} [params={}] - Query parameters for filtering/pagination;
+ *   the API rejects any other parameter with 400
+ * @param {string} [params.search] - Full-text search over title, company, description and notes
+ * @param {string} [params.status] - Comma separated statuses to include
+ * @param {string} [params.type] - Comma separated job types (full-time, part-time, contract, etc.)
+ * @param {string} [params.company] - Filter by company (partial match)
+ * @param {string} [params.location] - Filter by location (partial match)
+ * @param {string} [params.dateFrom] - Applied on or after this date
+ * @param {string} [params.dateTo] - Applied on or before this date
+ * @param {number} [params.salaryMin] - Salary range reaches at least this amount
+ * @param {number} [params.salaryMax] - Salary range starts at or below this amount
+ * @param {string} [params.salaryCurrency] - Only salaries in this currency (ISO 4217)
+ * @param {string} [params.salaryPeriod] - Only salaries per hour, month or year (hourly/monthly/yearly)
+ * @param {string} [params.tags] - Comma separated tags
+ * @param {string} [params.tagMode='any'] - Match any or all of the tags
  * @param {number} [params.page=1] - Page number for pagination
  * @param {number} [params.limit=10] - Number of jobs per page
- * @param {string} [params.sortBy='createdAt'] - Field to sort by
+ * @param {string} [params.cursor] - `nextCursor` of the previous page (replaces page)
+ * @param {string} [params.sort] - Comma separated sort fields, '-' prefix for descending
+ * @param {string} [params.sortBy='createdAt'] - Field to sort by (when `sort` is not given)
  * @param {string} [params.sortOrder='desc'] - Sort order (asc/desc)
  * 
- * @returns {Promise<Object>} Promise that resolves to jobs data with pagination info
+ * @returns {Promise<Object>} Promise that resolves to { data, count, total, page, limit, nextCursor }
  * @throws {JobServiceError} When API call fails
  * 
  * @example
@@ -120,6 +130,7 @@ class JobServiceError extends Error {
  * const filteredJobs = await fetchJobs({
  *   search: 'developer',
  *   location: 'Remote',
+ *   type: 'full-time',
  *   page: 1,
  *   limit: 20
  * });
@@ -155,12 +166,18 @@ export const fetchJobs = async (params = {}) => {
  * 
  * @param {Object} jobData - Job data to create
  * @param {string} jobData.title - Job title (required)
- * @param {string} jobData.description - Job description (required)
  * @param {string} jobData.company - Company name (required)
- * @param {string} jobData.location - Job location (required)
- * @param {string} jobData.type - Job type (full-time, part-time, contract, etc.)
- * @param {number} [jobData.salary] - Salary amount
- * @param {string} [jobData.salaryType] - Salary type (hourly, annual, etc.)
+ * @param {string} jobData.status - Status from the status catalogue (required)
+ * @param {string} jobData.dateApplied - Date applied, YYYY-MM-DD (required)
+ * @param {string} [jobData.description] - Job description
+ * @param {string} [jobData.location] - Job location
+ * @param {string} [jobData.type] - Job type (full-time, part-time, contract, etc.)
+ * @param {number} [jobData.salaryMin] - Lower bound of the base salary
+ * @param {number} [jobData.salaryMax] - Upper bound of the base salary
+ * @param {string} [jobData.salaryCurrency] - ISO 4217 code, e.g. 'USD'
+ * @param {string} [jobData.salaryPeriod] - hourly, monthly or yearly
+ * @param {string} [jobData.bonus] - Bonus, e.g. '10% target'
+ * @param {string} [jobData.equity] - Equity, e.g. '0.5% over 4 years'
  * @param {Array<string>} [jobData.requirements] - Job requirements
  * @param {Array<string>} [jobData.benefits] - Job benefits
  * @param {Date} [jobData.deadline] - Application deadline
@@ -171,18 +188,22 @@ export const fetchJobs = async (params = {}) => {
  * @example
  * const newJob = await createJob({
  *   title: 'Senior Developer',
- *   description: 'We are looking for...',
  *   company: 'Tech Corp',
+ *   status: 'applied',
+ *   dateApplied: '2024-03-01',
+ *   description: 'We are looking for...',
  *   location: 'Remote',
  *   type: 'full-time',
- *   salary: 80000,
- *   salaryType: 'annual'
+ *   salaryMin: 80000,
+ *   salaryMax: 95000,
+ *   salaryCurrency: 'USD',
+ *   salaryPeriod: 'yearly'
  * });
  */
 export const createJob = async (jobData) => {
   try {
     // Validate required fields
-    const requiredFields = ['title', 'description', 'company', 'location'];
+    const requiredFields = ['title', 'company', 'status', 'dateApplied'];
     const missingFields = requiredFields.filter(field => !jobData[field]);
     
     if (missingFields.length > 0) {
@@ -220,7 +241,8 @@ export const createJob = async (jobData) => {
  * @param {string} [updateData.description] - Updated job description
  * @param {string} [updateData.location] - Updated job location
  * @param {string} [updateData.type] - Updated job type
- * @param {number} [updateData.salary] - Updated salary
+ * @param {number} [updateData.salaryMin] - Updated salary; the compensation fields
+ *   (salaryMin, salaryMax, salaryCurrency, salaryPeriod, bonus, equity, benefits) are replaced together
  * 
  * @returns {Promise<Object>} Promise that resolves to updated job data
  * @throws {JobServiceError} When job not found or API call fails
@@ -228,7 +250,10 @@ export const createJob = async (jobData) => {
  * @example
  * const updatedJob = await updateJob(123, {
  *   title: 'Updated Job Title',
- *   salary: 90000
+ *   salaryMin: 90000,
+ *   salaryMax: 110000,
+ *   salaryCurrency: 'USD',
+ *   salaryPeriod: 'yearly'
  * });
  */
 export const updateJob = async (jobId, updateData) => {
@@ -337,6 +362,159 @@ export const getJobById = async (jobId) => {
   }
 };
 
+/**
+ * Moves a job to a new status, recording the change in its status history
+ * 
+ * @param {string|number} jobId - ID of the job
+ * @param {string} status - Target status from the status catalogue
+ * @param {string} [comment] - Optional note explaining the change
+ * 
+ * @returns {Promise<Object>} Promise that resolves to the updated job data
+ * @throws {JobServiceError} When the transition is not allowed (status 409) or the API call fails
+ * 
+ * @example
+ * await changeJobStatus(123, 'phone_screen_scheduled', 'Recruiter called');
+ */
+export const changeJobStatus = async (jobId, status, comment) => {
+  try {
+    if (!jobId || !status) {
+      throw new JobServiceError('Job ID and status are required');
+    }
+    
+    const response = await jobAPI.patch(`/${jobId}/status`, { status, comment });
+    return response.data;
+  } catch (error) {
+    console.error(`Error changing status of job ${jobId}:`, error);
+    
+    if (error instanceof JobServiceError) {
+      throw error; // Re-throw validation errors
+    }
+    
+    const errorMessage = error.response?.data?.message || 'Failed to change job status';
+    const statusCode = error.response?.status;
+    
+    throw new JobServiceError(errorMessage, statusCode, error);
+  }
+};
+
+/**
+ * Fetches the status history of a job, newest change first
+ * 
+ * @param {string|number} jobId - ID of the job
+ * 
+ * @returns {Promise<Object>} Promise that resolves to { entries, timeInStatus }
+ * @throws {JobServiceError} When job not found or API call fails
+ * 
+ * @example
+ * const { data } = await getJobHistory(123);
+ * data.entries.forEach(entry => console.log(entry.toStatus, entry.durationMs));
+ */
+export const getJobHistory = async (jobId) => {
+  try {
+    if (!jobId) {
+      throw new JobServiceError('Job ID is required');
+    }
+    
+    const response = await jobAPI.get(`/${jobId}/history`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching history of job ${jobId}:`, error);
+    
+    if (error instanceof JobServiceError) {
+      throw error; // Re-throw validation errors
+    }
+    
+    const errorMessage = error.response?.data?.message || 'Failed to fetch status history';
+    const statusCode = error.response?.status;
+    
+    throw new JobServiceError(errorMessage, statusCode, error);
+  }
+};
+
+/**
+ * Imports job applications from a CSV file, or previews the import
+ * 
+ * @param {Object} options
+ * @param {string} options.csv - Content of the CSV file
+ * @param {Object} [options.mapping] - { column header: job field }; suggested from the headers when omitted
+ * @param {boolean} [options.dryRun] - Only validate and report what would be imported
+ * @param {string} [options.dateFormat] - 'MDY' (default) or 'DMY' for dates like 03/04/2024
+ * @param {string} [options.duplicates] - 'skip' (default) or 'import' rows matching an existing job
+ * 
+ * @returns {Promise<Object>} Promise that resolves to { headers, mapping, mappingErrors, summary, data }
+ *   where data holds one result per row with its action: 'import', 'skip' or 'invalid'
+ * @throws {JobServiceError} When the file or the mapping cannot be used
+ * 
+ * @example
+ * const preview = await importJobs({ csv, dryRun: true });
+ * console.log(preview.summary.import, 'rows ready to import');
+ */
+export const importJobs = async (options) => {
+  try {
+    if (!options?.csv) {
+      throw new JobServiceError('CSV content is required');
+    }
+    
+    const response = await jobAPI.post('/import', options);
+    return response.data;
+  } catch (error) {
+    console.error('Error importing jobs:', error);
+    
+    if (error instanceof JobServiceError) {
+      throw error; // Re-throw validation errors
+    }
+    
+    const data = error.response?.data;
+    const errorMessage = data?.message || data?.details?.[0]?.msg || 'Failed to import jobs';
+    const statusCode = error.response?.status;
+    
+    throw new JobServiceError(errorMessage, statusCode, error);
+  }
+};
+
+/**
+ * Downloads the jobs matching the list filters as a file
+ * 
+ * @param {string} format - 'csv', 'json', 'xlsx' or 'ics'
+ * @param {Object} [params] - Filters accepted by fetchJobs, plus `include`
+ *   ('history', 'notes' or both comma separated) for extra columns
+ * 
+ * @returns {Promise<{ blob: Blob, filename: string }>} The file and the name suggested by the API
+ * @throws {JobServiceError} When the filters are invalid or the API call fails
+ * 
+ * @example
+ * const { blob, filename } = await exportJobs('xlsx', { status: 'applied', include: 'notes' });
+ */
+export const exportJobs = async (format, params = {}) => {
+  try {
+    const response = await jobAPI.get('/export', {
+      params: { ...params, format },
+      responseType: 'blob',
+      timeout: 60000, // Large exports take a while
+    });
+    
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `jinder-jobs.${format}`;
+    
+    return { blob: response.data, filename };
+  } catch (error) {
+    console.error('Error exporting jobs:', error);
+    
+    // Error bodies arrive as a Blob too because of responseType
+    let data = null;
+    try {
+      data = JSON.parse(await error.response?.data?.text());
+    } catch (parseError) {
+      // Not JSON, use the generic message
+    }
+    
+    const errorMessage = data?.message || data?.details?.[0]?.msg || 'Failed to export jobs';
+    const statusCode = error.response?.status;
+    
+    throw new JobServiceError(errorMessage, statusCode, error);
+  }
+};
+
 /**
  * Utility function to check if user can edit a job
  * This would typically check user permissions/ownership
@@ -358,7 +536,7 @@ export const canEditJob = (job, userId) => {
 export const formatJobData = (job) => {
   return {
     ...job,
-    formattedSalary: job.salary ? `$${job.salary.toLocaleString()}` : 'Not specified',
+    formattedSalary: formatCompensation(job) || 'Not specified',
     formattedDate: new Date(job.createdAt).toLocaleDateString(),
     isExpired: job.deadline && new Date(job.deadline) < new Date(),
   };
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Note Service
+ * Markdown notes on job applications. Editing a note keeps the version it
+ * replaces, which fetchNoteRevisions returns.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the note endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const noteAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(noteAPI);
+
+/**
+ * Categories the API accepts
+ */
+export const noteCategories = [
+  { value: 'general', label: 'General' },
+  { value: 'interview', label: 'Interview' },
+  { value: 'research', label: 'Research' },
+  { value: 'negotiation', label: 'Negotiation' },
+  { value: 'follow_up', label: 'Follow-up' }
+];
+
+/**
+ * Longest note text the API accepts
+ */
+export const MAX_NOTE_LENGTH = 10000;
+
+/**
+ * Custom error class for note service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class NoteServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'NoteServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toNoteError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new NoteServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the notes of a job, newest first
+ *
+ * @param {string|number} jobId
+ * @param {string} [category] - Only notes of this category
+ * @returns {Promise<Object[]>} Notes, each with its `author` ({ id, name }) or null
+ * @throws {NoteServiceError} When the job does not exist (status 404)
+ */
+export const fetchJobNotes = async (jobId, category) => {
+  try {
+    const response = await noteAPI.get(`/jobs/${jobId}/notes`, { params: category ? { category } : {} });
+    return response.data.data;
+  } catch (error) {
+    throw toNoteError(error, 'Failed to load notes');
+  }
+};
+
+/**
+ * Writes a note on a job
+ *
+ * @param {string|number} jobId
+ * @param {Object} note
+ * @param {string} note.body - Markdown
+ * @param {string} [note.category] - One of noteCategories, defaults to general
+ * @returns {Promise<Object>} The saved note
+ * @throws {NoteServiceError} When the note is invalid (status 400)
+ *
+ * @example
+ * await createNote(12, { category: 'research', body: 'Series B, **120 people**' });
+ */
+export const createNote = async (jobId, note) => {
+  try {
+    const response = await noteAPI.post(`/jobs/${jobId}/notes`, note);
+    return response.data.data;
+  } catch (error) {
+    throw toNoteError(error, 'Failed to save note');
+  }
+};
+
+/**
+ * Edits a note; the previous version is kept as a revision
+ *
+ * @param {string|number} jobId
+ * @param {string|number} noteId
+ * @param {{ body?: string, category?: string }} changes
+ * @returns {Promise<Object>} The note, with `editedAt` set
+ * @throws {NoteServiceError} When the note does not exist (404) or is invalid (400)
+ */
+export const updateNote = async (jobId, noteId, changes) => {
+  try {
+    const response = await noteAPI.patch(`/jobs/${jobId}/notes/${noteId}`, changes);
+    return response.data.data;
+  } catch (error) {
+    throw toNoteError(error, 'Failed to update note');
+  }
+};
+
+/**
+ * Fetches the earlier versions of a note, most recent first
+ *
+ * @param {string|number} jobId
+ * @param {string|number} noteId
+ * @returns {Promise<Object[]>} Revisions with category, body and `writtenAt`
+ * @throws {NoteServiceError} When the note does not exist (status 404)
+ */
+export const fetchNoteRevisions = async (jobId, noteId) => {
+  try {
+    const response = await noteAPI.get(`/jobs/${jobId}/notes/${noteId}/revisions`);
+    return response.data.data;
+  } catch (error) {
+    throw toNoteError(error, 'Failed to load note history');
+  }
+};
+
+/**
+ * Deletes a note permanently, with its revisions
+ *
+ * @param {string|number} jobId
+ * @param {string|number} noteId
+ * @returns {Promise<void>}
+ * @throws {NoteServiceError} When the note does not exist (status 404)
+ */
+export const deleteNote = async (jobId, noteId) => {
+  try {
+    await noteAPI.delete(`/jobs/${jobId}/notes/${noteId}`);
+  } catch (error) {
+    throw toNoteError(error, 'Failed to delete note');
+  }
+};
+
+export { noteAPI, NoteServiceError };
\ No newline at end of file
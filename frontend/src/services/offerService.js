@@ -0,0 +1,187 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Offer Service
+ * The offer made for a job, its negotiation rounds and side-by-side
+ * comparison of the user's offers. Recording an offer, or accepting it,
+ * can move the job to a new status; the calls that do so resolve to the
+ * job as well.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the offer endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const offerAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(offerAPI);
+
+/**
+ * Decisions on an offer
+ */
+export const offerDecisions = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'declined', label: 'Declined' }
+];
+
+/**
+ * Kinds of equity grant
+ */
+export const equityTypes = [
+  { value: 'rsu', label: 'RSUs' },
+  { value: 'options', label: 'Stock options' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Terms a negotiation round can propose
+ */
+export const negotiableTerms = [
+  { value: 'baseSalary', label: 'Base salary' },
+  { value: 'bonusPercent', label: 'Bonus %' },
+  { value: 'bonusAmount', label: 'Bonus amount' },
+  { value: 'signingBonus', label: 'Signing bonus' },
+  { value: 'equityValue', label: 'Equity value' },
+  { value: 'ptoDays', label: 'PTO days' }
+];
+
+/**
+ * Most years the comparison can cover
+ */
+export const MAX_COMPARE_YEARS = 10;
+
+/**
+ * Custom error class for offer service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class OfferServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'OfferServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toOfferError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new OfferServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the offer for a job, with its total compensation per year
+ *
+ * @param {string|number} jobId
+ * @returns {Promise<Object|null>} The offer, or null when the job has none
+ * @throws {OfferServiceError} When the job does not exist (status 404)
+ */
+export const fetchJobOffer = async (jobId) => {
+  try {
+    const response = await offerAPI.get(`/jobs/${jobId}/offer`);
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.data?.error === 'Offer not found') {
+      return null;
+    }
+    throw toOfferError(error, 'Failed to load offer');
+  }
+};
+
+/**
+ * Records the offer for a job, or changes its terms or decision
+ *
+ * @param {string|number} jobId
+ * @param {Object} offer
+ * @param {number} offer.baseSalary
+ * @param {string} [offer.currency] - ISO 4217 code, USD by default
+ * @param {number} [offer.bonusPercent] - Target bonus as a percentage of the base
+ * @param {number} [offer.bonusAmount] - Fixed yearly bonus; takes precedence over bonusPercent
+ * @param {number} [offer.signingBonus]
+ * @param {string} [offer.equityType] - One of equityTypes
+ * @param {number} [offer.equityValue] - Value of the whole grant
+ * @param {number} [offer.vestingYears]
+ * @param {number} [offer.cliffMonths]
+ * @param {number} [offer.ptoDays]
+ * @param {string} [offer.benefits]
+ * @param {string} [offer.deadline] - Date the offer must be answered by
+ * @param {number} [offer.remindDaysBefore] - Days before the deadline to be reminded
+ * @param {string} [offer.decision] - One of offerDecisions
+ * @returns {Promise<{ offer: Object, job: Object }>} The offer and the job, with its new status
+ * @throws {OfferServiceError} When the offer is invalid (status 400)
+ */
+export const saveOffer = async (jobId, offer) => {
+  try {
+    const response = await offerAPI.put(`/jobs/${jobId}/offer`, offer);
+    return { offer: response.data.data, job: response.data.job };
+  } catch (error) {
+    throw toOfferError(error, 'Failed to save offer');
+  }
+};
+
+/**
+ * Logs a negotiation round; terms proposed by the employer become the
+ * offer's terms, a counter-offer is kept for the record
+ *
+ * @param {string|number} jobId
+ * @param {Object} round
+ * @param {string} round.proposedBy - 'employer' or 'candidate'
+ * @param {string} [round.note]
+ * @returns {Promise<Object>} The offer
+ * @throws {OfferServiceError} When the round has neither terms nor a note (status 400)
+ *
+ * @example
+ * await addNegotiationRound(123, { proposedBy: 'candidate', baseSalary: 170000, note: 'Competing offer' });
+ */
+export const addNegotiationRound = async (jobId, round) => {
+  try {
+    const response = await offerAPI.post(`/jobs/${jobId}/offer/rounds`, round);
+    return response.data.data;
+  } catch (error) {
+    throw toOfferError(error, 'Failed to record negotiation round');
+  }
+};
+
+/**
+ * @param {string|number} jobId
+ * @returns {Promise<void>}
+ * @throws {OfferServiceError} When the job has no offer (status 404)
+ */
+export const deleteOffer = async (jobId) => {
+  try {
+    await offerAPI.delete(`/jobs/${jobId}/offer`);
+  } catch (error) {
+    throw toOfferError(error, 'Failed to delete offer');
+  }
+};
+
+/**
+ * Fetches the user's offers with their total compensation over a number of years
+ *
+ * @param {Object} [params={}]
+ * @param {number} [params.years] - 1 to MAX_COMPARE_YEARS, 4 by default
+ * @param {string} [params.jobIds] - Comma-separated; only these jobs' offers
+ * @returns {Promise<Object[]>} Offers, each with a `job` summary and `compensation`
+ * @throws {OfferServiceError} When the offers cannot be loaded
+ */
+export const compareOffers = async (params = {}) => {
+  try {
+    const response = await offerAPI.get('/offers', { params });
+    return response.data.data;
+  } catch (error) {
+    throw toOfferError(error, 'Failed to load offers');
+  }
+};
+
+export { offerAPI, OfferServiceError };
\ No newline at end of file
@@ -0,0 +1,139 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Reminder Service
+ * Follow-up reminders on job applications and networking contacts. The server marks reminders
+ * `due` when their time comes and sends them through their channels;
+ * the user then completes, dismisses or reschedules them.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the reminder endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const reminderAPI = axios.create({
+  baseURL: `${API_BASE_URL}/reminders`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(reminderAPI);
+
+/**
+ * Custom error class for reminder service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class ReminderServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'ReminderServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toReminderError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new ReminderServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the user's reminders, soonest first
+ * 
+ * @param {Object} [params={}]
+ * @param {string} [params.due] - 'today' or 'overdue' for open reminders of that day or earlier,
+ *   'upcoming' for open reminders from today on
+ * @param {string|number} [params.jobId] - Only reminders of this job
+ * @param {string|number} [params.contactId] - Only reminders of this contact
+ * @param {string} [params.status] - Comma separated: pending, due, done, dismissed
+ * @returns {Promise<Object[]>} Reminders, each with a `job` or `contact` summary
+ * @throws {ReminderServiceError} When the reminders cannot be loaded
+ */
+export const fetchReminders = async (params = {}) => {
+  try {
+    const response = await reminderAPI.get('/', {
+      // Lets the server work out when "today" starts for this browser
+      params: { timezoneOffset: new Date().getTimezoneOffset(), ...params },
+    });
+    return response.data.data;
+  } catch (error) {
+    throw toReminderError(error, 'Failed to load reminders');
+  }
+};
+
+/**
+ * Sets a reminder on a job or a contact, either for a date or for a number
+ * of days after the job's last status change or the last interaction with
+ * the contact (restarted whenever that changes)
+ * 
+ * @param {Object} reminder
+ * @param {string|number} [reminder.jobId]
+ * @param {string|number} [reminder.contactId] - Instead of jobId
+ * @param {string} [reminder.remindAt] - ISO 8601 date and time
+ * @param {number} [reminder.offsetDays] - Instead of remindAt
+ * @param {string} [reminder.note]
+ * @param {string[]} [reminder.channels] - e.g. ['inApp', 'email']
+ * @returns {Promise<Object>} The created reminder
+ * @throws {ReminderServiceError} When the reminder is invalid (status 400)
+ * 
+ * @example
+ * await createReminder({ jobId: 123, offsetDays: 7, note: 'Ask about next steps' });
+ */
+export const createReminder = async (reminder) => {
+  try {
+    const response = await reminderAPI.post('/', reminder);
+    return response.data.data;
+  } catch (error) {
+    throw toReminderError(error, 'Failed to create reminder');
+  }
+};
+
+/**
+ * Edits, reschedules, completes or dismisses a reminder
+ * 
+ * @param {string|number} reminderId
+ * @param {Object} changes - Any of note, remindAt, offsetDays, channels and
+ *   status ('pending', 'done' or 'dismissed')
+ * @returns {Promise<Object>} The updated reminder
+ * @throws {ReminderServiceError} When the reminder does not exist (status 404)
+ */
+export const updateReminder = async (reminderId, changes) => {
+  try {
+    const response = await reminderAPI.patch(`/${reminderId}`, changes);
+    return response.data.data;
+  } catch (error) {
+    throw toReminderError(error, 'Failed to update reminder');
+  }
+};
+
+/**
+ * Postpones a reminder by a number of days from now
+ * 
+ * @param {string|number} reminderId
+ * @param {number} [days=1]
+ * @returns {Promise<Object>} The rescheduled reminder, pending again
+ */
+export const snoozeReminder = (reminderId, days = 1) =>
+  updateReminder(reminderId, { remindAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() });
+
+/**
+ * @param {string|number} reminderId
+ * @returns {Promise<void>}
+ * @throws {ReminderServiceError} When the reminder does not exist (status 404)
+ */
+export const deleteReminder = async (reminderId) => {
+  try {
+    await reminderAPI.delete(`/${reminderId}`);
+  } catch (error) {
+    throw toReminderError(error, 'Failed to delete reminder');
+  }
+};
+
+export { reminderAPI, ReminderServiceError };
\ No newline at end of file
@@ -0,0 +1,154 @@
+import axios from 'axios';
+import { installAuthInterceptors } from './authService';
+
+/**
+ * Tag Service
+ * Free-form labels on job applications ("remote", "referral"), each with a
+ * colour. Jobs list their tag names in `job.tags`; names are matched
+ * without regard to case.
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Axios instance for the tag endpoints
+ * @type {import('axios').AxiosInstance}
+ */
+const tagAPI = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+installAuthInterceptors(tagAPI);
+
+/**
+ * Longest tag name and most tags per job the API accepts
+ */
+export const MAX_TAG_LENGTH = 30;
+export const MAX_JOB_TAGS = 20;
+
+/**
+ * Custom error class for tag service errors
+ * `details` holds the per-field validation errors from the API, if any
+ */
+class TagServiceError extends Error {
+  constructor(message, status = null, details = []) {
+    super(message);
+    this.name = 'TagServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toTagError = (error, fallbackMessage) => {
+  const data = error.response?.data || {};
+  const details = data.details || [];
+  const message = details[0]?.msg || data.message || fallbackMessage;
+  return new TagServiceError(message, error.response?.status, details);
+};
+
+/**
+ * Fetches the user's tags, most used first
+ *
+ * @param {string} [q] - Only tags whose name contains this; names starting with it come first
+ * @returns {Promise<Object[]>} Tags with id, name, color and `applicationCount`
+ *
+ * @example
+ * const suggestions = await fetchTags('rem');
+ */
+export const fetchTags = async (q) => {
+  try {
+    const response = await tagAPI.get('/tags', { params: q ? { q } : {} });
+    return response.data.data;
+  } catch (error) {
+    throw toTagError(error, 'Failed to load tags');
+  }
+};
+
+/**
+ * Creates a tag no job has yet
+ *
+ * @param {{ name: string, color?: string }} tag - color as #RRGGBB
+ * @returns {Promise<Object>} The tag
+ * @throws {TagServiceError} When a tag of that name exists (status 409)
+ */
+export const createTag = async (tag) => {
+  try {
+    const response = await tagAPI.post('/tags', tag);
+    return response.data.data;
+  } catch (error) {
+    throw toTagError(error, 'Failed to create tag');
+  }
+};
+
+/**
+ * Renames or recolours a tag; a new name is written to every job that has it
+ *
+ * @param {string|number} tagId
+ * @param {{ name?: string, color?: string }} changes
+ * @returns {Promise<Object>} The tag
+ * @throws {TagServiceError} When another tag has the new name (status 409); merge them instead
+ */
+export const updateTag = async (tagId, changes) => {
+  try {
+    const response = await tagAPI.patch(`/tags/${tagId}`, changes);
+    return response.data.data;
+  } catch (error) {
+    throw toTagError(error, 'Failed to update tag');
+  }
+};
+
+/**
+ * Merges tags into one: jobs that had any of them get the target tag instead
+ *
+ * @param {string|number} targetId - The tag to keep
+ * @param {Array<string|number>} tagIds - The tags to fold into it
+ * @returns {Promise<{ tag: Object, message: string }>}
+ */
+export const mergeTags = async (targetId, tagIds) => {
+  try {
+    const response = await tagAPI.post(`/tags/${targetId}/merge`, { tagIds });
+    return { tag: response.data.data, message: response.data.message };
+  } catch (error) {
+    throw toTagError(error, 'Failed to merge tags');
+  }
+};
+
+/**
+ * Deletes a tag and takes it off every job
+ *
+ * @param {string|number} tagId
+ * @returns {Promise<void>}
+ */
+export const deleteTag = async (tagId) => {
+  try {
+    await tagAPI.delete(`/tags/${tagId}`);
+  } catch (error) {
+    throw toTagError(error, 'Failed to delete tag');
+  }
+};
+
+/**
+ * Adds tags to and removes tags from several jobs at once
+ *
+ * @param {Array<string|number>} jobIds
+ * @param {{ add?: string[], remove?: string[] }} changes
+ * @returns {Promise<Object[]>} The jobs whose tags changed
+ * @throws {TagServiceError} When a job would get more than MAX_JOB_TAGS tags (status 400)
+ *
+ * @example
+ * await tagJobs([3, 8], { add: ['referral'] });
+ */
+export const tagJobs = async (jobIds, { add = [], remove = [] }) => {
+  try {
+    const response = await tagAPI.post('/jobs/tags', { jobIds, add, remove });
+    return response.data.data;
+  } catch (error) {
+    throw toTagError(error, 'Failed to update job tags');
+  }
+};
+
+export { tagAPI, TagServiceError };
\ No newline at end of file
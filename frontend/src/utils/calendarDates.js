@@ -0,0 +1,97 @@
+/**
+ * Date arithmetic for the calendar views, in the browser's time zone. Days
+ * are identified by a "YYYY-MM-DD" key, the same form the API uses for the
+ * start of an all-day event.
+ */
+
+/**
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date} The same time of day, `days` later
+ */
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * @param {Date} date
+ * @returns {Date} Midnight at the start of the day
+ */
+export const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * @param {Date} date
+ * @returns {Date} Midnight at the start of the week, weeks starting on Monday
+ */
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD" for the day the date falls on
+ */
+export const dayKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {Date} Midnight at the start of that day
+ */
+export const fromDayKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * @param {Object} event - Calendar event from the API
+ * @returns {string} Key of the day the event is shown on
+ */
+export const eventDayKey = (event) => (event.allDay ? event.start.slice(0, 10) : dayKey(new Date(event.start)));
+
+// How many days the agenda lists
+export const AGENDA_DAYS = 30;
+
+/**
+ * The days a view shows around a date: whole weeks covering the month, the
+ * week, or the agenda's days from the date on
+ * @param {'month'|'week'|'agenda'} view
+ * @param {Date} anchor
+ * @returns {{ start: Date, end: Date }} `end` is exclusive
+ */
+export const visibleRange = (view, anchor) => {
+  if (view === 'month') {
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    return { start: startOfWeek(first), end: addDays(startOfWeek(last), 7) };
+  }
+  if (view === 'week') {
+    const start = startOfWeek(anchor);
+    return { start, end: addDays(start, 7) };
+  }
+  const start = startOfDay(anchor);
+  return { start, end: addDays(start, AGENDA_DAYS) };
+};
+
+/**
+ * @param {Date} start
+ * @param {Date} end - Exclusive
+ * @returns {Date[]} Midnight of every day in between
+ */
+export const daysBetween = (start, end) => {
+  const days = [];
+  for (let day = startOfDay(start); day < end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Compensation helpers
+ *
+ * Jobs carry their base salary as salaryMin/salaryMax in salaryCurrency
+ * (ISO 4217) per salaryPeriod, plus free-text bonus, equity and benefits.
+ * Amounts are formatted in the browser's locale.
+ */
+
+/**
+ * Salary periods the API accepts
+ */
+export const salaryPeriods = [
+  { value: 'yearly', label: 'Per year', suffix: '/yr' },
+  { value: 'monthly', label: 'Per month', suffix: '/mo' },
+  { value: 'hourly', label: 'Per hour', suffix: '/hr' }
+];
+
+/**
+ * Currencies offered in forms and filters; the API accepts any ISO 4217 code
+ */
+export const currencies = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'INR', 'SGD',
+  'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR'
+];
+
+/**
+ * Form values for a job without compensation
+ */
+export const emptyCompensation = {
+  salaryMin: '',
+  salaryMax: '',
+  salaryCurrency: 'USD',
+  salaryPeriod: 'yearly',
+  bonus: '',
+  equity: '',
+  benefits: ''
+};
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Form values for editing a job's compensation
+ *
+ * @param {Object} [job]
+ * @returns {Object} Strings, as the inputs hold them
+ */
+export const compensationFormValues = (job = {}) => Object.fromEntries(
+  Object.entries(emptyCompensation).map(([field, fallback]) => [
+    field,
+    isSet(job[field]) ? String(job[field]) : fallback
+  ])
+);
+
+/**
+ * Request fields for the compensation in a form
+ * Empty inputs are sent as null so the API clears them. The currency and
+ * period selects always hold a value, so they are only sent with an amount.
+ *
+ * @param {Object} values - As returned by compensationFormValues
+ * @returns {Object}
+ */
+export const compensationPayload = (values) => {
+  const hasSalary = isSet(values.salaryMin) || isSet(values.salaryMax);
+
+  return {
+    salaryMin: isSet(values.salaryMin) ? Number(values.salaryMin) : null,
+    salaryMax: isSet(values.salaryMax) ? Number(values.salaryMax) : null,
+    salaryCurrency: (hasSalary && values.salaryCurrency) || null,
+    salaryPeriod: (hasSalary && values.salaryPeriod) || null,
+    bonus: values.bonus.trim() || null,
+    equity: values.equity.trim() || null,
+    benefits: values.benefits.trim() || null
+  };
+};
+
+const formatAmount = (amount, currency, locale) => new Intl.NumberFormat(locale, {
+  ...(currency ? { style: 'currency', currency } : {}),
+  // Hourly rates keep their cents; larger amounts are shortened to 150K
+  ...(amount >= 10000 ? { notation: 'compact', maximumFractionDigits: 1 } : { maximumFractionDigits: 2 })
+}).format(amount);
+
+/**
+ * A whole amount in full, e.g. "$152,500", for figures compared side by side
+ *
+ * @param {number} amount
+ * @param {string} [currency] - ISO 4217 code; a plain number without one
+ * @param {string} [locale]
+ * @returns {string} Empty when there is no amount
+ */
+export const formatMoney = (amount, currency, locale) => (isSet(amount)
+  ? new Intl.NumberFormat(locale, {
+    ...(currency ? { style: 'currency', currency } : {}),
+    maximumFractionDigits: 0
+  }).format(amount)
+  : '');
+
+/**
+ * The base salary of a job, e.g. "$140K – $160K/yr"
+ * Falls back to the salary text of jobs without structured compensation.
+ *
+ * @param {Object} job
+ * @param {string} [locale] - Defaults to the browser's locale
+ * @returns {string} Empty when the job has no salary
+ */
+export const formatSalary = (job, locale) => {
+  const { salaryMin: low, salaryMax: high, salaryCurrency: currency } = job;
+  if (!isSet(low) && !isSet(high)) {
+    return job.salaryRange || job.salary || '';
+  }
+
+  let base;
+  if (isSet(low) && isSet(high) && low !== high) {
+    base = `${formatAmount(low, currency, locale)} – ${formatAmount(high, currency, locale)}`;
+  } else if (isSet(low)) {
+    base = isSet(high) ? formatAmount(low, currency, locale) : `From ${formatAmount(low, currency, locale)}`;
+  } else {
+    base = `Up to ${formatAmount(high, currency, locale)}`;
+  }
+
+  const period = salaryPeriods.find(option => option.value === job.salaryPeriod);
+  return period ? `${base}${period.suffix}` : base;
+};
+
+/**
+ * Salary with bonus and equity, e.g. "$140K – $160K/yr + 10% bonus + 0.5% equity"
+ *
+ * @param {Object} job
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatCompensation = (job, locale) => {
+  if (!isSet(job.salaryMin) && !isSet(job.salaryMax)) {
+    return formatSalary(job, locale);
+  }
+  return [
+    formatSalary(job, locale),
+    job.bonus && (/bonus|commission/i.test(job.bonus) ? job.bonus : `${job.bonus} bonus`),
+    job.equity && (/equity|stock|RSU|option/i.test(job.equity) ? job.equity : `${job.equity} equity`)
+  ].filter(Boolean).join(' + ');
+};
\ No newline at end of file
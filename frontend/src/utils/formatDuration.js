@@ -0,0 +1,27 @@
+/**
+ * Format a duration in milliseconds as a short human readable string
+ * e.g. 90061000 -> "1d 1h", 3600000 -> "1h", 45000 -> "< 1m"
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) {
+    return '< 1m';
+  }
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+  return `${mins}m`;
+};
+
+export default formatDuration;
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Helpers for times entered and shown in a time zone other than the browser's
+ * (interviews are arranged in the interviewer's zone). Offsets come from
+ * Intl, so daylight saving time is accounted for.
+ */
+
+/**
+ * @returns {string} The browser's IANA time zone, e.g. "Europe/Berlin"
+ */
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Milliseconds the zone is ahead of UTC at a given instant
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(timestamp).map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time in a zone to an instant
+ * @param {string} localValue - "YYYY-MM-DDTHH:mm", as a datetime-local input holds it
+ * @param {string} timeZone
+ * @returns {string} ISO 8601 UTC timestamp
+ */
+export const zonedTimeToUtc = (localValue, timeZone) => {
+  const wallClock = Date.parse(`${localValue}:00Z`);
+  let timestamp = wallClock - zoneOffset(wallClock, timeZone);
+  // Near a DST change the offset at the guess can differ from the one at the result
+  const corrected = wallClock - zoneOffset(timestamp, timeZone);
+  if (corrected !== timestamp) {
+    timestamp = corrected;
+  }
+  return new Date(timestamp).toISOString();
+};
+
+/**
+ * Converts an instant to the wall-clock time of a zone
+ * @param {string} isoValue
+ * @param {string} timeZone
+ * @returns {string} "YYYY-MM-DDTHH:mm", for a datetime-local input
+ */
+export const utcToZonedInput = (isoValue, timeZone) => {
+  const timestamp = Date.parse(isoValue);
+  return new Date(timestamp + zoneOffset(timestamp, timeZone)).toISOString().slice(0, 16);
+};
+
+/**
+ * @param {string} isoValue
+ * @param {string} [timeZone] - Defaults to the browser's
+ * @returns {string} e.g. "Tue, Mar 5, 2:30 PM"
+ */
+export const formatInTimeZone = (isoValue, timeZone) => new Date(isoValue).toLocaleString('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
\ No newline at end of file